@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const config = require('./environment');
+
+// Numeric env var that may legitimately be 0
+const readNumber = (name, defaultValue) => {
+    const value = parseFloat(process.env[name]);
+    return isNaN(value) ? defaultValue : value;
+};
+
+/**
+ * Airtime-to-cash Configuration
+ * Conversion rates, receiving SIMs and fraud limits for turning airtime into wallet credit
+ */
+class AirtimeToCashConfig {
+    constructor() {
+        this.enabled = process.env.AIRTIME_TO_CASH_ENABLED !== 'false';
+
+        // Per-request bounds (NGN of airtime sent)
+        this.minAmount = readNumber('AIRTIME_TO_CASH_MIN_AMOUNT', 500);
+        this.maxAmount = readNumber('AIRTIME_TO_CASH_MAX_AMOUNT', 20000);
+
+        // Fraud limits per user per day (Africa/Lagos)
+        this.dailyAmountLimit = readNumber('AIRTIME_TO_CASH_DAILY_AMOUNT_LIMIT', 50000);
+        this.dailyRequestLimit = readNumber('AIRTIME_TO_CASH_DAILY_REQUEST_LIMIT', 5);
+
+        // Transfers reported by the SIM gateway at or below this are credited without an admin (0 = never)
+        this.autoConfirmLimit = readNumber('AIRTIME_TO_CASH_AUTO_CONFIRM_LIMIT', 5000);
+
+        // How long a request waits for the airtime to arrive
+        this.requestTtl = readNumber('AIRTIME_TO_CASH_REQUEST_TTL', 2 * 60 * 60 * 1000); // 2 hours
+
+        // Shared secret the SIM gateway sends in x-callback-token
+        this.callbackSecret = process.env.AIRTIME_TO_CASH_CALLBACK_SECRET;
+    }
+
+    /**
+     * Map network names to conversion settings
+     * rate - percentage of the airtime value credited to the wallet
+     * simNumber - platform SIM the user transfers airtime to
+     */
+    get networkMapping() {
+        const nineMobile = {
+            name: '9MOBILE',
+            rate: readNumber('AIRTIME_TO_CASH_RATE_9MOBILE', 70),
+            simNumber: process.env.AIRTIME_TO_CASH_SIM_9MOBILE || null
+        };
+
+        return {
+            'MTN': {
+                name: 'MTN',
+                rate: readNumber('AIRTIME_TO_CASH_RATE_MTN', 80),
+                simNumber: process.env.AIRTIME_TO_CASH_SIM_MTN || null
+            },
+            'GLO': {
+                name: 'GLO',
+                rate: readNumber('AIRTIME_TO_CASH_RATE_GLO', 70),
+                simNumber: process.env.AIRTIME_TO_CASH_SIM_GLO || null
+            },
+            'AIRTEL': {
+                name: 'AIRTEL',
+                rate: readNumber('AIRTIME_TO_CASH_RATE_AIRTEL', 75),
+                simNumber: process.env.AIRTIME_TO_CASH_SIM_AIRTEL || null
+            },
+            '9MOBILE': nineMobile,
+            'ETISALAT': nineMobile // Alias for 9MOBILE
+        };
+    }
+
+    /**
+     * Get the settings for a network that is accepting airtime (has a SIM and a rate)
+     */
+    getNetwork(networkName) {
+        const network = this.networkMapping[networkName?.toUpperCase()];
+        return network && network.simNumber && network.rate > 0 ? network : null;
+    }
+
+    /**
+     * Networks currently accepting airtime
+     */
+    getActiveNetworks() {
+        return Object.entries(this.networkMapping)
+            .filter(([key, network]) => key === network.name && this.getNetwork(key))
+            .map(([, network]) => network);
+    }
+
+    /**
+     * Verify a SIM gateway callback by its shared secret
+     */
+    validateCallback(token) {
+        if (!this.callbackSecret) {
+            return config.isProduction
+                ? { valid: false, reason: 'No callback secret configured' }
+                : { valid: true, reason: null };
+        }
+
+        const expected = Buffer.from(this.callbackSecret);
+        const received = Buffer.from(String(token || ''));
+
+        if (expected.length === received.length && crypto.timingSafeEqual(expected, received)) {
+            return { valid: true, reason: null };
+        }
+
+        return { valid: false, reason: token ? 'Invalid callback token' : 'Missing callback token' };
+    }
+
+    /**
+     * Check if airtime-to-cash is switched on and has at least one network
+     */
+    isReady() {
+        return this.enabled && this.getActiveNetworks().length > 0;
+    }
+}
+
+// Create singleton instance
+const airtimeToCashConfig = new AirtimeToCashConfig();
+
+module.exports = {
+    airtimeToCashConfig,
+    AirtimeToCashConfig
+};
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const config = require('./environment');
 
 /**
@@ -10,6 +11,11 @@ class ClubKonnectConfig {
         this.userId = process.env.CLUBKONNECT_USER_ID;
         this.apiKey = process.env.CLUBKONNECT_API_KEY;
         this.callbackUrl = process.env.CLUBKONNECT_CALLBACK_URL;
+        this.callbackSecret = process.env.CLUBKONNECT_CALLBACK_SECRET;
+        this.callbackIps = (process.env.CLUBKONNECT_CALLBACK_IPS || '')
+            .split(',')
+            .map(ip => ip.trim())
+            .filter(Boolean);
         
             // API Configuration
             this.baseUrl = process.env.CLUBKONNECT_BASE_URL || 'https://www.clubkonnect.com';
@@ -62,6 +68,7 @@ class ClubKonnectConfig {
             balance: `${baseEndpoint}/APIBalanceV1.asp`,
             transactionStatus: `${baseEndpoint}/APITransactionStatusV1.asp`,
             dataplans: `${baseEndpoint}/APIDataPlansV1.asp`,
+            cablePackages: `${baseEndpoint}/APICableTVPackagesV2.asp`,
             networks: `${baseEndpoint}/APINetworksV1.asp`,
             
             // Callback endpoints
@@ -115,12 +122,49 @@ class ClubKonnectConfig {
     }
 
     /**
-     * Validate webhook signature (if implemented by ClubKonnect)
+     * Callback URL sent with each order.
+     * ClubKonnect does not sign callbacks, so the shared secret travels as a token in the URL.
      */
-    validateWebhook(payload, signature) {
-        // Implement webhook signature validation if ClubKonnect provides it
-        // For now, return true as ClubKonnect may not have webhook signatures
-        return true;
+    getCallbackUrl() {
+        const url = this.endpoints.callback;
+
+        if (!this.callbackSecret) {
+            return url;
+        }
+
+        return `${url}${url.includes('?') ? '&' : '?'}token=${encodeURIComponent(this.callbackSecret)}`;
+    }
+
+    /**
+     * Authenticate a callback by its shared-secret token or source IP.
+     * Either check passing is enough. With neither configured, callbacks are only
+     * accepted outside production (they are still confirmed by a status query).
+     * @param {Object} request - { token, ip }
+     * @returns {{ valid: boolean, reason: string|null }}
+     */
+    validateWebhook({ token, ip }) {
+        if (!this.callbackSecret && this.callbackIps.length === 0) {
+            return config.isProduction
+                ? { valid: false, reason: 'No callback secret or IP allowlist configured' }
+                : { valid: true, reason: null };
+        }
+
+        if (this.callbackSecret && token) {
+            const expected = Buffer.from(this.callbackSecret);
+            const received = Buffer.from(String(token));
+
+            if (expected.length === received.length && crypto.timingSafeEqual(expected, received)) {
+                return { valid: true, reason: null };
+            }
+        }
+
+        // Express reports IPv4 clients as IPv4-mapped IPv6 addresses
+        const clientIp = String(ip || '').replace(/^::ffff:/, '');
+        if (this.callbackIps.includes(clientIp)) {
+            return { valid: true, reason: null };
+        }
+
+        return { valid: false, reason: token ? 'Invalid callback token' : `Callback from unrecognised IP ${clientIp}` };
     }
 
     /**
@@ -192,19 +236,6 @@ class ClubKonnectConfig {
         }
     }
 
-    /**
-     * Check if response indicates success
-     */
-    isSuccessResponse(response) {
-        // ClubKonnect success indicators (adjust based on actual API responses)
-        const successIndicators = [
-            'successful', 'success', 'completed', 'processed'
-        ];
-        
-        const responseText = JSON.stringify(response).toLowerCase();
-        return successIndicators.some(indicator => responseText.includes(indicator));
-    }
-
     /**
      * Get error message from response
      */
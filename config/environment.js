@@ -22,7 +22,10 @@ class Config {
         this._loadServerConfig();
         this._loadDatabaseConfig();
         this._loadClubkonnectConfig();
+        this._loadVtuConfig();
+        this._loadWalletConfig();
         this._loadSecurityConfig();
+        this._loadWebhookConfig();
         this._validateRequiredConfig();
     }
 
@@ -93,6 +96,96 @@ class Config {
         };
     }
 
+    /**
+     * Load VTU provider routing configuration
+     */
+    _loadVtuConfig() {
+        this.vtu = {
+            // Provider tried first for every purchase
+            primaryProvider: (process.env.VTU_PRIMARY_PROVIDER || 'clubkonnect').toLowerCase(),
+
+            // Providers tried in order when the primary fails with a retryable error
+            fallbackProviders: this._getArray('VTU_FALLBACK_PROVIDERS', ['vtpass']).map(name => name.toLowerCase()),
+            // Consecutive retryable failures before a provider is treated as unhealthy
+            unhealthyThreshold: this._getNumber('VTU_UNHEALTHY_THRESHOLD', 3),
+            // How long an unhealthy provider is skipped before it is tried again
+            healthCooldown: this._getNumber('VTU_HEALTH_COOLDOWN', 60000),
+            reconciler: {
+                enabled: this._getBoolean('VTU_RECONCILER_ENABLED', true),
+                // How often the worker scans for stuck purchases
+                interval: this._getNumber('VTU_RECONCILE_INTERVAL', 300000),
+                // How long a purchase must sit in processing/pending before it is queried
+                threshold: this._getNumber('VTU_RECONCILE_AFTER', 600000),
+                batchSize: this._getNumber('VTU_RECONCILE_BATCH_SIZE', 50)
+            },
+            catalogue: {
+                enabled: this._getBoolean('VTU_CATALOGUE_SYNC_ENABLED', true),
+                interval: this._getNumber('VTU_CATALOGUE_SYNC_INTERVAL', 6 * 60 * 60 * 1000)
+            },
+            settlement: {
+                enabled: this._getBoolean('VTU_SETTLEMENT_REPORT_ENABLED', true),
+                // Hour of day (Africa/Lagos) after which the previous day's report is generated
+                reportHour: this._getNumber('VTU_SETTLEMENT_REPORT_HOUR', 1),
+                // Allowed gap (NGN) between the float change and the expected provider cost
+                floatTolerance: this._getNumber('VTU_SETTLEMENT_FLOAT_TOLERANCE', 100)
+            },
+            schedules: {
+                enabled: this._getBoolean('VTU_SCHEDULES_ENABLED', true),
+                // How often the worker looks for due scheduled purchases
+                interval: this._getNumber('VTU_SCHEDULE_WORKER_INTERVAL', 60000),
+                batchSize: this._getNumber('VTU_SCHEDULE_BATCH_SIZE', 50),
+                maxPerUser: this._getNumber('VTU_SCHEDULE_MAX_PER_USER', 20),
+                // Consecutive failed runs before a schedule is paused
+                maxFailures: this._getNumber('VTU_SCHEDULE_MAX_FAILURES', 3)
+            },
+            bulk: {
+                maxRows: this._getNumber('VTU_BULK_MAX_ROWS', 1000),
+                // Rows of one batch sent to providers at the same time
+                concurrency: this._getNumber('VTU_BULK_CONCURRENCY', 5),
+                // A running batch with no progress for this long is picked up again (after a restart)
+                staleAfter: this._getNumber('VTU_BULK_STALE_AFTER', 300000)
+            }
+        };
+    }
+
+    /**
+     * Load wallet transfer limits
+     */
+    _loadWalletConfig() {
+        this.wallet = {
+            transfers: {
+                minAmount: this._getNumber('TRANSFER_MIN_AMOUNT', 50),
+                maxAmount: this._getNumber('TRANSFER_MAX_AMOUNT', 500000),
+                // Per-user caps across the day (UTC); wallet_limits.daily_transfer_limit overrides dailyLimit
+                dailyLimit: this._getNumber('TRANSFER_DAILY_LIMIT', 1000000),
+                dailyCount: this._getNumber('TRANSFER_DAILY_COUNT', 20),
+                // How long a confirm-name preview stays valid
+                previewTtl: this._getNumber('TRANSFER_PREVIEW_TTL', 10 * 60 * 1000),
+                previewSecret: process.env.TRANSFER_PREVIEW_SECRET || process.env.SUPABASE_JWT_SECRET || process.env.JWT_SECRET
+            },
+            virtualAccounts: {
+                // Fee kept from each bank transfer into a virtual account: percent of the amount
+                // plus a flat amount, capped at feeCap (0 means no cap)
+                feePercent: this._getFloat('VIRTUAL_ACCOUNT_FEE_PERCENT', 0),
+                feeFlat: this._getFloat('VIRTUAL_ACCOUNT_FEE_FLAT', 0),
+                feeCap: this._getFloat('VIRTUAL_ACCOUNT_FEE_CAP', 0)
+            },
+            refunds: {
+                // Failed purchases whose automatic refund has not landed after this long get a refund request
+                ruleDelay: this._getNumber('REFUND_RULE_DELAY', 15 * 60 * 1000),
+                // An admin cannot approve a refund they requested themselves
+                requireSecondApprover: this._getBoolean('REFUND_REQUIRE_SECOND_APPROVER', true),
+                // A card refund Flutterwave never answered, and that it still has no record of after this long, is reversed
+                unansweredGrace: this._getNumber('REFUND_UNANSWERED_GRACE', 24 * 60 * 60 * 1000)
+            },
+            disputes: {
+                // Supabase Storage bucket for chargeback evidence (create it as a private bucket)
+                evidenceBucket: process.env.DISPUTE_EVIDENCE_BUCKET || 'dispute-evidence',
+                maxEvidenceBytes: this._getNumber('DISPUTE_EVIDENCE_MAX_BYTES', 5 * 1024 * 1024)
+            }
+        };
+    }
+
     /**
      * Load security and rate limiting configuration
      */
@@ -101,7 +194,30 @@ class Config {
             rateLimiting: {
                 windowMs: this._getNumber('RATE_LIMIT_WINDOW_MS', 900000), // 15 minutes
                 maxRequests: this._getNumber('RATE_LIMIT_MAX_REQUESTS', 100),
-            }
+            },
+            // Encrypts reseller API key secrets at rest (64 hex characters)
+            apiKeyEncryptionKey: process.env.API_KEY_ENCRYPTION_KEY
+        };
+    }
+
+    /**
+     * Load outbound (reseller) webhook delivery configuration
+     */
+    _loadWebhookConfig() {
+        this.webhooks = {
+            enabled: this._getBoolean('WEBHOOK_DELIVERY_ENABLED', true),
+            // How often the worker picks up deliveries waiting for a retry
+            interval: this._getNumber('WEBHOOK_DELIVERY_INTERVAL', 30000),
+            batchSize: this._getNumber('WEBHOOK_DELIVERY_BATCH_SIZE', 50),
+            timeout: this._getNumber('WEBHOOK_DELIVERY_TIMEOUT', 10000),
+            // Attempts per delivery; retries back off exponentially from retryDelay up to maxRetryDelay
+            maxAttempts: this._getNumber('WEBHOOK_MAX_ATTEMPTS', 8),
+            retryDelay: this._getNumber('WEBHOOK_RETRY_DELAY', 30000),
+            maxRetryDelay: this._getNumber('WEBHOOK_MAX_RETRY_DELAY', 6 * 60 * 60 * 1000),
+            // An endpoint is switched off after this many failed attempts in a row
+            disableAfter: this._getNumber('WEBHOOK_DISABLE_AFTER', 20),
+            // Let endpoints resolve to loopback and private addresses, for local testing; never in production
+            allowPrivateUrls: !this.isProduction && this._getBoolean('WEBHOOK_ALLOW_PRIVATE_URLS', false)
         };
     }
 
@@ -128,6 +244,11 @@ class Config {
             throw new Error(`Missing required configuration: ${missingFields.join(', ')}`);
         }
 
+        // Reseller API key secrets cannot be issued or checked without it, so refuse to start
+        if (!/^[0-9a-f]{64}$/i.test(this.security.apiKeyEncryptionKey || '')) {
+            throw new Error('API_KEY_ENCRYPTION_KEY must be set to 64 hex characters');
+        }
+
         // Only validate Clubkonnect if credentials are provided
         if (this.clubkonnect.userId && this.clubkonnect.apiKey) {
             this._validateClubkonnectConfig();
@@ -185,6 +306,16 @@ class Config {
         return isNaN(parsed) ? defaultValue : parsed;
     }
 
+    /**
+     * Get decimal number from environment variable
+     */
+    _getFloat(envVar, defaultValue) {
+        const value = process.env[envVar];
+        if (!value) return defaultValue;
+        const parsed = parseFloat(value);
+        return isNaN(parsed) ? defaultValue : parsed;
+    }
+
     /**
      * Get boolean from environment variable
      */
@@ -255,6 +386,7 @@ class Config {
         console.log(`   API Prefix: ${this.server.apiPrefix}`);
         console.log(`   Clubkonnect Base URL: ${this.clubkonnect.baseUrl}`);
         console.log(`   Clubkonnect User ID: ${this.clubkonnect.userId ? 'Configured' : 'Missing'}`);
+        console.log(`   VTU Providers: ${[this.vtu.primaryProvider, ...this.vtu.fallbackProviders].join(' -> ')}`);
         console.log(`   Database: Supabase (${this.database.supabase.url ? 'Configured' : 'Missing'})`);
     }
 }
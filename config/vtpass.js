@@ -0,0 +1,154 @@
+/**
+ * VTpass VTU API Configuration
+ * Centralized configuration for the VTpass service integration
+ */
+class VTPassConfig {
+    constructor() {
+        // Load environment variables
+        this.apiKey = process.env.VTPASS_API_KEY;
+        this.secretKey = process.env.VTPASS_SECRET_KEY;
+        this.publicKey = process.env.VTPASS_PUBLIC_KEY;
+
+        // API Configuration
+        this.baseUrl = process.env.VTPASS_BASE_URL || 'https://vtpass.com/api';
+        this.timeout = parseInt(process.env.VTPASS_TIMEOUT) || 30000; // 30 seconds
+
+        // Validate required fields
+        this._validateConfig();
+    }
+
+    /**
+     * Validate required configuration
+     */
+    _validateConfig() {
+        const required = ['apiKey', 'secretKey', 'publicKey'];
+        const missing = required.filter(field => !this[field]);
+
+        if (missing.length > 0) {
+            console.log('ℹ️ VTpass credentials not provided - VTpass will not be used as a VTU provider');
+            this.isConfigured = false;
+            return;
+        }
+
+        this.isConfigured = true;
+        console.log('✅ VTpass configuration loaded successfully');
+    }
+
+    /**
+     * Get API endpoints
+     */
+    get endpoints() {
+        return {
+            pay: `${this.baseUrl}/pay`,
+            verify: `${this.baseUrl}/merchant-verify`,
+            requery: `${this.baseUrl}/requery`,
+            balance: `${this.baseUrl}/balance`,
+            variations: `${this.baseUrl}/service-variations`
+        };
+    }
+
+    /**
+     * Headers for POST requests (api-key + secret-key)
+     */
+    getPostHeaders() {
+        return {
+            'Content-Type': 'application/json',
+            'api-key': this.apiKey,
+            'secret-key': this.secretKey
+        };
+    }
+
+    /**
+     * Headers for GET requests (api-key + public-key)
+     */
+    getGetHeaders() {
+        return {
+            'api-key': this.apiKey,
+            'public-key': this.publicKey
+        };
+    }
+
+    /**
+     * Map network names to VTpass airtime service IDs
+     */
+    get networkMapping() {
+        return {
+            'MTN': 'mtn',
+            'GLO': 'glo',
+            'AIRTEL': 'airtel',
+            '9MOBILE': 'etisalat',
+            'ETISALAT': 'etisalat'
+        };
+    }
+
+    /**
+     * Get airtime service ID from network name
+     */
+    getAirtimeServiceId(networkName) {
+        return this.networkMapping[networkName?.toUpperCase()] || null;
+    }
+
+    /**
+     * Get data service ID from network name
+     */
+    getDataServiceId(networkName) {
+        const serviceId = this.getAirtimeServiceId(networkName);
+        return serviceId ? `${serviceId}-data` : null;
+    }
+
+    /**
+     * Get electricity service ID from disco name (e.g. IKEDC, ikeja)
+     */
+    getElectricityServiceId(provider) {
+        const discos = {
+            IKEDC: 'ikeja-electric',
+            IKEJA: 'ikeja-electric',
+            EKEDC: 'eko-electric',
+            EKO: 'eko-electric',
+            AEDC: 'abuja-electric',
+            ABUJA: 'abuja-electric',
+            KEDCO: 'kano-electric',
+            KANO: 'kano-electric',
+            PHED: 'portharcourt-electric',
+            PORTHARCOURT: 'portharcourt-electric',
+            IBEDC: 'ibadan-electric',
+            IBADAN: 'ibadan-electric',
+            JED: 'jos-electric',
+            JOS: 'jos-electric',
+            KAEDCO: 'kaduna-electric',
+            KADUNA: 'kaduna-electric',
+            YEDC: 'yola-electric',
+            YOLA: 'yola-electric',
+            BEDC: 'benin-electric',
+            BENIN: 'benin-electric'
+        };
+
+        return discos[provider?.toUpperCase()] || null;
+    }
+
+    /**
+     * Generate request ID
+     * VTpass requires the first 12 characters to be the current Africa/Lagos date and time (YYYYMMDDHHmm)
+     */
+    generateRequestId(suffix = '') {
+        const lagosTime = new Date(Date.now() + 60 * 60 * 1000).toISOString(); // Africa/Lagos is UTC+1
+        const prefix = lagosTime.replace(/[-T:]/g, '').substring(0, 12);
+        const random = Math.random().toString(36).substring(2, 10).toUpperCase();
+        return `${prefix}${suffix}${random}`;
+    }
+
+    /**
+     * Check if VTpass is properly configured
+     */
+    isReady() {
+        return this.isConfigured === true;
+    }
+}
+
+// Create singleton instance
+const vtpassConfig = new VTPassConfig();
+
+module.exports = {
+    vtpassConfig,
+    VTPassConfig
+};
@@ -0,0 +1,269 @@
+const { generateResponse } = require('../utils/helpers');
+const { adminService, AdminError } = require('../services/adminService');
+const { auditService, AuditError } = require('../services/auditService');
+const { InsufficientFundsError, WalletFrozenError, TransactionError } = require('../services/walletService');
+
+/**
+ * Map admin and wallet errors to responses
+ */
+const handleAdminError = (res, error) => {
+    if (error instanceof AdminError) {
+        const status = { NOT_FOUND: 404, INVALID_STATUS: 409, SELF_ACTION: 403 }[error.code] || 400;
+        return res.status(status).json(generateResponse(false, error.message, { code: error.code }));
+    }
+
+    if (error instanceof AuditError) {
+        return res.status(400).json(generateResponse(false, error.message, { code: error.code }));
+    }
+
+    if (error instanceof InsufficientFundsError) {
+        return res.status(400).json(generateResponse(false, 'Wallet balance is lower than the debit'));
+    }
+
+    if (error instanceof WalletFrozenError) {
+        return res.status(403).json(generateResponse(false, error.message));
+    }
+
+    if (error instanceof TransactionError) {
+        return res.status(400).json(generateResponse(false, error.message));
+    }
+
+    console.error('Admin error:', error);
+    return res.status(500).json(generateResponse(false, 'Internal server error'));
+};
+
+class AdminController {
+    // Search users
+    async getUsers(req, res) {
+        try {
+            const { search, role, status, page, limit } = req.query;
+
+            const result = await adminService.searchUsers({ search, role, status, page, limit });
+
+            res.json(generateResponse(true, 'Users retrieved successfully', result));
+
+        } catch (error) {
+            return handleAdminError(res, error);
+        }
+    }
+
+    // A user with wallet and reseller details
+    async getUser(req, res) {
+        try {
+            const user = await adminService.getUser(req.params.id);
+
+            res.json(generateResponse(true, 'User retrieved successfully', user));
+
+        } catch (error) {
+            return handleAdminError(res, error);
+        }
+    }
+
+    // Suspend a user
+    async suspendUser(req, res) {
+        try {
+            const user = await adminService.suspendUser(auditService.actorFrom(req), req.params.id, req.body.reason);
+
+            res.json(generateResponse(true, 'User suspended', user));
+
+        } catch (error) {
+            return handleAdminError(res, error);
+        }
+    }
+
+    // Reactivate a suspended user
+    async reactivateUser(req, res) {
+        try {
+            const user = await adminService.reactivateUser(auditService.actorFrom(req), req.params.id);
+
+            res.json(generateResponse(true, 'User reactivated', user));
+
+        } catch (error) {
+            return handleAdminError(res, error);
+        }
+    }
+
+    // Freeze a user's wallet
+    async freezeWallet(req, res) {
+        try {
+            const result = await adminService.setWalletFrozen(auditService.actorFrom(req), req.params.id, true, req.body.reason);
+
+            res.json(generateResponse(true, result.message, result.wallet));
+
+        } catch (error) {
+            return handleAdminError(res, error);
+        }
+    }
+
+    // Unfreeze a user's wallet
+    async unfreezeWallet(req, res) {
+        try {
+            const result = await adminService.setWalletFrozen(auditService.actorFrom(req), req.params.id, false, req.body.reason);
+
+            res.json(generateResponse(true, result.message, result.wallet));
+
+        } catch (error) {
+            return handleAdminError(res, error);
+        }
+    }
+
+    // Set a user's spending limits
+    async setWalletLimits(req, res) {
+        try {
+            const { daily_limit, monthly_limit, reason } = req.body;
+
+            const result = await adminService.setWalletLimits(auditService.actorFrom(req), req.params.id, { daily_limit, monthly_limit, reason });
+
+            res.json(generateResponse(true, result.message, { daily_limit: result.daily_limit, monthly_limit: result.monthly_limit }));
+
+        } catch (error) {
+            return handleAdminError(res, error);
+        }
+    }
+
+    // Credit or debit a wallet by hand
+    async adjustWallet(req, res) {
+        try {
+            const { direction, amount, reason } = req.body;
+
+            const result = await adminService.adjustWallet(auditService.actorFrom(req), req.params.id, { direction, amount, reason });
+
+            res.json(generateResponse(true, `Wallet ${direction === 'credit' ? 'credited' : 'debited'} with ₦${Number(result.adjustment.amount).toLocaleString()}`, result));
+
+        } catch (error) {
+            return handleAdminError(res, error);
+        }
+    }
+
+    // List reseller applications and accounts
+    async getResellers(req, res) {
+        try {
+            const { status, level, search, page, limit } = req.query;
+
+            const result = await adminService.listResellers({ status, level, search, page, limit });
+
+            res.json(generateResponse(true, 'Resellers retrieved successfully', result));
+
+        } catch (error) {
+            return handleAdminError(res, error);
+        }
+    }
+
+    // Approve a reseller application
+    async approveReseller(req, res) {
+        try {
+            const reseller = await adminService.approveReseller(auditService.actorFrom(req), req.params.id);
+
+            res.json(generateResponse(true, 'Reseller application approved', reseller));
+
+        } catch (error) {
+            return handleAdminError(res, error);
+        }
+    }
+
+    // Reject a reseller application
+    async rejectReseller(req, res) {
+        try {
+            const reseller = await adminService.rejectReseller(auditService.actorFrom(req), req.params.id, req.body.reason);
+
+            res.json(generateResponse(true, 'Reseller application rejected', reseller));
+
+        } catch (error) {
+            return handleAdminError(res, error);
+        }
+    }
+
+    // Set a reseller's discounts and commissions
+    async setResellerRates(req, res) {
+        try {
+            const reseller = await adminService.setResellerRates(auditService.actorFrom(req), req.params.id, req.body);
+
+            res.json(generateResponse(true, 'Reseller rates updated successfully', reseller));
+
+        } catch (error) {
+            return handleAdminError(res, error);
+        }
+    }
+
+    // Set the referral bonus amount
+    async setReferralBonus(req, res) {
+        try {
+            const result = await adminService.setReferralBonus(auditService.actorFrom(req), req.body.amount);
+
+            res.json(generateResponse(true, result.message, { referral_bonus: result.referral_bonus }));
+
+        } catch (error) {
+            return handleAdminError(res, error);
+        }
+    }
+
+    // Search transactions across all users
+    async getTransactions(req, res) {
+        try {
+            const { user_id, type, status, reference, from, to, page, limit } = req.query;
+
+            const result = await adminService.listTransactions({ user_id, type, status, reference, from, to, page, limit });
+
+            res.json(generateResponse(true, 'Transactions retrieved successfully', result));
+
+        } catch (error) {
+            return handleAdminError(res, error);
+        }
+    }
+
+    // Any transaction
+    async getTransaction(req, res) {
+        try {
+            const transaction = await adminService.getTransaction(req.params.id);
+
+            res.json(generateResponse(true, 'Transaction retrieved successfully', transaction));
+
+        } catch (error) {
+            return handleAdminError(res, error);
+        }
+    }
+
+    // Search the audit log
+    async getAuditLog(req, res) {
+        try {
+            const { actor_id, actor_type, action, target_type, target_id, from, to, page, limit } = req.query;
+
+            const result = await auditService.list({ actor_id, actor_type, action, target_type, target_id, from, to, page, limit });
+
+            res.json(generateResponse(true, 'Audit log retrieved successfully', result));
+
+        } catch (error) {
+            return handleAdminError(res, error);
+        }
+    }
+
+    // Export the audit log as CSV
+    async exportAuditLog(req, res) {
+        try {
+            const { actor_id, actor_type, action, target_type, target_id, from, to } = req.query;
+
+            const csv = await auditService.exportCSV({ actor_id, actor_type, action, target_type, target_id, from, to });
+
+            res.setHeader('Content-Type', 'text/csv');
+            res.setHeader('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+            res.send(csv);
+
+        } catch (error) {
+            return handleAdminError(res, error);
+        }
+    }
+
+    // Check the audit log hash chain
+    async verifyAuditLog(req, res) {
+        try {
+            const result = await auditService.verify({ fromSequence: req.query.from_sequence, limit: req.query.limit });
+
+            res.json(generateResponse(true, result.valid ? 'Audit log chain is intact' : `Audit log chain is broken at entry ${result.broken_at}`, result));
+
+        } catch (error) {
+            return handleAdminError(res, error);
+        }
+    }
+}
+
+module.exports = new AdminController();
@@ -0,0 +1,157 @@
+const { generateResponse } = require('../utils/helpers');
+const { airtimeToCashConfig } = require('../config/airtimeToCash');
+const { airtimeToCashService, AirtimeToCashError } = require('../services/airtimeToCashService');
+const { WalletFrozenError, TransactionError } = require('../services/walletService');
+
+/**
+ * Map airtime-to-cash and wallet errors to responses
+ */
+const handleAirtimeToCashError = (res, error) => {
+    if (error instanceof AirtimeToCashError) {
+        const status = { NOT_FOUND: 404, INVALID_STATUS: 409, LIMIT_EXCEEDED: 429, SENDER_IN_USE: 403, DISABLED: 503 }[error.code] || 400;
+        return res.status(status).json(generateResponse(false, error.message, { code: error.code }));
+    }
+
+    if (error instanceof WalletFrozenError) {
+        return res.status(403).json(generateResponse(false, error.message));
+    }
+
+    if (error instanceof TransactionError) {
+        return res.status(400).json(generateResponse(false, error.message));
+    }
+
+    console.error('Airtime to cash error:', error);
+    return res.status(500).json(generateResponse(false, 'Internal server error'));
+};
+
+class AirtimeToCashController {
+    // Networks, rates and limits
+    async getRates(req, res) {
+        res.json(generateResponse(true, 'Airtime to cash rates retrieved successfully', airtimeToCashService.getRates()));
+    }
+
+    // Declare an airtime transfer
+    async createRequest(req, res) {
+        try {
+            const { network, phone_number, amount } = req.body;
+
+            const request = await airtimeToCashService.submit(req.user, { network, phone_number, amount });
+
+            res.status(201).json(generateResponse(true,
+                `Send ₦${Number(request.amount).toLocaleString()} ${request.network} airtime from ${request.sender_phone} to ${request.receiving_number}`,
+                request));
+
+        } catch (error) {
+            return handleAirtimeToCashError(res, error);
+        }
+    }
+
+    // The user's own requests
+    async getMyRequests(req, res) {
+        try {
+            const { status, page, limit } = req.query;
+
+            const result = await airtimeToCashService.list({ user_id: req.user.id, status, page, limit });
+
+            res.json(generateResponse(true, 'Airtime to cash requests retrieved successfully', result));
+
+        } catch (error) {
+            return handleAirtimeToCashError(res, error);
+        }
+    }
+
+    // One of the user's requests (admins can see any)
+    async getRequest(req, res) {
+        try {
+            const request = await airtimeToCashService.get(req.params.id, req.user.role === 'admin' ? null : req.user.id);
+
+            if (!request) {
+                return res.status(404).json(generateResponse(false, 'Request not found'));
+            }
+
+            res.json(generateResponse(true, 'Airtime to cash request retrieved successfully', request));
+
+        } catch (error) {
+            return handleAirtimeToCashError(res, error);
+        }
+    }
+
+    // Withdraw a pending request
+    async cancelRequest(req, res) {
+        try {
+            const request = await airtimeToCashService.cancel(req.user.id, req.params.id);
+
+            res.json(generateResponse(true, 'Request cancelled', request));
+
+        } catch (error) {
+            return handleAirtimeToCashError(res, error);
+        }
+    }
+
+    // All requests (admin)
+    async getAllRequests(req, res) {
+        try {
+            const { user_id, status, network, page, limit } = req.query;
+
+            const result = await airtimeToCashService.list({ user_id, status, network, page, limit });
+
+            res.json(generateResponse(true, 'Airtime to cash requests retrieved successfully', result));
+
+        } catch (error) {
+            return handleAirtimeToCashError(res, error);
+        }
+    }
+
+    // Confirm the airtime arrived and credit the wallet (admin)
+    async confirmRequest(req, res) {
+        try {
+            const request = await airtimeToCashService.confirm(req.params.id, {
+                adminId: req.user.id,
+                amountReceived: req.body.amount_received
+            });
+
+            res.json(generateResponse(true, `₦${Number(request.credit_amount).toLocaleString()} credited to the user's wallet`, request));
+
+        } catch (error) {
+            return handleAirtimeToCashError(res, error);
+        }
+    }
+
+    // Decline a request (admin)
+    async rejectRequest(req, res) {
+        try {
+            const request = await airtimeToCashService.reject(req.params.id, { adminId: req.user.id, reason: req.body.reason });
+
+            res.json(generateResponse(true, 'Request rejected', request));
+
+        } catch (error) {
+            return handleAirtimeToCashError(res, error);
+        }
+    }
+
+    // Incoming transfer reported by the SIM gateway (no auth; shared secret)
+    async handleGatewayCallback(req, res) {
+        try {
+            const verification = airtimeToCashConfig.validateCallback(req.get('x-callback-token'));
+
+            if (!verification.valid) {
+                console.warn('🚫 Rejected airtime to cash callback:', verification.reason);
+                return res.status(401).json(generateResponse(false, 'Callback could not be verified'));
+            }
+
+            const { network, sender, amount, reference } = req.body;
+
+            const result = await airtimeToCashService.handleGatewayNotice({ network, sender, amount, gatewayReference: reference });
+
+            res.json(generateResponse(true, `Transfer ${result.status}`, {
+                status: result.status,
+                reference: result.request ? result.request.reference || null : null
+            }));
+
+        } catch (error) {
+            return handleAirtimeToCashError(res, error);
+        }
+    }
+}
+
+module.exports = new AirtimeToCashController();
@@ -0,0 +1,104 @@
+const { generateResponse } = require('../utils/helpers');
+const { beneficiaryService, BeneficiaryError, BENEFICIARY_TYPES } = require('../services/beneficiaryService');
+const { TransferError } = require('../services/transferService');
+const { WithdrawalError } = require('../services/withdrawalService');
+
+/**
+ * Map beneficiary and verification errors to responses
+ */
+const handleBeneficiaryError = (res, error) => {
+    if (error instanceof BeneficiaryError) {
+        const status = { NOT_FOUND: 404, DUPLICATE: 409 }[error.code] || 400;
+        return res.status(status).json(generateResponse(false, error.message, { code: error.code }));
+    }
+
+    // The bank account or wallet user could not be verified
+    if (error instanceof WithdrawalError || error instanceof TransferError) {
+        return res.status(400).json(generateResponse(false, error.message, { code: error.code }));
+    }
+
+    console.error('Beneficiary error:', error);
+    return res.status(500).json(generateResponse(false, 'Internal server error'));
+};
+
+class BeneficiaryController {
+    // List saved beneficiaries, optionally of one type
+    async getBeneficiaries(req, res) {
+        try {
+            const { type } = req.query;
+
+            if (type && !BENEFICIARY_TYPES[type]) {
+                return res.status(400).json(generateResponse(false, `Type must be one of: ${Object.keys(BENEFICIARY_TYPES).join(', ')}`));
+            }
+
+            const beneficiaries = await beneficiaryService.list(req.user.id, { type });
+
+            res.json(generateResponse(true, 'Beneficiaries retrieved successfully', beneficiaries));
+
+        } catch (error) {
+            return handleBeneficiaryError(res, error);
+        }
+    }
+
+    // Get a single beneficiary
+    async getBeneficiary(req, res) {
+        try {
+            const beneficiary = await beneficiaryService.get(req.user.id, req.params.id);
+
+            if (!beneficiary) {
+                return res.status(404).json(generateResponse(false, 'Beneficiary not found'));
+            }
+
+            res.json(generateResponse(true, 'Beneficiary retrieved successfully', beneficiary));
+
+        } catch (error) {
+            return handleBeneficiaryError(res, error);
+        }
+    }
+
+    // Verify and save a beneficiary
+    async createBeneficiary(req, res) {
+        try {
+            const beneficiary = await beneficiaryService.create(req.user.id, req.body);
+
+            res.status(201).json(generateResponse(true, 'Beneficiary saved successfully', beneficiary));
+
+        } catch (error) {
+            return handleBeneficiaryError(res, error);
+        }
+    }
+
+    // Rename a beneficiary
+    async updateBeneficiary(req, res) {
+        try {
+            const beneficiary = await beneficiaryService.update(req.user.id, req.params.id, { nickname: req.body.nickname.trim() });
+
+            if (!beneficiary) {
+                return res.status(404).json(generateResponse(false, 'Beneficiary not found'));
+            }
+
+            res.json(generateResponse(true, 'Beneficiary updated successfully', beneficiary));
+
+        } catch (error) {
+            return handleBeneficiaryError(res, error);
+        }
+    }
+
+    // Delete a beneficiary
+    async deleteBeneficiary(req, res) {
+        try {
+            const removed = await beneficiaryService.remove(req.user.id, req.params.id);
+
+            if (!removed) {
+                return res.status(404).json(generateResponse(false, 'Beneficiary not found'));
+            }
+
+            res.json(generateResponse(true, 'Beneficiary deleted successfully'));
+
+        } catch (error) {
+            return handleBeneficiaryError(res, error);
+        }
+    }
+}
+
+module.exports = new BeneficiaryController();
@@ -0,0 +1,124 @@
+const { generateResponse } = require('../utils/helpers');
+const { bulkPurchaseService, BulkPurchaseError } = require('../services/bulkPurchaseService');
+const { InsufficientFundsError, WalletFrozenError, TransactionError } = require('../services/walletService');
+
+/**
+ * Map bulk purchase and wallet errors to responses
+ */
+const handleBulkError = (res, error) => {
+    if (error instanceof BulkPurchaseError) {
+        const status = { NOT_FOUND: 404, INVALID_STATUS: 409, TOO_MANY_ROWS: 413 }[error.code] || 400;
+        return res.status(status).json(generateResponse(false, error.message, { code: error.code }));
+    }
+
+    if (error instanceof InsufficientFundsError) {
+        return res.status(400).json(generateResponse(false, 'Insufficient wallet balance for this batch'));
+    }
+
+    if (error instanceof WalletFrozenError) {
+        return res.status(403).json(generateResponse(false, error.message));
+    }
+
+    if (error instanceof TransactionError) {
+        return res.status(400).json(generateResponse(false, error.message));
+    }
+
+    console.error('Bulk purchase error:', error);
+    return res.status(500).json(generateResponse(false, 'Internal server error'));
+};
+
+class BulkPurchaseController {
+    // Upload a batch (text/csv body with ?service=, or JSON { service, rows | csv }) and price it
+    async createBatch(req, res) {
+        try {
+            const batch = typeof req.body === 'string'
+                ? { service: req.query.service, csv: req.body }
+                : { service: req.body.service, rows: req.body.rows, csv: req.body.csv };
+
+            const job = await bulkPurchaseService.create(req.user, batch);
+
+            const message = job.status === 'invalid'
+                ? `${job.invalid_rows} of ${job.total_rows} rows are invalid; fix them and upload the batch again`
+                : `Batch validated: ${job.total_rows} rows, total ₦${Number(job.total_charge).toLocaleString()}`;
+
+            res.status(201).json(generateResponse(true, message, job));
+
+        } catch (error) {
+            return handleBulkError(res, error);
+        }
+    }
+
+    // List the user's batches
+    async getBatches(req, res) {
+        try {
+            const { status, page, limit } = req.query;
+
+            const result = await bulkPurchaseService.list(req.user.id, { status, page, limit });
+
+            res.json(generateResponse(true, 'Batches retrieved successfully', result));
+
+        } catch (error) {
+            return handleBulkError(res, error);
+        }
+    }
+
+    // Get a batch with its progress
+    async getBatch(req, res) {
+        try {
+            const job = await bulkPurchaseService.get(req.user.id, req.params.id);
+
+            if (!job) {
+                return res.status(404).json(generateResponse(false, 'Batch not found'));
+            }
+
+            res.json(generateResponse(true, 'Batch retrieved successfully', job));
+
+        } catch (error) {
+            return handleBulkError(res, error);
+        }
+    }
+
+    // Start a validated batch, debiting once (single) or per row (per_row)
+    async startBatch(req, res) {
+        try {
+            const job = await bulkPurchaseService.startBatch(req.user, req.params.id, req.body.charge_mode || 'single');
+
+            res.status(202).json(generateResponse(true, 'Batch started', job));
+
+        } catch (error) {
+            return handleBulkError(res, error);
+        }
+    }
+
+    // Cancel a batch that has not started
+    async cancelBatch(req, res) {
+        try {
+            const job = await bulkPurchaseService.cancel(req.user.id, req.params.id);
+
+            res.json(generateResponse(true, 'Batch cancelled', job));
+
+        } catch (error) {
+            return handleBulkError(res, error);
+        }
+    }
+
+    // Download per-row results as CSV
+    async downloadResults(req, res) {
+        try {
+            const csv = await bulkPurchaseService.getResultsCSV(req.user.id, req.params.id);
+
+            if (csv === null) {
+                return res.status(404).json(generateResponse(false, 'Batch not found'));
+            }
+
+            res.setHeader('Content-Type', 'text/csv');
+            res.setHeader('Content-Disposition', `attachment; filename="bulk-${req.params.id}.csv"`);
+            res.send(csv);
+
+        } catch (error) {
+            return handleBulkError(res, error);
+        }
+    }
+}
+
+module.exports = new BulkPurchaseController();
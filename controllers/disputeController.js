@@ -0,0 +1,101 @@
+const { generateResponse } = require('../utils/helpers');
+const { disputeService, DisputeError } = require('../services/disputeService');
+
+/**
+ * Map dispute errors to responses
+ */
+const handleDisputeError = (res, error) => {
+    if (error instanceof DisputeError) {
+        const status = { NOT_FOUND: 404, INVALID_STATUS: 409, PROVIDER_ERROR: 502 }[error.code] || 400;
+        return res.status(status).json(generateResponse(false, error.message, { code: error.code }));
+    }
+
+    console.error('Dispute error:', error);
+    return res.status(500).json(generateResponse(false, 'Internal server error'));
+};
+
+class DisputeController {
+    // List chargebacks and disputes
+    async getDisputes(req, res) {
+        try {
+            const { status, user_id, page, limit } = req.query;
+
+            const result = await disputeService.list({ status, user_id, page, limit });
+
+            res.json(generateResponse(true, 'Disputes retrieved successfully', result));
+
+        } catch (error) {
+            return handleDisputeError(res, error);
+        }
+    }
+
+    // Get a dispute with links to its evidence
+    async getDispute(req, res) {
+        try {
+            const dispute = await disputeService.get(req.params.id);
+
+            if (!dispute) {
+                return res.status(404).json(generateResponse(false, 'Dispute not found'));
+            }
+
+            res.json(generateResponse(true, 'Dispute retrieved successfully', dispute));
+
+        } catch (error) {
+            return handleDisputeError(res, error);
+        }
+    }
+
+    // Upload an evidence file (base64 JSON body)
+    async uploadEvidence(req, res) {
+        try {
+            const { file_name, content_type, content_base64, note } = req.body;
+
+            const dispute = await disputeService.addEvidence(req.params.id, req.user.id, { file_name, content_type, content_base64, note });
+
+            res.status(201).json(generateResponse(true, 'Evidence uploaded successfully', dispute));
+
+        } catch (error) {
+            return handleDisputeError(res, error);
+        }
+    }
+
+    // Contest the chargeback at Flutterwave with the uploaded evidence
+    async contestDispute(req, res) {
+        try {
+            const dispute = await disputeService.contest(req.params.id, req.user.id, req.body.comment || 'Merchant contests this chargeback');
+
+            res.json(generateResponse(true, 'Chargeback contested', dispute));
+
+        } catch (error) {
+            return handleDisputeError(res, error);
+        }
+    }
+
+    // Accept the chargeback at Flutterwave
+    async acceptDispute(req, res) {
+        try {
+            const dispute = await disputeService.accept(req.params.id, req.user.id, req.body.comment);
+
+            res.json(generateResponse(true, 'Chargeback accepted', dispute));
+
+        } catch (error) {
+            return handleDisputeError(res, error);
+        }
+    }
+
+    // Record the final outcome of a dispute
+    async resolveDispute(req, res) {
+        try {
+            const { outcome, note } = req.body;
+
+            const dispute = await disputeService.resolve(req.params.id, outcome, { adminId: req.user.id, note });
+
+            res.json(generateResponse(true, `Dispute resolved as ${outcome}`, dispute));
+
+        } catch (error) {
+            return handleDisputeError(res, error);
+        }
+    }
+}
+
+module.exports = new DisputeController();
@@ -0,0 +1,108 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { generateResponse } = require('../utils/helpers');
+const { vtuService } = require('../services/vtuService');
+const { walletService } = require('../services/walletService');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Transaction fields exposed to partners
+const TRANSACTION_FIELDS = 'id, type, amount, description, status, payment_reference, metadata, created_at, updated_at';
+
+/**
+ * Reseller API (/partner) handlers that have no equivalent on the user-facing routes.
+ * Purchases and webhook settings reuse the vtu and settings controllers.
+ */
+class PartnerController {
+    // Wallet balance of the key's owner
+    async getBalance(req, res) {
+        try {
+            const wallet = await walletService.getWallet(req.user.id);
+
+            res.json(generateResponse(true, 'Balance retrieved successfully', {
+                balance: wallet.balance,
+                currency: 'NGN',
+                is_frozen: wallet.is_frozen || false
+            }));
+        } catch (error) {
+            console.error('Partner balance error:', error);
+            res.status(500).json(generateResponse(false, 'Failed to retrieve balance'));
+        }
+    }
+
+    // Service catalogue; ?service=data&network= or ?service=cable&provider= for plans and packages
+    async getCatalogue(req, res) {
+        try {
+            const { service, network, provider } = req.query;
+
+            if (service === 'data') {
+                if (!network) {
+                    return res.status(400).json(generateResponse(false, 'Network parameter is required'));
+                }
+
+                const plans = await vtuService.getDataPlans(network);
+                return res.json(generateResponse(true, 'Data plans retrieved successfully', plans));
+            }
+
+            if (service === 'cable') {
+                if (!provider) {
+                    return res.status(400).json(generateResponse(false, 'Provider parameter is required'));
+                }
+
+                const packages = await vtuService.getCablePackages(provider);
+                return res.json(generateResponse(true, 'Cable packages retrieved successfully', packages));
+            }
+
+            if (service) {
+                return res.status(400).json(generateResponse(false, 'Service must be data or cable'));
+            }
+
+            const [networks, cableProviders, electricityProviders] = await Promise.all([
+                vtuService.getAvailableNetworks(),
+                vtuService.getCableProviders(),
+                vtuService.getElectricityProviders()
+            ]);
+
+            res.json(generateResponse(true, 'Catalogue retrieved successfully', {
+                networks,
+                cable_providers: cableProviders,
+                electricity_providers: electricityProviders
+            }));
+        } catch (error) {
+            console.error('Partner catalogue error:', error);
+            res.status(500).json(generateResponse(false, 'Failed to retrieve catalogue'));
+        }
+    }
+
+    // Status of one of the partner's transactions, by id or reference
+    async getTransaction(req, res) {
+        try {
+            const { reference } = req.params;
+
+            let query = supabaseAdmin
+                .from('transactions')
+                .select(TRANSACTION_FIELDS)
+                .eq('user_id', req.user.id);
+
+            query = UUID_PATTERN.test(reference)
+                ? query.eq('id', reference)
+                : query.eq('payment_reference', reference);
+
+            const { data: transaction, error } = await query.maybeSingle();
+
+            if (error) {
+                throw error;
+            }
+
+            if (!transaction) {
+                return res.status(404).json(generateResponse(false, 'Transaction not found'));
+            }
+
+            res.json(generateResponse(true, 'Transaction retrieved successfully', transaction));
+        } catch (error) {
+            console.error('Partner transaction status error:', error);
+            res.status(500).json(generateResponse(false, 'Failed to retrieve transaction'));
+        }
+    }
+}
+
+module.exports = new PartnerController();
@@ -1,5 +1,6 @@
 const { flutterwaveService } = require('../services/flutterwaveService');
 const { walletService } = require('../services/walletService');
+const { ACCOUNTS } = require('../services/ledgerService');
 const { supabase, supabaseAdmin } = require('../config/supabaseClient');
 const { generateResponse } = require('../utils/helpers');
 const { realtimeHandler } = require('../utils/realtimeHandler');
@@ -199,7 +200,8 @@ class PaymentController {
                 paymentLog.user_id,
                 verification.data.amount,
                 `Wallet funding via Flutterwave - ${tx_ref}`,
-                tx_ref
+                tx_ref,
+                { account: ACCOUNTS.FLUTTERWAVE_CLEARING, kind: 'deposit' }
             );
 
             // Update payment log as completed
@@ -1,6 +1,8 @@
 const { supabase } = require('../config/supabase');
 const { generateResponse } = require('../utils/helpers');
 const { referralService } = require('../services/referralService');
+const { walletService } = require('../services/walletService');
+const { ACCOUNTS } = require('../services/ledgerService');
 
 class ReferralController {
     // Get user's referral information
@@ -344,47 +346,29 @@ class ReferralController {
                 return res.status(400).json(generateResponse(false, `Minimum withdrawal amount is ₦${minWithdrawal}`));
             }
 
-            // Get user's wallet
-            const { data: walletData, error: walletError } = await supabase
-                .from('wallets')
-                .select('balance')
-                .eq('user_id', userId)
-                .single();
-
-            if (walletError || !walletData) {
-                return res.status(404).json(generateResponse(false, 'Wallet not found'));
-            }
-
-            const newBalance = parseFloat(walletData.balance) + withdrawalAmount;
-
-            // Update wallet balance
-            const { error: updateWalletError } = await supabase
-                .from('wallets')
-                .update({
-                    balance: newBalance,
-                    total_deposits: parseFloat(walletData.total_deposits || 0) + withdrawalAmount,
-                    updated_at: new Date().toISOString()
-                })
-                .eq('user_id', userId);
-
-            if (updateWalletError) {
+            // Move the earnings into the wallet; they come out of commissions payable
+            let creditResult;
+            try {
+                creditResult = await walletService.credit(
+                    userId,
+                    withdrawalAmount,
+                    'Referral earnings withdrawal',
+                    `REF${Date.now()}`,
+                    { account: ACCOUNTS.COMMISSIONS_PAYABLE, kind: 'referral_withdrawal' }
+                );
+            } catch (creditError) {
+                console.error('Referral withdrawal credit error:', creditError);
                 return res.status(500).json(generateResponse(false, 'Failed to update wallet balance'));
             }
 
+            const newBalance = creditResult.new_balance;
+
             // Mark earnings as withdrawn (you'd need to implement logic to mark specific earnings)
-            // For simplicity, we'll create a withdrawal transaction
+            // For simplicity, we'll record the credit as a withdrawal transaction
             const { data: transactionData, error: transactionError } = await supabase
                 .from('transactions')
-                .insert({
-                    user_id: userId,
-                    type: 'referral_withdrawal',
-                    amount: withdrawalAmount,
-                    description: 'Referral earnings withdrawal',
-                    status: 'completed',
-                    payment_reference: `REF${Date.now()}`,
-                    balance_before: parseFloat(walletData.balance),
-                    balance_after: newBalance
-                })
+                .update({ type: 'referral_withdrawal' })
+                .eq('id', creditResult.transaction.id)
                 .select()
                 .single();
 
@@ -0,0 +1,95 @@
+const { generateResponse } = require('../utils/helpers');
+const { refundService, RefundError } = require('../services/refundService');
+
+/**
+ * Map refund errors to responses
+ */
+const handleRefundError = (res, error) => {
+    if (error instanceof RefundError) {
+        const status = { NOT_FOUND: 404, DUPLICATE: 409, INVALID_STATUS: 409, SAME_APPROVER: 403 }[error.code] || 400;
+        return res.status(status).json(generateResponse(false, error.message, { code: error.code }));
+    }
+
+    console.error('Refund error:', error);
+    return res.status(500).json(generateResponse(false, 'Internal server error'));
+};
+
+class RefundController {
+    // List refund requests
+    async getRefunds(req, res) {
+        try {
+            const { status, user_id, transaction_id, page, limit } = req.query;
+
+            const result = await refundService.list({ status, user_id, transaction_id, page, limit });
+
+            res.json(generateResponse(true, 'Refund requests retrieved successfully', result));
+
+        } catch (error) {
+            return handleRefundError(res, error);
+        }
+    }
+
+    // Get a single refund request
+    async getRefund(req, res) {
+        try {
+            const refund = await refundService.get(req.params.id);
+
+            if (!refund) {
+                return res.status(404).json(generateResponse(false, 'Refund request not found'));
+            }
+
+            res.json(generateResponse(true, 'Refund request retrieved successfully', refund));
+
+        } catch (error) {
+            return handleRefundError(res, error);
+        }
+    }
+
+    // Raise a refund request for approval
+    async createRefund(req, res) {
+        try {
+            const { transaction_id, amount, method, reason } = req.body;
+
+            const refund = await refundService.create(transaction_id, { amount, method, reason }, { requestedBy: req.user.id });
+
+            res.status(201).json(generateResponse(true, 'Refund request created and awaiting approval', refund));
+
+        } catch (error) {
+            return handleRefundError(res, error);
+        }
+    }
+
+    // Approve a refund request and carry it out
+    async approveRefund(req, res) {
+        try {
+            const refund = await refundService.approve(req.params.id, req.user.id);
+
+            if (refund.status === 'failed') {
+                return res.status(400).json(generateResponse(false, refund.error_message || 'Refund could not be completed', refund));
+            }
+
+            const message = refund.status === 'completed'
+                ? 'Refund completed successfully'
+                : 'Refund approved; waiting for Flutterwave to confirm';
+
+            res.json(generateResponse(true, message, refund));
+
+        } catch (error) {
+            return handleRefundError(res, error);
+        }
+    }
+
+    // Reject a refund request
+    async rejectRefund(req, res) {
+        try {
+            const refund = await refundService.reject(req.params.id, req.user.id, req.body.reason);
+
+            res.json(generateResponse(true, 'Refund request rejected', refund));
+
+        } catch (error) {
+            return handleRefundError(res, error);
+        }
+    }
+}
+
+module.exports = new RefundController();
@@ -0,0 +1,118 @@
+const { generateResponse } = require('../utils/helpers');
+const { scheduleService, ScheduleError } = require('../services/scheduleService');
+
+/**
+ * Map schedule errors to responses
+ */
+const handleScheduleError = (res, error) => {
+    if (error instanceof ScheduleError) {
+        const status = { NOT_FOUND: 404, INVALID_STATUS: 409 }[error.code] || 400;
+        return res.status(status).json(generateResponse(false, error.message, { code: error.code }));
+    }
+
+    console.error('Schedule error:', error);
+    return res.status(500).json(generateResponse(false, 'Internal server error'));
+};
+
+class ScheduleController {
+    // List the user's scheduled purchases
+    async getSchedules(req, res) {
+        try {
+            const { status, page, limit } = req.query;
+
+            const result = await scheduleService.list(req.user.id, { status, page, limit });
+
+            res.json(generateResponse(true, 'Schedules retrieved successfully', result));
+
+        } catch (error) {
+            return handleScheduleError(res, error);
+        }
+    }
+
+    // Create a scheduled purchase
+    async createSchedule(req, res) {
+        try {
+            const { service, params, rule, label, start_at, ends_at } = req.body;
+
+            const schedule = await scheduleService.create(req.user, { service, params, rule, label, start_at, ends_at });
+
+            res.status(201).json(generateResponse(true, 'Schedule created successfully', schedule));
+
+        } catch (error) {
+            return handleScheduleError(res, error);
+        }
+    }
+
+    // Get a schedule with its latest runs
+    async getSchedule(req, res) {
+        try {
+            const schedule = await scheduleService.get(req.user.id, req.params.id);
+
+            if (!schedule) {
+                return res.status(404).json(generateResponse(false, 'Schedule not found'));
+            }
+
+            res.json(generateResponse(true, 'Schedule retrieved successfully', schedule));
+
+        } catch (error) {
+            return handleScheduleError(res, error);
+        }
+    }
+
+    // Run history of a schedule
+    async getScheduleRuns(req, res) {
+        try {
+            const { page, limit } = req.query;
+
+            const schedule = await scheduleService.findForUser(req.user.id, req.params.id);
+            if (!schedule) {
+                return res.status(404).json(generateResponse(false, 'Schedule not found'));
+            }
+
+            const result = await scheduleService.listRuns(req.user.id, schedule.id, { page, limit });
+
+            res.json(generateResponse(true, 'Schedule runs retrieved successfully', result));
+
+        } catch (error) {
+            return handleScheduleError(res, error);
+        }
+    }
+
+    // Pause a schedule
+    async pauseSchedule(req, res) {
+        try {
+            const schedule = await scheduleService.pause(req.user.id, req.params.id);
+
+            res.json(generateResponse(true, 'Schedule paused', schedule));
+
+        } catch (error) {
+            return handleScheduleError(res, error);
+        }
+    }
+
+    // Resume a paused schedule
+    async resumeSchedule(req, res) {
+        try {
+            const schedule = await scheduleService.resume(req.user.id, req.params.id);
+
+            res.json(generateResponse(true, 'Schedule resumed', schedule));
+
+        } catch (error) {
+            return handleScheduleError(res, error);
+        }
+    }
+
+    // Delete a schedule
+    async deleteSchedule(req, res) {
+        try {
+            await scheduleService.remove(req.user.id, req.params.id);
+
+            res.json(generateResponse(true, 'Schedule deleted successfully'));
+
+        } catch (error) {
+            return handleScheduleError(res, error);
+        }
+    }
+}
+
+module.exports = new ScheduleController();
@@ -1,5 +1,62 @@
 const { supabase, supabaseAdmin } = require('../config/supabase');
 const { generateResponse } = require('../utils/helpers');
+const { generateSecureToken } = require('../utils/security');
+const { apiKeyService, ApiKeyError, API_KEY_SCOPES } = require('../services/apiKeyService');
+const { webhookService, WebhookError, WEBHOOK_EVENTS } = require('../services/webhookService');
+const { auditService } = require('../services/auditService');
+
+// Webhook settings shown in the audit log (the secret is left out)
+const auditedWebhookSettings = (settings) => settings ? {
+    webhook_url: settings.webhook_url,
+    is_active: settings.is_active,
+    events: settings.events,
+    disabled_at: settings.disabled_at || null
+} : null;
+
+/**
+ * Check that a user is an approved reseller (API keys are only issued to them)
+ */
+const isApprovedReseller = async (userId) => {
+    const { data, error } = await supabase
+        .from('resellers')
+        .select('id')
+        .eq('user_id', userId)
+        .eq('status', 'approved')
+        .maybeSingle();
+
+    return !error && !!data;
+};
+
+/**
+ * Map API key errors to responses
+ */
+const handleApiKeyError = (res, error, logLabel) => {
+    if (error instanceof ApiKeyError) {
+        if (error.code === 'NOT_CONFIGURED') {
+            console.error(logLabel, error.message);
+            return res.status(503).json(generateResponse(false, 'API keys are temporarily unavailable', { code: error.code }));
+        }
+
+        const status = { NOT_FOUND: 404, INVALID_STATUS: 409, LIMIT_EXCEEDED: 429 }[error.code] || 400;
+        return res.status(status).json(generateResponse(false, error.message, { code: error.code }));
+    }
+
+    console.error(logLabel, error);
+    return res.status(500).json(generateResponse(false, 'Internal server error'));
+};
+
+/**
+ * Map webhook delivery errors to responses
+ */
+const handleWebhookError = (res, error, logLabel) => {
+    if (error instanceof WebhookError) {
+        const status = { NOT_FOUND: 404, INVALID_STATUS: 409 }[error.code] || 400;
+        return res.status(status).json(generateResponse(false, error.message, { code: error.code }));
+    }
+
+    console.error(logLabel, error);
+    return res.status(500).json(generateResponse(false, 'Internal server error'));
+};
 
 class SettingsController {
     // Get platform settings (public)
@@ -125,106 +182,85 @@ class SettingsController {
         }
     }
 
-    // Get API settings for resellers
+    // List the reseller's API keys (secrets are only shown when a key is issued)
     async getAPISettings(req, res) {
         try {
-            const userId = req.user.id;
-
-            // Check if user is a reseller
-            const { data: resellerData, error: resellerError } = await supabase
-                .from('resellers')
-                .select('id, status')
-                .eq('user_id', userId)
-                .eq('status', 'approved')
-                .single();
-
-            if (resellerError || !resellerData) {
+            if (!await isApprovedReseller(req.user.id)) {
                 return res.status(403).json(generateResponse(false, 'Access denied. API access is only available for approved resellers'));
             }
 
-            // Get or create API credentials
-            const { data: apiSettings, error: apiError } = await supabase
-                .from('api_credentials')
-                .select('*')
-                .eq('user_id', userId)
-                .single();
+            const keys = await apiKeyService.list(req.user.id);
 
-            if (apiError && apiError.code === 'PGRST116') {
-                // Create new API credentials
-                const apiKey = `stk_${Date.now()}_${Math.random().toString(36).substr(2, 16)}`;
-                const secretKey = `sks_${Date.now()}_${Math.random().toString(36).substr(2, 32)}`;
-
-                const { data: newApiSettings, error: createError } = await supabase
-                    .from('api_credentials')
-                    .insert({
-                        user_id: userId,
-                        api_key: apiKey,
-                        secret_key: secretKey,
-                        is_active: true,
-                        rate_limit: 1000, // requests per hour
-                        created_at: new Date().toISOString()
-                    })
-                    .select()
-                    .single();
-
-                if (createError) {
-                    return res.status(500).json(generateResponse(false, 'Failed to create API credentials'));
-                }
+            res.json(generateResponse(true, 'API settings retrieved successfully', { keys, scopes: API_KEY_SCOPES }));
+
+        } catch (error) {
+            return handleApiKeyError(res, error, 'Get API settings error:');
+        }
+    }
 
-                return res.json(generateResponse(true, 'API settings retrieved successfully', newApiSettings));
-            } else if (apiError) {
-                return res.status(500).json(generateResponse(false, 'Failed to retrieve API settings'));
+    // Issue a new API key
+    async createAPIKey(req, res) {
+        try {
+            if (!await isApprovedReseller(req.user.id)) {
+                return res.status(403).json(generateResponse(false, 'Access denied. API access is only available for approved resellers'));
             }
 
-            res.json(generateResponse(true, 'API settings retrieved successfully', apiSettings));
+            const { name, scopes, allowed_ips, expires_at } = req.body;
+
+            const issued = await apiKeyService.create(req.user.id, { name, scopes, allowed_ips, expires_at }, { actor: auditService.actorFrom(req) });
+
+            res.status(201).json(generateResponse(true, 'API key created. Store the secret now; it will not be shown again', issued));
 
         } catch (error) {
-            console.error('Get API settings error:', error);
-            res.status(500).json(generateResponse(false, 'Internal server error'));
+            return handleApiKeyError(res, error, 'Create API key error:');
         }
     }
 
-    // Regenerate API credentials
-    async regenerateAPICredentials(req, res) {
+    // Change an API key's name, scopes, IP allowlist or expiry
+    async updateAPIKey(req, res) {
         try {
-            const userId = req.user.id;
+            if (!await isApprovedReseller(req.user.id)) {
+                return res.status(403).json(generateResponse(false, 'Access denied. API access is only available for approved resellers'));
+            }
 
-            // Check if user is a reseller
-            const { data: resellerData, error: resellerError } = await supabase
-                .from('resellers')
-                .select('id, status')
-                .eq('user_id', userId)
-                .eq('status', 'approved')
-                .single();
+            const { name, scopes, allowed_ips, expires_at } = req.body;
 
-            if (resellerError || !resellerData) {
+            const key = await apiKeyService.update(req.user.id, req.params.id, { name, scopes, allowed_ips, expires_at }, auditService.actorFrom(req));
+
+            res.json(generateResponse(true, 'API key updated successfully', key));
+
+        } catch (error) {
+            return handleApiKeyError(res, error, 'Update API key error:');
+        }
+    }
+
+    // Replace an API key; the old one keeps working for grace_hours (default 24)
+    async rotateAPIKey(req, res) {
+        try {
+            if (!await isApprovedReseller(req.user.id)) {
                 return res.status(403).json(generateResponse(false, 'Access denied. API access is only available for approved resellers'));
             }
 
-            // Generate new credentials
-            const apiKey = `stk_${Date.now()}_${Math.random().toString(36).substr(2, 16)}`;
-            const secretKey = `sks_${Date.now()}_${Math.random().toString(36).substr(2, 32)}`;
-
-            const { data: apiSettings, error } = await supabase
-                .from('api_credentials')
-                .update({
-                    api_key: apiKey,
-                    secret_key: secretKey,
-                    updated_at: new Date().toISOString()
-                })
-                .eq('user_id', userId)
-                .select()
-                .single();
+            const { grace_hours } = req.body;
 
-            if (error) {
-                return res.status(500).json(generateResponse(false, 'Failed to regenerate API credentials'));
-            }
+            const issued = await apiKeyService.rotate(req.user.id, req.params.id, grace_hours !== undefined ? { graceHours: grace_hours } : {}, auditService.actorFrom(req));
 
-            res.json(generateResponse(true, 'API credentials regenerated successfully', apiSettings));
+            res.json(generateResponse(true, 'API key rotated. Store the new secret now; it will not be shown again', issued));
 
         } catch (error) {
-            console.error('Regenerate API credentials error:', error);
-            res.status(500).json(generateResponse(false, 'Internal server error'));
+            return handleApiKeyError(res, error, 'Rotate API key error:');
+        }
+    }
+
+    // Revoke an API key immediately (allowed even if reseller approval was withdrawn)
+    async revokeAPIKey(req, res) {
+        try {
+            const key = await apiKeyService.revoke(req.user.id, req.params.id, auditService.actorFrom(req));
+
+            res.json(generateResponse(true, 'API key revoked', key));
+
+        } catch (error) {
+            return handleApiKeyError(res, error, 'Revoke API key error:');
         }
     }
 
@@ -291,23 +327,23 @@ class SettingsController {
                 return res.status(403).json(generateResponse(false, 'Access denied. Webhook settings are only available for approved resellers'));
             }
 
-            // Validate webhook URL if provided
-            if (webhook_url && is_active) {
+            // Validate webhook URL if provided; it must resolve to a public address
+            if (webhook_url) {
                 try {
                     new URL(webhook_url);
                 } catch {
                     return res.status(400).json(generateResponse(false, 'Invalid webhook URL'));
                 }
+
+                try {
+                    await webhookService.checkEndpoint(webhook_url);
+                } catch (error) {
+                    return handleWebhookError(res, error, 'Webhook URL check error:');
+                }
             }
 
             // Validate events
-            const validEvents = [
-                'transaction.completed',
-                'transaction.failed',
-                'wallet.credited',
-                'wallet.debited',
-                'user.registered'
-            ];
+            const validEvents = WEBHOOK_EVENTS;
 
             if (events && !Array.isArray(events)) {
                 return res.status(400).json(generateResponse(false, 'Events must be an array'));
@@ -320,17 +356,14 @@ class SettingsController {
                 }
             }
 
-            // Generate webhook secret if not exists
-            let webhookSecret = '';
-            if (is_active) {
-                const { data: existingSettings } = await supabase
-                    .from('webhook_settings')
-                    .select('secret')
-                    .eq('user_id', userId)
-                    .single();
+            const { data: existingSettings } = await supabase
+                .from('webhook_settings')
+                .select('webhook_url, is_active, events, secret, disabled_at')
+                .eq('user_id', userId)
+                .maybeSingle();
 
-                webhookSecret = existingSettings?.secret || `whsec_${Math.random().toString(36).substr(2, 32)}`;
-            }
+            // Every saved endpoint has a signing secret; it is kept across saves so receivers can verify
+            const webhookSecret = existingSettings?.secret || `whsec_${generateSecureToken(24)}`;
 
             const webhookData = {
                 user_id: userId,
@@ -338,6 +371,10 @@ class SettingsController {
                 is_active: is_active || false,
                 events: events || ['transaction.completed', 'transaction.failed'],
                 secret: webhookSecret,
+                // Saving the endpoint clears an automatic disable
+                consecutive_failures: 0,
+                disabled_at: null,
+                disabled_reason: null,
                 updated_at: new Date().toISOString()
             };
 
@@ -351,6 +388,14 @@ class SettingsController {
                 return res.status(500).json(generateResponse(false, 'Failed to update webhook settings'));
             }
 
+            await auditService.record(auditService.actorFrom(req), 'webhook.update', {
+                target_type: 'webhook_settings',
+                target_id: userId,
+                before: auditedWebhookSettings(existingSettings),
+                after: auditedWebhookSettings(settings),
+                metadata: { secret_issued: webhookSecret !== existingSettings?.secret }
+            });
+
             res.json(generateResponse(true, 'Webhook settings updated successfully', settings));
 
         } catch (error) {
@@ -359,7 +404,7 @@ class SettingsController {
         }
     }
 
-    // Test webhook endpoint
+    // Send a test event to the webhook endpoint
     async testWebhook(req, res) {
         try {
             const userId = req.user.id;
@@ -376,47 +421,60 @@ class SettingsController {
                 return res.status(403).json(generateResponse(false, 'Access denied. Webhook testing is only available for approved resellers'));
             }
 
-            const { data: webhookSettings, error } = await supabase
-                .from('webhook_settings')
-                .select('*')
-                .eq('user_id', userId)
-                .eq('is_active', true)
-                .single();
+            const delivery = await webhookService.sendTest(userId);
 
-            if (error || !webhookSettings) {
-                return res.status(400).json(generateResponse(false, 'No active webhook configuration found'));
+            if (delivery.status !== 'delivered') {
+                return res.status(502).json(generateResponse(false, `Test webhook failed: ${delivery.error}`, delivery));
             }
 
-            // Send test webhook (in a real implementation, you'd use a proper HTTP client)
-            const testPayload = {
-                event: 'webhook.test',
-                data: {
-                    message: 'This is a test webhook from StarkTol',
-                    timestamp: new Date().toISOString(),
-                    user_id: userId
-                }
-            };
+            res.json(generateResponse(true, 'Test webhook sent successfully', delivery));
 
-            // Log webhook test attempt
-            await supabase
-                .from('webhook_logs')
-                .insert({
-                    user_id: userId,
-                    event: 'webhook.test',
-                    payload: testPayload,
-                    webhook_url: webhookSettings.webhook_url,
-                    status: 'sent',
-                    created_at: new Date().toISOString()
-                });
-
-            res.json(generateResponse(true, 'Test webhook sent successfully', {
-                webhook_url: webhookSettings.webhook_url,
-                test_payload: testPayload
-            }));
+        } catch (error) {
+            return handleWebhookError(res, error, 'Test webhook error:');
+        }
+    }
+
+    // Webhook delivery log
+    async getWebhookDeliveries(req, res) {
+        try {
+            const { status, event, page, limit } = req.query;
+
+            const result = await webhookService.list(req.user.id, { status, event, page, limit });
+
+            res.json(generateResponse(true, 'Webhook deliveries retrieved successfully', result));
 
         } catch (error) {
-            console.error('Test webhook error:', error);
-            res.status(500).json(generateResponse(false, 'Internal server error'));
+            return handleWebhookError(res, error, 'Get webhook deliveries error:');
+        }
+    }
+
+    // One webhook delivery with its response
+    async getWebhookDelivery(req, res) {
+        try {
+            const delivery = await webhookService.get(req.user.id, req.params.id);
+
+            if (!delivery) {
+                return res.status(404).json(generateResponse(false, 'Delivery not found'));
+            }
+
+            res.json(generateResponse(true, 'Webhook delivery retrieved successfully', delivery));
+
+        } catch (error) {
+            return handleWebhookError(res, error, 'Get webhook delivery error:');
+        }
+    }
+
+    // Send a delivered or failed event again
+    async redeliverWebhook(req, res) {
+        try {
+            const delivery = await webhookService.redeliver(req.user.id, req.params.id);
+
+            const message = delivery.status === 'delivered' ? 'Webhook redelivered successfully' : `Redelivery failed: ${delivery.error}`;
+
+            res.status(delivery.status === 'delivered' ? 200 : 502).json(generateResponse(delivery.status === 'delivered', message, delivery));
+
+        } catch (error) {
+            return handleWebhookError(res, error, 'Redeliver webhook error:');
         }
     }
 
@@ -1,6 +1,8 @@
 const { supabase } = require('../config/supabase');
 const { generateResponse } = require('../utils/helpers');
 const { notificationService } = require('../services/notificationService');
+const { purchaseService } = require('../services/purchaseService');
+const { InsufficientFundsError, WalletFrozenError, TransactionError } = require('../services/walletService');
 
 class TransactionController {
     // Get user transactions with pagination
@@ -245,7 +247,7 @@ if (transactions && transactions.length > 0) {
                 .select('*')
                 .eq('id', id)
                 .eq('user_id', userId)
-                .eq('status', 'failed')
+                .in('status', ['failed', 'refunded'])
                 .single();
 
             if (error || !transaction) {
@@ -258,48 +260,38 @@ if (transactions && transactions.length > 0) {
                 return res.status(400).json(generateResponse(false, 'This transaction type cannot be retried'));
             }
 
-            // Check wallet balance
-            const { data: walletData, error: walletError } = await supabase
-                .from('wallets')
-                .select('balance')
-                .eq('user_id', userId)
-                .single();
+            const result = await purchaseService.retry(transaction, req.user);
 
-            if (walletError || !walletData) {
-                return res.status(404).json(generateResponse(false, 'Wallet not found'));
+            if (!result.success) {
+                // Settled failures are not server errors; a 5xx would invite the client to retry
+                const statusCode = result.providerError ? 422 : 400;
+                return res.status(statusCode).json(generateResponse(false, result.message, {
+                    transaction: result.transaction,
+                    new_balance: result.new_balance
+                }));
             }
 
-            const currentBalance = parseFloat(walletData.balance);
-            const requiredAmount = parseFloat(transaction.amount);
+            res.status(result.status === 'completed' ? 200 : 202).json(generateResponse(true, result.message, {
+                transaction: result.transaction,
+                new_balance: result.new_balance,
+                vtu_reference: result.vtu_reference,
+                token: result.token,
+                retry_count: result.transaction.metadata.retry_count
+            }));
 
-            if (currentBalance < requiredAmount) {
+        } catch (error) {
+            if (error instanceof InsufficientFundsError) {
                 return res.status(400).json(generateResponse(false, 'Insufficient wallet balance to retry transaction'));
             }
 
-            // Update transaction status to processing
-            const { error: updateError } = await supabase
-                .from('transactions')
-                .update({
-                    status: 'processing',
-                    error_message: null,
-                    updated_at: new Date().toISOString()
-                })
-                .eq('id', id);
-
-            if (updateError) {
-                return res.status(500).json(generateResponse(false, 'Failed to update transaction status'));
+            if (error instanceof WalletFrozenError) {
+                return res.status(403).json(generateResponse(false, error.message));
             }
 
-            res.json(generateResponse(true, 'Transaction retry initiated', {
-                transaction_id: id,
-                status: 'processing',
-                message: 'Your transaction is being processed. You will receive an update shortly.'
-            }));
-
-            // Note: In a real implementation, you would trigger the actual retry process here
-            // This could involve calling the VTU service again with the original transaction parameters
+            if (error instanceof TransactionError) {
+                return res.status(400).json(generateResponse(false, error.message));
+            }
 
-        } catch (error) {
             console.error('Retry transaction error:', error);
             res.status(500).json(generateResponse(false, 'Internal server error'));
         }
@@ -1,8 +1,63 @@
-const { supabase } = require('../config/supabase');
+const { supabaseAdmin } = require('../config/supabase');
+const { clubkonnectConfig } = require('../config/clubkonnect');
 const { generateResponse } = require('../utils/helpers');
 const { vtuService } = require('../services/vtuService');
-const { realtimeHandler } = require('../utils/realtimeHandler');
-const { notificationService } = require('../services/notificationService');
+const { routingRuleService } = require('../services/routingRuleService');
+const { vtuRouter } = require('../services/vtuRouter');
+const { providerRegistry } = require('../vtu-providers');
+const { purchaseService } = require('../services/purchaseService');
+const { settlementReportService } = require('../services/settlementReportService');
+const { transactionReconciler } = require('../services/transactionReconciler');
+const { catalogueService } = require('../services/catalogueService');
+const { InsufficientFundsError, WalletFrozenError, TransactionError } = require('../services/walletService');
+const { InvalidTransitionError } = require('../utils/transactionStateMachine');
+
+// Send the outcome of a purchase pipeline run. A failed purchase is settled (refunded), so it
+// must not answer 5xx: that would release its Idempotency-Key and let a replay buy again.
+const sendPurchaseResult = (res, result, { includeToken = false } = {}) => {
+    if (!result.success) {
+        const statusCode = result.providerError ? 422 : 400;
+        return res.status(statusCode).json(generateResponse(false, result.message, {
+            transaction: result.transaction,
+            new_balance: result.new_balance
+        }));
+    }
+
+    const data = {
+        transaction: result.transaction,
+        new_balance: result.new_balance,
+        vtu_reference: result.vtu_reference
+    };
+
+    if (includeToken) {
+        data.token = result.token;
+    }
+
+    res.status(result.status === 'completed' ? 200 : 202).json(generateResponse(true, result.message, data));
+};
+
+// Map wallet reservation errors to client responses
+const handlePurchaseError = (res, error, logLabel) => {
+    if (error instanceof InsufficientFundsError) {
+        return res.status(400).json(generateResponse(false, 'Insufficient wallet balance'));
+    }
+
+    if (error instanceof WalletFrozenError) {
+        return res.status(403).json(generateResponse(false, error.message));
+    }
+
+    if (error instanceof TransactionError) {
+        return res.status(400).json(generateResponse(false, error.message));
+    }
+
+    console.error(logLabel, error);
+    res.status(500).json(generateResponse(false, 'Internal server error'));
+};
+
+// Settlement report dates are calendar days, YYYY-MM-DD
+const isReportDate = (date) => {
+    return typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date) && !isNaN(Date.parse(date));
+};
 
 class VTUController {
     // Get available networks for airtime
@@ -36,7 +91,6 @@ class VTUController {
     // Purchase airtime
     async purchaseAirtime(req, res) {
         try {
-            const userId = req.user.id;
             const { network, phone_number, amount } = req.body;
 
             // Validate input
@@ -54,151 +108,21 @@ class VTUController {
                 return res.status(400).json(generateResponse(false, 'Invalid phone number format'));
             }
 
-            // Check wallet balance
-            const { data: walletData, error: walletError } = await supabase
-                .from('wallets')
-                .select('balance')
-                .eq('user_id', userId)
-                .single();
-
-            if (walletError || !walletData) {
-                return res.status(404).json(generateResponse(false, 'Wallet not found'));
-            }
-
-            const currentBalance = parseFloat(walletData.balance);
-            const purchaseAmount = parseFloat(amount);
-
-            if (currentBalance < purchaseAmount) {
-                return res.status(400).json(generateResponse(false, 'Insufficient wallet balance'));
-            }
-
-            // Calculate reseller discount if applicable
-            let discountedAmount = purchaseAmount;
-            if (req.user.role === 'reseller' || req.user.role === 'sub_reseller') {
-                const { data: resellerData } = await supabase
-                    .from('resellers')
-                    .select('airtime_discount')
-                    .eq('user_id', userId)
-                    .single();
-
-                if (resellerData && resellerData.airtime_discount) {
-                    const discount = parseFloat(resellerData.airtime_discount);
-                    discountedAmount = purchaseAmount * (1 - discount / 100);
-                }
-            }
-
-            const newBalance = currentBalance - discountedAmount;
-
-            // Create transaction record first
-            const { data: transactionData, error: transactionError } = await supabase
-                .from('transactions')
-                .insert({
-                    user_id: userId,
-                    type: 'airtime_purchase',
-                    amount: discountedAmount,
-                    description: `${network} airtime purchase for ${phone_number}`,
-                    status: 'processing',
-                    balance_before: currentBalance,
-                    balance_after: newBalance,
-                    metadata: {
-                        network,
-                        phone_number,
-                        airtime_amount: purchaseAmount,
-                        service_type: 'airtime'
-                    }
-                })
-                .select()
-                .single();
-
-            if (transactionError) {
-                return res.status(500).json(generateResponse(false, 'Failed to create transaction record'));
-            }
-
-            try {
-                // Process airtime purchase with VTU service
-                const vtuResult = await vtuService.purchaseAirtime({
-                    network,
-                    phone_number,
-                    amount: purchaseAmount
-                });
-
-                if (vtuResult.success) {
-                    // Update wallet balance
-                    await supabase
-                        .from('wallets')
-                        .update({
-                            balance: newBalance,
-                            updated_at: new Date().toISOString()
-                        })
-                        .eq('user_id', userId);
-
-                    // Update transaction status
-                    await supabase
-                        .from('transactions')
-                        .update({
-                            status: 'completed',
-                            payment_reference: vtuResult.reference,
-                            updated_at: new Date().toISOString()
-                        })
-                        .eq('id', transactionData.id);
-
-                    // Send real-time balance update
-                    realtimeHandler.sendBalanceUpdate(userId, newBalance);
-
-                    res.json(generateResponse(true, 'Airtime purchase successful', {
-                        transaction: {
-                            ...transactionData,
-                            status: 'completed',
-                            payment_reference: vtuResult.reference
-                        },
-                        new_balance: newBalance,
-                        vtu_reference: vtuResult.reference
-                    }));
-
-                } else {
-                    // Update transaction status to failed
-                    await supabase
-                        .from('transactions')
-                        .update({
-                            status: 'failed',
-                            error_message: vtuResult.message,
-                            updated_at: new Date().toISOString()
-                        })
-                        .eq('id', transactionData.id);
-
-                    res.status(400).json(generateResponse(false, vtuResult.message || 'Airtime purchase failed'));
-                }
-
-            } catch (vtuError) {
-                console.error('VTU service error:', vtuError);
-
-                // Update transaction status to failed
-                await supabase
-                    .from('transactions')
-                    .update({
-                        status: 'failed',
-                        error_message: vtuError.message,
-                        updated_at: new Date().toISOString()
-                    })
-                    .eq('id', transactionData.id);
-
-                res.status(500).json(generateResponse(false, 'VTU service temporarily unavailable'));
-            }
+            const result = await purchaseService.purchase('airtime', req.user, { network, phone_number, amount });
+            sendPurchaseResult(res, result);
 
         } catch (error) {
-            console.error('Purchase airtime error:', error);
-            res.status(500).json(generateResponse(false, 'Internal server error'));
+            handlePurchaseError(res, error, 'Purchase airtime error:');
         }
     }
 
     // Purchase data
     async purchaseData(req, res) {
         try {
-            const userId = req.user.id;
-            const { network, phone_number, plan_id, amount } = req.body;
+            const { network, phone_number, plan_id } = req.body;
 
             // Validate input
-            if (!network || !phone_number || !plan_id || !amount) {
+            if (!network || !phone_number || !plan_id) {
                 return res.status(400).json(generateResponse(false, 'All fields are required'));
             }
 
@@ -208,142 +132,22 @@ class VTUController {
                 return res.status(400).json(generateResponse(false, 'Invalid phone number format'));
             }
 
-            // Check wallet balance
-            const { data: walletData, error: walletError } = await supabase
-                .from('wallets')
-                .select('balance')
-                .eq('user_id', userId)
-                .single();
-
-            if (walletError || !walletData) {
-                return res.status(404).json(generateResponse(false, 'Wallet not found'));
-            }
-
-            const currentBalance = parseFloat(walletData.balance);
-            const purchaseAmount = parseFloat(amount);
-
-            if (currentBalance < purchaseAmount) {
-                return res.status(400).json(generateResponse(false, 'Insufficient wallet balance'));
+            // Charge the plan's listed price rather than the amount the client sent
+            const plan = await vtuService.resolvePlan('data', network, plan_id);
+            if (!plan.available) {
+                return res.status(400).json(generateResponse(false, 'Selected data plan is not available'));
             }
 
-            // Calculate reseller discount if applicable
-            let discountedAmount = purchaseAmount;
-            if (req.user.role === 'reseller' || req.user.role === 'sub_reseller') {
-                const { data: resellerData } = await supabase
-                    .from('resellers')
-                    .select('data_discount')
-                    .eq('user_id', userId)
-                    .single();
-
-                if (resellerData && resellerData.data_discount) {
-                    const discount = parseFloat(resellerData.data_discount);
-                    discountedAmount = purchaseAmount * (1 - discount / 100);
-                }
-            }
-
-            const newBalance = currentBalance - discountedAmount;
-
-            // Create transaction record
-            const { data: transactionData, error: transactionError } = await supabase
-                .from('transactions')
-                .insert({
-                    user_id: userId,
-                    type: 'data_purchase',
-                    amount: discountedAmount,
-                    description: `${network} data purchase for ${phone_number}`,
-                    status: 'processing',
-                    balance_before: currentBalance,
-                    balance_after: newBalance,
-                    metadata: {
-                        network,
-                        phone_number,
-                        plan_id,
-                        data_amount: purchaseAmount,
-                        service_type: 'data'
-                    }
-                })
-                .select()
-                .single();
-
-            if (transactionError) {
-                return res.status(500).json(generateResponse(false, 'Failed to create transaction record'));
-            }
-
-            try {
-                // Process data purchase with VTU service
-                const vtuResult = await vtuService.purchaseData({
-                    network,
-                    phone_number,
-                    plan_id,
-                    amount: purchaseAmount
-                });
-
-                if (vtuResult.success) {
-                    // Update wallet balance
-                    await supabase
-                        .from('wallets')
-                        .update({
-                            balance: newBalance,
-                            updated_at: new Date().toISOString()
-                        })
-                        .eq('user_id', userId);
-
-                    // Update transaction status
-                    await supabase
-                        .from('transactions')
-                        .update({
-                            status: 'completed',
-                            payment_reference: vtuResult.reference,
-                            updated_at: new Date().toISOString()
-                        })
-                        .eq('id', transactionData.id);
-
-                    // Send real-time balance update
-                    realtimeHandler.sendBalanceUpdate(userId, newBalance);
-
-                    res.json(generateResponse(true, 'Data purchase successful', {
-                        transaction: {
-                            ...transactionData,
-                            status: 'completed',
-                            payment_reference: vtuResult.reference
-                        },
-                        new_balance: newBalance,
-                        vtu_reference: vtuResult.reference
-                    }));
-
-                } else {
-                    // Update transaction status to failed
-                    await supabase
-                        .from('transactions')
-                        .update({
-                            status: 'failed',
-                            error_message: vtuResult.message,
-                            updated_at: new Date().toISOString()
-                        })
-                        .eq('id', transactionData.id);
-
-                    res.status(400).json(generateResponse(false, vtuResult.message || 'Data purchase failed'));
-                }
-
-            } catch (vtuError) {
-                console.error('VTU service error:', vtuError);
-
-                // Update transaction status to failed
-                await supabase
-                    .from('transactions')
-                    .update({
-                        status: 'failed',
-                        error_message: vtuError.message,
-                        updated_at: new Date().toISOString()
-                    })
-                    .eq('id', transactionData.id);
-
-                res.status(500).json(generateResponse(false, 'VTU service temporarily unavailable'));
-            }
+            const result = await purchaseService.purchase('data', req.user, {
+                network,
+                phone_number,
+                plan_id,
+                amount: plan.price
+            });
+            sendPurchaseResult(res, result);
 
         } catch (error) {
-            console.error('Purchase data error:', error);
-            res.status(500).json(generateResponse(false, 'Internal server error'));
+            handlePurchaseError(res, error, 'Purchase data error:');
         }
     }
 
@@ -378,150 +182,28 @@ class VTUController {
     // Purchase cable TV subscription
     async purchaseCable(req, res) {
         try {
-            const userId = req.user.id;
-            const { provider, package_id, smartcard_number, amount } = req.body;
+            const { provider, package_id, smartcard_number } = req.body;
 
             // Validate input
-            if (!provider || !package_id || !smartcard_number || !amount) {
+            if (!provider || !package_id || !smartcard_number) {
                 return res.status(400).json(generateResponse(false, 'All fields are required'));
             }
 
-            // Check wallet balance
-            const { data: walletData, error: walletError } = await supabase
-                .from('wallets')
-                .select('balance')
-                .eq('user_id', userId)
-                .single();
-
-            if (walletError || !walletData) {
-                return res.status(404).json(generateResponse(false, 'Wallet not found'));
+            const plan = await vtuService.resolvePlan('cable', provider, package_id);
+            if (!plan.available) {
+                return res.status(400).json(generateResponse(false, 'Selected cable package is not available'));
             }
 
-            const currentBalance = parseFloat(walletData.balance);
-            const purchaseAmount = parseFloat(amount);
-
-            if (currentBalance < purchaseAmount) {
-                return res.status(400).json(generateResponse(false, 'Insufficient wallet balance'));
-            }
-
-            // Calculate reseller discount if applicable
-            let discountedAmount = purchaseAmount;
-            if (req.user.role === 'reseller' || req.user.role === 'sub_reseller') {
-                const { data: resellerData } = await supabase
-                    .from('resellers')
-                    .select('cable_discount')
-                    .eq('user_id', userId)
-                    .single();
-
-                if (resellerData && resellerData.cable_discount) {
-                    const discount = parseFloat(resellerData.cable_discount);
-                    discountedAmount = purchaseAmount * (1 - discount / 100);
-                }
-            }
-
-            const newBalance = currentBalance - discountedAmount;
-
-            // Create transaction record
-            const { data: transactionData, error: transactionError } = await supabase
-                .from('transactions')
-                .insert({
-                    user_id: userId,
-                    type: 'cable_purchase',
-                    amount: discountedAmount,
-                    description: `${provider} cable subscription for ${smartcard_number}`,
-                    status: 'processing',
-                    balance_before: currentBalance,
-                    balance_after: newBalance,
-                    metadata: {
-                        provider,
-                        package_id,
-                        smartcard_number,
-                        cable_amount: purchaseAmount,
-                        service_type: 'cable'
-                    }
-                })
-                .select()
-                .single();
-
-            if (transactionError) {
-                return res.status(500).json(generateResponse(false, 'Failed to create transaction record'));
-            }
-
-            try {
-                // Process cable purchase with VTU service
-                const vtuResult = await vtuService.purchaseCable({
-                    provider,
-                    package_id,
-                    smartcard_number,
-                    amount: purchaseAmount
-                });
-
-                if (vtuResult.success) {
-                    // Update wallet balance
-                    await supabase
-                        .from('wallets')
-                        .update({
-                            balance: newBalance,
-                            updated_at: new Date().toISOString()
-                        })
-                        .eq('user_id', userId);
-
-                    // Update transaction status
-                    await supabase
-                        .from('transactions')
-                        .update({
-                            status: 'completed',
-                            payment_reference: vtuResult.reference,
-                            updated_at: new Date().toISOString()
-                        })
-                        .eq('id', transactionData.id);
-
-                    // Send real-time balance update
-                    realtimeHandler.sendBalanceUpdate(userId, newBalance);
-
-                    res.json(generateResponse(true, 'Cable subscription successful', {
-                        transaction: {
-                            ...transactionData,
-                            status: 'completed',
-                            payment_reference: vtuResult.reference
-                        },
-                        new_balance: newBalance,
-                        vtu_reference: vtuResult.reference
-                    }));
-
-                } else {
-                    // Update transaction status to failed
-                    await supabase
-                        .from('transactions')
-                        .update({
-                            status: 'failed',
-                            error_message: vtuResult.message,
-                            updated_at: new Date().toISOString()
-                        })
-                        .eq('id', transactionData.id);
-
-                    res.status(400).json(generateResponse(false, vtuResult.message || 'Cable subscription failed'));
-                }
-
-            } catch (vtuError) {
-                console.error('VTU service error:', vtuError);
-
-                // Update transaction status to failed
-                await supabase
-                    .from('transactions')
-                    .update({
-                        status: 'failed',
-                        error_message: vtuError.message,
-                        updated_at: new Date().toISOString()
-                    })
-                    .eq('id', transactionData.id);
-
-                res.status(500).json(generateResponse(false, 'VTU service temporarily unavailable'));
-            }
+            const result = await purchaseService.purchase('cable', req.user, {
+                provider,
+                package_id,
+                smartcard_number,
+                amount: plan.price
+            });
+            sendPurchaseResult(res, result);
 
         } catch (error) {
-            console.error('Purchase cable error:', error);
-            res.status(500).json(generateResponse(false, 'Internal server error'));
+            handlePurchaseError(res, error, 'Purchase cable error:');
         }
     }
 
@@ -539,7 +221,6 @@ class VTUController {
     // Purchase electricity token
     async purchaseElectricity(req, res) {
         try {
-            const userId = req.user.id;
             const { provider, meter_number, meter_type, amount, customer_name } = req.body;
 
             // Validate input
@@ -551,145 +232,17 @@ class VTUController {
                 return res.status(400).json(generateResponse(false, 'Minimum electricity purchase is ₦100'));
             }
 
-            // Check wallet balance
-            const { data: walletData, error: walletError } = await supabase
-                .from('wallets')
-                .select('balance')
-                .eq('user_id', userId)
-                .single();
-
-            if (walletError || !walletData) {
-                return res.status(404).json(generateResponse(false, 'Wallet not found'));
-            }
-
-            const currentBalance = parseFloat(walletData.balance);
-            const purchaseAmount = parseFloat(amount);
-
-            if (currentBalance < purchaseAmount) {
-                return res.status(400).json(generateResponse(false, 'Insufficient wallet balance'));
-            }
-
-            // Calculate reseller discount if applicable
-            let discountedAmount = purchaseAmount;
-            if (req.user.role === 'reseller' || req.user.role === 'sub_reseller') {
-                const { data: resellerData } = await supabase
-                    .from('resellers')
-                    .select('electricity_discount')
-                    .eq('user_id', userId)
-                    .single();
-
-                if (resellerData && resellerData.electricity_discount) {
-                    const discount = parseFloat(resellerData.electricity_discount);
-                    discountedAmount = purchaseAmount * (1 - discount / 100);
-                }
-            }
-
-            const newBalance = currentBalance - discountedAmount;
-
-            // Create transaction record
-            const { data: transactionData, error: transactionError } = await supabase
-                .from('transactions')
-                .insert({
-                    user_id: userId,
-                    type: 'electricity_purchase',
-                    amount: discountedAmount,
-                    description: `${provider} electricity token for ${meter_number}`,
-                    status: 'processing',
-                    balance_before: currentBalance,
-                    balance_after: newBalance,
-                    metadata: {
-                        provider,
-                        meter_number,
-                        meter_type,
-                        customer_name,
-                        electricity_amount: purchaseAmount,
-                        service_type: 'electricity'
-                    }
-                })
-                .select()
-                .single();
-
-            if (transactionError) {
-                return res.status(500).json(generateResponse(false, 'Failed to create transaction record'));
-            }
-
-            try {
-                // Process electricity purchase with VTU service
-                const vtuResult = await vtuService.purchaseElectricity({
-                    provider,
-                    meter_number,
-                    meter_type,
-                    amount: purchaseAmount,
-                    customer_name
-                });
-
-                if (vtuResult.success) {
-                    // Update wallet balance
-                    await supabase
-                        .from('wallets')
-                        .update({
-                            balance: newBalance,
-                            updated_at: new Date().toISOString()
-                        })
-                        .eq('user_id', userId);
-
-                    // Update transaction status
-                    await supabase
-                        .from('transactions')
-                        .update({
-                            status: 'completed',
-                            payment_reference: vtuResult.reference,
-                            updated_at: new Date().toISOString()
-                        })
-                        .eq('id', transactionData.id);
-
-                    // Send real-time balance update
-                    realtimeHandler.sendBalanceUpdate(userId, newBalance);
-
-                    res.json(generateResponse(true, 'Electricity purchase successful', {
-                        transaction: {
-                            ...transactionData,
-                            status: 'completed',
-                            payment_reference: vtuResult.reference
-                        },
-                        new_balance: newBalance,
-                        vtu_reference: vtuResult.reference,
-                        token: vtuResult.token
-                    }));
-
-                } else {
-                    // Update transaction status to failed
-                    await supabase
-                        .from('transactions')
-                        .update({
-                            status: 'failed',
-                            error_message: vtuResult.message,
-                            updated_at: new Date().toISOString()
-                        })
-                        .eq('id', transactionData.id);
-
-                    res.status(400).json(generateResponse(false, vtuResult.message || 'Electricity purchase failed'));
-                }
-
-            } catch (vtuError) {
-                console.error('VTU service error:', vtuError);
-
-                // Update transaction status to failed
-                await supabase
-                    .from('transactions')
-                    .update({
-                        status: 'failed',
-                        error_message: vtuError.message,
-                        updated_at: new Date().toISOString()
-                    })
-                    .eq('id', transactionData.id);
-
-                res.status(500).json(generateResponse(false, 'VTU service temporarily unavailable'));
-            }
+            const result = await purchaseService.purchase('electricity', req.user, {
+                provider,
+                meter_number,
+                meter_type,
+                amount,
+                customer_name
+            });
+            sendPurchaseResult(res, result, { includeToken: true });
 
         } catch (error) {
-            console.error('Purchase electricity error:', error);
-            res.status(500).json(generateResponse(false, 'Internal server error'));
+            handlePurchaseError(res, error, 'Purchase electricity error:');
         }
     }
 
@@ -775,107 +328,271 @@ class VTUController {
         }
     }
 
+    // Get provider routing rules (admin)
+    async getRoutingRules(req, res) {
+        try {
+            const { service_type, network } = req.query;
+            const rules = await routingRuleService.listRules({ service_type, network });
+
+            res.json(generateResponse(true, 'Routing rules retrieved successfully', rules));
+        } catch (error) {
+            console.error('Get routing rules error:', error);
+            res.status(500).json(generateResponse(false, 'Failed to retrieve routing rules'));
+        }
+    }
+
+    // Create a provider routing rule (admin)
+    async createRoutingRule(req, res) {
+        try {
+            if (!providerRegistry.has(req.body.provider)) {
+                return res.status(400).json(generateResponse(false, `Unknown VTU provider: ${req.body.provider}`));
+            }
+
+            const rule = await routingRuleService.createRule(req.body, req.user.id);
+
+            res.status(201).json(generateResponse(true, 'Routing rule created successfully', rule));
+        } catch (error) {
+            console.error('Create routing rule error:', error);
+            res.status(500).json(generateResponse(false, 'Failed to create routing rule'));
+        }
+    }
+
+    // Update a provider routing rule (admin)
+    async updateRoutingRule(req, res) {
+        try {
+            const { id } = req.params;
+
+            if (req.body.provider && !providerRegistry.has(req.body.provider)) {
+                return res.status(400).json(generateResponse(false, `Unknown VTU provider: ${req.body.provider}`));
+            }
+
+            const rule = await routingRuleService.updateRule(id, req.body);
+
+            if (!rule) {
+                return res.status(404).json(generateResponse(false, 'Routing rule not found'));
+            }
+
+            res.json(generateResponse(true, 'Routing rule updated successfully', rule));
+        } catch (error) {
+            console.error('Update routing rule error:', error);
+            res.status(500).json(generateResponse(false, 'Failed to update routing rule'));
+        }
+    }
+
+    // Delete a provider routing rule (admin)
+    async deleteRoutingRule(req, res) {
+        try {
+            await routingRuleService.deleteRule(req.params.id);
+            res.json(generateResponse(true, 'Routing rule deleted successfully'));
+        } catch (error) {
+            console.error('Delete routing rule error:', error);
+            res.status(500).json(generateResponse(false, 'Failed to delete routing rule'));
+        }
+    }
+
+    // Get provider readiness and health (admin)
+    async getProviderHealth(req, res) {
+        try {
+            res.json(generateResponse(true, 'Provider health retrieved successfully', vtuRouter.getProviderHealth()));
+        } catch (error) {
+            console.error('Get provider health error:', error);
+            res.status(500).json(generateResponse(false, 'Failed to retrieve provider health'));
+        }
+    }
+
+    // List the plan catalogue, including hidden and removed plans (admin)
+    async getCatalogue(req, res) {
+        try {
+            const { service, network, provider, status } = req.query;
+            const entries = await catalogueService.listEntries({ service, network, provider, status });
+
+            res.json(generateResponse(true, 'Catalogue retrieved successfully', entries));
+        } catch (error) {
+            console.error('Get catalogue error:', error);
+            res.status(500).json(generateResponse(false, 'Failed to retrieve catalogue'));
+        }
+    }
+
+    // Set a plan's selling price and visibility (admin)
+    async updateCatalogueEntry(req, res) {
+        try {
+            const entry = await catalogueService.updateEntry(req.params.id, req.body);
+
+            if (!entry) {
+                return res.status(404).json(generateResponse(false, 'Catalogue entry not found'));
+            }
+
+            res.json(generateResponse(true, 'Catalogue entry updated successfully', entry));
+        } catch (error) {
+            console.error('Update catalogue entry error:', error);
+            res.status(500).json(generateResponse(false, 'Failed to update catalogue entry'));
+        }
+    }
+
+    // Pull the latest plans from providers now (admin)
+    async syncCatalogue(req, res) {
+        try {
+            const summary = await catalogueService.sync();
+
+            if (!summary) {
+                return res.status(409).json(generateResponse(false, 'A catalogue sync is already running'));
+            }
+
+            res.json(generateResponse(true, 'Catalogue synced successfully', summary));
+        } catch (error) {
+            console.error('Sync catalogue error:', error);
+            res.status(500).json(generateResponse(false, 'Failed to sync catalogue'));
+        }
+    }
+
+    // List daily settlement reports (admin)
+    async getSettlementReports(req, res) {
+        try {
+            const { status, limit = 30 } = req.query;
+            const reports = await settlementReportService.listReports({
+                status,
+                limit: Math.min(parseInt(limit) || 30, 366)
+            });
+
+            res.json(generateResponse(true, 'Settlement reports retrieved successfully', reports));
+        } catch (error) {
+            console.error('Get settlement reports error:', error);
+            res.status(500).json(generateResponse(false, 'Failed to retrieve settlement reports'));
+        }
+    }
+
+    // Get one day's settlement report (admin)
+    async getSettlementReport(req, res) {
+        try {
+            const { date } = req.params;
+
+            if (!isReportDate(date)) {
+                return res.status(400).json(generateResponse(false, 'Date must be in YYYY-MM-DD format'));
+            }
+
+            const report = await settlementReportService.getReport(date);
+
+            if (!report) {
+                return res.status(404).json(generateResponse(false, 'Settlement report not found'));
+            }
+
+            res.json(generateResponse(true, 'Settlement report retrieved successfully', report));
+        } catch (error) {
+            console.error('Get settlement report error:', error);
+            res.status(500).json(generateResponse(false, 'Failed to retrieve settlement report'));
+        }
+    }
+
+    // Download one day's settlement discrepancies as CSV (admin)
+    async downloadSettlementReport(req, res) {
+        try {
+            const { date } = req.params;
+
+            if (!isReportDate(date)) {
+                return res.status(400).json(generateResponse(false, 'Date must be in YYYY-MM-DD format'));
+            }
+
+            const report = await settlementReportService.getReport(date);
+
+            if (!report) {
+                return res.status(404).json(generateResponse(false, 'Settlement report not found'));
+            }
+
+            res.setHeader('Content-Type', 'text/csv');
+            res.setHeader('Content-Disposition', `attachment; filename="settlement-${date}.csv"`);
+            res.send(settlementReportService.toCSV(report));
+        } catch (error) {
+            console.error('Download settlement report error:', error);
+            res.status(500).json(generateResponse(false, 'Failed to download settlement report'));
+        }
+    }
+
+    // Generate or regenerate a day's settlement report (admin)
+    async generateSettlementReport(req, res) {
+        try {
+            const { date } = req.body;
+
+            if (!isReportDate(date)) {
+                return res.status(400).json(generateResponse(false, 'Date must be in YYYY-MM-DD format'));
+            }
+
+            if (date >= settlementReportService.getLagosDate()) {
+                return res.status(400).json(generateResponse(false, 'Reports can only be generated for past days'));
+            }
+
+            const report = await settlementReportService.generateReport(date);
+
+            res.status(201).json(generateResponse(true, 'Settlement report generated successfully', report));
+        } catch (error) {
+            console.error('Generate settlement report error:', error);
+            res.status(500).json(generateResponse(false, 'Failed to generate settlement report'));
+        }
+    }
+
     // Handle VTU callback from Clubkonnect
     async handleCallback(req, res) {
         try {
+            // ClubKonnect calls the callback URL with a query string; other senders may POST a body
+            const payload = { ...req.query, ...req.body };
+            const requestId = payload.request_id || payload.requestid || payload.RequestID;
+
             console.log('📥 VTU callback received:', {
-                body: req.body,
-                headers: req.headers,
+                requestId,
+                status: payload.status || payload.orderstatus,
+                ip: req.ip,
                 timestamp: new Date().toISOString()
             });
 
-            const { request_id, status, message } = req.body;
+            const verification = clubkonnectConfig.validateWebhook({
+                token: req.get('x-callback-token') || payload.token,
+                ip: req.ip
+            });
 
-            if (!request_id) {
+            if (!verification.valid) {
+                console.warn('🚫 Rejected VTU callback:', verification.reason);
+                return res.status(401).json(generateResponse(false, 'Callback could not be verified'));
+            }
+
+            if (!requestId) {
                 return res.status(400).json(generateResponse(false, 'Missing request_id in callback'));
             }
 
-            // Find the transaction by payment_reference (which should match request_id)
-            const { data: transactionData, error: findError } = await supabase
+            const { data: transactionData, error: findError } = await supabaseAdmin
                 .from('transactions')
                 .select('*')
-                .eq('payment_reference', request_id)
+                .eq('payment_reference', requestId)
                 .single();
 
             if (findError || !transactionData) {
-                console.error('Transaction not found for callback:', { request_id, error: findError });
+                console.error('Transaction not found for callback:', { requestId, error: findError });
                 return res.status(404).json(generateResponse(false, 'Transaction not found'));
             }
 
-            // Update transaction status based on callback
-            let newStatus = 'processing';
-            if (status === 'successful' || status === 'success' || status === 'completed') {
-                newStatus = 'completed';
-            } else if (status === 'failed' || status === 'error') {
-                newStatus = 'failed';
-            }
+            // The callback body is not trusted: the reconciler asks the provider for the
+            // status and settles (or refunds) through the transaction state machine
+            const decision = await transactionReconciler.reconcile(transactionData, { source: 'callback' });
 
-            // Update transaction with callback information
-            const { error: updateError } = await supabase
-                .from('transactions')
-                .update({
-                    status: newStatus,
-                    error_message: newStatus === 'failed' ? message : null,
-                    metadata: {
-                        ...transactionData.metadata,
-                        callback_received_at: new Date().toISOString(),
-                        callback_status: status,
-                        callback_message: message,
-                        provider_response: req.body
-                    },
-                    updated_at: new Date().toISOString()
-                })
-                .eq('id', transactionData.id);
-
-            if (updateError) {
-                console.error('Failed to update transaction from callback:', updateError);
-                return res.status(500).json(generateResponse(false, 'Failed to update transaction'));
-            }
-
-            // If transaction failed, we might need to refund the user's wallet
-            if (newStatus === 'failed') {
-                console.log('Transaction failed, considering refund:', {
-                    transactionId: transactionData.id,
-                    userId: transactionData.user_id,
-                    amount: transactionData.amount
-                });
-
-                // Here you could implement automatic refund logic
-                // For now, we'll just log it for manual processing
-            }
-
-            // Send real-time notification to user if status changed
-            try {
-                if (typeof realtimeHandler !== 'undefined' && realtimeHandler.sendNotification) {
-                    const notificationTitle = newStatus === 'completed' ? 'Transaction Successful' : 'Transaction Failed';
-                    const notificationMessage = newStatus === 'completed' 
-                        ? `Your ${transactionData.type.replace('_', ' ')} was successful.`
-                        : `Your ${transactionData.type.replace('_', ' ')} failed. ${message || ''}`;
-
-                    await realtimeHandler.sendNotification(transactionData.user_id, {
-                        title: notificationTitle,
-                        message: notificationMessage,
-                        type: 'transaction_update',
-                        data: {
-                            transactionId: transactionData.id,
-                            status: newStatus,
-                            timestamp: new Date().toISOString()
-                        }
-                    });
-                }
-            } catch (notificationError) {
-                console.error('Failed to send notification for callback:', notificationError);
-            }
-
-            console.log('✅ VTU callback processed successfully:', {
+            console.log('✅ VTU callback processed:', {
                 transactionId: transactionData.id,
-                requestId: request_id,
-                status: newStatus
+                requestId,
+                decision
             });
 
-            res.json(generateResponse(true, 'Callback processed successfully'));
+            if (decision === 'rejected') {
+                return res.status(409).json(generateResponse(false, 'Callback conflicts with the settled transaction'));
+            }
+
+            if (decision === 'unchanged') {
+                return res.status(202).json(generateResponse(true, 'Callback received; awaiting provider confirmation'));
+            }
+
+            res.json(generateResponse(true, 'Callback processed successfully', { status: decision }));
 
         } catch (error) {
+            if (error instanceof InvalidTransitionError) {
+                return res.status(409).json(generateResponse(false, error.message));
+            }
+
             console.error('VTU callback processing error:', error);
             res.status(500).json(generateResponse(false, 'Internal server error'));
         }
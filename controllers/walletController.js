@@ -1,10 +1,59 @@
 const { flutterwaveService } = require('../services/flutterwaveService');
-const { walletService } = require('../services/walletService');
+const { walletService, InsufficientFundsError, WalletFrozenError, TransactionError } = require('../services/walletService');
+const { ledgerService, ACCOUNTS } = require('../services/ledgerService');
+const { transferService, TransferError } = require('../services/transferService');
+const { withdrawalService, WithdrawalError } = require('../services/withdrawalService');
+const { virtualAccountService, VirtualAccountError } = require('../services/virtualAccountService');
 const { supabase, supabaseAdmin } = require('../config/supabaseClient');
 const { generateResponse } = require('../utils/helpers');
 const { realtimeHandler } = require('../utils/realtimeHandler');
 const { notificationService } = require('../services/notificationService');
 
+/**
+ * Map transfer and wallet errors to responses
+ */
+const handleTransferError = (res, error) => {
+    if (error instanceof TransferError) {
+        return res.status(error.code === 'RECIPIENT_NOT_FOUND' ? 404 : 400).json(generateResponse(false, error.message, { code: error.code }));
+    }
+
+    if (error instanceof InsufficientFundsError || error instanceof WalletFrozenError || error instanceof TransactionError) {
+        return res.status(400).json(generateResponse(false, error.message));
+    }
+
+    console.error('Transfer error:', error);
+    return res.status(500).json(generateResponse(false, 'Internal server error'));
+};
+
+/**
+ * Map withdrawal and wallet errors to responses
+ */
+const handleWithdrawalError = (res, error) => {
+    if (error instanceof WithdrawalError) {
+        return res.status(400).json(generateResponse(false, error.message, { code: error.code }));
+    }
+
+    if (error instanceof InsufficientFundsError || error instanceof WalletFrozenError || error instanceof TransactionError) {
+        return res.status(400).json(generateResponse(false, error.message));
+    }
+
+    console.error('Withdrawal error:', error);
+    return res.status(500).json(generateResponse(false, 'Internal server error'));
+};
+
+/**
+ * Map virtual account errors to responses
+ */
+const handleVirtualAccountError = (res, error) => {
+    if (error instanceof VirtualAccountError) {
+        const status = error.code === 'PROVIDER_ERROR' ? 502 : error.code === 'USER_NOT_FOUND' ? 404 : 400;
+        return res.status(status).json(generateResponse(false, error.message, { code: error.code }));
+    }
+
+    console.error('Virtual account error:', error);
+    return res.status(500).json(generateResponse(false, 'Internal server error'));
+};
+
 class WalletController {
 
     // Fund wallet with various payment methods including Flutterwave
@@ -125,7 +174,8 @@ class WalletController {
                     userId, 
                     amount, 
                     'Wallet funding via Flutterwave', 
-                    metadata.txRef
+                    metadata.txRef,
+                    { account: ACCOUNTS.FLUTTERWAVE_CLEARING, kind: 'deposit' }
                 );
 
                 // Send real-time update
@@ -321,49 +371,39 @@ class WalletController {
             }
 
             // Check if transaction already processed
-            const { data: existingTransaction, error: existingError } = await supabase
+            // (limit rather than single: the credit itself also records a row under this reference)
+            const { data: existingTransactions } = await supabase
                 .from('transactions')
                 .select('*')
                 .eq('payment_reference', paymentData.tx_ref)
                 .eq('status', 'completed')
-                .single();
+                .limit(1);
 
-            if (existingTransaction) {
+            if (existingTransactions && existingTransactions.length > 0) {
                 return res.json(generateResponse(true, 'Payment already processed', {
-                    transaction: existingTransaction
+                    transaction: existingTransactions[0]
                 }));
             }
 
-            // Get wallet data
-            const { data: walletData, error: walletError } = await supabase
-                .from('wallets')
-                .select('*')
-                .eq('user_id', userId)
-                .single();
-
-            if (walletError || !walletData) {
-                return res.status(404).json(generateResponse(false, 'Wallet not found'));
-            }
-
             const amount = parseFloat(paymentData.amount);
-            const newBalance = parseFloat(walletData.balance) + amount;
-            const newTotalDeposits = parseFloat(walletData.total_deposits) + amount;
 
-            // Update wallet balance
-            const { error: updateError } = await supabase
-                .from('wallets')
-                .update({
-                    balance: newBalance,
-                    total_deposits: newTotalDeposits,
-                    updated_at: new Date().toISOString()
-                })
-                .eq('user_id', userId);
-
-            if (updateError) {
-                console.error('Wallet update error:', updateError);
+            // Credit wallet atomically and post the deposit to the ledger
+            let creditResult;
+            try {
+                creditResult = await walletService.credit(
+                    userId,
+                    amount,
+                    'Wallet funding via Flutterwave',
+                    paymentData.tx_ref,
+                    { account: ACCOUNTS.FLUTTERWAVE_CLEARING, kind: 'deposit' }
+                );
+            } catch (creditError) {
+                console.error('Wallet credit error:', creditError);
                 return res.status(500).json(generateResponse(false, 'Failed to update wallet balance'));
             }
 
+            const newBalance = creditResult.new_balance;
+
             // Update transaction status
             const { data: updatedTransaction, error: transactionUpdateError } = await supabase
                 .from('transactions')
@@ -378,20 +418,16 @@ class WalletController {
                 })
                 .eq('payment_reference', paymentData.tx_ref)
                 .eq('user_id', userId)
-                .select()
-                .single();
+                .select();
 
             if (transactionUpdateError) {
                 console.error('Transaction update error:', transactionUpdateError);
             }
 
-            // Send real-time update
-            realtimeHandler.sendBalanceUpdate(userId, newBalance);
-
             res.json(generateResponse(true, 'Payment verified and wallet credited successfully', {
                 new_balance: newBalance,
                 amount_credited: amount,
-                transaction: updatedTransaction
+                transaction: updatedTransaction ? updatedTransaction[0] : creditResult.transaction
             }));
 
         } catch (error) {
@@ -412,6 +448,16 @@ class WalletController {
             }
 
             const payload = req.body;
+
+            // Handle payout results for withdrawals
+            if (payload.event === 'transfer.completed' && payload.data) {
+                const outcome = await withdrawalService.handleTransferEvent({
+                    reference: payload.data.reference,
+                    transferId: payload.data.id
+                });
+                console.log(`Webhook: Transfer ${payload.data.reference} ${outcome}`);
+                return res.status(200).json({ message: 'Webhook received' });
+            }
             
             // Handle successful payment
             if (payload.event === 'charge.completed' && payload.data.status === 'successful') {
@@ -424,48 +470,36 @@ class WalletController {
                 }
 
                 // Check if already processed
-                const { data: existingTransaction } = await supabase
+                const { data: existingTransactions } = await supabase
                     .from('transactions')
-                    .select('*')
+                    .select('id')
                     .eq('payment_reference', paymentData.tx_ref)
                     .eq('status', 'completed')
-                    .single();
+                    .limit(1);
 
-                if (existingTransaction) {
+                if (existingTransactions && existingTransactions.length > 0) {
                     return res.status(200).json({ message: 'Transaction already processed' });
                 }
 
-                // Get wallet data
-                const { data: walletData, error: walletError } = await supabase
-                    .from('wallets')
-                    .select('*')
-                    .eq('user_id', userId)
-                    .single();
-
-                if (walletError || !walletData) {
-                    console.error('Webhook: Wallet not found for user:', userId);
-                    return res.status(200).json({ message: 'Webhook received' });
-                }
-
                 const amount = parseFloat(paymentData.amount);
-                const newBalance = parseFloat(walletData.balance) + amount;
-                const newTotalDeposits = parseFloat(walletData.total_deposits) + amount;
-
-                // Update wallet balance
-                const { error: updateError } = await supabase
-                    .from('wallets')
-                    .update({
-                        balance: newBalance,
-                        total_deposits: newTotalDeposits,
-                        updated_at: new Date().toISOString()
-                    })
-                    .eq('user_id', userId);
 
-                if (updateError) {
-                    console.error('Webhook: Wallet update error:', updateError);
+                // Credit wallet atomically and post the deposit to the ledger
+                let creditResult;
+                try {
+                    creditResult = await walletService.credit(
+                        userId,
+                        amount,
+                        'Wallet funding via Flutterwave',
+                        paymentData.tx_ref,
+                        { account: ACCOUNTS.FLUTTERWAVE_CLEARING, kind: 'deposit' }
+                    );
+                } catch (creditError) {
+                    console.error('Webhook: Wallet credit error:', creditError);
                     return res.status(200).json({ message: 'Webhook received' });
                 }
 
+                const newBalance = creditResult.new_balance;
+
                 // Update transaction status
                 await supabase
                     .from('transactions')
@@ -481,9 +515,6 @@ class WalletController {
                     .eq('payment_reference', paymentData.tx_ref)
                     .eq('user_id', userId);
 
-                // Send real-time update
-                realtimeHandler.sendBalanceUpdate(userId, newBalance);
-
                 console.log(`Webhook: Successfully processed payment for user ${userId}, amount: ${amount}`);
             }
 
@@ -495,250 +526,150 @@ class WalletController {
         }
     }
 
-    // Withdraw funds from wallet
-    async withdraw(req, res) {
+    // Get the user's dedicated bank-transfer account
+    async getVirtualAccount(req, res) {
         try {
-            const userId = req.user.id;
-            const { amount, bank_account, bank_name, account_name } = req.body;
+            const account = await virtualAccountService.getForUser(req.user.id);
 
-            if (!amount || amount <= 0) {
-                return res.status(400).json(generateResponse(false, 'Invalid withdrawal amount'));
-            }
-
-            if (!bank_account || !bank_name || !account_name) {
-                return res.status(400).json(generateResponse(false, 'Bank details are required'));
-            }
-
-            // Get current wallet balance
-            const { data: walletData, error: walletError } = await supabase
-                .from('wallets')
-                .select('*')
-                .eq('user_id', userId)
-                .single();
-
-            if (walletError || !walletData) {
-                return res.status(404).json(generateResponse(false, 'Wallet not found'));
+            if (!account) {
+                return res.status(404).json(generateResponse(false, 'No virtual account yet; request one with your BVN'));
             }
 
-            const currentBalance = parseFloat(walletData.balance);
-            const withdrawalAmount = parseFloat(amount);
-
-            // Check if sufficient balance
-            if (currentBalance < withdrawalAmount) {
-                return res.status(400).json(generateResponse(false, 'Insufficient wallet balance'));
-            }
-
-            // Check minimum withdrawal amount
-            const minWithdrawal = parseFloat(process.env.MIN_WITHDRAWAL || '1000');
-            if (withdrawalAmount < minWithdrawal) {
-                return res.status(400).json(generateResponse(false, `Minimum withdrawal amount is ₦${minWithdrawal}`));
-            }
-
-            const newBalance = currentBalance - withdrawalAmount;
-            const newTotalWithdrawals = parseFloat(walletData.total_withdrawals) + withdrawalAmount;
+            res.json(generateResponse(true, 'Virtual account retrieved successfully', {
+                ...account,
+                fee: virtualAccountService.feeSchedule()
+            }));
 
-            // Update wallet balance
-            const { error: updateError } = await supabase
-                .from('wallets')
-                .update({
-                    balance: newBalance,
-                    total_withdrawals: newTotalWithdrawals,
-                    updated_at: new Date().toISOString()
-                })
-                .eq('user_id', userId);
+        } catch (error) {
+            return handleVirtualAccountError(res, error);
+        }
+    }
 
-            if (updateError) {
-                return res.status(500).json(generateResponse(false, 'Failed to update wallet balance'));
-            }
+    // Issue a dedicated bank-transfer account (returns the existing one if already issued)
+    async createVirtualAccount(req, res) {
+        try {
+            const { account, created } = await virtualAccountService.getOrCreate(req.user.id, { bvn: req.body.bvn });
 
-            // Create withdrawal transaction record
-            const { data: transactionData, error: transactionError } = await supabase
-                .from('transactions')
-                .insert({
-                    user_id: userId,
-                    type: 'withdrawal',
-                    amount: withdrawalAmount,
-                    description: `Withdrawal to ${bank_name} - ${account_name}`,
-                    status: 'pending',
-                    payment_method: 'bank_transfer',
-                    payment_reference: `WTH${Date.now()}`,
-                    balance_before: currentBalance,
-                    balance_after: newBalance,
-                    metadata: {
-                        bank_account,
-                        bank_name,
-                        account_name
-                    }
-                })
-                .select()
-                .single();
+            res.status(created ? 201 : 200).json(generateResponse(true, created ? 'Virtual account created successfully' : 'Virtual account retrieved successfully', {
+                ...account,
+                fee: virtualAccountService.feeSchedule()
+            }));
 
-            if (transactionError) {
-                console.error('Transaction record error:', transactionError);
-            }
+        } catch (error) {
+            return handleVirtualAccountError(res, error);
+        }
+    }
 
-            // Send real-time update
-            realtimeHandler.sendBalanceUpdate(userId, newBalance);
+    // List banks that withdrawals can be paid out to
+    async getBanks(req, res) {
+        try {
+            const banks = await withdrawalService.getBanks();
 
-            res.json(generateResponse(true, 'Withdrawal request submitted successfully', {
-                new_balance: newBalance,
-                transaction: transactionData,
-                message: 'Your withdrawal request is being processed and will be completed within 24 hours'
-            }));
+            res.json(generateResponse(true, 'Banks retrieved successfully', banks.map(bank => ({ code: bank.code, name: bank.name }))));
 
         } catch (error) {
-            console.error('Withdrawal error:', error);
-            res.status(500).json(generateResponse(false, 'Internal server error'));
+            console.error('Get banks error:', error);
+            res.status(502).json(generateResponse(false, 'Failed to fetch supported banks'));
         }
     }
 
-    // Transfer funds to another user
-    async transfer(req, res) {
+    // Look up the name on a bank account before withdrawing to it
+    async resolveBankAccount(req, res) {
         try {
-            const userId = req.user.id;
-            const { recipient_email, amount, description } = req.body;
+            const { account_number, bank_code, bank_name } = req.body;
 
-            if (!recipient_email || !amount || amount <= 0) {
-                return res.status(400).json(generateResponse(false, 'Recipient email and valid amount are required'));
-            }
+            const account = await withdrawalService.resolveAccount({ account_number, bank_code, bank_name });
 
-            // Check if recipient exists
-            const { data: recipientData, error: recipientError } = await supabase
-                .from('users')
-                .select('id, email, full_name')
-                .eq('email', recipient_email)
-                .eq('status', 'active')
-                .single();
+            res.json(generateResponse(true, 'Account resolved successfully', account));
 
-            if (recipientError || !recipientData) {
-                return res.status(404).json(generateResponse(false, 'Recipient not found or inactive'));
-            }
+        } catch (error) {
+            return handleWithdrawalError(res, error);
+        }
+    }
 
-            if (recipientData.id === userId) {
-                return res.status(400).json(generateResponse(false, 'Cannot transfer to yourself'));
-            }
+    // Withdraw funds from wallet to a bank account via Flutterwave
+    async withdraw(req, res) {
+        try {
+            const { amount, account_number, bank_account, bank_code, bank_name } = req.body;
 
-            // Get sender wallet
-            const { data: senderWallet, error: senderWalletError } = await supabase
-                .from('wallets')
-                .select('*')
-                .eq('user_id', userId)
-                .single();
+            const result = await withdrawalService.requestWithdrawal(req.user.id, {
+                amount,
+                account_number: account_number || bank_account,
+                bank_code,
+                bank_name
+            });
 
-            if (senderWalletError || !senderWallet) {
-                return res.status(404).json(generateResponse(false, 'Sender wallet not found'));
+            if (result.transaction.status === 'refunded' || result.transaction.status === 'failed') {
+                return res.status(400).json(generateResponse(false, result.transaction.error_message || 'Withdrawal could not be sent', {
+                    transaction: result.transaction,
+                    new_balance: result.new_balance
+                }));
             }
 
-            const currentBalance = parseFloat(senderWallet.balance);
-            const transferAmount = parseFloat(amount);
+            res.json(generateResponse(true, 'Withdrawal is being processed', {
+                new_balance: result.new_balance,
+                account: result.account,
+                transaction: result.transaction,
+                reference: result.transaction.payment_reference
+            }));
 
-            // Check sufficient balance
-            if (currentBalance < transferAmount) {
-                return res.status(400).json(generateResponse(false, 'Insufficient wallet balance'));
-            }
+        } catch (error) {
+            return handleWithdrawalError(res, error);
+        }
+    }
 
-            // Get recipient wallet
-            const { data: recipientWallet, error: recipientWalletError } = await supabase
-                .from('wallets')
-                .select('*')
-                .eq('user_id', recipientData.id)
-                .single();
+    // Track a withdrawal, checking Flutterwave if it has not settled yet
+    async getWithdrawal(req, res) {
+        try {
+            const transaction = await withdrawalService.findByReference(req.params.reference, req.user.id);
 
-            if (recipientWalletError || !recipientWallet) {
-                return res.status(404).json(generateResponse(false, 'Recipient wallet not found'));
+            if (!transaction) {
+                return res.status(404).json(generateResponse(false, 'Withdrawal not found'));
             }
 
-            const senderNewBalance = currentBalance - transferAmount;
-            const recipientNewBalance = parseFloat(recipientWallet.balance) + transferAmount;
+            const { transaction: current } = await withdrawalService.refreshStatus(transaction);
 
-            // Update sender wallet
-            const { error: senderUpdateError } = await supabase
-                .from('wallets')
-                .update({
-                    balance: senderNewBalance,
-                    updated_at: new Date().toISOString()
-                })
-                .eq('user_id', userId);
+            res.json(generateResponse(true, 'Withdrawal retrieved successfully', current));
 
-            if (senderUpdateError) {
-                return res.status(500).json(generateResponse(false, 'Failed to update sender wallet'));
-            }
+        } catch (error) {
+            return handleWithdrawalError(res, error);
+        }
+    }
 
-            // Update recipient wallet
-            const { error: recipientUpdateError } = await supabase
-                .from('wallets')
-                .update({
-                    balance: recipientNewBalance,
-                    total_deposits: parseFloat(recipientWallet.total_deposits) + transferAmount,
-                    updated_at: new Date().toISOString()
-                })
-                .eq('user_id', recipientData.id);
+    // Resolve a transfer recipient and show their name before any money moves
+    async previewTransfer(req, res) {
+        try {
+            const { recipient, recipient_email, amount } = req.body;
 
-            if (recipientUpdateError) {
-                // Rollback sender wallet update
-                await supabase
-                    .from('wallets')
-                    .update({
-                        balance: currentBalance,
-                        updated_at: new Date().toISOString()
-                    })
-                    .eq('user_id', userId);
-                
-                return res.status(500).json(generateResponse(false, 'Failed to update recipient wallet'));
-            }
+            const preview = await transferService.preview(
+                req.user.id,
+                { recipient: recipient || recipient_email, recipient_id: req.beneficiary?.details.recipient_id },
+                amount
+            );
 
-            const transferReference = `TFR${Date.now()}`;
+            res.json(generateResponse(true, 'Confirm the recipient to complete the transfer', preview));
 
-            // Create sender transaction
-            await supabase
-                .from('transactions')
-                .insert({
-                    user_id: userId,
-                    type: 'transfer_out',
-                    amount: transferAmount,
-                    description: description || `Transfer to ${recipientData.full_name}`,
-                    status: 'completed',
-                    payment_reference: transferReference,
-                    balance_before: currentBalance,
-                    balance_after: senderNewBalance,
-                    metadata: {
-                        recipient_id: recipientData.id,
-                        recipient_email: recipientData.email
-                    }
-                });
+        } catch (error) {
+            return handleTransferError(res, error);
+        }
+    }
 
-            // Create recipient transaction
-            await supabase
-                .from('transactions')
-                .insert({
-                    user_id: recipientData.id,
-                    type: 'transfer_in',
-                    amount: transferAmount,
-                    description: description || `Transfer from ${req.user.full_name}`,
-                    status: 'completed',
-                    payment_reference: transferReference,
-                    balance_before: parseFloat(recipientWallet.balance),
-                    balance_after: recipientNewBalance,
-                    metadata: {
-                        sender_id: userId,
-                        sender_email: req.user.email
-                    }
-                });
+    // Transfer funds to another user
+    async transfer(req, res) {
+        try {
+            const { preview_token, recipient, recipient_email, amount, description } = req.body;
 
-            // Send real-time updates
-            realtimeHandler.sendBalanceUpdate(userId, senderNewBalance);
-            realtimeHandler.sendBalanceUpdate(recipientData.id, recipientNewBalance);
+            const result = await transferService.transfer(
+                req.user.id,
+                { preview_token, recipient: recipient || recipient_email, recipient_id: req.beneficiary?.details.recipient_id },
+                amount,
+                description
+            );
 
-            res.json(generateResponse(true, 'Transfer completed successfully', {
-                new_balance: senderNewBalance,
-                recipient: recipientData.full_name,
-                amount: transferAmount,
-                reference: transferReference
-            }));
+            res.json(generateResponse(true, 'Transfer completed successfully', result));
 
         } catch (error) {
-            console.error('Transfer error:', error);
-            res.status(500).json(generateResponse(false, 'Internal server error'));
+            return handleTransferError(res, error);
         }
     }
 
@@ -788,13 +719,68 @@ class WalletController {
         }
     }
 
+    // Compare the signed-in user's wallet balance with its ledger balance
+    async getLedgerCheck(req, res) {
+        try {
+            const check = await ledgerService.checkWallet(req.user.id);
+
+            res.json(generateResponse(true, 'Ledger check completed', check));
+
+        } catch (error) {
+            console.error('Ledger check error:', error);
+            res.status(500).json(generateResponse(false, 'Internal server error'));
+        }
+    }
+
+    // Admin: compare any user's wallet balance with its ledger balance
+    async getUserLedgerCheck(req, res) {
+        try {
+            const check = await ledgerService.checkWallet(req.params.userId);
+
+            res.json(generateResponse(true, 'Ledger check completed', check));
+
+        } catch (error) {
+            if (error.code === 'PGRST116') { // PGRST116: No rows found
+                return res.status(404).json(generateResponse(false, 'Wallet not found'));
+            }
+            console.error('Ledger check error:', error);
+            res.status(500).json(generateResponse(false, 'Internal server error'));
+        }
+    }
+
+    // Admin: per-account totals across the whole ledger
+    async getTrialBalance(req, res) {
+        try {
+            const trialBalance = await ledgerService.getTrialBalance();
+
+            res.json(generateResponse(true, 'Trial balance retrieved successfully', trialBalance));
+
+        } catch (error) {
+            console.error('Trial balance error:', error);
+            res.status(500).json(generateResponse(false, 'Internal server error'));
+        }
+    }
+
+    // Admin: post opening balances for wallets that predate the ledger
+    async openLedgerBalances(req, res) {
+        try {
+            const summary = await ledgerService.openWalletBalances();
+
+            res.json(generateResponse(true, 'Opening balances posted', summary));
+
+        } catch (error) {
+            console.error('Open ledger balances error:', error);
+            res.status(500).json(generateResponse(false, 'Internal server error'));
+        }
+    }
+
     // Debit wallet for VTU purchases (called by VTU service)
     async debitWalletForPurchase(userId, amount, description, reference) {
         try {
             console.log('💳 Debiting wallet for purchase:', { userId, amount, description, reference });
 
             // Use wallet service to debit wallet
-            const result = await walletService.debitWallet(userId, amount, description, reference);
+            const result = await walletService.debitWallet(userId, amount, description, reference, { account: ACCOUNTS.VTU_CLEARING, kind: 'purchase_reserve' });
 
             console.log('✅ Wallet debited successfully:', result.new_balance);
             return result;
@@ -811,7 +797,7 @@ class WalletController {
             console.log('💵 Crediting wallet for refund:', { userId, amount, description, reference });
 
             // Use wallet service to credit wallet
-            const result = await walletService.creditWallet(userId, amount, description, reference);
+            const result = await walletService.creditWallet(userId, amount, description, reference, { account: ACCOUNTS.VTU_CLEARING, kind: 'purchase_refund' });
 
             console.log('✅ Wallet credited successfully:', result.new_balance);
             return result;
@@ -45,6 +45,13 @@ const settingsRoutes = require('./routes/settings');
 const subdomainRoutes = require('./routes/subdomain');
 const statusRoutes = require('./routes/status');
 const statsRoutes = require('./routes/stats'); // ✅ NEW
+const beneficiaryRoutes = require('./routes/beneficiaries');
+const refundRoutes = require('./routes/refunds');
+const disputeRoutes = require('./routes/disputes');
+const scheduleRoutes = require('./routes/schedules');
+const airtimeToCashRoutes = require('./routes/airtimeToCash');
+const partnerRoutes = require('./routes/partner');
+const adminRoutes = require('./routes/admin');
 
 // Initialize Express app before any app.use calls
 const app = express();
@@ -58,6 +65,12 @@ app.use((req, res, next) => {
 });
 // Import real-time handler
 const { realtimeHandler } = require('./utils/realtimeHandler');
+const { transactionReconciler } = require('./services/transactionReconciler');
+const { settlementReportService } = require('./services/settlementReportService');
+const { catalogueService } = require('./services/catalogueService');
+const { scheduleService } = require('./services/scheduleService');
+const { bulkPurchaseService } = require('./services/bulkPurchaseService');
+const { webhookService } = require('./services/webhookService');
 
 // Configuration is already validated and loaded
 console.log('✅ Configuration loaded and validated successfully');
@@ -108,11 +121,19 @@ const limiter = rateLimit({
     },
     standardHeaders: true,
     legacyHeaders: false,
+    // Partner API calls are limited per API key instead (see partnerAuthMiddleware)
+    skip: (req) => req.originalUrl.startsWith(`${config.server.apiPrefix}/partner/`),
 });
 app.use('/api/', limiter);
 
 // Body Parsing
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw body so partner API request signatures can be verified
+app.use(express.json({
+    limit: '10mb',
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Compression
@@ -176,6 +197,13 @@ app.use(`${apiPrefix}/settings`, settingsRoutes);
 app.use(`${apiPrefix}/subdomain`, subdomainRoutes);
 app.use(`${apiPrefix}/status`, statusRoutes);
 app.use(`${apiPrefix}/stats`, statsRoutes); // ✅ NEW - Statistics
+app.use(`${apiPrefix}/beneficiaries`, beneficiaryRoutes);
+app.use(`${apiPrefix}/refunds`, refundRoutes);
+app.use(`${apiPrefix}/disputes`, disputeRoutes);
+app.use(`${apiPrefix}/schedules`, scheduleRoutes);
+app.use(`${apiPrefix}/airtime-to-cash`, airtimeToCashRoutes);
+app.use(`${apiPrefix}/partner`, partnerRoutes);
+app.use(`${apiPrefix}/admin`, adminRoutes);
 
 // API Docs
 app.get(`${apiPrefix}/docs`, (req, res) => {
@@ -195,7 +223,14 @@ app.get(`${apiPrefix}/docs`, (req, res) => {
             support: `${apiPrefix}/support`,
             settings: `${apiPrefix}/settings`,
             subdomain: `${apiPrefix}/subdomain`,
-            stats: `${apiPrefix}/stats` // ✅ NEW
+            stats: `${apiPrefix}/stats`, // ✅ NEW
+            beneficiaries: `${apiPrefix}/beneficiaries`,
+            refunds: `${apiPrefix}/refunds`,
+            disputes: `${apiPrefix}/disputes`,
+            schedules: `${apiPrefix}/schedules`,
+            airtimeToCash: `${apiPrefix}/airtime-to-cash`,
+            partner: `${apiPrefix}/partner`,
+            admin: `${apiPrefix}/admin`
         },
         documentation_url: 'https://docs.mystarktol.com'
     });
@@ -249,6 +284,14 @@ app.use((error, req, res, next) => {
 realtimeHandler.init();
 realtimeHandler.startCleanupInterval();
 
+// Init background workers
+transactionReconciler.start();
+settlementReportService.start();
+catalogueService.start();
+scheduleService.start();
+bulkPurchaseService.start();
+webhookService.start();
+
 // Graceful Shutdown
 const gracefulShutdown = (signal) => {
     console.log(`\n🔄 Received ${signal}. Starting graceful shutdown...`);
@@ -256,6 +299,12 @@ const gracefulShutdown = (signal) => {
     // Close server first
     server.close(() => {
         console.log('✅ HTTP server closed');
+        transactionReconciler.stop();
+        settlementReportService.stop();
+        catalogueService.stop();
+        scheduleService.stop();
+        bulkPurchaseService.stop();
+        webhookService.stop();
         realtimeHandler.shutdown();
         console.log('✅ Graceful shutdown completed');
         process.exit(0);
@@ -0,0 +1,54 @@
+const { auditService } = require('../services/auditService');
+
+/**
+ * Record a successful request in the audit log.
+ * For admin routes whose services do not record their own entries: the entry holds the
+ * request body and, as the after state, the data of the JSON response. auditService.record
+ * redacts secret-looking fields in both. Requests that end with an error status are not recorded.
+ * Must run after authMiddleware.
+ * @param {string} action - e.g. 'refund.approve'
+ * @param {Object} options - targetType, targetParam (route param holding the target id, default 'id')
+ *                           and omitFields (request body fields to leave out, e.g. file contents)
+ */
+const audit = (action, { targetType = null, targetParam = 'id', omitFields = [] } = {}) => {
+    return (req, res, next) => {
+        const actor = auditService.actorFrom(req);
+
+        let responseBody = null;
+        const originalJson = res.json.bind(res);
+        res.json = (body) => {
+            responseBody = body;
+            return originalJson(body);
+        };
+
+        res.on('finish', () => {
+            if (res.statusCode >= 400) {
+                return;
+            }
+
+            const data = responseBody && responseBody.data !== undefined ? responseBody.data : null;
+            const request = req.body && typeof req.body === 'object'
+                ? Object.fromEntries(Object.entries(req.body).filter(([field]) => !omitFields.includes(field)))
+                : null;
+
+            auditService.record(actor, action, {
+                target_type: targetType,
+                target_id: req.params[targetParam] || data?.id || null,
+                after: data && typeof data === 'object' && !Array.isArray(data) ? data : null,
+                reason: typeof req.body?.reason === 'string' ? req.body.reason.trim() : null,
+                metadata: {
+                    method: req.method,
+                    path: req.originalUrl.split('?')[0],
+                    status_code: res.statusCode,
+                    request
+                }
+            });
+        });
+
+        next();
+    };
+};
+
+module.exports = {
+    audit
+};
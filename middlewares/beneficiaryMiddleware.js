@@ -0,0 +1,54 @@
+const { beneficiaryService, BeneficiaryError, BENEFICIARY_TYPES } = require('../services/beneficiaryService');
+const { generateResponse } = require('../utils/helpers');
+
+/**
+ * Let a request name a saved beneficiary (`beneficiary_id`) instead of sending raw details.
+ * The beneficiary's details are filled into req.body before validation; the identifying
+ * field (account, phone, smartcard or meter number) always comes from the beneficiary,
+ * other fields only when the request leaves them out. The beneficiary is available as
+ * req.beneficiary, and its last-used time is updated once the request succeeds.
+ * Must run after authMiddleware and before validateRequest.
+ * @param {string} service - withdraw | transfer | airtime | data | cable | electricity
+ */
+const useBeneficiary = (service) => {
+    return async (req, res, next) => {
+        const id = req.body && req.body.beneficiary_id;
+
+        if (!id) {
+            return next();
+        }
+
+        try {
+            const beneficiary = await beneficiaryService.resolveFor(req.user.id, id, service);
+            const { key } = BENEFICIARY_TYPES[beneficiary.type];
+
+            // wallet_user details hold an internal user id, read from req.beneficiary instead
+            if (beneficiary.type !== 'wallet_user') {
+                req.body = {
+                    ...beneficiary.details,
+                    ...req.body,
+                    [key]: beneficiary.details[key]
+                };
+            }
+
+            req.beneficiary = beneficiary;
+
+            res.on('finish', () => {
+                if (res.statusCode < 400) {
+                    beneficiaryService.markUsed(beneficiary);
+                }
+            });
+
+            next();
+        } catch (error) {
+            if (error instanceof BeneficiaryError) {
+                return res.status(error.code === 'NOT_FOUND' ? 404 : 400).json(generateResponse(false, error.message));
+            }
+
+            console.error('Beneficiary middleware error:', error);
+            return res.status(500).json(generateResponse(false, 'Failed to load beneficiary'));
+        }
+    };
+};
+
+module.exports = { useBeneficiary };
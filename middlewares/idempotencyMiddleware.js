@@ -0,0 +1,75 @@
+const { idempotencyService } = require('../services/idempotencyService');
+const { generateResponse } = require('../utils/helpers');
+
+/**
+ * Idempotency-Key support for money-moving endpoints.
+ * The header is optional unless `required` is set; when it is sent, the first response for the key is stored
+ * and replayed for retries with the same payload. Reusing a key with a different
+ * payload, or while the first request is still running, returns 409.
+ * Server errors (5xx) release the key so the client can retry, as does a response that
+ * could not be stored (see idempotencyService.complete).
+ * Must run after authMiddleware.
+ * @param {string} scope - Name of the protected operation (e.g. 'vtu.airtime')
+ * @param {Object} [options] - { required } refuse requests without the header (partner API)
+ */
+const idempotency = (scope, { required = false } = {}) => {
+    return async (req, res, next) => {
+        const key = req.get('Idempotency-Key');
+
+        if (key === undefined) {
+            if (required) {
+                return res.status(400).json(generateResponse(false, 'Idempotency-Key header is required'));
+            }
+
+            return next();
+        }
+
+        if (!idempotencyService.isValidKey(key)) {
+            return res.status(400).json(generateResponse(false, 'Idempotency-Key must be between 1 and 255 characters'));
+        }
+
+        try {
+            const fingerprint = idempotencyService.fingerprint(req.method, req.originalUrl.split('?')[0], req.body);
+            const { claimed, record } = await idempotencyService.claim(req.user.id, key, scope, fingerprint);
+
+            if (!claimed) {
+                if (!record || record.request_fingerprint !== fingerprint || record.scope !== scope) {
+                    return res.status(409).json(generateResponse(false, 'Idempotency-Key has already been used for a different request'));
+                }
+
+                if (record.status !== 'completed') {
+                    return res.status(409).json(generateResponse(false, 'A request with this Idempotency-Key is still being processed'));
+                }
+
+                res.set('Idempotent-Replayed', 'true');
+                return res.status(record.response_status).json(record.response_body);
+            }
+
+            req.idempotencyKey = key;
+
+            // Capture the JSON body so it can be replayed later
+            let responseBody = null;
+            const originalJson = res.json.bind(res);
+            res.json = (body) => {
+                responseBody = body;
+                return originalJson(body);
+            };
+
+            // The response has already gone out, so a failure here can only be logged
+            res.on('finish', () => {
+                const settled = res.statusCode >= 500
+                    ? idempotencyService.release(record.id)
+                    : idempotencyService.complete(record.id, res.statusCode, responseBody);
+
+                settled.catch(error => console.error('Failed to settle idempotency key:', error));
+            });
+
+            next();
+        } catch (error) {
+            console.error('Idempotency middleware error:', error);
+            return res.status(500).json(generateResponse(false, 'Failed to process Idempotency-Key'));
+        }
+    };
+};
+
+module.exports = { idempotency };
@@ -0,0 +1,167 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { generateResponse } = require('../utils/helpers');
+const { verifyTimestampedSignature } = require('../utils/security');
+const { apiKeyService } = require('../services/apiKeyService');
+const { createRateLimit } = require('./securityMiddleware');
+
+// How far X-Timestamp may drift from server time, either way
+const MAX_CLOCK_SKEW = 5 * 60 * 1000; // 5 minutes
+
+// Fallback when a credential has no rate_limit stored
+const DEFAULT_RATE_LIMIT = 1000; // requests per hour
+
+/**
+ * The string a partner signs: METHOD:path-with-query:raw-body, or
+ * METHOD:path-with-query:idempotency-key:raw-body when an Idempotency-Key is sent.
+ * GET requests (and any request without a body) sign an empty body.
+ * Signing the Idempotency-Key (required on write routes) means a captured request cannot be
+ * sent again under a new key within the timestamp window; with its own key it only gets the
+ * stored response back (see idempotencyMiddleware).
+ */
+const signingPayload = (req) => {
+    const body = req.rawBody ? req.rawBody.toString('utf8') : '';
+    const idempotencyKey = req.get('idempotency-key');
+    const target = idempotencyKey === undefined ? req.originalUrl : `${req.originalUrl}:${idempotencyKey}`;
+    return `${req.method.toUpperCase()}:${target}:${body}`;
+};
+
+/**
+ * Authenticate reseller API calls by API key and HMAC signature.
+ *
+ * Headers:
+ *   X-API-Key   - an api_key issued from /settings/api/keys
+ *   X-Timestamp - milliseconds since the epoch when the request was signed
+ *   X-Signature - hex HMAC-SHA256 of `${METHOD}:${path}:${body}:${timestamp}` keyed with the key's
+ *                 secret_key (what createTimestampedSignature produces for the signing payload)
+ *   Idempotency-Key - required on write routes, and signed between the path and the body
+ *
+ * The secret is stored encrypted with API_KEY_ENCRYPTION_KEY and decrypted to check the signature,
+ * so a copy of the api_credentials table alone cannot sign requests.
+ * Revoked and expired keys, keys that must be rotated, and calls from outside the key's IP
+ * allowlist are refused.
+ *
+ * On success req.user is the reseller's user row (so the regular controllers work unchanged)
+ * and req.apiCredential is the api_credentials row.
+ */
+const partnerAuthMiddleware = async (req, res, next) => {
+    try {
+        const apiKey = req.get('x-api-key');
+        const signature = req.get('x-signature');
+        const timestamp = Number(req.get('x-timestamp'));
+
+        if (!apiKey || !signature || !req.get('x-timestamp')) {
+            return res.status(401).json(generateResponse(false, 'X-API-Key, X-Timestamp and X-Signature headers are required'));
+        }
+
+        if (!Number.isFinite(timestamp) || Math.abs(Date.now() - timestamp) > MAX_CLOCK_SKEW) {
+            return res.status(401).json(generateResponse(false, 'Request timestamp is missing or outside the allowed window'));
+        }
+
+        const credential = await apiKeyService.findByApiKey(apiKey);
+
+        if (!credential) {
+            return res.status(401).json(generateResponse(false, 'Invalid API key'));
+        }
+
+        if (!credential.signingKey) {
+            return res.status(401).json(generateResponse(false, 'This API key must be rotated before it can be used'));
+        }
+
+        const unusable = apiKeyService.unusableReason(credential);
+        if (unusable) {
+            return res.status(401).json(generateResponse(false, unusable));
+        }
+
+        if (!apiKeyService.isIpAllowed(credential, req.ip)) {
+            return res.status(403).json(generateResponse(false, 'Requests from this IP address are not allowed for this API key'));
+        }
+
+        let verified = false;
+        try {
+            verified = verifyTimestampedSignature(signingPayload(req), signature, timestamp, credential.signingKey, MAX_CLOCK_SKEW);
+        } catch {
+            // Malformed signature (timingSafeEqual throws on a length mismatch)
+            verified = false;
+        }
+
+        if (!verified) {
+            return res.status(401).json(generateResponse(false, 'Invalid request signature'));
+        }
+
+        const { data: user, error: userError } = await supabaseAdmin
+            .from('users')
+            .select('*')
+            .eq('id', credential.user_id)
+            .maybeSingle();
+
+        if (userError) {
+            throw userError;
+        }
+
+        if (!user) {
+            return res.status(401).json(generateResponse(false, 'User not found'));
+        }
+
+        if (user.status !== 'active') {
+            return res.status(403).json(generateResponse(false, 'Account is suspended'));
+        }
+
+        // API access is only for approved resellers, same as issuing the key
+        const { data: reseller, error: resellerError } = await supabaseAdmin
+            .from('resellers')
+            .select('id, status')
+            .eq('user_id', user.id)
+            .eq('status', 'approved')
+            .maybeSingle();
+
+        if (resellerError) {
+            throw resellerError;
+        }
+
+        if (!reseller) {
+            return res.status(403).json(generateResponse(false, 'Access denied. API access is only available for approved resellers'));
+        }
+
+        req.user = user;
+        req.apiCredential = credential;
+
+        apiKeyService.touch(credential, req.ip);
+
+        next();
+    } catch (error) {
+        console.error('Partner auth middleware error:', error);
+        return res.status(401).json(generateResponse(false, 'Authentication failed'));
+    }
+};
+
+/**
+ * Per-key rate limit using the credential's stored rate_limit (requests per hour).
+ * Must run after partnerAuthMiddleware.
+ */
+const partnerRateLimit = createRateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: (req) => parseInt(req.apiCredential?.rate_limit) || DEFAULT_RATE_LIMIT,
+    keyGenerator: (req) => `partner:${req.apiCredential.id}`,
+    message: 'API rate limit exceeded for this key, please try again later.'
+});
+
+/**
+ * Require a key scope (read, wallet, purchase or webhooks) for a partner route.
+ * Must run after partnerAuthMiddleware.
+ */
+const requireScope = (scope) => {
+    return (req, res, next) => {
+        if (!apiKeyService.hasScope(req.apiCredential, scope)) {
+            return res.status(403).json(generateResponse(false, `This API key does not have the ${scope} scope`));
+        }
+
+        next();
+    };
+};
+
+module.exports = {
+    partnerAuthMiddleware,
+    partnerRateLimit,
+    requireScope,
+    signingPayload
+};
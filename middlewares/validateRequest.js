@@ -1,6 +1,67 @@
 const { validateEmail, validatePassword, validatePhoneNumber } = require('../utils/validators');
 const { generateResponse } = require('../utils/helpers');
 
+/**
+ * Routing rule checks shared by create and update.
+ * With partial, missing fields are allowed but at least one must be given.
+ */
+const routingRuleErrors = (data, { partial }) => {
+    const errors = [];
+    const serviceTypes = ['airtime', 'data', 'cable', 'electricity'];
+    const fields = ['service_type', 'network', 'provider', 'cost_price', 'priority', 'weight', 'is_active'];
+    const given = (field) => data[field] !== undefined;
+    const blank = (field) => data[field] === undefined || data[field] === null || data[field] === '';
+    // Required fields are checked on create, and on update when they are sent
+    const checks = (field) => !partial || given(field);
+    const notNumber = (value) => typeof value === 'boolean' || isNaN(value);
+
+    if (partial && !fields.some(given)) {
+        errors.push(`At least one of ${fields.join(', ')} is required`);
+    }
+
+    if (checks('service_type')) {
+        if (blank('service_type')) {
+            errors.push('Service type is required');
+        } else if (typeof data.service_type !== 'string' || !serviceTypes.includes(data.service_type.toLowerCase())) {
+            errors.push(`Service type must be one of: ${serviceTypes.join(', ')}`);
+        }
+    }
+
+    if (checks('provider')) {
+        if (blank('provider')) {
+            errors.push('Provider is required');
+        } else if (typeof data.provider !== 'string') {
+            errors.push('Provider must be a string');
+        }
+    }
+
+    if (!blank('network') && typeof data.network !== 'string') {
+        errors.push('Network must be a string');
+    }
+
+    if (checks('cost_price')) {
+        if (blank('cost_price')) {
+            errors.push('Cost price is required');
+        } else if (notNumber(data.cost_price) || parseFloat(data.cost_price) <= 0) {
+            errors.push('Cost price must be a positive number');
+        }
+    }
+
+    if (given('priority') && (notNumber(data.priority) || parseInt(data.priority) < 0)) {
+        errors.push('Priority must be a non-negative number');
+    }
+
+    if (given('weight') && (notNumber(data.weight) || parseInt(data.weight) < 1)) {
+        errors.push('Weight must be at least 1');
+    }
+
+    if (given('is_active') && ![true, false, 'true', 'false'].includes(data.is_active)) {
+        errors.push('Active must be true or false');
+    }
+
+    return errors;
+};
+
 const validationRules = {
     register: (data) => {
         const errors = [];
@@ -118,16 +179,31 @@ const validationRules = {
             errors.push('Amount must be a positive number');
         }
 
-        if (!data.bank_account) {
+        const accountNumber = data.account_number || data.bank_account;
+        if (!accountNumber) {
             errors.push('Bank account number is required');
+        } else if (!/^\d{10}$/.test(String(accountNumber))) {
+            errors.push('Account number must be 10 digits');
         }
 
-        if (!data.bank_name) {
-            errors.push('Bank name is required');
+        if (!data.bank_code && !data.bank_name) {
+            errors.push('Bank code or bank name is required');
+        }
+
+        return errors;
+    },
+
+    resolveBankAccount: (data) => {
+        const errors = [];
+
+        if (!data.account_number) {
+            errors.push('Account number is required');
+        } else if (!/^\d{10}$/.test(String(data.account_number))) {
+            errors.push('Account number must be 10 digits');
         }
 
-        if (!data.account_name) {
-            errors.push('Account name is required');
+        if (!data.bank_code && !data.bank_name) {
+            errors.push('Bank code or bank name is required');
         }
 
         return errors;
@@ -136,9 +212,10 @@ const validationRules = {
     transfer: (data) => {
         const errors = [];
         
-        if (!data.recipient_email) {
-            errors.push('Recipient email is required');
-        } else if (!validateEmail(data.recipient_email)) {
+        // A preview token or saved beneficiary already names the recipient; otherwise accept email, phone or referral code
+        if (!data.preview_token && !data.beneficiary_id && !data.recipient && !data.recipient_email) {
+            errors.push('Recipient (email, phone or referral code), beneficiary or preview token is required');
+        } else if (data.recipient_email && !validateEmail(data.recipient_email)) {
             errors.push('Invalid recipient email format');
         }
 
@@ -151,6 +228,254 @@ const validationRules = {
         return errors;
     },
 
+    virtualAccount: (data) => {
+        const errors = [];
+
+        if (!data.bvn) {
+            errors.push('BVN is required');
+        } else if (!/^\d{11}$/.test(String(data.bvn))) {
+            errors.push('BVN must be 11 digits');
+        }
+
+        return errors;
+    },
+
+    transferPreview: (data) => {
+        const errors = [];
+
+        if (!data.beneficiary_id && !data.recipient && !data.recipient_email) {
+            errors.push('Recipient (email, phone or referral code) or beneficiary is required');
+        }
+
+        if (!data.amount) {
+            errors.push('Amount is required');
+        } else if (isNaN(data.amount) || parseFloat(data.amount) <= 0) {
+            errors.push('Amount must be a positive number');
+        }
+
+        return errors;
+    },
+
+    beneficiary: (data) => {
+        const errors = [];
+        const required = {
+            bank_account: ['account_number'],
+            wallet_user: ['recipient'],
+            phone: ['phone_number', 'network'],
+            smartcard: ['smartcard_number', 'provider'],
+            meter: ['meter_number', 'provider', 'meter_type']
+        };
+
+        if (!data.type || !required[data.type]) {
+            errors.push(`Type must be one of: ${Object.keys(required).join(', ')}`);
+            return errors;
+        }
+
+        for (const field of required[data.type]) {
+            if (!data[field]) {
+                errors.push(`${field.replace(/_/g, ' ')} is required`);
+            }
+        }
+
+        if (data.type === 'bank_account' && !data.bank_code && !data.bank_name) {
+            errors.push('Bank code or bank name is required');
+        }
+
+        if (data.type === 'phone' && data.phone_number && !validatePhoneNumber(data.phone_number)) {
+            errors.push('Invalid phone number format');
+        }
+
+        if (data.nickname !== undefined && (typeof data.nickname !== 'string' || data.nickname.length > 50)) {
+            errors.push('Nickname must be text of at most 50 characters');
+        }
+
+        return errors;
+    },
+
+    beneficiaryUpdate: (data) => {
+        const errors = [];
+
+        if (typeof data.nickname !== 'string' || !data.nickname.trim() || data.nickname.length > 50) {
+            errors.push('Nickname must be text of 1 to 50 characters');
+        }
+
+        return errors;
+    },
+
+    refundRequest: (data) => {
+        const errors = [];
+
+        if (!data.transaction_id) {
+            errors.push('Transaction ID is required');
+        }
+
+        if (data.method !== undefined && !['wallet', 'card'].includes(data.method)) {
+            errors.push('Refund method must be wallet or card');
+        }
+
+        if (data.amount !== undefined && (isNaN(data.amount) || parseFloat(data.amount) <= 0)) {
+            errors.push('Amount must be a positive number');
+        }
+
+        if (!data.reason || typeof data.reason !== 'string' || !data.reason.trim()) {
+            errors.push('Reason is required');
+        }
+
+        return errors;
+    },
+
+    disputeEvidence: (data) => {
+        const errors = [];
+
+        if (!data.file_name) {
+            errors.push('File name is required');
+        }
+
+        if (!data.content_type) {
+            errors.push('Content type is required');
+        }
+
+        if (!data.content_base64 || typeof data.content_base64 !== 'string') {
+            errors.push('File content (base64) is required');
+        }
+
+        return errors;
+    },
+
+    disputeResolve: (data) => {
+        const errors = [];
+
+        if (!['won', 'lost'].includes(data.outcome)) {
+            errors.push('Outcome must be won or lost');
+        }
+
+        return errors;
+    },
+
+    schedule: (data) => {
+        const errors = [];
+
+        if (!['airtime', 'data', 'cable', 'electricity'].includes(data.service)) {
+            errors.push('Service must be airtime, data, cable, or electricity');
+        }
+
+        if (!data.params || typeof data.params !== 'object') {
+            errors.push('Purchase parameters are required');
+        }
+
+        if (!data.rule || typeof data.rule !== 'object' || (!data.rule.cron && !(data.rule.every && data.rule.unit))) {
+            errors.push('Rule must have a cron expression or every and unit');
+        }
+
+        return errors;
+    },
+
+    bulkStart: (data) => {
+        const errors = [];
+
+        if (data.charge_mode !== undefined && !['single', 'per_row'].includes(data.charge_mode)) {
+            errors.push('Charge mode must be single or per_row');
+        }
+
+        return errors;
+    },
+
+    airtimeToCash: (data) => {
+        const errors = [];
+
+        if (!data.network) {
+            errors.push('Network is required');
+        }
+
+        if (!data.phone_number) {
+            errors.push('Phone number the airtime is sent from is required');
+        } else if (!validatePhoneNumber(data.phone_number)) {
+            errors.push('Invalid phone number format');
+        }
+
+        if (!data.amount || isNaN(data.amount) || parseFloat(data.amount) <= 0) {
+            errors.push('Amount must be a positive number');
+        }
+
+        return errors;
+    },
+
+    airtimeToCashConfirm: (data) => {
+        const errors = [];
+
+        if (data.amount_received !== undefined && (isNaN(data.amount_received) || parseFloat(data.amount_received) <= 0)) {
+            errors.push('Amount received must be a positive number');
+        }
+
+        return errors;
+    },
+
+    airtimeToCashReject: (data) => {
+        const errors = [];
+
+        if (!data.reason || typeof data.reason !== 'string') {
+            errors.push('A reason is required');
+        }
+
+        return errors;
+    },
+
+    adminReason: (data) => {
+        const errors = [];
+
+        if (!data.reason || typeof data.reason !== 'string' || data.reason.trim().length < 5) {
+            errors.push('A reason of at least 5 characters is required');
+        }
+
+        return errors;
+    },
+
+    walletAdjustment: (data) => {
+        const errors = [];
+
+        if (!['credit', 'debit'].includes(data.direction)) {
+            errors.push('Direction must be credit or debit');
+        }
+
+        if (!data.amount || isNaN(data.amount) || parseFloat(data.amount) <= 0) {
+            errors.push('Amount must be a positive number');
+        }
+
+        if (!data.reason || typeof data.reason !== 'string' || data.reason.trim().length < 5) {
+            errors.push('A reason of at least 5 characters is required');
+        }
+
+        return errors;
+    },
+
+    walletLimits: (data) => {
+        const errors = [];
+
+        if (!data.daily_limit || isNaN(data.daily_limit) || parseFloat(data.daily_limit) <= 0) {
+            errors.push('Daily limit must be a positive number');
+        }
+
+        if (!data.monthly_limit || isNaN(data.monthly_limit) || parseFloat(data.monthly_limit) <= 0) {
+            errors.push('Monthly limit must be a positive number');
+        }
+
+        if (!data.reason || typeof data.reason !== 'string' || data.reason.trim().length < 5) {
+            errors.push('A reason of at least 5 characters is required');
+        }
+
+        return errors;
+    },
+
+    referralBonus: (data) => {
+        const errors = [];
+
+        if (data.amount === undefined || isNaN(data.amount) || parseFloat(data.amount) < 0) {
+            errors.push('Amount must be zero or more');
+        }
+
+        return errors;
+    },
+
     purchaseAirtime: (data) => {
         const errors = [];
         
@@ -192,12 +517,6 @@ const validationRules = {
             errors.push('Data plan is required');
         }
 
-        if (!data.amount) {
-            errors.push('Amount is required');
-        } else if (isNaN(data.amount) || parseFloat(data.amount) <= 0) {
-            errors.push('Amount must be a positive number');
-        }
-
         return errors;
     },
 
@@ -216,12 +535,6 @@ const validationRules = {
             errors.push('Smartcard number is required');
         }
 
-        if (!data.amount) {
-            errors.push('Amount is required');
-        } else if (isNaN(data.amount) || parseFloat(data.amount) <= 0) {
-            errors.push('Amount must be a positive number');
-        }
-
         return errors;
     },
 
@@ -251,6 +564,30 @@ const validationRules = {
         return errors;
     },
 
+    routingRule: (data) => routingRuleErrors(data, { partial: false }),
+
+    // Same checks as routingRule, but only for the fields being changed
+    routingRuleUpdate: (data) => routingRuleErrors(data, { partial: true }),
+
+    catalogueEntry: (data) => {
+        const errors = [];
+
+        if (data.selling_price === undefined && data.is_visible === undefined) {
+            errors.push('Selling price or visibility is required');
+        }
+
+        if (data.selling_price !== undefined && data.selling_price !== null && data.selling_price !== '' &&
+            (isNaN(data.selling_price) || parseFloat(data.selling_price) <= 0)) {
+            errors.push('Selling price must be a positive number');
+        }
+
+        if (data.is_visible !== undefined && ![true, false, 'true', 'false'].includes(data.is_visible)) {
+            errors.push('Visibility must be true or false');
+        }
+
+        return errors;
+    },
+
     resellerApplication: (data) => {
         const errors = [];
         
@@ -0,0 +1,213 @@
+-- Double-entry ledger under wallet balance changes (services/ledgerService.js)
+--
+-- Adds the ledger tables and new signatures of the wallet RPCs that take the journal for the
+-- balance change as p_ledger_entries and insert it in the same transaction. The original
+-- credit_wallet_atomic / debit_wallet_atomic (4 arguments) and transfer_wallet_atomic
+-- (5 arguments) stay in place: PostgREST picks the overload whose parameter names match the
+-- call, and the new ones run the original to move the money.
+--
+-- Run in the Supabase SQL editor, or: npm run migrate -- migrations/005_wallet_ledger.sql
+
+-- One row per journal line; a journal is every row sharing a journal_reference
+CREATE TABLE IF NOT EXISTS ledger_entries (
+    id BIGSERIAL PRIMARY KEY,
+    journal_reference TEXT NOT NULL,
+    line_no INTEGER NOT NULL,
+    kind TEXT NOT NULL,
+    description TEXT,
+    metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+    account TEXT NOT NULL,
+    user_id UUID,
+    debit NUMERIC(14, 2) NOT NULL DEFAULT 0 CHECK (debit >= 0),
+    credit NUMERIC(14, 2) NOT NULL DEFAULT 0 CHECK (credit >= 0),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT ledger_entries_one_side CHECK (debit = 0 OR credit = 0),
+    CONSTRAINT ledger_entries_journal_line UNIQUE (journal_reference, line_no)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_account ON ledger_entries (account, id);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_user_id ON ledger_entries (user_id) WHERE user_id IS NOT NULL;
+
+-- Journals posted outside a wallet RPC that failed to insert; ledgerService.retryPending reposts them
+CREATE TABLE IF NOT EXISTS ledger_pending (
+    id BIGSERIAL PRIMARY KEY,
+    journal_reference TEXT NOT NULL UNIQUE,
+    entries JSONB NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_pending_created_at ON ledger_pending (created_at);
+
+-- Only the service role reads or writes the ledger
+ALTER TABLE ledger_entries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ledger_pending ENABLE ROW LEVEL SECURITY;
+
+-- Insert a journal built by ledgerService.journal(). Raises if it is empty or unbalanced;
+-- a journal_reference that is already posted raises unique_violation. Either way the
+-- calling RPC's transaction, balance change included, is rolled back.
+CREATE OR REPLACE FUNCTION post_ledger_entries(p_ledger_entries JSONB)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_lines INTEGER;
+    v_debits NUMERIC;
+    v_credits NUMERIC;
+BEGIN
+    SELECT COUNT(*), COALESCE(SUM(e.debit), 0), COALESCE(SUM(e.credit), 0)
+      INTO v_lines, v_debits, v_credits
+      FROM jsonb_to_recordset(COALESCE(p_ledger_entries, '[]'::jsonb)) AS e(debit NUMERIC, credit NUMERIC);
+
+    IF v_lines < 2 OR v_debits <> v_credits THEN
+        RAISE EXCEPTION 'unbalanced ledger journal: % lines, debits %, credits %', v_lines, v_debits, v_credits;
+    END IF;
+
+    INSERT INTO ledger_entries (journal_reference, line_no, kind, description, metadata, account, user_id, debit, credit, created_at)
+    SELECT e.journal_reference, e.line_no, e.kind, e.description, COALESCE(e.metadata, '{}'::jsonb),
+           e.account, e.user_id, e.debit, e.credit, COALESCE(e.created_at, NOW())
+      FROM jsonb_to_recordset(p_ledger_entries) AS e(
+           journal_reference TEXT, line_no INTEGER, kind TEXT, description TEXT, metadata JSONB,
+           account TEXT, user_id UUID, debit NUMERIC, credit NUMERIC, created_at TIMESTAMPTZ);
+END;
+$$;
+
+-- credit_wallet_atomic(p_user_id, p_amount, p_description, p_transaction_ref, p_ledger_entries)
+-- Locks the wallet row (FOR UPDATE), credits it and writes the history row through the
+-- 4-argument function, then inserts the journal. Returns { new_balance, transaction }.
+CREATE OR REPLACE FUNCTION credit_wallet_atomic(
+    p_user_id UUID,
+    p_amount NUMERIC,
+    p_description TEXT,
+    p_transaction_ref TEXT,
+    p_ledger_entries JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_result JSONB;
+BEGIN
+    PERFORM 1 FROM wallets WHERE user_id = p_user_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'wallet not found for user %', p_user_id;
+    END IF;
+
+    v_result := to_jsonb(credit_wallet_atomic(
+        p_user_id => p_user_id,
+        p_amount => p_amount,
+        p_description => p_description,
+        p_transaction_ref => p_transaction_ref
+    ));
+
+    PERFORM post_ledger_entries(p_ledger_entries);
+    RETURN v_result;
+END;
+$$;
+
+-- debit_wallet_atomic(p_user_id, p_amount, p_description, p_transaction_ref, p_ledger_entries)
+-- Locks the wallet row (FOR UPDATE), checks and lowers the balance and writes the history row
+-- through the 4-argument function (which raises 'insufficient balance'), then inserts the
+-- journal. Returns { new_balance, transaction }.
+CREATE OR REPLACE FUNCTION debit_wallet_atomic(
+    p_user_id UUID,
+    p_amount NUMERIC,
+    p_description TEXT,
+    p_transaction_ref TEXT,
+    p_ledger_entries JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_result JSONB;
+BEGIN
+    PERFORM 1 FROM wallets WHERE user_id = p_user_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'wallet not found for user %', p_user_id;
+    END IF;
+
+    v_result := to_jsonb(debit_wallet_atomic(
+        p_user_id => p_user_id,
+        p_amount => p_amount,
+        p_description => p_description,
+        p_transaction_ref => p_transaction_ref
+    ));
+
+    PERFORM post_ledger_entries(p_ledger_entries);
+    RETURN v_result;
+END;
+$$;
+
+-- transfer_wallet_atomic(p_from_user_id, p_to_user_id, p_amount, p_description, p_transaction_ref, p_ledger_entries)
+-- Locks both wallet rows in user_id order (so opposite transfers cannot deadlock), moves the
+-- money through the 5-argument function, then inserts the journal. Returns
+-- { from_new_balance, to_new_balance, transfer_reference, from_transaction, to_transaction }.
+CREATE OR REPLACE FUNCTION transfer_wallet_atomic(
+    p_from_user_id UUID,
+    p_to_user_id UUID,
+    p_amount NUMERIC,
+    p_description TEXT,
+    p_transaction_ref TEXT,
+    p_ledger_entries JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_result JSONB;
+BEGIN
+    PERFORM 1 FROM wallets WHERE user_id IN (p_from_user_id, p_to_user_id) ORDER BY user_id FOR UPDATE;
+
+    v_result := to_jsonb(transfer_wallet_atomic(
+        p_from_user_id => p_from_user_id,
+        p_to_user_id => p_to_user_id,
+        p_amount => p_amount,
+        p_description => p_description,
+        p_transaction_ref => p_transaction_ref
+    ));
+
+    PERFORM post_ledger_entries(p_ledger_entries);
+    RETURN v_result;
+END;
+$$;
+
+-- add_wallet_withdrawal(p_user_id, p_amount)
+-- Adds a paid-out withdrawal to wallets.total_withdrawals in a single UPDATE, so concurrent
+-- payouts cannot overwrite each other. Returns { total_withdrawals }.
+CREATE OR REPLACE FUNCTION add_wallet_withdrawal(
+    p_user_id UUID,
+    p_amount NUMERIC
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_total NUMERIC;
+BEGIN
+    UPDATE wallets
+       SET total_withdrawals = COALESCE(total_withdrawals, 0) + p_amount,
+           updated_at = NOW()
+     WHERE user_id = p_user_id
+    RETURNING total_withdrawals INTO v_total;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'wallet not found for user %', p_user_id;
+    END IF;
+
+    RETURN jsonb_build_object('total_withdrawals', v_total);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION post_ledger_entries(JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION credit_wallet_atomic(UUID, NUMERIC, TEXT, TEXT, JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION debit_wallet_atomic(UUID, NUMERIC, TEXT, TEXT, JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION transfer_wallet_atomic(UUID, UUID, NUMERIC, TEXT, TEXT, JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION add_wallet_withdrawal(UUID, NUMERIC) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION post_ledger_entries(JSONB) TO service_role;
+GRANT EXECUTE ON FUNCTION credit_wallet_atomic(UUID, NUMERIC, TEXT, TEXT, JSONB) TO service_role;
+GRANT EXECUTE ON FUNCTION debit_wallet_atomic(UUID, NUMERIC, TEXT, TEXT, JSONB) TO service_role;
+GRANT EXECUTE ON FUNCTION transfer_wallet_atomic(UUID, UUID, NUMERIC, TEXT, TEXT, JSONB) TO service_role;
+GRANT EXECUTE ON FUNCTION add_wallet_withdrawal(UUID, NUMERIC) TO service_role;
@@ -0,0 +1,88 @@
+-- Daily transfer caps enforced under the sender's wallet lock (services/transferService.js)
+--
+-- Replaces the transfer_wallet_atomic overload from 005_wallet_ledger.sql with one that also
+-- takes the sender's daily caps, and labels the two history rows transfer_out / transfer_in
+-- (transferService counts the sender's transfer_out rows against the caps). The original
+-- 5-argument transfer_wallet_atomic still moves the money.
+--
+-- Run after 005_wallet_ledger.sql: npm run migrate -- migrations/006_transfer_daily_limits.sql
+
+DROP FUNCTION IF EXISTS transfer_wallet_atomic(UUID, UUID, NUMERIC, TEXT, TEXT, JSONB);
+
+-- transfer_wallet_atomic(p_from_user_id, p_to_user_id, p_amount, p_description, p_transaction_ref,
+--                        p_daily_amount_limit, p_daily_count_limit, p_ledger_entries)
+-- Locks both wallet rows in user_id order (so opposite transfers cannot deadlock). With a cap
+-- given, sums the sender's completed transfer_out rows since 00:00 UTC while holding the lock,
+-- so concurrent transfers cannot pass the caps together, and raises
+-- 'daily transfer amount limit exceeded' or 'daily transfer count limit exceeded'.
+-- Then moves the money, sets the legs' types to transfer_out / transfer_in and inserts the
+-- journal, all in one transaction. Returns { from_new_balance, to_new_balance,
+-- transfer_reference, from_transaction, to_transaction }.
+CREATE OR REPLACE FUNCTION transfer_wallet_atomic(
+    p_from_user_id UUID,
+    p_to_user_id UUID,
+    p_amount NUMERIC,
+    p_description TEXT,
+    p_transaction_ref TEXT,
+    p_daily_amount_limit NUMERIC,
+    p_daily_count_limit INTEGER,
+    p_ledger_entries JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_result JSONB;
+    v_sent_today NUMERIC;
+    v_transfers_today INTEGER;
+    v_from_id UUID;
+    v_to_id UUID;
+BEGIN
+    PERFORM 1 FROM wallets WHERE user_id IN (p_from_user_id, p_to_user_id) ORDER BY user_id FOR UPDATE;
+
+    IF p_daily_amount_limit IS NOT NULL OR p_daily_count_limit IS NOT NULL THEN
+        SELECT COALESCE(SUM(amount), 0), COUNT(*)
+          INTO v_sent_today, v_transfers_today
+          FROM transactions
+         WHERE user_id = p_from_user_id
+           AND type = 'transfer_out'
+           AND status = 'completed'
+           AND created_at >= (date_trunc('day', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC');
+
+        IF p_daily_count_limit IS NOT NULL AND v_transfers_today + 1 > p_daily_count_limit THEN
+            RAISE EXCEPTION 'daily transfer count limit exceeded: % of % used', v_transfers_today, p_daily_count_limit;
+        END IF;
+
+        IF p_daily_amount_limit IS NOT NULL AND v_sent_today + p_amount > p_daily_amount_limit THEN
+            RAISE EXCEPTION 'daily transfer amount limit exceeded: % of % used', v_sent_today, p_daily_amount_limit;
+        END IF;
+    END IF;
+
+    v_result := to_jsonb(transfer_wallet_atomic(
+        p_from_user_id => p_from_user_id,
+        p_to_user_id => p_to_user_id,
+        p_amount => p_amount,
+        p_description => p_description,
+        p_transaction_ref => p_transaction_ref
+    ));
+
+    v_from_id := (v_result -> 'from_transaction' ->> 'id')::UUID;
+    v_to_id := (v_result -> 'to_transaction' ->> 'id')::UUID;
+
+    IF v_from_id IS NULL OR v_to_id IS NULL THEN
+        RAISE EXCEPTION 'transfer did not return both transaction rows';
+    END IF;
+
+    UPDATE transactions SET type = 'transfer_out' WHERE id = v_from_id;
+    UPDATE transactions SET type = 'transfer_in' WHERE id = v_to_id;
+
+    v_result := jsonb_set(v_result, '{from_transaction,type}', '"transfer_out"');
+    v_result := jsonb_set(v_result, '{to_transaction,type}', '"transfer_in"');
+
+    PERFORM post_ledger_entries(p_ledger_entries);
+    RETURN v_result;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION transfer_wallet_atomic(UUID, UUID, NUMERIC, TEXT, TEXT, NUMERIC, INTEGER, JSONB) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION transfer_wallet_atomic(UUID, UUID, NUMERIC, TEXT, TEXT, NUMERIC, INTEGER, JSONB) TO service_role;
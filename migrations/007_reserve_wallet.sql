@@ -0,0 +1,55 @@
+-- Reserve funds for an existing purchase row (walletService.reserve, used by purchase retries)
+--
+-- Unlike debit_wallet_atomic this writes no history row: the retried purchase keeps its
+-- original transaction, so the user's history shows the purchase once.
+--
+-- Run after 005_wallet_ledger.sql: npm run migrate -- migrations/007_reserve_wallet.sql
+
+-- reserve_wallet_atomic(p_user_id, p_amount, p_transaction_id, p_ledger_entries)
+-- Locks the wallet row (FOR UPDATE), checks that p_transaction_id is the user's, raises
+-- 'insufficient balance' if the balance does not cover p_amount, lowers the balance and
+-- inserts the journal, all in one transaction. Returns { new_balance }.
+CREATE OR REPLACE FUNCTION reserve_wallet_atomic(
+    p_user_id UUID,
+    p_amount NUMERIC,
+    p_transaction_id UUID,
+    p_ledger_entries JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_balance NUMERIC;
+BEGIN
+    IF p_amount IS NULL OR p_amount <= 0 THEN
+        RAISE EXCEPTION 'reservation amount must be greater than zero';
+    END IF;
+
+    SELECT balance INTO v_balance FROM wallets WHERE user_id = p_user_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'wallet not found for user %', p_user_id;
+    END IF;
+
+    PERFORM 1 FROM transactions WHERE id = p_transaction_id AND user_id = p_user_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'transaction % not found for user %', p_transaction_id, p_user_id;
+    END IF;
+
+    IF v_balance < p_amount THEN
+        RAISE EXCEPTION 'insufficient balance: % available, % required', v_balance, p_amount;
+    END IF;
+
+    UPDATE wallets
+       SET balance = balance - p_amount,
+           updated_at = NOW()
+     WHERE user_id = p_user_id
+    RETURNING balance INTO v_balance;
+
+    PERFORM post_ledger_entries(p_ledger_entries);
+
+    RETURN jsonb_build_object('new_balance', v_balance);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION reserve_wallet_atomic(UUID, NUMERIC, UUID, JSONB) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION reserve_wallet_atomic(UUID, NUMERIC, UUID, JSONB) TO service_role;
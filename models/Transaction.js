@@ -335,7 +335,7 @@ class Transaction {
         }
     }
 
-    // Refund transaction
+    // Refund transaction (status only; money is returned through services/refundService.js)
     async refund(refundAmount = null, reason = 'Refund requested') {
         try {
             const updateData = {
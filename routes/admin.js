@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const roleMiddleware = require('../middlewares/roleMiddleware');
+const { validateRequest } = require('../middlewares/validateRequest');
+
+// Admin routes - admins only
+router.use(authMiddleware);
+router.use(roleMiddleware(['admin']));
+
+// Users
+router.get('/users', adminController.getUsers);
+router.get('/users/:id', adminController.getUser);
+router.post('/users/:id/suspend', validateRequest('adminReason'), adminController.suspendUser);
+router.post('/users/:id/reactivate', adminController.reactivateUser);
+
+// Wallets (by user id)
+router.post('/users/:id/wallet/freeze', validateRequest('adminReason'), adminController.freezeWallet);
+router.post('/users/:id/wallet/unfreeze', validateRequest('adminReason'), adminController.unfreezeWallet);
+router.post('/users/:id/wallet/adjust', validateRequest('walletAdjustment'), adminController.adjustWallet);
+router.put('/users/:id/wallet/limits', validateRequest('walletLimits'), adminController.setWalletLimits);
+
+// Resellers
+router.get('/resellers', adminController.getResellers);
+router.post('/resellers/:id/approve', adminController.approveReseller);
+router.post('/resellers/:id/reject', validateRequest('adminReason'), adminController.rejectReseller);
+router.put('/resellers/:id/rates', adminController.setResellerRates);
+
+// Platform settings
+router.put('/settings/referral-bonus', validateRequest('referralBonus'), adminController.setReferralBonus);
+
+// Transactions
+router.get('/transactions', adminController.getTransactions);
+router.get('/transactions/:id', adminController.getTransaction);
+
+// Audit log
+router.get('/audit', adminController.getAuditLog);
+router.get('/audit/export', adminController.exportAuditLog);
+router.get('/audit/verify', adminController.verifyAuditLog);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const airtimeToCashController = require('../controllers/airtimeToCashController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const roleMiddleware = require('../middlewares/roleMiddleware');
+const { validateRequest } = require('../middlewares/validateRequest');
+const { audit } = require('../middlewares/auditMiddleware');
+
+// SIM gateway reports of incoming transfers (no auth; verified by shared secret in the controller)
+router.post('/callback', airtimeToCashController.handleGatewayCallback);
+
+// Airtime to cash routes - all require authentication
+router.use(authMiddleware);
+
+router.get('/rates', airtimeToCashController.getRates);
+router.get('/', airtimeToCashController.getMyRequests);
+router.post('/', validateRequest('airtimeToCash'), airtimeToCashController.createRequest);
+
+// Review and confirmation (admin only)
+router.get('/admin/requests', roleMiddleware(['admin']), airtimeToCashController.getAllRequests);
+router.post('/:id/confirm', roleMiddleware(['admin']), validateRequest('airtimeToCashConfirm'), audit('airtime_to_cash.confirm', { targetType: 'airtime_to_cash' }), airtimeToCashController.confirmRequest);
+router.post('/:id/reject', roleMiddleware(['admin']), validateRequest('airtimeToCashReject'), audit('airtime_to_cash.reject', { targetType: 'airtime_to_cash' }), airtimeToCashController.rejectRequest);
+
+router.get('/:id', airtimeToCashController.getRequest);
+router.post('/:id/cancel', airtimeToCashController.cancelRequest);
+
+module.exports = router;
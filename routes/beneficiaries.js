@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const beneficiaryController = require('../controllers/beneficiaryController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const { validateRequest } = require('../middlewares/validateRequest');
+
+// Beneficiary routes - all require authentication
+router.use(authMiddleware);
+
+router.get('/', beneficiaryController.getBeneficiaries);
+router.post('/', validateRequest('beneficiary'), beneficiaryController.createBeneficiary);
+router.get('/:id', beneficiaryController.getBeneficiary);
+router.put('/:id', validateRequest('beneficiaryUpdate'), beneficiaryController.updateBeneficiary);
+router.delete('/:id', beneficiaryController.deleteBeneficiary);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const disputeController = require('../controllers/disputeController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const roleMiddleware = require('../middlewares/roleMiddleware');
+const { validateRequest } = require('../middlewares/validateRequest');
+const { audit } = require('../middlewares/auditMiddleware');
+
+// Chargeback and dispute routes - admins only
+router.use(authMiddleware);
+router.use(roleMiddleware(['admin']));
+
+router.get('/', disputeController.getDisputes);
+router.get('/:id', disputeController.getDispute);
+router.post('/:id/evidence', validateRequest('disputeEvidence'), audit('dispute.evidence', { targetType: 'dispute', omitFields: ['content_base64'] }), disputeController.uploadEvidence);
+router.post('/:id/contest', audit('dispute.contest', { targetType: 'dispute' }), disputeController.contestDispute);
+router.post('/:id/accept', audit('dispute.accept', { targetType: 'dispute' }), disputeController.acceptDispute);
+router.post('/:id/resolve', validateRequest('disputeResolve'), audit('dispute.resolve', { targetType: 'dispute' }), disputeController.resolveDispute);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const partnerController = require('../controllers/partnerController');
+const vtuController = require('../controllers/vtuController');
+const settingsController = require('../controllers/settingsController');
+const { partnerAuthMiddleware, partnerRateLimit, requireScope } = require('../middlewares/partnerAuthMiddleware');
+const { validateRequest } = require('../middlewares/validateRequest');
+const { idempotency } = require('../middlewares/idempotencyMiddleware');
+
+// Writes must carry a signed Idempotency-Key, so a captured request cannot be replayed
+const WRITE = { required: true };
+
+// Reseller API - every request is signed for its API key (see partnerAuthMiddleware)
+router.use(partnerAuthMiddleware);
+router.use(partnerRateLimit);
+
+// Account and catalogue
+router.get('/balance', requireScope('wallet'), partnerController.getBalance);
+router.get('/catalogue', requireScope('read'), partnerController.getCatalogue);
+
+// Purchases (same pipeline and pricing as the user-facing VTU routes)
+router.post('/purchase/airtime', requireScope('purchase'), validateRequest('purchaseAirtime'), idempotency('partner.airtime', WRITE), vtuController.purchaseAirtime);
+router.post('/purchase/data', requireScope('purchase'), validateRequest('purchaseData'), idempotency('partner.data', WRITE), vtuController.purchaseData);
+router.post('/purchase/cable', requireScope('purchase'), validateRequest('purchaseCable'), idempotency('partner.cable', WRITE), vtuController.purchaseCable);
+router.post('/purchase/electricity', requireScope('purchase'), validateRequest('purchaseElectricity'), idempotency('partner.electricity', WRITE), vtuController.purchaseElectricity);
+
+// Transaction status by id or reference
+router.get('/transactions/:reference', requireScope('read'), partnerController.getTransaction);
+
+// Webhook settings
+router.get('/webhooks', requireScope('webhooks'), settingsController.getWebhookSettings);
+router.put('/webhooks', requireScope('webhooks'), validateRequest('webhookSettings'), idempotency('partner.webhooks', WRITE), settingsController.updateWebhookSettings);
+
+module.exports = router;
@@ -3,6 +3,7 @@ const router = express.Router();
 const paymentController = require('../controllers/paymentController');
 const authMiddleware = require('../middlewares/authMiddleware');
 const { validateRequest } = require('../middlewares/validateRequest');
+const { idempotency } = require('../middlewares/idempotencyMiddleware');
 const Joi = require('joi');
 
 // Payment validation schemas
@@ -30,6 +31,7 @@ router.use(authMiddleware);
 // Initiate payment (create payment link)
 router.post('/initiate', 
     validateRequest(initiatePaymentSchema), 
+    idempotency('payment.initiate'),
     paymentController.initiatePayment
 );
 
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const refundController = require('../controllers/refundController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const roleMiddleware = require('../middlewares/roleMiddleware');
+const { validateRequest } = require('../middlewares/validateRequest');
+const { audit } = require('../middlewares/auditMiddleware');
+
+// Refund routes - admins only
+router.use(authMiddleware);
+router.use(roleMiddleware(['admin']));
+
+router.get('/', refundController.getRefunds);
+router.post('/', validateRequest('refundRequest'), audit('refund.create', { targetType: 'refund' }), refundController.createRefund);
+router.get('/:id', refundController.getRefund);
+router.post('/:id/approve', audit('refund.approve', { targetType: 'refund' }), refundController.approveRefund);
+router.post('/:id/reject', audit('refund.reject', { targetType: 'refund' }), refundController.rejectRefund);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const scheduleController = require('../controllers/scheduleController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const { validateRequest } = require('../middlewares/validateRequest');
+
+// Scheduled and recurring purchases - the signed-in user's own schedules
+router.use(authMiddleware);
+
+router.get('/', scheduleController.getSchedules);
+router.post('/', validateRequest('schedule'), scheduleController.createSchedule);
+router.get('/:id', scheduleController.getSchedule);
+router.get('/:id/runs', scheduleController.getScheduleRuns);
+router.post('/:id/pause', scheduleController.pauseSchedule);
+router.post('/:id/resume', scheduleController.resumeSchedule);
+router.delete('/:id', scheduleController.deleteSchedule);
+
+module.exports = router;
@@ -19,13 +19,19 @@ router.put('/preferences', validateRequest('userPreferences'), settingsControlle
 router.get('/security', settingsController.getSecuritySettings);
 router.put('/security', validateRequest('securitySettings'), settingsController.updateSecuritySettings);
 
-// API settings - reseller only
+// API keys - reseller only
 router.get('/api', roleMiddleware(['reseller']), settingsController.getAPISettings);
-router.post('/api/regenerate', roleMiddleware(['reseller']), settingsController.regenerateAPICredentials);
+router.post('/api/keys', roleMiddleware(['reseller']), settingsController.createAPIKey);
+router.put('/api/keys/:id', roleMiddleware(['reseller']), settingsController.updateAPIKey);
+router.post('/api/keys/:id/rotate', roleMiddleware(['reseller']), settingsController.rotateAPIKey);
+router.delete('/api/keys/:id', roleMiddleware(['reseller']), settingsController.revokeAPIKey);
 
 // Webhook settings - reseller only
 router.get('/webhooks', roleMiddleware(['reseller']), settingsController.getWebhookSettings);
 router.put('/webhooks', roleMiddleware(['reseller']), validateRequest('webhookSettings'), settingsController.updateWebhookSettings);
 router.post('/webhooks/test', roleMiddleware(['reseller']), settingsController.testWebhook);
+router.get('/webhooks/deliveries', roleMiddleware(['reseller']), settingsController.getWebhookDeliveries);
+router.get('/webhooks/deliveries/:id', roleMiddleware(['reseller']), settingsController.getWebhookDelivery);
+router.post('/webhooks/deliveries/:id/redeliver', roleMiddleware(['reseller']), settingsController.redeliverWebhook);
 
 module.exports = router;
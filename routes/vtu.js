@@ -1,10 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const vtuController = require('../controllers/vtuController');
+const bulkPurchaseController = require('../controllers/bulkPurchaseController');
 const authMiddleware = require('../middlewares/authMiddleware');
+const roleMiddleware = require('../middlewares/roleMiddleware');
 const { validateRequest } = require('../middlewares/validateRequest');
+const { audit } = require('../middlewares/auditMiddleware');
+const { idempotency } = require('../middlewares/idempotencyMiddleware');
+const { useBeneficiary } = require('../middlewares/beneficiaryMiddleware');
 
-// Callback route (no auth required) for Clubkonnect transaction updates
+// Callback routes (no auth required) for Clubkonnect transaction updates,
+// verified by shared secret or IP allowlist inside the controller
+router.get('/callback/clubkonnect', vtuController.handleCallback);
+router.post('/callback/clubkonnect', vtuController.handleCallback);
 router.post('/callback', vtuController.handleCallback);
 
 // VTU routes - all require authentication
@@ -17,11 +25,19 @@ router.get('/cable-providers', vtuController.getCableProviders);
 router.get('/cable-packages/:provider', vtuController.getCablePackages);
 router.get('/electricity-providers', vtuController.getElectricityProviders);
 
-// Purchase routes
-router.post('/airtime', validateRequest('purchaseAirtime'), vtuController.purchaseAirtime);
-router.post('/data', validateRequest('purchaseData'), vtuController.purchaseData);
-router.post('/cable', validateRequest('purchaseCable'), vtuController.purchaseCable);
-router.post('/electricity', validateRequest('purchaseElectricity'), vtuController.purchaseElectricity);
+// Purchase routes (beneficiary_id can replace the phone, smartcard or meter details)
+router.post('/airtime', useBeneficiary('airtime'), validateRequest('purchaseAirtime'), idempotency('vtu.airtime'), vtuController.purchaseAirtime);
+router.post('/data', useBeneficiary('data'), validateRequest('purchaseData'), idempotency('vtu.data'), vtuController.purchaseData);
+router.post('/cable', useBeneficiary('cable'), validateRequest('purchaseCable'), idempotency('vtu.cable'), vtuController.purchaseCable);
+router.post('/electricity', useBeneficiary('electricity'), validateRequest('purchaseElectricity'), idempotency('vtu.electricity'), vtuController.purchaseElectricity);
+
+// Bulk airtime/data batches (CSV upload as text/csv, or JSON)
+router.get('/bulk', bulkPurchaseController.getBatches);
+router.post('/bulk', express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), bulkPurchaseController.createBatch);
+router.get('/bulk/:id', bulkPurchaseController.getBatch);
+router.get('/bulk/:id/results', bulkPurchaseController.downloadResults);
+router.post('/bulk/:id/start', validateRequest('bulkStart'), bulkPurchaseController.startBatch);
+router.post('/bulk/:id/cancel', bulkPurchaseController.cancelBatch);
 
 // Validation routes
 router.post('/validate/smartcard', vtuController.validateSmartcard);
@@ -31,4 +47,18 @@ router.post('/validate/meter', vtuController.validateMeter);
 router.get('/balance', vtuController.getVTUBalance);
 router.get('/transaction-status/:request_id', vtuController.getTransactionStatus);
 
+// Provider routing routes (admin only)
+router.get('/providers', roleMiddleware(['admin']), vtuController.getProviderHealth);
+router.get('/routing-rules', roleMiddleware(['admin']), vtuController.getRoutingRules);
+router.post('/routing-rules', roleMiddleware(['admin']), validateRequest('routingRule'), audit('routing_rule.create', { targetType: 'routing_rule' }), vtuController.createRoutingRule);
+router.put('/routing-rules/:id', roleMiddleware(['admin']), validateRequest('routingRuleUpdate'), audit('routing_rule.update', { targetType: 'routing_rule' }), vtuController.updateRoutingRule);
+router.delete('/routing-rules/:id', roleMiddleware(['admin']), audit('routing_rule.delete', { targetType: 'routing_rule' }), vtuController.deleteRoutingRule);
+router.get('/catalogue', roleMiddleware(['admin']), vtuController.getCatalogue);
+router.post('/catalogue/sync', roleMiddleware(['admin']), audit('catalogue.sync'), vtuController.syncCatalogue);
+router.put('/catalogue/:id', roleMiddleware(['admin']), validateRequest('catalogueEntry'), audit('catalogue.update', { targetType: 'catalogue_entry' }), vtuController.updateCatalogueEntry);
+router.get('/settlement-reports', roleMiddleware(['admin']), vtuController.getSettlementReports);
+router.post('/settlement-reports', roleMiddleware(['admin']), vtuController.generateSettlementReport);
+router.get('/settlement-reports/:date', roleMiddleware(['admin']), vtuController.getSettlementReport);
+router.get('/settlement-reports/:date/csv', roleMiddleware(['admin']), vtuController.downloadSettlementReport);
+
 module.exports = router;
@@ -2,7 +2,11 @@ const express = require('express');
 const router = express.Router();
 const walletController = require('../controllers/walletController');
 const authMiddleware = require('../middlewares/authMiddleware');
+const roleMiddleware = require('../middlewares/roleMiddleware');
 const { validateRequest } = require('../middlewares/validateRequest');
+const { audit } = require('../middlewares/auditMiddleware');
+const { idempotency } = require('../middlewares/idempotencyMiddleware');
+const { useBeneficiary } = require('../middlewares/beneficiaryMiddleware');
 
 // Webhook route (no authentication required)
 router.post('/webhook', walletController.handleWebhook);
@@ -21,9 +25,17 @@ router.post('/fund', walletController.fundWallet);
 router.post('/deposit', validateRequest('deposit'), walletController.initiateDeposit);
 router.post('/verify', walletController.verifyPayment);
 
+// Dedicated virtual account for bank-transfer funding
+router.get('/virtual-account', walletController.getVirtualAccount);
+router.post('/virtual-account', validateRequest('virtualAccount'), walletController.createVirtualAccount);
+
 // Withdraw and transfer
-router.post('/withdraw', validateRequest('withdraw'), walletController.withdraw);
-router.post('/transfer', validateRequest('transfer'), walletController.transfer);
+router.get('/banks', walletController.getBanks);
+router.post('/withdraw/resolve-account', validateRequest('resolveBankAccount'), walletController.resolveBankAccount);
+router.post('/withdraw', useBeneficiary('withdraw'), validateRequest('withdraw'), idempotency('wallet.withdraw'), walletController.withdraw);
+router.get('/withdrawals/:reference', walletController.getWithdrawal);
+router.post('/transfer/preview', useBeneficiary('transfer'), validateRequest('transferPreview'), walletController.previewTransfer);
+router.post('/transfer', useBeneficiary('transfer'), validateRequest('transfer'), idempotency('wallet.transfer'), walletController.transfer);
 
 // Get transaction history
 router.get('/transactions', walletController.getTransactionHistory);
@@ -31,4 +43,10 @@ router.get('/transactions', walletController.getTransactionHistory);
 // Get wallet statistics
 router.get('/stats', walletController.getWalletStats);
 
+// Ledger checks
+router.get('/ledger/check', walletController.getLedgerCheck);
+router.get('/ledger/check/:userId', roleMiddleware(['admin']), walletController.getUserLedgerCheck);
+router.get('/ledger/trial-balance', roleMiddleware(['admin']), walletController.getTrialBalance);
+router.post('/ledger/opening-balances', roleMiddleware(['admin']), audit('ledger.opening_balances'), walletController.openLedgerBalances);
+
 module.exports = router;
@@ -2,6 +2,10 @@ const express = require('express');
 const router = express.Router();
 const { flutterwaveService } = require('../services/flutterwaveService');
 const { walletService } = require('../services/walletService');
+const { ACCOUNTS } = require('../services/ledgerService');
+const { withdrawalService } = require('../services/withdrawalService');
+const { virtualAccountService } = require('../services/virtualAccountService');
+const { disputeService } = require('../services/disputeService');
 const { supabase } = require('../config/supabase');
 const { realtimeHandler } = require('../utils/realtimeHandler');
 const { generateResponse } = require('../utils/helpers');
@@ -129,6 +133,97 @@ router.post('/api/v1/payment/webhook', async (req, res) => {
       return res.status(400).json({ success: false, message: result.message });
     }
 
+    // Handle withdrawal payout results
+    if (result.action === 'settle_withdrawal') {
+      const outcome = await withdrawalService.handleTransferEvent(result.data);
+
+      console.log('🏦 Transfer webhook processed:', {
+        eventId,
+        reference: result.data.reference,
+        outcome
+      });
+
+      if (webhookRecord) {
+        await supabase
+          .from('flutterwave_webhooks')
+          .update({ 
+            processed: true,
+            processed_at: new Date().toISOString()
+          })
+          .eq('id', webhookRecord.id);
+      }
+    }
+
+    // Handle chargebacks: record the dispute and hold the funds
+    if (result.action === 'record_dispute') {
+      const { status, dispute } = await disputeService.recordFromProvider(result.data);
+
+      console.log('⚖️ Dispute webhook processed:', {
+        eventId,
+        chargebackId: result.data.chargebackId,
+        reference: dispute?.reference,
+        outcome: status
+      });
+
+      if (webhookRecord) {
+        await supabase
+          .from('flutterwave_webhooks')
+          .update({
+            processed: true,
+            processed_at: new Date().toISOString(),
+            user_id: dispute?.user_id || null
+          })
+          .eq('id', webhookRecord.id);
+      }
+    }
+
+    // Handle bank transfers into dedicated virtual accounts
+    if (result.action === 'credit_virtual_account') {
+      const outcome = await virtualAccountService.creditTransfer(result.data);
+
+      console.log('🏦 Virtual account webhook processed:', {
+        eventId,
+        txRef: result.data.txRef,
+        outcome: outcome.status
+      });
+
+      if (outcome.status === 'credited') {
+        try {
+          await realtimeHandler.sendNotification(outcome.userId, {
+            title: 'Wallet Funded Successfully',
+            message: outcome.fee > 0
+              ? `₦${Number(outcome.net).toLocaleString()} has been added to your wallet (₦${Number(outcome.amount).toLocaleString()} received, ₦${Number(outcome.fee).toLocaleString()} fee).`
+              : `₦${Number(outcome.net).toLocaleString()} has been added to your wallet successfully.`,
+            type: 'wallet_funding',
+            data: {
+              amount: outcome.amount,
+              fee: outcome.fee,
+              reference: outcome.reference,
+              newBalance: outcome.new_balance,
+              timestamp: new Date().toISOString()
+            }
+          });
+        } catch (notificationError) {
+          console.error('❌ Failed to send notification:', {
+            eventId,
+            userId: outcome.userId,
+            error: notificationError.message
+          });
+        }
+      }
+
+      if (webhookRecord) {
+        await supabase
+          .from('flutterwave_webhooks')
+          .update({
+            processed: true,
+            processed_at: new Date().toISOString(),
+            user_id: outcome.userId || null
+          })
+          .eq('id', webhookRecord.id);
+      }
+    }
+
     // Handle wallet credit action
     if (result.action === 'credit_wallet') {
       const { txRef, amount, userId, flwRef, customer } = result.data;
@@ -178,7 +273,8 @@ router.post('/api/v1/payment/webhook', async (req, res) => {
         userId, 
         amount, 
         `Wallet funding via Flutterwave (webhook) - ${txRef}`, 
-        txRef
+        txRef,
+        { account: ACCOUNTS.FLUTTERWAVE_CLEARING, kind: 'deposit' }
       );
 
       // Update payment log
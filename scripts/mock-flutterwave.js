@@ -0,0 +1,290 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Flutterwave server for local development and tests
+ *
+ * Serves the parts of the v3 API that withdrawals use (banks, account resolve, transfers)
+ * and virtual account funding uses (virtual account numbers, transaction verify), and
+ * sends signed transfer.completed and charge.completed webhooks back to the backend.
+ *
+ *   node scripts/mock-flutterwave.js
+ *   FLUTTERWAVE_BASE_URL=http://localhost:4010/v3 npm start
+ *
+ * Account numbers drive the outcome:
+ *   000xxxxxxx - cannot be resolved
+ *   xxxxxxxx98 - transfer rejected when it is started
+ *   xxxxxxxx99 - transfer accepted, then fails
+ *   anything else - transfer succeeds
+ *
+ * In tests, require it and control it directly:
+ *   const mock = createMockFlutterwave({ webhookUrl, settleAfter: null });
+ *   const server = await mock.start(0);
+ *   await mock.settle(transferId, 'FAILED');
+ *   await mock.receiveBankTransfer(accountNumber, 5000);
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+
+const BANKS = [
+    { id: 1, code: '044', name: 'Access Bank' },
+    { id: 2, code: '058', name: 'Guaranty Trust Bank' },
+    { id: 3, code: '057', name: 'Zenith Bank' },
+    { id: 4, code: '011', name: 'First Bank of Nigeria' },
+    { id: 5, code: '033', name: 'United Bank For Africa' },
+    { id: 6, code: '50515', name: 'Moniepoint MFB' }
+];
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.webhookUrl] - Where transfer.completed webhooks are posted (none when empty)
+ * @param {string} [options.webhookSecret] - Signs webhooks the way flutterwaveService.verifyWebhookSignature expects
+ * @param {number|null} [options.settleAfter] - ms before a transfer settles by itself; null to settle only via settle()
+ */
+function createMockFlutterwave({
+    webhookUrl = process.env.MOCK_FLUTTERWAVE_WEBHOOK_URL,
+    webhookSecret = process.env.FLUTTERWAVE_WEBHOOK_SECRET,
+    settleAfter = 2000
+} = {}) {
+    const app = express();
+    const transfers = new Map();
+    const virtualAccounts = new Map();
+    const charges = new Map();
+    const webhooks = [];
+    let nextId = 1000;
+    let server = null;
+
+    app.use(express.json());
+
+    // Every v3 call needs a bearer secret key
+    app.use('/v3', (req, res, next) => {
+        if (!/^Bearer \S+/.test(req.headers.authorization || '')) {
+            return res.status(401).json({ status: 'error', message: 'Authorization required', data: null });
+        }
+        next();
+    });
+
+    app.get('/v3/banks/NG', (req, res) => {
+        res.json({ status: 'success', message: 'Banks fetched successfully', data: BANKS });
+    });
+
+    app.post('/v3/accounts/resolve', (req, res) => {
+        const { account_number, account_bank } = req.body;
+        const bank = BANKS.find(item => item.code === String(account_bank));
+
+        if (!bank || !/^\d{10}$/.test(String(account_number)) || String(account_number).startsWith('000')) {
+            return res.status(400).json({ status: 'error', message: 'Sorry, that account number is invalid, please check and try again', data: null });
+        }
+
+        res.json({
+            status: 'success',
+            message: 'Account details fetched',
+            data: { account_number: String(account_number), account_name: `MOCK ACCOUNT ${String(account_number).slice(-4)}` }
+        });
+    });
+
+    app.post('/v3/transfers', (req, res) => {
+        const { account_bank, account_number, amount, reference, narration, meta } = req.body;
+        const bank = BANKS.find(item => item.code === String(account_bank));
+
+        if (!bank || !account_number || !(parseFloat(amount) > 0) || !reference) {
+            return res.status(400).json({ status: 'error', message: 'Invalid transfer request', data: null });
+        }
+
+        if ([...transfers.values()].some(transfer => transfer.reference === reference)) {
+            return res.status(400).json({ status: 'error', message: 'Transfer with this reference already exists', data: null });
+        }
+
+        if (String(account_number).endsWith('98')) {
+            return res.status(400).json({ status: 'error', message: 'Transfer could not be initiated', data: null });
+        }
+
+        const transfer = {
+            id: nextId++,
+            account_number: String(account_number),
+            bank_code: bank.code,
+            bank_name: bank.name,
+            full_name: `MOCK ACCOUNT ${String(account_number).slice(-4)}`,
+            created_at: new Date().toISOString(),
+            currency: 'NGN',
+            debit_currency: 'NGN',
+            amount: parseFloat(amount),
+            fee: 10.75,
+            status: 'NEW',
+            reference,
+            meta: meta || null,
+            narration: narration || null,
+            complete_message: '',
+            requires_approval: 0,
+            is_approved: 1
+        };
+        transfers.set(transfer.id, transfer);
+
+        if (settleAfter !== null) {
+            setTimeout(() => {
+                settle(transfer.id, String(account_number).endsWith('99') ? 'FAILED' : 'SUCCESSFUL')
+                    .catch(error => console.error('Mock Flutterwave settle error:', error.message));
+            }, settleAfter).unref();
+        }
+
+        res.json({ status: 'success', message: 'Transfer Queued Successfully', data: transfer });
+    });
+
+    app.get('/v3/transfers/:id', (req, res) => {
+        const transfer = transfers.get(parseInt(req.params.id, 10));
+
+        if (!transfer) {
+            return res.status(404).json({ status: 'error', message: 'Transfer not found', data: null });
+        }
+
+        res.json({ status: 'success', message: 'Transfer fetched', data: transfer });
+    });
+
+    app.post('/v3/virtual-account-numbers', (req, res) => {
+        const { email, bvn, tx_ref, is_permanent, firstname, lastname } = req.body;
+
+        if (!email || !tx_ref || (is_permanent && !/^\d{11}$/.test(String(bvn || '')))) {
+            return res.status(400).json({ status: 'error', message: 'BVN is required for static account number', data: null });
+        }
+
+        const id = nextId++;
+        const account = {
+            response_code: '02',
+            response_message: 'Transaction in progress',
+            flw_ref: `FLW-MOCK-VA-${id}`,
+            order_ref: `URF_MOCK_${id}`,
+            account_number: `78${String(id).padStart(8, '0')}`,
+            frequency: 'N/A',
+            bank_name: 'Mock Wema Bank',
+            created_at: new Date().toISOString(),
+            expiry_date: 'N/A',
+            note: `Please make a bank transfer to ${firstname || ''} ${lastname || ''}`.trim(),
+            amount: null,
+            tx_ref,
+            email
+        };
+        virtualAccounts.set(account.account_number, account);
+
+        res.json({ status: 'success', message: 'Virtual account created', data: account });
+    });
+
+    app.get('/v3/transactions/:id/verify', (req, res) => {
+        const charge = charges.get(parseInt(req.params.id, 10));
+
+        if (!charge) {
+            return res.status(404).json({ status: 'error', message: 'No transaction was found for this id', data: null });
+        }
+
+        res.json({ status: 'success', message: 'Transaction fetched successfully', data: charge });
+    });
+
+    /**
+     * Simulate a bank transfer into a virtual account and send its charge.completed webhook
+     * @param {string} accountNumber - Virtual account number
+     * @param {number} amount
+     * @param {Object} [sender] - { name, account_number, bank }
+     */
+    async function receiveBankTransfer(accountNumber, amount, sender = {}) {
+        const account = virtualAccounts.get(String(accountNumber));
+        if (!account) {
+            throw new Error(`Unknown virtual account ${accountNumber}`);
+        }
+
+        const charge = {
+            id: nextId++,
+            tx_ref: account.tx_ref,
+            flw_ref: `FLW-MOCK-${Date.now()}`,
+            amount: parseFloat(amount),
+            currency: 'NGN',
+            charged_amount: parseFloat(amount),
+            app_fee: 0,
+            status: 'successful',
+            payment_type: 'bank_transfer',
+            created_at: new Date().toISOString(),
+            customer: { email: account.email },
+            meta: {
+                originatorname: sender.name || 'MOCK SENDER',
+                originatoraccountnumber: sender.account_number || '0123456789',
+                bankname: sender.bank || 'Access Bank',
+                originatoramount: 'N/A'
+            }
+        };
+        charges.set(charge.id, charge);
+
+        const { meta, ...data } = charge;
+        return sendWebhook({ event: 'charge.completed', 'event.type': 'BANK_TRANSFER_TRANSACTION', data });
+    }
+
+    /**
+     * Finish a transfer and send its webhook
+     * @param {number} id - Transfer id
+     * @param {string} status - SUCCESSFUL | FAILED
+     */
+    async function settle(id, status = 'SUCCESSFUL') {
+        const transfer = transfers.get(id);
+        if (!transfer) {
+            throw new Error(`Unknown transfer ${id}`);
+        }
+
+        transfer.status = status;
+        transfer.complete_message = status === 'SUCCESSFUL' ? 'Successful' : 'DISBURSE FAILED: Beneficiary bank unavailable';
+
+        return sendWebhook({ event: 'transfer.completed', 'event.type': 'Transfer', data: { ...transfer } });
+    }
+
+    /**
+     * Record a webhook and post it, signed, to webhookUrl
+     */
+    async function sendWebhook(payload) {
+        webhooks.push(payload);
+
+        if (!webhookUrl) {
+            return payload;
+        }
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (webhookSecret) {
+            headers['verif-hash'] = crypto.createHmac('sha256', webhookSecret).update(JSON.stringify(payload)).digest('hex');
+        }
+
+        await axios.post(webhookUrl, payload, { headers, timeout: 10000 });
+        return payload;
+    }
+
+    return {
+        app,
+        transfers,
+        virtualAccounts,
+        charges,
+        webhooks,
+        settle,
+        receiveBankTransfer,
+        /**
+         * @param {number} [port] - 0 picks a free port
+         * @returns {Promise<string>} Base URL to use as FLUTTERWAVE_BASE_URL
+         */
+        start(port = 4010) {
+            return new Promise((resolve) => {
+                server = app.listen(port, () => resolve(`http://localhost:${server.address().port}/v3`));
+            });
+        },
+        stop() {
+            return new Promise((resolve) => (server ? server.close(() => resolve()) : resolve()));
+        }
+    };
+}
+
+if (require.main === module) {
+    const port = parseInt(process.env.MOCK_FLUTTERWAVE_PORT || '4010', 10);
+    const mock = createMockFlutterwave({
+        webhookUrl: process.env.MOCK_FLUTTERWAVE_WEBHOOK_URL || 'http://localhost:8000/api/v1/payment/webhook'
+    });
+
+    mock.start(port).then((baseUrl) => {
+        console.log(`🧪 Mock Flutterwave listening on ${baseUrl}`);
+        console.log('   Set FLUTTERWAVE_BASE_URL to this URL to use it');
+    });
+}
+
+module.exports = { createMockFlutterwave };
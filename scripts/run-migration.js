@@ -61,6 +61,25 @@ async function runMigration(migrationFile) {
     }
 }
 
+/**
+ * Run a migration file in a single exec_sql call. Function bodies contain semicolons,
+ * so unlike runMigration() this never falls back to splitting the file into statements.
+ * @param {string} migrationFile - Path to the migration SQL file
+ */
+async function runSqlFile(migrationFile) {
+    console.log(`🔄 Running migration: ${migrationFile}`);
+    
+    const sqlContent = fs.readFileSync(migrationFile, 'utf8');
+    const { error } = await supabaseAdmin.rpc('exec_sql', { sql_query: sqlContent });
+    
+    if (error) {
+        console.error(`❌ Migration failed: ${error.message}`);
+        throw error;
+    }
+    
+    console.log(`✅ Migration completed successfully: ${migrationFile}`);
+}
+
 /**
  * Alternative method to create tables using Supabase's SQL editor approach
  */
@@ -168,7 +187,21 @@ async function verifyTables() {
 }
 
 // Main execution
+// With a file argument (npm run migrate -- migrations/005_wallet_ledger.sql) that migration is
+// run through exec_sql; without one, the payment system migration instructions are printed.
 async function main() {
+    const migrationFile = process.argv[2];
+    
+    if (migrationFile) {
+        try {
+            await runSqlFile(path.resolve(migrationFile));
+        } catch (error) {
+            console.log(`Note: if exec_sql is not installed, run ${migrationFile} manually in the Supabase SQL editor.`);
+            process.exit(1);
+        }
+        return;
+    }
+    
     console.log('🚀 Starting Payment System Migration');
     
     try {
@@ -191,6 +224,7 @@ if (require.main === module) {
 
 module.exports = {
     runMigration,
+    runSqlFile,
     executePaymentSystemMigration,
     verifyTables
 };
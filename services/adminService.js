@@ -0,0 +1,532 @@
+const { supabaseAdmin } = require('../config/supabase');
+const User = require('../models/User');
+const Reseller = require('../models/Reseller');
+const { walletService } = require('./walletService');
+const { resellerService } = require('./resellerService');
+const { referralService } = require('./referralService');
+const { ACCOUNTS } = require('./ledgerService');
+const { auditService } = require('./auditService');
+const { generateReference, toISOTimestamp } = require('../utils/helpers');
+
+// Discount and commission fields an admin can set on a reseller (percentages)
+const RESELLER_RATE_FIELDS = [
+    'airtime_discount', 'data_discount', 'cable_discount', 'electricity_discount',
+    'airtime_commission', 'data_commission', 'cable_commission', 'electricity_commission'
+];
+
+const MIN_REASON_LENGTH = 5;
+
+class AdminError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} code - NOT_FOUND | INVALID_STATUS | INVALID_INPUT | REASON_REQUIRED | SELF_ACTION
+     */
+    constructor(message, code = 'ADMIN_ERROR') {
+        super(message);
+        this.name = 'AdminError';
+        this.code = code;
+    }
+}
+
+// Characters that would break out of a PostgREST or() filter
+const cleanSearch = (search) => String(search || '').replace(/[,()%*\\]/g, ' ').trim().slice(0, 100);
+
+/**
+ * Parse the from / to filters of a search
+ * @throws {AdminError} INVALID_INPUT for a date that cannot be parsed or an inverted range
+ */
+const toDateRange = (from, to) => {
+    const range = { from: from ? toISOTimestamp(from) : null, to: to ? toISOTimestamp(to) : null };
+
+    if ((from && !range.from) || (to && !range.to)) {
+        throw new AdminError(`Invalid ${from && !range.from ? 'from' : 'to'} date; use an ISO date such as 2026-01-31`, 'INVALID_INPUT');
+    }
+
+    if (range.from && range.to && range.from > range.to) {
+        throw new AdminError('The from date must be before the to date', 'INVALID_INPUT');
+    }
+
+    return range;
+};
+
+const toPage = (page, limit) => {
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    return { pageNumber, pageSize, offset: (pageNumber - 1) * pageSize };
+};
+
+/**
+ * Back-office operations for /admin
+ * Wraps the user, reseller, wallet and referral operations that had no route of their own.
+ * Manual wallet adjustments are recorded in wallet_adjustments:
+ *   user_id, admin_id, direction (credit | debit), amount, reason, reference,
+ *   transaction_id, balance_after, created_at
+ * and post against the MANUAL_ADJUSTMENTS ledger account.
+ * Every change takes the acting admin (auditService.actorFrom(req)) and is written to the
+ * audit log with the state before and after.
+ */
+class AdminService {
+    /**
+     * Search users by name, email or phone
+     */
+    async searchUsers({ search, role, status, page, limit } = {}) {
+        const { pageNumber, pageSize, offset } = toPage(page, limit);
+
+        let query = supabaseAdmin
+            .from('users')
+            .select('*', { count: 'exact' })
+            .order('created_at', { ascending: false })
+            .range(offset, offset + pageSize - 1);
+
+        if (role) {
+            query = query.eq('role', role);
+        }
+
+        if (status) {
+            query = query.eq('status', status);
+        }
+
+        const term = cleanSearch(search);
+        if (term) {
+            query = query.or(`full_name.ilike.%${term}%,email.ilike.%${term}%,phone.ilike.%${term}%`);
+        }
+
+        const { data, error, count } = await query;
+
+        if (error) {
+            throw error;
+        }
+
+        return { items: (data || []).map(user => new User(user)), total: count || 0, page: pageNumber, limit: pageSize };
+    }
+
+    /**
+     * A user with their wallet and reseller record
+     */
+    async getUser(userId) {
+        const user = await User.findById(userId);
+
+        if (!user) {
+            throw new AdminError('User not found', 'NOT_FOUND');
+        }
+
+        const [wallet, reseller] = await Promise.all([
+            user.getWallet().catch(() => null),
+            Reseller.findByUserId(userId)
+        ]);
+
+        return { ...user.toJSON(), wallet, reseller: reseller ? reseller.toJSON() : null };
+    }
+
+    /**
+     * Suspend a user; they are signed out of every route on their next request
+     */
+    async suspendUser(actor, userId, reason) {
+        this.requireReason(reason);
+
+        if (actor.id === userId) {
+            throw new AdminError('You cannot suspend your own account', 'SELF_ACTION');
+        }
+
+        const user = await this.findUser(userId);
+
+        if (user.status === 'suspended') {
+            throw new AdminError('User is already suspended', 'INVALID_STATUS');
+        }
+
+        const before = user.toJSON();
+        await user.suspend(reason.trim());
+        console.log(`🚫 User ${userId} suspended by admin ${actor.id}: ${reason.trim()}`);
+
+        const updated = await User.findById(userId);
+        await auditService.record(actor, 'user.suspend', {
+            target_type: 'user', target_id: userId, before, after: updated.toJSON(), reason: reason.trim()
+        });
+
+        return updated;
+    }
+
+    /**
+     * Lift a suspension
+     */
+    async reactivateUser(actor, userId) {
+        const user = await this.findUser(userId);
+
+        if (user.status !== 'suspended') {
+            throw new AdminError('User is not suspended', 'INVALID_STATUS');
+        }
+
+        const before = user.toJSON();
+        await user.reactivate();
+        console.log(`✅ User ${userId} reactivated by admin ${actor.id}`);
+
+        const updated = await User.findById(userId);
+        await auditService.record(actor, 'user.reactivate', {
+            target_type: 'user', target_id: userId, before, after: updated.toJSON()
+        });
+
+        return updated;
+    }
+
+    /**
+     * Freeze or unfreeze a user's wallet
+     */
+    async setWalletFrozen(actor, userId, frozen, reason) {
+        this.requireReason(reason);
+        await this.findUser(userId);
+
+        const status = await walletService.isWalletFrozen(userId);
+        if (status.is_frozen === frozen) {
+            throw new AdminError(frozen ? 'Wallet is already frozen' : 'Wallet is not frozen', 'INVALID_STATUS');
+        }
+
+        const result = frozen
+            ? await walletService.freezeWallet(userId, reason.trim(), actor)
+            : await walletService.unfreezeWallet(userId, reason.trim(), actor);
+
+        console.log(`${frozen ? '🧊' : '🔥'} Wallet of ${userId} ${frozen ? 'frozen' : 'unfrozen'} by admin ${actor.id}: ${reason.trim()}`);
+
+        return { ...result, wallet: await walletService.getWallet(userId) };
+    }
+
+    /**
+     * Set a user's daily and monthly spending limits
+     */
+    async setWalletLimits(actor, userId, { daily_limit, monthly_limit, reason }) {
+        this.requireReason(reason);
+
+        const daily = parseFloat(daily_limit);
+        const monthly = parseFloat(monthly_limit);
+
+        if (!(daily > 0) || !(monthly > 0)) {
+            throw new AdminError('Daily and monthly limits must be greater than zero', 'INVALID_INPUT');
+        }
+
+        if (daily > monthly) {
+            throw new AdminError('Daily limit cannot be more than the monthly limit', 'INVALID_INPUT');
+        }
+
+        await this.findUser(userId);
+
+        const result = await walletService.setSpendingLimit(userId, daily, monthly, actor, reason.trim());
+        console.log(`📏 Spending limits of ${userId} set to ₦${daily}/day, ₦${monthly}/month by admin ${actor.id}`);
+
+        return { ...result, daily_limit: daily, monthly_limit: monthly };
+    }
+
+    /**
+     * Credit or debit a wallet by hand. The reason is stored with the adjustment and shown
+     * on the user's transaction.
+     */
+    async adjustWallet(actor, userId, { direction, amount, reason }) {
+        this.requireReason(reason);
+
+        if (!['credit', 'debit'].includes(direction)) {
+            throw new AdminError('Direction must be credit or debit', 'INVALID_INPUT');
+        }
+
+        const value = Math.round(parseFloat(amount) * 100) / 100;
+        if (!(value > 0)) {
+            throw new AdminError('Amount must be greater than zero', 'INVALID_INPUT');
+        }
+
+        await this.findUser(userId);
+
+        const reference = generateReference('ADJ');
+        const description = `Adjustment: ${reason.trim()}`;
+        const ledger = { account: ACCOUNTS.MANUAL_ADJUSTMENTS, kind: `adjustment_${direction}` };
+
+        const result = direction === 'credit'
+            ? await walletService.credit(userId, value, description, reference, ledger)
+            : await walletService.debit(userId, value, description, reference, ledger);
+
+        const { data: adjustment, error } = await supabaseAdmin
+            .from('wallet_adjustments')
+            .insert({
+                user_id: userId,
+                admin_id: actor.id,
+                direction,
+                amount: value,
+                reason: reason.trim(),
+                reference,
+                transaction_id: result.transaction?.id || null,
+                balance_after: result.new_balance,
+                created_at: new Date().toISOString()
+            })
+            .select()
+            .single();
+
+        if (error) {
+            // The money has moved; the wallet transaction still carries the reason and reference
+            console.error('❌ Failed to record wallet adjustment:', { reference, error: error.message });
+        }
+
+        console.log(`🧾 Wallet ${direction} of ₦${value} for ${userId} by admin ${actor.id} (${reference})`);
+
+        await auditService.record(actor, `wallet.adjust_${direction}`, {
+            target_type: 'wallet',
+            target_id: userId,
+            before: { balance: Math.round((Number(result.new_balance) + (direction === 'credit' ? -value : value)) * 100) / 100 },
+            after: { balance: Number(result.new_balance) },
+            reason: reason.trim(),
+            metadata: { amount: value, reference, transaction_id: result.transaction?.id || null }
+        });
+
+        return {
+            adjustment: adjustment || { user_id: userId, admin_id: actor.id, direction, amount: value, reason: reason.trim(), reference },
+            new_balance: result.new_balance,
+            transaction: result.transaction
+        };
+    }
+
+    /**
+     * List reseller applications and accounts with their owner
+     */
+    async listResellers({ status, level, search, page, limit } = {}) {
+        const { pageNumber, pageSize, offset } = toPage(page, limit);
+
+        let query = supabaseAdmin
+            .from('resellers')
+            .select('*, users!inner(full_name, email, phone, status)', { count: 'exact' })
+            .order('created_at', { ascending: false })
+            .range(offset, offset + pageSize - 1);
+
+        if (status) {
+            query = query.eq('status', status);
+        }
+
+        if (level) {
+            query = query.eq('level', level);
+        }
+
+        const term = cleanSearch(search);
+        if (term) {
+            query = query.or(`business_name.ilike.%${term}%,reseller_code.ilike.%${term}%`);
+        }
+
+        const { data, error, count } = await query;
+
+        if (error) {
+            throw error;
+        }
+
+        return { items: data || [], total: count || 0, page: pageNumber, limit: pageSize };
+    }
+
+    /**
+     * Approve a pending application (the user becomes a reseller with the default rates)
+     */
+    async approveReseller(actor, resellerId) {
+        const reseller = await this.findReseller(resellerId);
+
+        if (reseller.status !== Reseller.STATUSES.PENDING) {
+            throw new AdminError(`Only pending applications can be approved (this one is ${reseller.status})`, 'INVALID_STATUS');
+        }
+
+        const before = reseller.toJSON();
+        const approved = await reseller.approve();
+        console.log(`✅ Reseller ${resellerId} approved by admin ${actor.id}`);
+
+        await auditService.record(actor, 'reseller.approve', {
+            target_type: 'reseller', target_id: resellerId, before, after: approved.toJSON()
+        });
+
+        return approved.toJSON();
+    }
+
+    /**
+     * Reject a pending application
+     */
+    async rejectReseller(actor, resellerId, reason) {
+        this.requireReason(reason);
+
+        const reseller = await this.findReseller(resellerId);
+
+        if (reseller.status !== Reseller.STATUSES.PENDING) {
+            throw new AdminError(`Only pending applications can be rejected (this one is ${reseller.status})`, 'INVALID_STATUS');
+        }
+
+        const before = reseller.toJSON();
+        const rejected = await reseller.reject(reason.trim());
+        console.log(`❌ Reseller ${resellerId} rejected by admin ${actor.id}: ${reason.trim()}`);
+
+        await auditService.record(actor, 'reseller.reject', {
+            target_type: 'reseller', target_id: resellerId, before, after: rejected.toJSON(), reason: reason.trim()
+        });
+
+        return rejected.toJSON();
+    }
+
+    /**
+     * Change an approved reseller's discounts and commissions. Fields that are not sent keep
+     * their current value.
+     */
+    async setResellerRates(actor, resellerId, rates = {}) {
+        const reseller = await this.findReseller(resellerId);
+
+        if (reseller.status !== Reseller.STATUSES.APPROVED) {
+            throw new AdminError('Rates can only be set for approved resellers', 'INVALID_STATUS');
+        }
+
+        const changes = {};
+        for (const field of RESELLER_RATE_FIELDS) {
+            if (rates[field] === undefined) {
+                continue;
+            }
+
+            const value = parseFloat(rates[field]);
+            if (isNaN(value) || value < 0 || value > 100) {
+                throw new AdminError(`${field} must be a percentage between 0 and 100`, 'INVALID_INPUT');
+            }
+            changes[field] = value;
+        }
+
+        if (Object.keys(changes).length === 0) {
+            throw new AdminError(`Send at least one of: ${RESELLER_RATE_FIELDS.join(', ')}`, 'INVALID_INPUT');
+        }
+
+        // setResellerDiscounts writes every field, so start from the current rates
+        const current = Object.fromEntries(RESELLER_RATE_FIELDS.map(field => [field, reseller[field]]));
+        await resellerService.setResellerDiscounts(reseller.user_id, { ...current, ...changes });
+
+        console.log(`💱 Reseller ${resellerId} rates updated by admin ${actor.id}:`, changes);
+
+        await auditService.record(actor, 'reseller.rates_update', {
+            target_type: 'reseller', target_id: resellerId, before: current, after: { ...current, ...changes }
+        });
+
+        return (await Reseller.findById(resellerId)).toJSON();
+    }
+
+    /**
+     * Set the bonus paid for each successful referral
+     */
+    async setReferralBonus(actor, amount) {
+        const value = parseFloat(amount);
+
+        if (isNaN(value) || value < 0) {
+            throw new AdminError('Referral bonus must be zero or more', 'INVALID_INPUT');
+        }
+
+        const { data: current } = await supabaseAdmin
+            .from('platform_settings')
+            .select('value')
+            .eq('key', 'referral_bonus')
+            .maybeSingle();
+
+        const result = await referralService.setReferralBonus(value);
+        console.log(`🎁 Referral bonus set to ₦${value} by admin ${actor.id}`);
+
+        await auditService.record(actor, 'settings.referral_bonus', {
+            target_type: 'platform_setting',
+            target_id: 'referral_bonus',
+            before: { referral_bonus: current ? parseFloat(current.value) : null },
+            after: { referral_bonus: value }
+        });
+
+        return { ...result, referral_bonus: value };
+    }
+
+    /**
+     * Search transactions across all users
+     */
+    async listTransactions({ user_id, type, status, reference, from, to, page, limit } = {}) {
+        const { pageNumber, pageSize, offset } = toPage(page, limit);
+        const range = toDateRange(from, to);
+
+        let query = supabaseAdmin
+            .from('transactions')
+            .select('*, users(full_name, email)', { count: 'exact' })
+            .order('created_at', { ascending: false })
+            .range(offset, offset + pageSize - 1);
+
+        if (user_id) {
+            query = query.eq('user_id', user_id);
+        }
+
+        if (type) {
+            query = query.eq('type', type);
+        }
+
+        if (status) {
+            query = query.eq('status', status);
+        }
+
+        if (reference) {
+            query = query.eq('payment_reference', reference);
+        }
+
+        if (range.from) {
+            query = query.gte('created_at', range.from);
+        }
+
+        if (range.to) {
+            query = query.lte('created_at', range.to);
+        }
+
+        const { data, error, count } = await query;
+
+        if (error) {
+            throw error;
+        }
+
+        return { items: data || [], total: count || 0, page: pageNumber, limit: pageSize };
+    }
+
+    /**
+     * Any transaction with its owner
+     */
+    async getTransaction(transactionId) {
+        const { data, error } = await supabaseAdmin
+            .from('transactions')
+            .select('*, users(id, full_name, email, phone, role, status)')
+            .eq('id', transactionId)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        if (!data) {
+            throw new AdminError('Transaction not found', 'NOT_FOUND');
+        }
+
+        return data;
+    }
+
+    requireReason(reason) {
+        if (typeof reason !== 'string' || reason.trim().length < MIN_REASON_LENGTH) {
+            throw new AdminError(`A reason of at least ${MIN_REASON_LENGTH} characters is required`, 'REASON_REQUIRED');
+        }
+    }
+
+    async findUser(userId) {
+        const user = await User.findById(userId);
+
+        if (!user) {
+            throw new AdminError('User not found', 'NOT_FOUND');
+        }
+
+        return user;
+    }
+
+    async findReseller(resellerId) {
+        const reseller = await Reseller.findById(resellerId);
+
+        if (!reseller) {
+            throw new AdminError('Reseller not found', 'NOT_FOUND');
+        }
+
+        return reseller;
+    }
+}
+
+// Create singleton instance
+const adminService = new AdminService();
+
+module.exports = {
+    adminService,
+    AdminService,
+    AdminError,
+    RESELLER_RATE_FIELDS
+};
@@ -0,0 +1,538 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { airtimeToCashConfig } = require('../config/airtimeToCash');
+const { walletService } = require('./walletService');
+const { ledgerService, ACCOUNTS } = require('./ledgerService');
+const { notificationService } = require('./notificationService');
+const { generateReference } = require('../utils/helpers');
+
+const PHONE_REGEX = /^(\+234|234|0)[789]\d{9}$/;
+const OPEN_STATUSES = ['pending', 'review'];
+// Requests that still count towards the daily amount limit
+const COUNTED_STATUSES = ['pending', 'review', 'completed'];
+// A sender SIM used by another account within this window is refused
+const SENDER_LOCK_DAYS = 30;
+
+class AirtimeToCashError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} code - DISABLED | UNSUPPORTED_NETWORK | INVALID_AMOUNT | INVALID_PHONE | LIMIT_EXCEEDED
+     *                        | SENDER_IN_USE | NOT_FOUND | INVALID_STATUS
+     */
+    constructor(message, code = 'AIRTIME_TO_CASH_ERROR') {
+        super(message);
+        this.name = 'AirtimeToCashError';
+        this.code = code;
+    }
+}
+
+// Amounts are worked out in kobo so credits never pick up float noise
+const toKobo = (amount) => Math.round(parseFloat(amount || 0) * 100);
+
+// 08031234567, 2348031234567 and +2348031234567 are the same SIM
+const normalisePhone = (phone) => {
+    const digits = String(phone || '').replace(/\D/g, '');
+    return digits.startsWith('234') ? `0${digits.substring(3)}` : digits;
+};
+
+// Start of today in Africa/Lagos (+01:00, no daylight saving)
+const startOfLagosDay = (date = new Date()) => {
+    const lagosDate = new Date(date.getTime() + 60 * 60 * 1000).toISOString().split('T')[0];
+    return new Date(`${lagosDate}T00:00:00+01:00`).toISOString();
+};
+
+/**
+ * Airtime-to-cash
+ *
+ * A user declares a transfer (network, the SIM they are sending from, amount), sends the
+ * airtime to the platform SIM for that network and is credited amount x rate% once the
+ * airtime is confirmed. Rates, SIMs and limits live in config/airtimeToCash.js.
+ * Confirmation is either:
+ *   admin - an admin checks the SIM and confirms (optionally with the amount actually received)
+ *   auto  - the SIM gateway reports the incoming transfer to /airtime-to-cash/callback; an exact
+ *           match at or below autoConfirmLimit is credited straight away, anything else is
+ *           left in review for an admin
+ * The credit goes through walletService.credit from the airtime stock ledger account, and
+ * the spread between airtime value and credit is posted to revenue.
+ *
+ * Fraud limits: per-request min/max, a daily amount and request count per user, one open
+ * request per sender SIM, and a sender SIM cannot be used by two accounts within 30 days.
+ *
+ * Stored in airtime_to_cash_requests:
+ *   reference (A2C_, also the wallet transaction reference), user_id, network
+ *   sender_phone, receiving_number, amount (declared), rate (locked at submission)
+ *   status - pending | review -> completed | rejected, or pending -> cancelled | expired
+ *   amount_received, credit_amount, confirmation (admin | auto), confirmed_by
+ *   gateway_reference (unique), rejection_reason, expires_at, completed_at, created_at, updated_at
+ */
+class AirtimeToCashService {
+    /**
+     * Networks accepting airtime, with their rates and the limits that apply
+     */
+    getRates() {
+        return {
+            enabled: airtimeToCashConfig.isReady(),
+            networks: airtimeToCashConfig.getActiveNetworks().map(network => ({
+                network: network.name,
+                rate: network.rate,
+                receiving_number: network.simNumber
+            })),
+            limits: {
+                min_amount: airtimeToCashConfig.minAmount,
+                max_amount: airtimeToCashConfig.maxAmount,
+                daily_amount: airtimeToCashConfig.dailyAmountLimit,
+                daily_requests: airtimeToCashConfig.dailyRequestLimit
+            }
+        };
+    }
+
+    /**
+     * Declare an airtime transfer
+     * @param {Object} user - { id }
+     * @param {Object} request - { network, phone_number, amount }
+     * @returns {Promise<Object>} The request, with the number to send the airtime to
+     */
+    async submit(user, { network, phone_number, amount }) {
+        if (!airtimeToCashConfig.enabled) {
+            throw new AirtimeToCashError('Airtime to cash is currently unavailable', 'DISABLED');
+        }
+
+        const settings = airtimeToCashConfig.getNetwork(network);
+        if (!settings) {
+            throw new AirtimeToCashError(`Airtime to cash is not available for ${network}`, 'UNSUPPORTED_NETWORK');
+        }
+
+        if (!PHONE_REGEX.test(String(phone_number || ''))) {
+            throw new AirtimeToCashError('Invalid phone number format', 'INVALID_PHONE');
+        }
+
+        const value = parseFloat(amount);
+        const { minAmount, maxAmount } = airtimeToCashConfig;
+
+        if (isNaN(value) || value < minAmount || value > maxAmount) {
+            throw new AirtimeToCashError(`Amount must be between ₦${minAmount.toLocaleString()} and ₦${maxAmount.toLocaleString()}`, 'INVALID_AMOUNT');
+        }
+
+        const senderPhone = normalisePhone(phone_number);
+        await this.checkLimits(user.id, senderPhone, value);
+
+        const now = new Date();
+        const { data, error } = await supabaseAdmin
+            .from('airtime_to_cash_requests')
+            .insert({
+                reference: generateReference('A2C'),
+                user_id: user.id,
+                network: settings.name,
+                sender_phone: senderPhone,
+                receiving_number: settings.simNumber,
+                amount: value,
+                rate: settings.rate,
+                status: 'pending',
+                expires_at: new Date(now.getTime() + airtimeToCashConfig.requestTtl).toISOString(),
+                created_at: now.toISOString(),
+                updated_at: now.toISOString()
+            })
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        console.log('📲 Airtime to cash requested:', { reference: data.reference, userId: user.id, network: data.network, amount: value });
+
+        return { ...data, expected_credit: this.creditFor(value, settings.rate) };
+    }
+
+    /**
+     * Fraud limits for a new request
+     * @throws {AirtimeToCashError} LIMIT_EXCEEDED | SENDER_IN_USE
+     */
+    async checkLimits(userId, senderPhone, amount) {
+        const { data: today, error } = await supabaseAdmin
+            .from('airtime_to_cash_requests')
+            .select('amount, status')
+            .eq('user_id', userId)
+            .gte('created_at', startOfLagosDay());
+
+        if (error) {
+            throw error;
+        }
+
+        const { dailyRequestLimit, dailyAmountLimit } = airtimeToCashConfig;
+
+        // Every submission counts towards the request limit, so rejected attempts cannot be retried endlessly
+        if ((today || []).length >= dailyRequestLimit) {
+            throw new AirtimeToCashError(`You can make at most ${dailyRequestLimit} airtime to cash requests a day`, 'LIMIT_EXCEEDED');
+        }
+
+        const used = (today || [])
+            .filter(item => COUNTED_STATUSES.includes(item.status))
+            .reduce((sum, item) => sum + toKobo(item.amount), 0);
+
+        if (used + toKobo(amount) > toKobo(dailyAmountLimit)) {
+            throw new AirtimeToCashError(`This would exceed your daily airtime to cash limit of ₦${dailyAmountLimit.toLocaleString()} (₦${(used / 100).toLocaleString()} used)`, 'LIMIT_EXCEEDED');
+        }
+
+        const since = new Date(Date.now() - SENDER_LOCK_DAYS * 24 * 60 * 60 * 1000).toISOString();
+        const { data: senderRequests, error: senderError } = await supabaseAdmin
+            .from('airtime_to_cash_requests')
+            .select('user_id, status')
+            .eq('sender_phone', senderPhone)
+            .gte('created_at', since);
+
+        if (senderError) {
+            throw senderError;
+        }
+
+        if ((senderRequests || []).some(item => item.user_id !== userId)) {
+            console.warn('🚩 Airtime to cash sender SIM used by another account:', { userId, senderPhone });
+            throw new AirtimeToCashError('This phone number is linked to another account', 'SENDER_IN_USE');
+        }
+
+        if ((senderRequests || []).some(item => OPEN_STATUSES.includes(item.status))) {
+            throw new AirtimeToCashError('There is already an open request for this phone number', 'LIMIT_EXCEEDED');
+        }
+    }
+
+    /**
+     * List requests; users see their own, admins can filter by anything
+     */
+    async list({ user_id, status, network, page = 1, limit = 20 } = {}) {
+        const pageSize = Math.min(parseInt(limit, 10) || 20, 100);
+        const offset = (Math.max(parseInt(page, 10) || 1, 1) - 1) * pageSize;
+
+        let query = supabaseAdmin
+            .from('airtime_to_cash_requests')
+            .select('*', { count: 'exact' })
+            .order('created_at', { ascending: false })
+            .range(offset, offset + pageSize - 1);
+
+        if (user_id) query = query.eq('user_id', user_id);
+        if (status) query = query.eq('status', status);
+        if (network) query = query.eq('network', String(network).toUpperCase());
+
+        const { data, error, count } = await query;
+
+        if (error) {
+            throw error;
+        }
+
+        return { requests: data || [], total: count || 0, page: Math.max(parseInt(page, 10) || 1, 1), limit: pageSize };
+    }
+
+    /**
+     * Get a request, optionally only if it belongs to a user
+     * @returns {Promise<Object|null>}
+     */
+    async get(id, userId = null) {
+        let query = supabaseAdmin
+            .from('airtime_to_cash_requests')
+            .select('*')
+            .eq('id', id);
+
+        if (userId) query = query.eq('user_id', userId);
+
+        const { data, error } = await query.maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    /**
+     * Withdraw a request before any airtime has been confirmed
+     */
+    async cancel(userId, id) {
+        const request = await this.get(id, userId);
+        if (!request) {
+            throw new AirtimeToCashError('Request not found', 'NOT_FOUND');
+        }
+
+        const cancelled = await this.update(request, { status: 'cancelled' }, { expectStatus: 'pending' });
+        if (!cancelled) {
+            throw new AirtimeToCashError(`Request is ${request.status}`, 'INVALID_STATUS');
+        }
+
+        return cancelled;
+    }
+
+    /**
+     * Confirm the airtime arrived and credit the wallet
+     * @param {string} id
+     * @param {Object} confirmation - { adminId, amountReceived, source: admin | auto, gatewayReference }
+     * @returns {Promise<Object>} The completed request
+     */
+    async confirm(id, { adminId = null, amountReceived, source = 'admin', gatewayReference } = {}) {
+        const request = await this.get(id);
+        if (!request) {
+            throw new AirtimeToCashError('Request not found', 'NOT_FOUND');
+        }
+
+        // Admins may still confirm a request that expired before the airtime was checked
+        if (![...OPEN_STATUSES, 'expired'].includes(request.status)) {
+            throw new AirtimeToCashError(`Request is ${request.status}`, 'INVALID_STATUS');
+        }
+
+        const received = parseFloat(amountReceived !== undefined && amountReceived !== null
+            ? amountReceived
+            : (request.amount_received !== null && request.amount_received !== undefined ? request.amount_received : request.amount));
+
+        if (isNaN(received) || received <= 0) {
+            throw new AirtimeToCashError('Amount received must be a positive number', 'INVALID_AMOUNT');
+        }
+
+        const creditAmount = this.creditFor(received, request.rate);
+
+        // Claim the request first so it can only ever be credited once
+        const claimed = await this.update(request, {
+            status: 'completed',
+            amount_received: received,
+            credit_amount: creditAmount,
+            confirmation: source,
+            confirmed_by: adminId,
+            gateway_reference: gatewayReference || request.gateway_reference || null,
+            completed_at: new Date().toISOString()
+        }, { expectStatus: request.status });
+
+        if (!claimed) {
+            throw new AirtimeToCashError('Request was updated by another process', 'INVALID_STATUS');
+        }
+
+        let credit;
+        try {
+            credit = await this.credit(claimed);
+        } catch (error) {
+            await this.update(claimed, {
+                status: request.status,
+                credit_amount: null,
+                confirmation: null,
+                confirmed_by: null,
+                completed_at: null
+            });
+            throw error;
+        }
+
+        console.log('📲 Airtime to cash credited:', { reference: claimed.reference, userId: claimed.user_id, received, creditAmount, source });
+
+        await this.notify(claimed.user_id, 'Airtime Converted',
+            `₦${Number(received).toLocaleString()} ${claimed.network} airtime has been converted. ₦${creditAmount.toLocaleString()} has been added to your wallet.`,
+            'success', claimed, { new_balance: credit ? credit.new_balance : null });
+
+        return claimed;
+    }
+
+    /**
+     * Credit the wallet for a completed request and book the spread as revenue
+     */
+    async credit(request) {
+        const description = `Airtime to cash: ₦${Number(request.amount_received).toLocaleString()} ${request.network} airtime`;
+        let credit = null;
+
+        if (!(await walletService.isTransactionProcessed(request.reference))) {
+            credit = await walletService.credit(
+                request.user_id,
+                parseFloat(request.credit_amount),
+                description,
+                request.reference,
+                { account: ACCOUNTS.AIRTIME_STOCK, kind: 'airtime_to_cash' }
+            );
+
+            const { error } = await supabaseAdmin
+                .from('transactions')
+                .update({
+                    type: 'airtime_to_cash',
+                    status: 'completed',
+                    payment_method: 'airtime',
+                    metadata: {
+                        ...(credit.transaction?.metadata || {}),
+                        airtime_to_cash_reference: request.reference,
+                        network: request.network,
+                        sender_phone: request.sender_phone,
+                        amount_received: parseFloat(request.amount_received),
+                        rate: parseFloat(request.rate)
+                    }
+                })
+                .eq('id', credit.transaction?.id);
+
+            if (error) {
+                console.error('❌ Failed to label airtime to cash credit:', { reference: request.reference, error: error.message });
+            }
+        }
+
+        const spread = (toKobo(request.amount_received) - toKobo(request.credit_amount)) / 100;
+        if (spread > 0) {
+            try {
+                await ledgerService.move(`${request.reference}_MARGIN`, 'airtime_to_cash_margin', ACCOUNTS.AIRTIME_STOCK, ACCOUNTS.REVENUE, spread, {
+                    description: `Airtime to cash margin: ${request.reference}`,
+                    metadata: { user_id: request.user_id, network: request.network }
+                });
+            } catch (error) {
+                console.error('❌ Failed to post airtime to cash margin:', { reference: request.reference, error: error.message });
+            }
+        }
+
+        return credit;
+    }
+
+    /**
+     * Turn a request down (airtime never arrived, wrong sender, suspected fraud, ...)
+     */
+    async reject(id, { adminId, reason }) {
+        const request = await this.get(id);
+        if (!request) {
+            throw new AirtimeToCashError('Request not found', 'NOT_FOUND');
+        }
+
+        const rejected = [...OPEN_STATUSES, 'expired'].includes(request.status)
+            ? await this.update(request, { status: 'rejected', rejection_reason: reason, confirmed_by: adminId }, { expectStatus: request.status })
+            : null;
+
+        if (!rejected) {
+            throw new AirtimeToCashError(`Request is ${request.status}`, 'INVALID_STATUS');
+        }
+
+        await this.notify(rejected.user_id, 'Airtime Conversion Declined',
+            `Your ₦${Number(rejected.amount).toLocaleString()} ${rejected.network} airtime to cash request was declined: ${reason}`,
+            'warning', rejected);
+
+        return rejected;
+    }
+
+    /**
+     * Handle an incoming transfer reported by the SIM gateway
+     * @param {Object} notice - { network, sender, amount, gatewayReference }
+     * @returns {Promise<Object>} { status: credited | review | unmatched | duplicate, request }
+     */
+    async handleGatewayNotice({ network, sender, amount, gatewayReference }) {
+        const settings = airtimeToCashConfig.networkMapping[String(network || '').toUpperCase()];
+        const received = parseFloat(amount);
+
+        if (!settings || !sender || isNaN(received) || received <= 0) {
+            return { status: 'unmatched' };
+        }
+
+        if (gatewayReference) {
+            const { data: seen } = await supabaseAdmin
+                .from('airtime_to_cash_requests')
+                .select('id')
+                .eq('gateway_reference', gatewayReference)
+                .maybeSingle();
+
+            if (seen) {
+                return { status: 'duplicate', request: seen };
+            }
+        }
+
+        const { data: request, error } = await supabaseAdmin
+            .from('airtime_to_cash_requests')
+            .select('*')
+            .eq('network', settings.name)
+            .eq('sender_phone', normalisePhone(sender))
+            .eq('status', 'pending')
+            .gt('expires_at', new Date().toISOString())
+            .order('created_at', { ascending: true })
+            .limit(1)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        if (!request) {
+            console.warn('📲 Unmatched airtime transfer:', { network: settings.name, sender, amount: received, gatewayReference });
+            return { status: 'unmatched' };
+        }
+
+        const { autoConfirmLimit } = airtimeToCashConfig;
+        const exact = toKobo(received) === toKobo(request.amount);
+
+        if (exact && autoConfirmLimit > 0 && received <= autoConfirmLimit) {
+            const completed = await this.confirm(request.id, { amountReceived: received, source: 'auto', gatewayReference });
+            return { status: 'credited', request: completed };
+        }
+
+        const review = await this.update(request, {
+            status: 'review',
+            amount_received: received,
+            gateway_reference: gatewayReference || null
+        }, { expectStatus: 'pending' });
+
+        console.log('📲 Airtime transfer held for review:', { reference: request.reference, declared: request.amount, received });
+        return { status: 'review', request: review };
+    }
+
+    /**
+     * Expire pending requests whose airtime never arrived
+     * @returns {Promise<number>} How many were expired
+     */
+    async expireStale() {
+        const { data, error } = await supabaseAdmin
+            .from('airtime_to_cash_requests')
+            .update({ status: 'expired', updated_at: new Date().toISOString() })
+            .eq('status', 'pending')
+            .lt('expires_at', new Date().toISOString())
+            .select('id');
+
+        if (error) {
+            throw error;
+        }
+
+        return (data || []).length;
+    }
+
+    creditFor(amount, rate) {
+        return Math.floor(toKobo(amount) * parseFloat(rate) / 100) / 100;
+    }
+
+    async notify(userId, title, message, type, request, metadata = {}) {
+        try {
+            await notificationService.createNotification(userId, {
+                title,
+                message,
+                type,
+                metadata: {
+                    transaction_type: 'airtime_to_cash',
+                    reference: request.reference,
+                    network: request.network,
+                    amount: parseFloat(request.amount),
+                    ...metadata
+                }
+            });
+        } catch (error) {
+            console.error('Airtime to cash notification error:', error.message);
+        }
+    }
+
+    /**
+     * Update a request, optionally only while it still has a given status
+     * @returns {Promise<Object|null>} The updated row, or null if the status had changed
+     */
+    async update(request, updates, { expectStatus } = {}) {
+        let query = supabaseAdmin
+            .from('airtime_to_cash_requests')
+            .update({ ...updates, updated_at: new Date().toISOString() })
+            .eq('id', request.id);
+
+        if (expectStatus) {
+            query = query.eq('status', expectStatus);
+        }
+
+        const { data, error } = await query.select().maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+}
+
+const airtimeToCashService = new AirtimeToCashService();
+
+module.exports = {
+    airtimeToCashService,
+    AirtimeToCashService,
+    AirtimeToCashError
+};
@@ -0,0 +1,533 @@
+const net = require('net');
+const { supabaseAdmin } = require('../config/supabase');
+const config = require('../config/environment');
+const { generateApiKey, hashApiKey, encryptData, decryptData } = require('../utils/security');
+const { auditService } = require('./auditService');
+
+/**
+ * What a key may do on the partner API
+ *   read     - catalogue, transaction status and webhook settings
+ *   wallet   - wallet balance
+ *   purchase - airtime, data, cable and electricity purchases
+ *   webhooks - webhook settings (reading them shows the signing secret)
+ */
+const API_KEY_SCOPES = ['read', 'wallet', 'purchase', 'webhooks'];
+
+const MAX_KEYS_PER_USER = 10;
+const DEFAULT_RATE_LIMIT = 1000; // requests per hour
+const DEFAULT_ROTATION_GRACE_HOURS = 24;
+
+// last_used_at is written at most this often per key
+const TOUCH_INTERVAL = 60 * 1000; // 1 minute
+
+// Columns safe to return to the key owner (never the hashes or legacy secret)
+const PUBLIC_FIELDS = 'id, user_id, name, key_prefix, scopes, allowed_ips, rate_limit, is_active, expires_at, last_used_at, last_used_ip, revoked_at, created_at, updated_at';
+
+class ApiKeyError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} code - INVALID_NAME | INVALID_SCOPES | INVALID_IP | INVALID_EXPIRY | LIMIT_EXCEEDED | NOT_FOUND |
+     *                        INVALID_STATUS | NOT_CONFIGURED
+     */
+    constructor(message, code = 'API_KEY_ERROR') {
+        super(message);
+        this.name = 'ApiKeyError';
+        this.code = code;
+    }
+}
+
+// Strip the IPv4-mapped IPv6 prefix Express reports for IPv4 clients
+const normaliseIp = (ip) => String(ip || '').replace(/^::ffff:/, '');
+
+// Server-side key that encrypts signing secrets at rest (64 hex characters, checked at startup)
+const secretEncryptionKey = () => {
+    const key = config.security.apiKeyEncryptionKey;
+
+    if (!key || !/^[0-9a-f]{64}$/i.test(key)) {
+        throw new ApiKeyError('API key encryption is not configured (API_KEY_ENCRYPTION_KEY)', 'NOT_CONFIGURED');
+    }
+
+    return key;
+};
+
+/**
+ * Reseller API keys
+ * A reseller can hold several named keys, each in the api_credentials table:
+ *   user_id, name
+ *   key_prefix   - first characters of the API key, for display
+ *   key_hash     - hashApiKey(api_key); requests are matched on this
+ *   secret_encrypted - the secret, AES-256-GCM encrypted with API_KEY_ENCRYPTION_KEY; requests are
+ *                  signed with the secret itself (see partnerAuthMiddleware)
+ * Unlike the API key, the secret is not stored as hashApiKey(secret): checking an HMAC signature
+ * needs the secret the partner signed with, and a one-way hash cannot give it back. Encryption
+ * keeps it unreadable from the table alone; the config refuses to start without the key.
+ *   scopes       - subset of API_KEY_SCOPES
+ *   allowed_ips  - IPs or CIDR ranges the key may be used from (empty = anywhere)
+ *   rate_limit   - requests per hour
+ *   is_active, expires_at, revoked_at, last_used_at, last_used_ip, created_at, updated_at
+ * The API key and secret are returned once, when the key is created or rotated.
+ * Rows issued before keys were hashed carry plaintext api_key / secret_key; they keep working
+ * with every scope and are moved to key_hash / secret_encrypted the first time they are used.
+ * Rows that only hold a secret_hash (an unkeyed hash was once used as the signing key) cannot
+ * sign requests any more and must be rotated.
+ * Changes take the acting user (auditService.actorFrom(req)) and are written to the audit log;
+ * entries carry the presented key, never the key or secret.
+ */
+class ApiKeyService {
+    /**
+     * List a reseller's keys, newest first
+     */
+    async list(userId) {
+        const { data, error } = await supabaseAdmin
+            .from('api_credentials')
+            .select(PUBLIC_FIELDS)
+            .eq('user_id', userId)
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            throw error;
+        }
+
+        return (data || []).map(key => this.present(key));
+    }
+
+    /**
+     * Issue a new key
+     * @returns {Promise<object>} { key, api_key, secret_key } - the plaintext values are not stored
+     */
+    async create(userId, { name, scopes, allowed_ips, expires_at } = {}, { rateLimit = DEFAULT_RATE_LIMIT, actor = null } = {}) {
+        const fields = this.validate({ name, scopes, allowed_ips, expires_at }, { partial: false });
+        const encryptionKey = secretEncryptionKey();
+
+        const { count, error: countError } = await supabaseAdmin
+            .from('api_credentials')
+            .select('id', { count: 'exact', head: true })
+            .eq('user_id', userId)
+            .eq('is_active', true);
+
+        if (countError) {
+            throw countError;
+        }
+
+        if ((count || 0) >= MAX_KEYS_PER_USER) {
+            throw new ApiKeyError(`You can have at most ${MAX_KEYS_PER_USER} active API keys; revoke one first`, 'LIMIT_EXCEEDED');
+        }
+
+        const apiKey = generateApiKey('stk_', 24);
+        const secretKey = generateApiKey('sks_', 32);
+        const now = new Date().toISOString();
+
+        const { data: key, error } = await supabaseAdmin
+            .from('api_credentials')
+            .insert({
+                user_id: userId,
+                ...fields,
+                key_prefix: apiKey.slice(0, 12),
+                key_hash: hashApiKey(apiKey),
+                secret_encrypted: encryptData(secretKey, encryptionKey),
+                rate_limit: rateLimit,
+                is_active: true,
+                created_at: now,
+                updated_at: now
+            })
+            .select(PUBLIC_FIELDS)
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        console.log(`🔑 API key ${key.key_prefix}… issued to user ${userId}`);
+
+        await auditService.record(actor, 'api_key.create', {
+            target_type: 'api_key', target_id: key.id, after: this.present(key), metadata: { owner_id: userId }
+        });
+
+        return { key: this.present(key), api_key: apiKey, secret_key: secretKey };
+    }
+
+    /**
+     * Change a key's name, scopes, IP allowlist or expiry
+     */
+    async update(userId, id, changes = {}, actor = null) {
+        const key = await this.getOwned(userId, id);
+
+        if (!key.is_active) {
+            throw new ApiKeyError('Revoked keys cannot be changed', 'INVALID_STATUS');
+        }
+
+        const fields = this.validate(changes, { partial: true });
+
+        if (Object.keys(fields).length === 0) {
+            return this.present(key);
+        }
+
+        const updated = this.present(await this.save(id, fields));
+
+        await auditService.record(actor, 'api_key.update', {
+            target_type: 'api_key', target_id: id, before: this.present(key), after: updated, metadata: { owner_id: userId }
+        });
+
+        return updated;
+    }
+
+    /**
+     * Replace a key with a new one carrying the same settings.
+     * The old key keeps working for graceHours so clients can switch over, then expires.
+     */
+    async rotate(userId, id, { graceHours = DEFAULT_ROTATION_GRACE_HOURS } = {}, actor = null) {
+        const key = await this.getOwned(userId, id);
+
+        if (!key.is_active) {
+            throw new ApiKeyError('Revoked keys cannot be rotated', 'INVALID_STATUS');
+        }
+
+        const grace = Number(graceHours);
+        if (!Number.isFinite(grace) || grace < 0 || grace > 24 * 7) {
+            throw new ApiKeyError('Grace period must be between 0 and 168 hours', 'INVALID_EXPIRY');
+        }
+
+        const issued = await this.create(userId, {
+            name: key.name || 'Default key',
+            scopes: key.scopes && key.scopes.length ? key.scopes : API_KEY_SCOPES,
+            allowed_ips: key.allowed_ips || [],
+            expires_at: key.expires_at && new Date(key.expires_at) > new Date() ? key.expires_at : null
+        }, { rateLimit: key.rate_limit || DEFAULT_RATE_LIMIT, actor });
+
+        const graceEnds = new Date(Date.now() + grace * 60 * 60 * 1000);
+        const oldExpiry = key.expires_at && new Date(key.expires_at) < graceEnds ? key.expires_at : graceEnds.toISOString();
+
+        const previous = grace === 0
+            ? await this.save(id, { is_active: false, revoked_at: new Date().toISOString() })
+            : await this.save(id, { expires_at: oldExpiry });
+
+        await auditService.record(actor, 'api_key.rotate', {
+            target_type: 'api_key',
+            target_id: id,
+            before: this.present(key),
+            after: this.present(previous),
+            metadata: { owner_id: userId, replaced_by: issued.key.id, grace_hours: grace }
+        });
+
+        return { ...issued, previous: this.present(previous) };
+    }
+
+    /**
+     * Switch a key off immediately
+     */
+    async revoke(userId, id, actor = null) {
+        const key = await this.getOwned(userId, id);
+
+        if (!key.is_active) {
+            throw new ApiKeyError('Key is already revoked', 'INVALID_STATUS');
+        }
+
+        const revoked = await this.save(id, { is_active: false, revoked_at: new Date().toISOString() });
+
+        console.log(`🔒 API key ${revoked.key_prefix || revoked.id}… revoked by user ${userId}`);
+
+        await auditService.record(actor, 'api_key.revoke', {
+            target_type: 'api_key', target_id: id, before: this.present(key), after: this.present(revoked), metadata: { owner_id: userId }
+        });
+
+        return this.present(revoked);
+    }
+
+    /**
+     * Find the credential for an API key presented on a request
+     * @returns {Promise<object|null>} the row plus signingKey (the plaintext secret, or null when the
+     *                                 key must be rotated) and scopes, or null if unknown
+     */
+    async findByApiKey(apiKey) {
+        const { data: key, error } = await supabaseAdmin
+            .from('api_credentials')
+            .select('*')
+            .eq('key_hash', hashApiKey(apiKey))
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        if (key) {
+            return { ...key, signingKey: this.decryptSecret(key), scopes: key.scopes || [] };
+        }
+
+        // Keys issued before hashing
+        const { data: legacy, error: legacyError } = await supabaseAdmin
+            .from('api_credentials')
+            .select('*')
+            .eq('api_key', apiKey)
+            .is('key_hash', null)
+            .maybeSingle();
+
+        if (legacyError) {
+            throw legacyError;
+        }
+
+        if (!legacy) {
+            return null;
+        }
+
+        await this.upgradeLegacy(legacy);
+
+        return {
+            ...legacy,
+            signingKey: legacy.secret_key,
+            scopes: legacy.scopes && legacy.scopes.length ? legacy.scopes : API_KEY_SCOPES
+        };
+    }
+
+    /**
+     * The plaintext signing secret of a hashed key, or null if it has none
+     */
+    decryptSecret(key) {
+        if (!key.secret_encrypted) {
+            return null;
+        }
+
+        try {
+            return decryptData(key.secret_encrypted, secretEncryptionKey());
+        } catch (error) {
+            console.error('❌ Failed to decrypt API key secret:', { id: key.id, error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Move a plaintext legacy key to key_hash / secret_encrypted (failures are only logged;
+     * the key keeps working and is upgraded on a later request)
+     */
+    async upgradeLegacy(key) {
+        const prefix = key.key_prefix || key.api_key.slice(0, 12);
+
+        try {
+            const { error } = await supabaseAdmin
+                .from('api_credentials')
+                .update({
+                    key_hash: hashApiKey(key.api_key),
+                    key_prefix: prefix,
+                    secret_encrypted: encryptData(key.secret_key, secretEncryptionKey()),
+                    api_key: null,
+                    secret_key: null,
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', key.id)
+                .is('key_hash', null);
+
+            if (error) {
+                throw error;
+            }
+
+            console.log(`🔐 Legacy API key ${prefix}… moved to encrypted storage`);
+        } catch (error) {
+            console.error('Failed to upgrade legacy API key:', { id: key.id, error: error.message });
+        }
+    }
+
+    /**
+     * Why a key cannot be used right now, or null if it can
+     */
+    unusableReason(key, now = new Date()) {
+        if (!key.is_active || key.revoked_at) {
+            return 'API key has been revoked';
+        }
+
+        if (key.expires_at && new Date(key.expires_at) <= now) {
+            return 'API key has expired';
+        }
+
+        return null;
+    }
+
+    /**
+     * Check a client IP against the key's allowlist (exact addresses or CIDR ranges)
+     */
+    isIpAllowed(key, ip) {
+        const allowed = key.allowed_ips || [];
+
+        if (allowed.length === 0) {
+            return true;
+        }
+
+        const address = normaliseIp(ip);
+        const family = net.isIP(address);
+
+        if (!family) {
+            return false;
+        }
+
+        const list = new net.BlockList();
+        for (const entry of allowed) {
+            const [base, prefix] = String(entry).split('/');
+            const type = net.isIP(base) === 6 ? 'ipv6' : 'ipv4';
+
+            if (prefix !== undefined) {
+                list.addSubnet(base, parseInt(prefix), type);
+            } else {
+                list.addAddress(base, type);
+            }
+        }
+
+        return list.check(address, family === 6 ? 'ipv6' : 'ipv4');
+    }
+
+    /**
+     * Check if a key carries a scope
+     */
+    hasScope(key, scope) {
+        return (key.scopes || []).includes(scope);
+    }
+
+    /**
+     * Record that a key was used (throttled; failures are only logged)
+     */
+    async touch(key, ip) {
+        if (key.last_used_at && Date.now() - new Date(key.last_used_at).getTime() < TOUCH_INTERVAL) {
+            return;
+        }
+
+        try {
+            const { error } = await supabaseAdmin
+                .from('api_credentials')
+                .update({ last_used_at: new Date().toISOString(), last_used_ip: normaliseIp(ip) || null })
+                .eq('id', key.id);
+
+            if (error) {
+                throw error;
+            }
+        } catch (error) {
+            console.error('Failed to record API key use:', error.message);
+        }
+    }
+
+    /**
+     * Validate and normalise key settings
+     * @param {boolean} partial - only check the fields that were sent
+     */
+    validate({ name, scopes, allowed_ips, expires_at }, { partial }) {
+        const fields = {};
+
+        if (name !== undefined || !partial) {
+            const trimmed = typeof name === 'string' ? name.trim() : '';
+            if (!trimmed || trimmed.length > 50) {
+                throw new ApiKeyError('Key name is required and must be at most 50 characters', 'INVALID_NAME');
+            }
+            fields.name = trimmed;
+        }
+
+        if (scopes !== undefined || !partial) {
+            if (!Array.isArray(scopes) || scopes.length === 0) {
+                throw new ApiKeyError(`Scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}`, 'INVALID_SCOPES');
+            }
+
+            const invalid = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+            if (invalid.length > 0) {
+                throw new ApiKeyError(`Invalid scopes: ${invalid.join(', ')}`, 'INVALID_SCOPES');
+            }
+
+            fields.scopes = [...new Set(scopes)];
+        }
+
+        if (allowed_ips !== undefined || !partial) {
+            const ips = allowed_ips || [];
+
+            if (!Array.isArray(ips) || ips.length > 20) {
+                throw new ApiKeyError('Allowed IPs must be a list of at most 20 addresses or CIDR ranges', 'INVALID_IP');
+            }
+
+            const invalid = ips.filter(entry => {
+                const [base, prefix] = String(entry).split('/');
+                const family = net.isIP(base);
+                if (!family) {
+                    return true;
+                }
+                if (prefix === undefined) {
+                    return false;
+                }
+                const bits = Number(prefix);
+                return !/^\d+$/.test(prefix) || bits > (family === 6 ? 128 : 32);
+            });
+
+            if (invalid.length > 0) {
+                throw new ApiKeyError(`Invalid IP addresses: ${invalid.join(', ')}`, 'INVALID_IP');
+            }
+
+            fields.allowed_ips = [...new Set(ips.map(String))];
+        }
+
+        if (expires_at !== undefined || !partial) {
+            if (expires_at === null || expires_at === undefined || expires_at === '') {
+                fields.expires_at = null;
+            } else {
+                const expiry = new Date(expires_at);
+                if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+                    throw new ApiKeyError('Expiry must be a date in the future', 'INVALID_EXPIRY');
+                }
+                fields.expires_at = expiry.toISOString();
+            }
+        }
+
+        return fields;
+    }
+
+    /**
+     * Shape a key for its owner: legacy rows get a name, secrets are never included
+     */
+    present(key) {
+        const { api_key, secret_key, key_hash, secret_hash, secret_encrypted, ...rest } = key;
+
+        return {
+            ...rest,
+            name: key.name || 'Default key',
+            key_prefix: key.key_prefix || null,
+            scopes: key.scopes && key.scopes.length ? key.scopes : API_KEY_SCOPES,
+            allowed_ips: key.allowed_ips || [],
+            status: this.unusableReason(key) === null ? 'active' : (key.is_active ? 'expired' : 'revoked')
+        };
+    }
+
+    async getOwned(userId, id) {
+        const { data, error } = await supabaseAdmin
+            .from('api_credentials')
+            .select(PUBLIC_FIELDS)
+            .eq('id', id)
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        if (!data) {
+            throw new ApiKeyError('API key not found', 'NOT_FOUND');
+        }
+
+        return data;
+    }
+
+    async save(id, updates) {
+        const { data, error } = await supabaseAdmin
+            .from('api_credentials')
+            .update({ ...updates, updated_at: new Date().toISOString() })
+            .eq('id', id)
+            .select(PUBLIC_FIELDS)
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+}
+
+// Create singleton instance
+const apiKeyService = new ApiKeyService();
+
+module.exports = {
+    apiKeyService,
+    ApiKeyService,
+    ApiKeyError,
+    API_KEY_SCOPES
+};
@@ -0,0 +1,415 @@
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase');
+const { toCSV, toISOTimestamp } = require('../utils/helpers');
+
+// prev_hash of the first entry in the chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// Appends retried when another process took the same sequence number
+const MAX_APPEND_ATTEMPTS = 5;
+
+// Fields left out of before/after diffs
+const IGNORED_DIFF_FIELDS = ['updated_at'];
+
+const EXPORT_COLUMNS = [
+    'sequence', 'created_at', 'action', 'actor_type', 'actor_id', 'actor_role', 'target_type', 'target_id',
+    'reason', 'changes', 'ip_address', 'user_agent', 'metadata', 'prev_hash', 'hash'
+];
+
+const MAX_EXPORT_ROWS = 10000;
+
+// Fields whose values are never written to the log, at any depth of before, after or metadata
+const REDACTED_FIELDS = /password|passcode|secret|token|api_?key|key_hash|signature|authorization|cvv|card_number|bvn|(^|_)(pin|otp)$/i;
+const REDACTED = '[REDACTED]';
+
+class AuditError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} code - INVALID_INPUT
+     */
+    constructor(message, code = 'AUDIT_ERROR') {
+        super(message);
+        this.name = 'AuditError';
+        this.code = code;
+    }
+}
+
+/**
+ * JSON with object keys sorted at every level, so a row hashes the same after a round trip
+ * through jsonb (which does not keep key order)
+ */
+const canonicalJson = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+            .join(',')}}`;
+    }
+
+    return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Copy of a value with secret-looking fields replaced by REDACTED
+ */
+const redact = (value) => {
+    if (Array.isArray(value)) {
+        return value.map(redact);
+    }
+
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+            key,
+            REDACTED_FIELDS.test(key) && item !== null && item !== undefined ? REDACTED : redact(item)
+        ]));
+    }
+
+    return value;
+};
+
+/**
+ * Append-only audit trail of privileged and financial actions
+ * Entries live in the audit_log table:
+ *   sequence     - 1, 2, 3 ... (unique; the chain order)
+ *   actor_type   - user | admin | api_key | system
+ *   actor_id, actor_role, ip_address, user_agent
+ *   action       - e.g. user.suspend, wallet.freeze, wallet.adjust, api_key.rotate, webhook.update
+ *   target_type, target_id
+ *   before, after, changes - state around the action and the fields that differ ({ field: { from, to } })
+ *   reason, metadata, created_at
+ *   prev_hash    - hash of the previous entry (GENESIS_HASH for the first)
+ *   hash         - sha256 of prev_hash and the canonical JSON of the entry
+ * Editing or deleting any row breaks the chain from that point, which verify() reports.
+ * The service only ever inserts; the table should also refuse UPDATE and DELETE for the API roles.
+ * Recording never throws: a failed audit write is logged and the action it describes stands.
+ * Secret-looking fields (REDACTED_FIELDS) in before, after and metadata are stored as REDACTED,
+ * since nothing written here can be removed later.
+ */
+class AuditService {
+    constructor() {
+        // Appends from this process are chained one at a time
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Who is acting, from an authenticated request
+     * @returns {Object} { type, id, role, ip_address, user_agent }
+     */
+    actorFrom(req) {
+        const user = req.user || {};
+
+        return {
+            type: req.apiCredential ? 'api_key' : (user.role === 'admin' ? 'admin' : 'user'),
+            id: user.id || null,
+            role: user.role || null,
+            ip_address: req.ip || null,
+            user_agent: req.get ? req.get('User-Agent') || null : null,
+            api_key_id: req.apiCredential ? req.apiCredential.id : null
+        };
+    }
+
+    /**
+     * Record an action
+     * @param {Object|null} actor - From actorFrom(); null for the platform itself
+     * @param {string} action
+     * @param {Object} details - { target_type, target_id, before, after, reason, metadata }
+     * @returns {Promise<Object|null>} The entry, or null if it could not be written
+     */
+    record(actor, action, { target_type = null, target_id = null, before = null, after = null, reason = null, metadata = {} } = {}) {
+        before = redact(before);
+        after = redact(after);
+        metadata = redact(metadata);
+
+        const entry = {
+            actor_type: actor ? actor.type : 'system',
+            actor_id: actor ? actor.id : null,
+            actor_role: actor ? actor.role : null,
+            ip_address: actor ? actor.ip_address : null,
+            user_agent: actor ? actor.user_agent : null,
+            action,
+            target_type,
+            target_id: target_id !== null ? String(target_id) : null,
+            before,
+            after,
+            changes: this.diff(before, after),
+            reason,
+            metadata: actor && actor.api_key_id ? { ...metadata, api_key_id: actor.api_key_id } : metadata
+        };
+
+        const append = this.queue.then(() => this.append(entry));
+        this.queue = append.catch(() => null);
+
+        return append.catch(error => {
+            console.error('❌ Failed to write audit entry:', { action, target_id, error: error.message });
+            return null;
+        });
+    }
+
+    /**
+     * Fields that differ between two states
+     * @returns {Object|null} { field: { from, to } }
+     */
+    diff(before, after) {
+        if (!before && !after) {
+            return null;
+        }
+
+        const changes = {};
+        const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+        for (const key of keys) {
+            if (IGNORED_DIFF_FIELDS.includes(key)) {
+                continue;
+            }
+
+            const from = before ? before[key] : undefined;
+            const to = after ? after[key] : undefined;
+
+            if (canonicalJson(from) !== canonicalJson(to)) {
+                changes[key] = { from: from === undefined ? null : from, to: to === undefined ? null : to };
+            }
+        }
+
+        return changes;
+    }
+
+    /**
+     * Filter audit entries, newest first
+     */
+    async list(filters = {}) {
+        const pageNumber = Math.max(parseInt(filters.page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(filters.limit) || 50, 1), 100);
+        const offset = (pageNumber - 1) * pageSize;
+
+        const { data, error, count } = await this.query(filters, { count: 'exact' })
+            .range(offset, offset + pageSize - 1);
+
+        if (error) {
+            throw error;
+        }
+
+        return { items: data || [], total: count || 0, page: pageNumber, limit: pageSize };
+    }
+
+    /**
+     * Export filtered entries as CSV (newest first, capped at MAX_EXPORT_ROWS)
+     */
+    async exportCSV(filters = {}) {
+        const { data, error } = await this.query(filters).limit(MAX_EXPORT_ROWS);
+
+        if (error) {
+            throw error;
+        }
+
+        return toCSV(data || [], EXPORT_COLUMNS);
+    }
+
+    /**
+     * Recompute the chain and report the first entry that does not match
+     * @param {Object} options - fromSequence (default 1), limit (entries to check, default 5000)
+     * @returns {Promise<Object>} { valid, checked, last_sequence, broken_at, reason }
+     */
+    async verify({ fromSequence = 1, limit = 5000 } = {}) {
+        const start = Math.max(parseInt(fromSequence) || 1, 1);
+        const count = Math.min(Math.max(parseInt(limit) || 5000, 1), 50000);
+        let expectedPrev = GENESIS_HASH;
+
+        if (start > 1) {
+            const previous = await this.getBySequence(start - 1);
+            if (!previous) {
+                return { valid: false, checked: 0, last_sequence: null, broken_at: start - 1, reason: 'Entry is missing' };
+            }
+            expectedPrev = previous.hash;
+        }
+
+        let checked = 0;
+        let sequence = start;
+
+        while (checked < count) {
+            const { data, error } = await supabaseAdmin
+                .from('audit_log')
+                .select('*')
+                .gte('sequence', sequence)
+                .order('sequence', { ascending: true })
+                .limit(Math.min(1000, count - checked));
+
+            if (error) {
+                throw error;
+            }
+
+            if (!data || data.length === 0) {
+                break;
+            }
+
+            for (const entry of data) {
+                if (Number(entry.sequence) !== sequence) {
+                    return { valid: false, checked, last_sequence: sequence - 1, broken_at: sequence, reason: 'Entry is missing' };
+                }
+
+                if (entry.prev_hash !== expectedPrev) {
+                    return { valid: false, checked, last_sequence: sequence - 1, broken_at: sequence, reason: 'Previous hash does not match' };
+                }
+
+                if (this.hash(entry) !== entry.hash) {
+                    return { valid: false, checked, last_sequence: sequence - 1, broken_at: sequence, reason: 'Entry hash does not match its contents' };
+                }
+
+                expectedPrev = entry.hash;
+                sequence++;
+                checked++;
+            }
+        }
+
+        return { valid: true, checked, last_sequence: sequence - 1, broken_at: null, reason: null };
+    }
+
+    /**
+     * Chain an entry onto the current tail. Another process may take the same sequence
+     * first; the unique sequence then rejects the insert and the append is retried on the new tail.
+     */
+    async append(entry) {
+        for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+            const tail = await this.getTail();
+            const row = {
+                ...entry,
+                sequence: tail ? Number(tail.sequence) + 1 : 1,
+                prev_hash: tail ? tail.hash : GENESIS_HASH,
+                created_at: new Date().toISOString()
+            };
+            row.hash = this.hash(row);
+
+            const { data, error } = await supabaseAdmin
+                .from('audit_log')
+                .insert(row)
+                .select()
+                .single();
+
+            if (!error) {
+                return data;
+            }
+
+            if (error.code !== '23505' || attempt === MAX_APPEND_ATTEMPTS) {
+                throw error;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Hash of an entry: sha256 over prev_hash and the canonical JSON of its contents
+     */
+    hash(entry) {
+        const content = {
+            sequence: Number(entry.sequence),
+            actor_type: entry.actor_type,
+            actor_id: entry.actor_id || null,
+            actor_role: entry.actor_role || null,
+            ip_address: entry.ip_address || null,
+            user_agent: entry.user_agent || null,
+            action: entry.action,
+            target_type: entry.target_type || null,
+            target_id: entry.target_id || null,
+            before: entry.before || null,
+            after: entry.after || null,
+            changes: entry.changes || null,
+            reason: entry.reason || null,
+            metadata: entry.metadata || {},
+            created_at: new Date(entry.created_at).toISOString()
+        };
+
+        return crypto.createHash('sha256').update(`${entry.prev_hash}:${canonicalJson(content)}`).digest('hex');
+    }
+
+    /**
+     * @throws {AuditError} INVALID_INPUT for a from / to date that cannot be parsed
+     */
+    query(filters, options = {}) {
+        const { actor_id, actor_type, action, target_type, target_id, from, to } = filters;
+        const fromDate = from ? toISOTimestamp(from) : null;
+        const toDate = to ? toISOTimestamp(to) : null;
+
+        if ((from && !fromDate) || (to && !toDate)) {
+            throw new AuditError(`Invalid ${from && !fromDate ? 'from' : 'to'} date; use an ISO date such as 2026-01-31`, 'INVALID_INPUT');
+        }
+
+        let query = supabaseAdmin
+            .from('audit_log')
+            .select('*', options)
+            .order('sequence', { ascending: false });
+
+        if (actor_id) {
+            query = query.eq('actor_id', actor_id);
+        }
+
+        if (actor_type) {
+            query = query.eq('actor_type', actor_type);
+        }
+
+        // "wallet." matches every wallet action
+        if (action) {
+            query = action.endsWith('.') ? query.like('action', `${action}%`) : query.eq('action', action);
+        }
+
+        if (target_type) {
+            query = query.eq('target_type', target_type);
+        }
+
+        if (target_id) {
+            query = query.eq('target_id', target_id);
+        }
+
+        if (fromDate) {
+            query = query.gte('created_at', fromDate);
+        }
+
+        if (toDate) {
+            query = query.lte('created_at', toDate);
+        }
+
+        return query;
+    }
+
+    async getTail() {
+        const { data, error } = await supabaseAdmin
+            .from('audit_log')
+            .select('sequence, hash')
+            .order('sequence', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    async getBySequence(sequence) {
+        const { data, error } = await supabaseAdmin
+            .from('audit_log')
+            .select('*')
+            .eq('sequence', sequence)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+}
+
+// Create singleton instance
+const auditService = new AuditService();
+
+module.exports = {
+    auditService,
+    AuditService,
+    AuditError,
+    GENESIS_HASH
+};
@@ -0,0 +1,287 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { withdrawalService } = require('./withdrawalService');
+const { transferService } = require('./transferService');
+const { vtuService } = require('./vtuService');
+
+/**
+ * Beneficiary types and the details each one stores.
+ *   key      - details field that identifies the beneficiary (one row per user, type and key)
+ *   fields   - request fields copied into details
+ *   services - where the beneficiary can stand in for raw details
+ */
+const BENEFICIARY_TYPES = {
+    bank_account: {
+        key: 'account_number',
+        fields: ['account_number', 'bank_code', 'bank_name'],
+        services: ['withdraw']
+    },
+    wallet_user: {
+        key: 'recipient_id',
+        fields: ['recipient'],
+        services: ['transfer']
+    },
+    phone: {
+        key: 'phone_number',
+        fields: ['phone_number', 'network'],
+        services: ['airtime', 'data']
+    },
+    smartcard: {
+        key: 'smartcard_number',
+        fields: ['smartcard_number', 'provider'],
+        services: ['cable']
+    },
+    meter: {
+        key: 'meter_number',
+        fields: ['meter_number', 'provider', 'meter_type'],
+        services: ['electricity']
+    }
+};
+
+class BeneficiaryError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} code - INVALID_TYPE | NOT_VERIFIED | DUPLICATE | NOT_FOUND | WRONG_TYPE
+     */
+    constructor(message, code = 'BENEFICIARY_ERROR') {
+        super(message);
+        this.name = 'BeneficiaryError';
+        this.code = code;
+    }
+}
+
+/**
+ * Saved beneficiaries
+ * Bank accounts, wallet users, phone numbers, smartcards and meters a user pays often,
+ * stored in the beneficiaries table:
+ *   user_id, type, nickname
+ *   details        - type-specific fields (see BENEFICIARY_TYPES)
+ *   identifier     - details[key], unique per user and type
+ *   verified_name  - account / customer name confirmed with the bank, wallet or provider at save time
+ *   verified_at, last_used_at, use_count, created_at, updated_at
+ * Withdraw, transfer and VTU purchase requests can send beneficiary_id instead of the
+ * raw details (see middlewares/beneficiaryMiddleware.js).
+ */
+class BeneficiaryService {
+    /**
+     * List a user's beneficiaries, most recently used first
+     */
+    async list(userId, { type } = {}) {
+        let query = supabaseAdmin
+            .from('beneficiaries')
+            .select('*')
+            .eq('user_id', userId)
+            .order('last_used_at', { ascending: false, nullsFirst: false })
+            .order('created_at', { ascending: false });
+
+        if (type) {
+            query = query.eq('type', type);
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+            throw error;
+        }
+
+        return data || [];
+    }
+
+    /**
+     * Get one of a user's beneficiaries
+     * @returns {Promise<Object|null>}
+     */
+    async get(userId, id) {
+        const { data, error } = await supabaseAdmin
+            .from('beneficiaries')
+            .select('*')
+            .eq('id', id)
+            .eq('user_id', userId)
+            .single();
+
+        if (error) {
+            if (error.code === 'PGRST116') { // PGRST116: No rows found
+                return null;
+            }
+            throw error;
+        }
+
+        return data;
+    }
+
+    /**
+     * Verify and save a beneficiary
+     * @param {string} userId
+     * @param {Object} input - { type, nickname, ...type fields }
+     */
+    async create(userId, { type, nickname, ...input }) {
+        const definition = BENEFICIARY_TYPES[type];
+        if (!definition) {
+            throw new BeneficiaryError(`Beneficiary type must be one of: ${Object.keys(BENEFICIARY_TYPES).join(', ')}`, 'INVALID_TYPE');
+        }
+
+        const { details, verifiedName } = await this.verify(userId, type, input);
+        const now = new Date().toISOString();
+
+        const { data, error } = await supabaseAdmin
+            .from('beneficiaries')
+            .insert({
+                user_id: userId,
+                type,
+                nickname: nickname || verifiedName || String(details[definition.key]),
+                details,
+                identifier: String(details[definition.key]),
+                verified_name: verifiedName,
+                verified_at: verifiedName ? now : null,
+                use_count: 0,
+                created_at: now,
+                updated_at: now
+            })
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === '23505') { // unique_violation
+                throw new BeneficiaryError('This beneficiary is already saved', 'DUPLICATE');
+            }
+            throw error;
+        }
+
+        return data;
+    }
+
+    /**
+     * Confirm a beneficiary's details with whoever owns them
+     * @returns {Promise<{ details: Object, verifiedName: string|null }>}
+     */
+    async verify(userId, type, input) {
+        const pick = (fields) => Object.fromEntries(fields.filter(field => input[field] !== undefined).map(field => [field, input[field]]));
+
+        switch (type) {
+            case 'bank_account': {
+                const account = await withdrawalService.resolveAccount(input);
+                return {
+                    details: { account_number: account.account_number, bank_code: account.bank_code, bank_name: account.bank_name },
+                    verifiedName: account.account_name
+                };
+            }
+
+            case 'wallet_user': {
+                const recipient = await transferService.resolveRecipient(input.recipient);
+                if (recipient.id === userId) {
+                    throw new BeneficiaryError('You cannot save yourself as a beneficiary', 'NOT_VERIFIED');
+                }
+                return {
+                    details: { recipient_id: recipient.id, matched_by: recipient.matched_by },
+                    verifiedName: recipient.full_name
+                };
+            }
+
+            case 'smartcard': {
+                const result = await vtuService.validateSmartcard(pick(['provider', 'smartcard_number']));
+                if (!result.valid) {
+                    throw new BeneficiaryError(result.message || 'Smartcard number could not be verified', 'NOT_VERIFIED');
+                }
+                return { details: pick(BENEFICIARY_TYPES.smartcard.fields), verifiedName: result.customer_name || null };
+            }
+
+            case 'meter': {
+                const result = await vtuService.validateMeterNumber(pick(['provider', 'meter_number', 'meter_type']));
+                if (!result.valid) {
+                    throw new BeneficiaryError(result.message || 'Meter number could not be verified', 'NOT_VERIFIED');
+                }
+                return { details: pick(BENEFICIARY_TYPES.meter.fields), verifiedName: result.customer_name || null };
+            }
+
+            default:
+                // Phone numbers have no name to look up
+                return { details: pick(BENEFICIARY_TYPES[type].fields), verifiedName: null };
+        }
+    }
+
+    /**
+     * Rename a beneficiary. Details cannot change; save a new beneficiary instead,
+     * so a verified name always belongs to the details it was verified for.
+     * @returns {Promise<Object|null>} Updated beneficiary, or null if it does not exist
+     */
+    async update(userId, id, { nickname }) {
+        const { data, error } = await supabaseAdmin
+            .from('beneficiaries')
+            .update({ nickname, updated_at: new Date().toISOString() })
+            .eq('id', id)
+            .eq('user_id', userId)
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === 'PGRST116') { // PGRST116: No rows found
+                return null;
+            }
+            throw error;
+        }
+
+        return data;
+    }
+
+    /**
+     * Delete a beneficiary
+     * @returns {Promise<boolean>} false if it did not exist
+     */
+    async remove(userId, id) {
+        const { data, error } = await supabaseAdmin
+            .from('beneficiaries')
+            .delete()
+            .eq('id', id)
+            .eq('user_id', userId)
+            .select('id');
+
+        if (error) {
+            throw error;
+        }
+
+        return Boolean(data && data.length > 0);
+    }
+
+    /**
+     * Load a beneficiary for use with a service
+     * @param {string} service - withdraw | transfer | airtime | data | cable | electricity
+     */
+    async resolveFor(userId, id, service) {
+        const beneficiary = await this.get(userId, id);
+        if (!beneficiary) {
+            throw new BeneficiaryError('Beneficiary not found', 'NOT_FOUND');
+        }
+
+        if (!BENEFICIARY_TYPES[beneficiary.type].services.includes(service)) {
+            throw new BeneficiaryError(`A ${beneficiary.type.replace('_', ' ')} beneficiary cannot be used for ${service}`, 'WRONG_TYPE');
+        }
+
+        return beneficiary;
+    }
+
+    /**
+     * Record that a beneficiary was just used
+     */
+    async markUsed(beneficiary) {
+        const { error } = await supabaseAdmin
+            .from('beneficiaries')
+            .update({
+                last_used_at: new Date().toISOString(),
+                use_count: (beneficiary.use_count || 0) + 1
+            })
+            .eq('id', beneficiary.id);
+
+        if (error) {
+            console.error('Failed to mark beneficiary used:', error.message);
+        }
+    }
+}
+
+// Create singleton instance
+const beneficiaryService = new BeneficiaryService();
+
+module.exports = {
+    beneficiaryService,
+    BeneficiaryService,
+    BeneficiaryError,
+    BENEFICIARY_TYPES
+};
@@ -0,0 +1,768 @@
+const config = require('../config/environment');
+const { supabaseAdmin } = require('../config/supabase');
+const { purchaseService } = require('./purchaseService');
+const { vtuService } = require('./vtuService');
+const { walletService, InsufficientFundsError, WalletFrozenError } = require('./walletService');
+const { notificationService } = require('./notificationService');
+const { ACCOUNTS } = require('./ledgerService');
+const { generateReference, parseCSV, toCSV } = require('../utils/helpers');
+
+const BULK_SERVICES = ['airtime', 'data'];
+const NETWORKS = ['MTN', 'GLO', 'AIRTEL', '9MOBILE', 'ETISALAT'];
+const CHARGE_MODES = ['single', 'per_row'];
+const PHONE_REGEX = /^(\+234|234|0)[789]\d{9}$/;
+const INSERT_CHUNK_SIZE = 500;
+
+const RESERVE_LEDGER = { account: ACCOUNTS.VTU_CLEARING, kind: 'bulk_reserve' };
+const REFUND_LEDGER = { account: ACCOUNTS.VTU_CLEARING, kind: 'purchase_refund' };
+
+const RESULT_COLUMNS = ['row_number', 'phone_number', 'network', 'plan_id', 'amount', 'charge_amount', 'status', 'error', 'vtu_reference', 'transaction_id'];
+
+class BulkPurchaseError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} code - INVALID_SERVICE | INVALID_INPUT | TOO_MANY_ROWS | NOT_FOUND | INVALID_STATUS
+     */
+    constructor(message, code = 'BULK_PURCHASE_ERROR') {
+        super(message);
+        this.name = 'BulkPurchaseError';
+        this.code = code;
+    }
+}
+
+// Amounts are added up in kobo so the single debit matches the rows exactly
+const toKobo = (amount) => Math.round(parseFloat(amount || 0) * 100);
+
+/**
+ * Bulk airtime and data purchases
+ *
+ * A batch is uploaded as CSV (phone_number, network, amount, plan_id columns) or a JSON
+ * array, and every row is checked and priced before anything is charged. Nothing runs
+ * until the user starts the batch, choosing how it is paid for:
+ *   single  - the whole total is debited once up front; each row is bought against that
+ *             reservation (purchaseService.purchaseReserved) and a row that fails or
+ *             never runs is refunded to the wallet on its own
+ *   per_row - each row goes through purchaseService.purchase like a single purchase;
+ *             the batch stops (remaining rows skipped) when the wallet runs out
+ * Rows run config.vtu.bulk.concurrency at a time. Progress comes from the row statuses
+ * and the per-row results can be downloaded as CSV. A running batch whose process died
+ * is picked up again by the worker once it has made no progress for staleAfter.
+ *
+ * Stored in vtu_bulk_jobs:
+ *   reference (BLK_), user_id, service (airtime | data), charge_mode, source (csv | json)
+ *   status - invalid | validated -> (funding ->) running -> completed, or validated -> cancelled
+ *   total_rows, invalid_rows, total_amount (face value), total_charge
+ *   succeeded_rows, failed_rows, skipped_rows, error_message
+ *   started_at, completed_at, created_at, updated_at
+ * and vtu_bulk_rows:
+ *   job_id, row_number, params (jsonb), amount, charge_amount
+ *   status - invalid | pending -> processing -> completed | failed | skipped
+ *   error, transaction_id, vtu_reference, updated_at
+ * Purchase transactions carry bulk_reference and bulk_row in their metadata.
+ */
+class BulkPurchaseService {
+    constructor() {
+        this.timer = null;
+        this.active = new Set();
+    }
+
+    /**
+     * Start the worker that resumes interrupted batches
+     */
+    start() {
+        const { staleAfter } = config.vtu.bulk;
+
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => this.resumeStale(), staleAfter);
+        console.log(`📦 Bulk purchase recovery started (every ${Math.round(staleAfter / 1000)}s)`);
+    }
+
+    /**
+     * Stop the worker
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            console.log('Bulk purchase recovery stopped');
+        }
+    }
+
+    /**
+     * Check and price a batch. Nothing is charged until start().
+     * @param {Object} user - { id, role }
+     * @param {Object} batch - { service, rows } or { service, csv }
+     * @returns {Promise<Object>} The job with its invalid rows
+     */
+    async create(user, { service, rows, csv }) {
+        if (!BULK_SERVICES.includes(service)) {
+            throw new BulkPurchaseError('Bulk purchases support airtime and data', 'INVALID_SERVICE');
+        }
+
+        const source = csv !== undefined ? 'csv' : 'json';
+        const input = source === 'csv' ? parseCSV(csv) : rows;
+
+        if (!Array.isArray(input) || input.length === 0) {
+            throw new BulkPurchaseError('Provide at least one row as a CSV file or JSON array', 'INVALID_INPUT');
+        }
+
+        if (input.length > config.vtu.bulk.maxRows) {
+            throw new BulkPurchaseError(`A batch can have at most ${config.vtu.bulk.maxRows} rows`, 'TOO_MANY_ROWS');
+        }
+
+        // Reseller discounts are a flat percentage per service, so one lookup gives the rate
+        const chargeRate = await purchaseService.getChargeAmount(user, service, 1);
+        const checked = await this.validateRows(service, input, chargeRate);
+
+        const invalidRows = checked.filter(row => row.status === 'invalid');
+        const validRows = checked.filter(row => row.status === 'pending');
+        const now = new Date().toISOString();
+
+        const { data: job, error } = await supabaseAdmin
+            .from('vtu_bulk_jobs')
+            .insert({
+                reference: generateReference('BLK'),
+                user_id: user.id,
+                service,
+                source,
+                status: invalidRows.length > 0 ? 'invalid' : 'validated',
+                total_rows: checked.length,
+                invalid_rows: invalidRows.length,
+                total_amount: validRows.reduce((sum, row) => sum + toKobo(row.amount), 0) / 100,
+                total_charge: validRows.reduce((sum, row) => sum + toKobo(row.charge_amount), 0) / 100,
+                succeeded_rows: 0,
+                failed_rows: 0,
+                skipped_rows: 0,
+                created_at: now,
+                updated_at: now
+            })
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        for (let i = 0; i < checked.length; i += INSERT_CHUNK_SIZE) {
+            const { error: rowsError } = await supabaseAdmin
+                .from('vtu_bulk_rows')
+                .insert(checked.slice(i, i + INSERT_CHUNK_SIZE).map(row => ({ ...row, job_id: job.id, updated_at: now })));
+
+            if (rowsError) {
+                await this.updateJob(job, { status: 'invalid', error_message: 'Rows could not be saved' });
+                throw rowsError;
+            }
+        }
+
+        console.log('📦 Bulk batch created:', { reference: job.reference, service, rows: checked.length, invalid: invalidRows.length, total: job.total_charge });
+
+        return { ...job, invalid: invalidRows.map(row => ({ row_number: row.row_number, error: row.error })) };
+    }
+
+    /**
+     * Validate and price each row
+     * @returns {Promise<Object[]>} vtu_bulk_rows records (without job_id)
+     */
+    async validateRows(service, input, chargeRate) {
+        const plans = new Map();
+        const checked = [];
+
+        for (const [index, raw] of input.entries()) {
+            const source = raw && typeof raw === 'object' ? raw : {};
+            const phoneNumber = String(source.phone_number || source.phone || '').trim();
+            const network = String(source.network || '').trim().toUpperCase();
+            const planId = source.plan_id || source.plan || null;
+            let amount = source.amount !== undefined && source.amount !== '' && source.amount !== null ? parseFloat(source.amount) : null;
+            let rowError = null;
+
+            if (!network) {
+                rowError = 'Network is required';
+            } else if (!NETWORKS.includes(network)) {
+                rowError = `Unknown network: ${network}`;
+            } else if (!PHONE_REGEX.test(phoneNumber)) {
+                rowError = 'Invalid phone number format';
+            } else if (service === 'airtime') {
+                if (amount === null || isNaN(amount) || amount < 50 || amount > 10000) {
+                    rowError = 'Amount must be between ₦50 and ₦10,000';
+                }
+            } else if (!planId) {
+                rowError = 'Data plan is required';
+            } else {
+                const key = `${network}:${planId}`;
+                if (!plans.has(key)) {
+                    plans.set(key, await vtuService.resolvePlan('data', network, planId));
+                }
+
+                const plan = plans.get(key);
+                if (!plan.available) {
+                    rowError = 'Selected data plan is not available';
+                } else {
+                    amount = plan.price;
+                }
+            }
+
+            const params = service === 'airtime'
+                ? { network, phone_number: phoneNumber }
+                : { network, phone_number: phoneNumber, plan_id: planId };
+
+            checked.push({
+                row_number: index + 1,
+                params,
+                amount: rowError ? null : amount,
+                charge_amount: rowError ? null : toKobo(amount * chargeRate) / 100,
+                status: rowError ? 'invalid' : 'pending',
+                error: rowError
+            });
+        }
+
+        return checked;
+    }
+
+    /**
+     * Start a validated batch. With the single charge mode the total is debited here,
+     * so an insufficient balance fails the request before any row runs.
+     * @param {Object} user - { id, role }
+     * @param {string} id - Job ID
+     * @param {string} chargeMode - single | per_row
+     */
+    async startBatch(user, id, chargeMode = 'single') {
+        if (!CHARGE_MODES.includes(chargeMode)) {
+            throw new BulkPurchaseError('Charge mode must be single or per_row', 'INVALID_INPUT');
+        }
+
+        const job = await this.getOwned(user.id, id);
+
+        // Only one request can claim the batch; rows never run before the single debit lands
+        const claimed = await this.updateJob(job, {
+            status: chargeMode === 'single' ? 'funding' : 'running',
+            charge_mode: chargeMode,
+            started_at: new Date().toISOString()
+        }, { expectStatus: 'validated' });
+
+        if (!claimed) {
+            throw new BulkPurchaseError(`Batch is ${job.status}`, 'INVALID_STATUS');
+        }
+
+        let started = claimed;
+
+        if (chargeMode === 'single') {
+            try {
+                const reservation = await walletService.debit(
+                    user.id,
+                    parseFloat(job.total_charge),
+                    `Bulk ${job.service} purchase (${job.total_rows} recipients)`,
+                    job.reference,
+                    RESERVE_LEDGER
+                );
+                await purchaseService.updateTransaction(reservation.transaction.id, {
+                    metadata: { ...(reservation.transaction.metadata || {}), bulk_reference: job.reference, service_type: job.service }
+                });
+            } catch (error) {
+                // Nothing has run yet; put the batch back so it can be started again
+                await this.updateJob(claimed, { status: 'validated', charge_mode: null, started_at: null });
+                throw error;
+            }
+
+            started = await this.updateJob(claimed, { status: 'running' }, { expectStatus: 'funding' });
+        }
+
+        this.launch(started, user);
+        return started;
+    }
+
+    /**
+     * Cancel a batch that has not been started
+     */
+    async cancel(userId, id) {
+        const job = await this.getOwned(userId, id);
+
+        const cancelled = ['invalid', 'validated'].includes(job.status)
+            ? await this.updateJob(job, { status: 'cancelled' }, { expectStatus: job.status })
+            : null;
+
+        if (!cancelled) {
+            throw new BulkPurchaseError(`Batch is ${job.status}`, 'INVALID_STATUS');
+        }
+
+        return cancelled;
+    }
+
+    /**
+     * Run a batch in the background
+     */
+    launch(job, user) {
+        if (this.active.has(job.id)) {
+            return;
+        }
+
+        this.active.add(job.id);
+        this.run(job, user)
+            .catch(error => console.error('Bulk batch error:', { reference: job.reference, error: error.message }))
+            .finally(() => this.active.delete(job.id));
+    }
+
+    /**
+     * Work through the pending rows of a running batch, then settle it
+     */
+    async run(job, user) {
+        const { data: rows, error } = await supabaseAdmin
+            .from('vtu_bulk_rows')
+            .select('*')
+            .eq('job_id', job.id)
+            .eq('status', 'pending')
+            .order('row_number', { ascending: true });
+
+        if (error) {
+            throw error;
+        }
+
+        const queue = [...(rows || [])];
+        let stopReason = null;
+
+        const worker = async () => {
+            while (queue.length > 0) {
+                const row = queue.shift();
+
+                if (stopReason) {
+                    await this.skipRow(job, row, stopReason);
+                    continue;
+                }
+
+                const outcome = await this.runRow(job, user, row);
+                if (outcome.stop) {
+                    stopReason = outcome.stop;
+                }
+
+                // Heartbeat, so the recovery worker leaves this batch alone
+                await this.updateJob(job, {});
+            }
+        };
+
+        const concurrency = Math.max(1, Math.min(config.vtu.bulk.concurrency, queue.length));
+        await Promise.all(Array.from({ length: concurrency }, worker));
+
+        return this.finish(job);
+    }
+
+    /**
+     * Buy one row
+     * @returns {Promise<Object>} { stop } set when the rest of the batch cannot run
+     */
+    async runRow(job, user, row) {
+        const claimed = await this.updateRow(row, { status: 'processing' }, { expectStatus: 'pending' });
+        if (!claimed) {
+            return {};
+        }
+
+        const params = { ...row.params, amount: parseFloat(row.amount) };
+        const metadata = { bulk_reference: job.reference, bulk_row: row.row_number };
+
+        try {
+            const result = job.charge_mode === 'single'
+                ? await purchaseService.purchaseReserved(job.service, user, params, { chargeAmount: parseFloat(row.charge_amount), metadata })
+                : await purchaseService.purchase(job.service, user, params, { metadata });
+
+            await this.updateRow(row, {
+                status: result.success ? result.status : 'failed',
+                error: result.success ? null : result.message,
+                transaction_id: result.transaction ? result.transaction.id : null,
+                vtu_reference: result.vtu_reference || null
+            });
+
+            return {};
+
+        } catch (error) {
+            if (job.charge_mode === 'per_row' && (error instanceof InsufficientFundsError || error instanceof WalletFrozenError)) {
+                const reason = error instanceof InsufficientFundsError ? 'Insufficient wallet balance' : error.message;
+                await this.updateRow(row, { status: 'skipped', error: reason });
+                return { stop: reason };
+            }
+
+            console.error('Bulk row error:', { reference: job.reference, row: row.row_number, error: error.message });
+
+            // With a single charge the row's share is still reserved unless a purchase was recorded for it
+            const transaction = await this.findRowTransaction(job, row);
+            if (transaction) {
+                await this.updateRow(row, { status: transaction.status === 'completed' ? 'completed' : (transaction.status === 'processing' ? 'processing' : 'failed'), error: error.message, transaction_id: transaction.id });
+            } else {
+                await this.updateRow(row, { status: 'failed', error: error.message });
+                await this.refundRow(job, row);
+            }
+
+            return {};
+        }
+    }
+
+    async skipRow(job, row, reason) {
+        const skipped = await this.updateRow(row, { status: 'skipped', error: reason }, { expectStatus: 'pending' });
+        if (skipped) {
+            await this.refundRow(job, row);
+        }
+    }
+
+    /**
+     * Hand a single-charge row's share back to the wallet when no purchase was made for it
+     */
+    async refundRow(job, row) {
+        if (job.charge_mode !== 'single') {
+            return;
+        }
+
+        const reference = `REFUND_${job.reference}_${row.row_number}`;
+
+        try {
+            if (await walletService.isTransactionProcessed(reference)) {
+                return;
+            }
+
+            await walletService.credit(job.user_id, parseFloat(row.charge_amount), `Refund: bulk ${job.service} row ${row.row_number}`, reference, REFUND_LEDGER);
+        } catch (error) {
+            // Left for manual follow-up: the row is failed/skipped without a transaction
+            console.error('Bulk row refund error:', { reference, amount: row.charge_amount, error: error.message });
+        }
+    }
+
+    /**
+     * Count the row outcomes, mark the batch completed and tell the user
+     */
+    async finish(job) {
+        const rows = await this.getRows(job.id);
+        const counts = { completed: 0, processing: 0, failed: 0, skipped: 0 };
+        rows.forEach(row => { if (counts[row.status] !== undefined) counts[row.status]++; });
+
+        const finished = await this.updateJob(job, {
+            status: 'completed',
+            succeeded_rows: counts.completed + counts.processing,
+            failed_rows: counts.failed,
+            skipped_rows: counts.skipped,
+            completed_at: new Date().toISOString()
+        }, { expectStatus: 'running' });
+
+        if (!finished) {
+            return null;
+        }
+
+        console.log('📦 Bulk batch completed:', { reference: job.reference, ...counts });
+
+        try {
+            await notificationService.createNotification(job.user_id, {
+                title: 'Bulk Purchase Completed',
+                message: `Your bulk ${job.service} batch ${job.reference} has finished: ${finished.succeeded_rows} of ${job.total_rows - job.invalid_rows} went through` +
+                    (counts.failed + counts.skipped > 0 ? `, ${counts.failed + counts.skipped} did not go through.` : '.'),
+                type: counts.failed + counts.skipped > 0 ? 'warning' : 'success',
+                metadata: { transaction_type: 'bulk_purchase', bulk_reference: job.reference, job_id: job.id, ...counts }
+            });
+        } catch (error) {
+            console.error('Bulk notification error:', error.message);
+        }
+
+        return finished;
+    }
+
+    /**
+     * Pick up running batches whose process stopped (e.g. a restart) and carry on
+     */
+    async resumeStale() {
+        const cutoff = new Date(Date.now() - config.vtu.bulk.staleAfter).toISOString();
+
+        await this.recoverFunding(cutoff);
+
+        const { data: jobs, error } = await supabaseAdmin
+            .from('vtu_bulk_jobs')
+            .select('*')
+            .eq('status', 'running')
+            .lt('updated_at', cutoff)
+            .limit(10);
+
+        if (error) {
+            console.error('Bulk recovery error:', error);
+            return;
+        }
+
+        for (const job of jobs || []) {
+            if (this.active.has(job.id)) continue;
+
+            // Claim with the heartbeat we read so only one instance resumes the batch
+            const { data: claimed } = await supabaseAdmin
+                .from('vtu_bulk_jobs')
+                .update({ updated_at: new Date().toISOString() })
+                .eq('id', job.id)
+                .eq('updated_at', job.updated_at)
+                .select()
+                .maybeSingle();
+
+            if (!claimed) continue;
+
+            try {
+                await this.recoverRows(claimed);
+
+                const { data: user } = await supabaseAdmin
+                    .from('users')
+                    .select('id, role')
+                    .eq('id', claimed.user_id)
+                    .maybeSingle();
+
+                console.log('📦 Resuming bulk batch:', claimed.reference);
+                this.launch(claimed, user || { id: claimed.user_id, role: 'user' });
+            } catch (recoverError) {
+                console.error('Bulk recovery error:', { reference: job.reference, error: recoverError.message });
+            }
+        }
+    }
+
+    /**
+     * Batches stuck between being claimed and debited: run them if the debit went
+     * through, otherwise hand them back to the user to start again
+     */
+    async recoverFunding(cutoff) {
+        const { data: jobs, error } = await supabaseAdmin
+            .from('vtu_bulk_jobs')
+            .select('*')
+            .eq('status', 'funding')
+            .lt('updated_at', cutoff)
+            .limit(10);
+
+        if (error) {
+            console.error('Bulk recovery error:', error);
+            return;
+        }
+
+        for (const job of jobs || []) {
+            const funded = await walletService.isTransactionProcessed(job.reference);
+
+            // Running batches are then picked up by resumeStale, which claims them itself
+            await supabaseAdmin
+                .from('vtu_bulk_jobs')
+                .update(funded
+                    ? { status: 'running' }
+                    : { status: 'validated', charge_mode: null, started_at: null, updated_at: new Date().toISOString() })
+                .eq('id', job.id)
+                .eq('status', 'funding');
+        }
+    }
+
+    /**
+     * Rows left processing by a dead runner: attach the purchase if one was made,
+     * otherwise put the row back in the queue
+     */
+    async recoverRows(job) {
+        const { data: rows, error } = await supabaseAdmin
+            .from('vtu_bulk_rows')
+            .select('*')
+            .eq('job_id', job.id)
+            .eq('status', 'processing')
+            .is('transaction_id', null);
+
+        if (error) {
+            throw error;
+        }
+
+        for (const row of rows || []) {
+            const transaction = await this.findRowTransaction(job, row);
+
+            if (!transaction) {
+                await this.updateRow(row, { status: 'pending' });
+            } else {
+                const status = ['completed', 'processing'].includes(transaction.status) ? transaction.status : 'failed';
+                await this.updateRow(row, { status, transaction_id: transaction.id, vtu_reference: transaction.payment_reference });
+            }
+        }
+    }
+
+    async findRowTransaction(job, row) {
+        const { data, error } = await supabaseAdmin
+            .from('transactions')
+            .select('id, status, payment_reference')
+            .eq('user_id', job.user_id)
+            .eq('metadata->>bulk_reference', job.reference)
+            .eq('metadata->>bulk_row', String(row.row_number))
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    /**
+     * List a user's batches
+     */
+    async list(userId, { status, page = 1, limit = 20 } = {}) {
+        const pageSize = Math.min(parseInt(limit, 10) || 20, 100);
+        const offset = (Math.max(parseInt(page, 10) || 1, 1) - 1) * pageSize;
+
+        let query = supabaseAdmin
+            .from('vtu_bulk_jobs')
+            .select('*', { count: 'exact' })
+            .eq('user_id', userId)
+            .order('created_at', { ascending: false })
+            .range(offset, offset + pageSize - 1);
+
+        if (status) query = query.eq('status', status);
+
+        const { data, error, count } = await query;
+
+        if (error) {
+            throw error;
+        }
+
+        return { batches: data || [], total: count || 0, page: Math.max(parseInt(page, 10) || 1, 1), limit: pageSize };
+    }
+
+    /**
+     * Get a batch with its progress
+     * @returns {Promise<Object|null>}
+     */
+    async get(userId, id) {
+        const job = await this.findForUser(userId, id);
+        if (!job) {
+            return null;
+        }
+
+        const rows = await this.getRows(job.id);
+        const progress = { pending: 0, processing: 0, completed: 0, failed: 0, skipped: 0, invalid: 0 };
+        rows.forEach(row => { if (progress[row.status] !== undefined) progress[row.status]++; });
+
+        const runnable = job.total_rows - job.invalid_rows;
+        const done = progress.completed + progress.failed + progress.skipped;
+
+        return {
+            ...job,
+            progress: {
+                ...progress,
+                percent: runnable > 0 ? Math.round((done / runnable) * 100) : 0
+            },
+            invalid: rows.filter(row => row.status === 'invalid').map(row => ({ row_number: row.row_number, error: row.error }))
+        };
+    }
+
+    /**
+     * Per-row results of a batch as CSV
+     * @returns {Promise<string|null>}
+     */
+    async getResultsCSV(userId, id) {
+        const job = await this.findForUser(userId, id);
+        if (!job) {
+            return null;
+        }
+
+        const rows = await this.getRows(job.id);
+
+        // Rows still processing at the provider show the purchase's current status
+        const pendingIds = rows.filter(row => row.status === 'processing' && row.transaction_id).map(row => row.transaction_id);
+        const statuses = new Map();
+
+        if (pendingIds.length > 0) {
+            const { data } = await supabaseAdmin
+                .from('transactions')
+                .select('id, status')
+                .in('id', pendingIds);
+            (data || []).forEach(transaction => statuses.set(transaction.id, transaction.status));
+        }
+
+        return toCSV(rows.map(row => ({
+            row_number: row.row_number,
+            phone_number: row.params.phone_number,
+            network: row.params.network,
+            plan_id: row.params.plan_id || '',
+            amount: row.amount,
+            charge_amount: row.charge_amount,
+            status: statuses.get(row.transaction_id) || row.status,
+            error: row.error,
+            vtu_reference: row.vtu_reference,
+            transaction_id: row.transaction_id
+        })), RESULT_COLUMNS);
+    }
+
+    async getRows(jobId) {
+        const { data, error } = await supabaseAdmin
+            .from('vtu_bulk_rows')
+            .select('*')
+            .eq('job_id', jobId)
+            .order('row_number', { ascending: true });
+
+        if (error) {
+            throw error;
+        }
+
+        return data || [];
+    }
+
+    async getOwned(userId, id) {
+        const job = await this.findForUser(userId, id);
+        if (!job) {
+            throw new BulkPurchaseError('Batch not found', 'NOT_FOUND');
+        }
+
+        return job;
+    }
+
+    async findForUser(userId, id) {
+        const { data, error } = await supabaseAdmin
+            .from('vtu_bulk_jobs')
+            .select('*')
+            .eq('id', id)
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    /**
+     * Update a batch, optionally only while it still has a given status
+     * @returns {Promise<Object|null>} The updated row, or null if the status had changed
+     */
+    async updateJob(job, updates, { expectStatus } = {}) {
+        let query = supabaseAdmin
+            .from('vtu_bulk_jobs')
+            .update({ ...updates, updated_at: new Date().toISOString() })
+            .eq('id', job.id);
+
+        if (expectStatus) {
+            query = query.eq('status', expectStatus);
+        }
+
+        const { data, error } = await query.select().maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    async updateRow(row, updates, { expectStatus } = {}) {
+        let query = supabaseAdmin
+            .from('vtu_bulk_rows')
+            .update({ ...updates, updated_at: new Date().toISOString() })
+            .eq('id', row.id);
+
+        if (expectStatus) {
+            query = query.eq('status', expectStatus);
+        }
+
+        const { data, error } = await query.select().maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+}
+
+const bulkPurchaseService = new BulkPurchaseService();
+
+module.exports = {
+    bulkPurchaseService,
+    BulkPurchaseService,
+    BulkPurchaseError
+};
@@ -0,0 +1,415 @@
+const config = require('../config/environment');
+const { supabaseAdmin } = require('../config/supabase');
+const { providerRegistry } = require('../vtu-providers');
+
+const CATALOGUE_CACHE_TTL = 60000; // 1 minute
+const DATA_NETWORKS = ['MTN', 'GLO', 'AIRTEL', '9MOBILE'];
+const CABLE_PROVIDERS = ['DSTV', 'GOTV', 'STARTIMES'];
+
+/**
+ * VTU plan catalogue
+ * Data plans and cable bouquets pulled from each provider into the vtu_catalogue table,
+ * so customers see admin-controlled prices instead of hardcoded lists. Columns:
+ *   service             - data | cable
+ *   network             - MTN, GLO, DSTV, ... (upper case)
+ *   provider            - adapter name registered in vtu-providers/
+ *   plan_code           - the provider's plan / variation code, sent back on purchase
+ *   name, data_size, validity
+ *   cost_price          - what the provider charges, refreshed on every sync
+ *   previous_cost_price, price_changed_at - set when a sync sees a new cost price
+ *   selling_price       - admin override; null sells at cost price
+ *   is_visible          - admin toggle to hide a plan from customers
+ *   status              - active | removed (removed plans stay for history and can come back)
+ *   first_seen_at, last_synced_at, removed_at
+ */
+class CatalogueService {
+    constructor() {
+        this.timer = null;
+        this.syncing = false;
+        this.cache = new Map();
+    }
+
+    /**
+     * Start the scheduled sync
+     */
+    start() {
+        const { enabled, interval } = config.vtu.catalogue;
+
+        if (!enabled || this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => this.sync(), interval);
+        this.sync();
+        console.log(`📚 Catalogue sync started (every ${Math.round(interval / 60000)}m)`);
+    }
+
+    /**
+     * Stop the scheduled sync
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            console.log('Catalogue sync stopped');
+        }
+    }
+
+    /**
+     * Drop cached plan lists so the next request reloads them
+     */
+    invalidateCache() {
+        this.cache.clear();
+    }
+
+    /**
+     * Pull plans from every ready provider and record what changed
+     * @returns {Promise<Object|null>} Change counts, or null if a sync is already running
+     */
+    async sync() {
+        if (this.syncing) {
+            return null;
+        }
+
+        this.syncing = true;
+        const summary = { added: 0, repriced: 0, removed: 0, restored: 0, unchanged: 0, below_cost: [] };
+
+        try {
+            const groups = [
+                ...DATA_NETWORKS.map(network => ({ service: 'data', network, method: 'getDataPlans' })),
+                ...CABLE_PROVIDERS.map(network => ({ service: 'cable', network, method: 'getCablePackages' }))
+            ];
+
+            for (const { name, ready } of providerRegistry.list()) {
+                if (!ready) continue;
+                const provider = providerRegistry.get(name);
+
+                for (const { service, network, method } of groups) {
+                    try {
+                        const items = await provider[method](network);
+
+                        // null: no catalogue endpoint; empty: most likely a provider hiccup, not a withdrawn range
+                        if (!items || items.length === 0) continue;
+
+                        await this.syncGroup(service, network, name, items, summary);
+                    } catch (error) {
+                        console.error(`Catalogue sync failed for ${name} ${service} ${network}:`, error.message);
+                    }
+                }
+            }
+
+            this.invalidateCache();
+            console.log('📚 Catalogue sync finished:', { ...summary, below_cost: summary.below_cost.length });
+
+            if (summary.below_cost.length > 0) {
+                console.warn('⚠️ Plans now selling below cost:', summary.below_cost);
+            }
+
+            return summary;
+        } catch (error) {
+            console.error('Catalogue sync error:', error);
+            return summary;
+        } finally {
+            this.syncing = false;
+        }
+    }
+
+    /**
+     * Reconcile one provider's plan list for a network against the stored catalogue
+     */
+    async syncGroup(service, network, provider, items, summary) {
+        const { data: existing, error } = await supabaseAdmin
+            .from('vtu_catalogue')
+            .select('*')
+            .eq('service', service)
+            .eq('network', network)
+            .eq('provider', provider);
+
+        if (error) {
+            throw error;
+        }
+
+        const now = new Date().toISOString();
+        const byCode = new Map((existing || []).map(row => [row.plan_code, row]));
+        const seen = new Set();
+        const inserts = [];
+
+        for (const item of items) {
+            const code = item.code !== undefined && item.code !== null ? String(item.code) : null;
+            const price = parseFloat(item.price);
+            if (!code || isNaN(price) || seen.has(code)) continue;
+            seen.add(code);
+
+            const details = {
+                name: item.name,
+                data_size: item.data || null,
+                validity: item.validity || null,
+                last_synced_at: now
+            };
+
+            const row = byCode.get(code);
+            if (!row) {
+                inserts.push({
+                    service,
+                    network,
+                    provider,
+                    plan_code: code,
+                    ...details,
+                    cost_price: price,
+                    selling_price: null,
+                    is_visible: true,
+                    status: 'active',
+                    first_seen_at: now
+                });
+                summary.added += 1;
+                continue;
+            }
+
+            const updates = { ...details };
+            let changed = false;
+
+            if (row.status === 'removed') {
+                updates.status = 'active';
+                updates.removed_at = null;
+                summary.restored += 1;
+                changed = true;
+            }
+
+            if (Math.abs(parseFloat(row.cost_price) - price) > 0.001) {
+                updates.previous_cost_price = row.cost_price;
+                updates.cost_price = price;
+                updates.price_changed_at = now;
+                summary.repriced += 1;
+                changed = true;
+
+                if (row.selling_price !== null && parseFloat(row.selling_price) < price) {
+                    summary.below_cost.push({ id: row.id, provider, network, plan_code: code, cost_price: price, selling_price: row.selling_price });
+                }
+            }
+
+            if (!changed) {
+                summary.unchanged += 1;
+            }
+
+            await this.updateRow(row.id, updates);
+        }
+
+        for (const row of existing || []) {
+            if (row.status === 'active' && !seen.has(row.plan_code)) {
+                await this.updateRow(row.id, { status: 'removed', removed_at: now });
+                summary.removed += 1;
+            }
+        }
+
+        if (inserts.length > 0) {
+            const { error: insertError } = await supabaseAdmin
+                .from('vtu_catalogue')
+                .insert(inserts);
+
+            if (insertError) {
+                throw insertError;
+            }
+        }
+    }
+
+    /**
+     * Update a catalogue row
+     */
+    async updateRow(id, updates) {
+        const { error } = await supabaseAdmin
+            .from('vtu_catalogue')
+            .update(updates)
+            .eq('id', id);
+
+        if (error) {
+            throw error;
+        }
+    }
+
+    /**
+     * Plans customers can buy for a network from a provider, cached for a minute
+     * @param {string} service - data | cable
+     * @param {string} network - Network or cable provider code
+     * @param {string} provider - Provider whose plan codes will be sent on purchase
+     * @returns {Promise<Array>} Plans in the public shape, empty when nothing has been synced
+     */
+    async getPlans(service, network, provider) {
+        const key = `${service}:${network.toUpperCase()}:${provider}`;
+        const cached = this.cache.get(key);
+        if (cached && (Date.now() - cached.lastUpdated) < CATALOGUE_CACHE_TTL) {
+            return cached.plans;
+        }
+
+        const { data, error } = await supabaseAdmin
+            .from('vtu_catalogue')
+            .select('*')
+            .eq('service', service)
+            .eq('network', network.toUpperCase())
+            .eq('provider', provider)
+            .eq('status', 'active')
+            .eq('is_visible', true)
+            .order('cost_price', { ascending: true });
+
+        if (error) {
+            throw error;
+        }
+
+        const plans = (data || []).map(row => this.toPublicPlan(row));
+        this.cache.set(key, { plans, lastUpdated: Date.now() });
+
+        return plans;
+    }
+
+    /**
+     * Work out whether a plan can be bought from a provider and at what price.
+     * Networks with nothing in the catalogue yet come back available with a null price,
+     * for the caller to price from the provider plan list.
+     * @param {string} service - data | cable
+     * @param {string} network - Network or cable provider code
+     * @param {string} planCode - plan_id or package_id
+     * @param {string} provider - Provider the purchase will be routed to
+     * @returns {Promise<{ available: boolean, price: number|null }>}
+     */
+    async resolvePlan(service, network, planCode, provider) {
+        const { data, error } = await supabaseAdmin
+            .from('vtu_catalogue')
+            .select('provider, plan_code, status, is_visible, cost_price, selling_price')
+            .eq('service', service)
+            .eq('network', String(network).toUpperCase());
+
+        if (error) {
+            throw error;
+        }
+
+        if (!data || data.length === 0) {
+            return { available: true, price: null };
+        }
+
+        // Each provider prices its own plan codes; only the row of the provider sent the order counts
+        const plan = data.find(row => row.provider === provider && row.plan_code === String(planCode) && row.status === 'active' && row.is_visible);
+        if (!plan) {
+            return { available: false, price: null };
+        }
+
+        return { available: true, price: this.getSellingPrice(plan) };
+    }
+
+    /**
+     * Providers a plan code belongs to. Plan codes are provider-specific, so a data or cable
+     * purchase may only be routed to these.
+     * @returns {Promise<Array<string>|null>} Provider names, or null when the network has
+     *                                        nothing in the catalogue yet
+     */
+    async getPlanProviders(service, network, planCode) {
+        const { data, error } = await supabaseAdmin
+            .from('vtu_catalogue')
+            .select('provider, plan_code, status, is_visible')
+            .eq('service', service)
+            .eq('network', String(network).toUpperCase());
+
+        if (error) {
+            throw error;
+        }
+
+        if (!data || data.length === 0) {
+            return null;
+        }
+
+        return [...new Set(data
+            .filter(row => row.plan_code === String(planCode) && row.status === 'active' && row.is_visible)
+            .map(row => row.provider))];
+    }
+
+    /**
+     * Price charged to customers
+     */
+    getSellingPrice(row) {
+        return parseFloat(row.selling_price !== null && row.selling_price !== undefined ? row.selling_price : row.cost_price);
+    }
+
+    /**
+     * Shape a catalogue row like the default plan lists
+     */
+    toPublicPlan(row) {
+        const plan = {
+            id: row.plan_code,
+            name: row.name,
+            price: this.getSellingPrice(row)
+        };
+
+        if (row.service === 'cable') {
+            plan.code = row.plan_code;
+        } else {
+            plan.data = row.data_size;
+            plan.validity = row.validity;
+        }
+
+        return plan;
+    }
+
+    /**
+     * List catalogue entries for the admin dashboard, including hidden and removed plans
+     */
+    async listEntries({ service, network, provider, status } = {}) {
+        let query = supabaseAdmin
+            .from('vtu_catalogue')
+            .select('*')
+            .order('service', { ascending: true })
+            .order('network', { ascending: true })
+            .order('cost_price', { ascending: true });
+
+        if (service) query = query.eq('service', service);
+        if (network) query = query.eq('network', network.toUpperCase());
+        if (provider) query = query.eq('provider', provider);
+        if (status) query = query.eq('status', status);
+
+        const { data, error } = await query;
+
+        if (error) {
+            throw error;
+        }
+
+        return data || [];
+    }
+
+    /**
+     * Set the selling price and visibility of a plan
+     * @returns {Promise<Object|null>} Updated entry, or null if it does not exist
+     */
+    async updateEntry(id, { selling_price, is_visible }) {
+        const updates = { updated_at: new Date().toISOString() };
+
+        if (selling_price !== undefined) {
+            updates.selling_price = selling_price === null || selling_price === '' ? null : parseFloat(selling_price);
+        }
+
+        if (is_visible !== undefined) {
+            updates.is_visible = is_visible === true || is_visible === 'true';
+        }
+
+        const { data, error } = await supabaseAdmin
+            .from('vtu_catalogue')
+            .update(updates)
+            .eq('id', id)
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === 'PGRST116') { // PGRST116: No rows found
+                return null;
+            }
+            throw error;
+        }
+
+        this.invalidateCache();
+        return data;
+    }
+}
+
+// Create singleton instance
+const catalogueService = new CatalogueService();
+
+module.exports = {
+    catalogueService,
+    CatalogueService
+};
@@ -0,0 +1,528 @@
+const config = require('../config/environment');
+const { supabaseAdmin } = require('../config/supabase');
+const { paymentService } = require('./paymentService');
+const { flutterwaveService } = require('./flutterwaveService');
+const { walletService } = require('./walletService');
+const { ledgerService, ACCOUNTS } = require('./ledgerService');
+const { notificationService } = require('./notificationService');
+const { generateReference } = require('../utils/helpers');
+
+const OPEN_STATUSES = ['open', 'under_review'];
+const EVIDENCE_TYPES = ['application/pdf', 'image/png', 'image/jpeg', 'text/plain'];
+const EVIDENCE_URL_TTL = 7 * 24 * 60 * 60; // seconds; long enough for Flutterwave to review
+
+class DisputeError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} code - NOT_FOUND | INVALID_STATUS | INVALID_EVIDENCE | NO_EVIDENCE | PROVIDER_ERROR
+     */
+    constructor(message, code = 'DISPUTE_ERROR') {
+        super(message);
+        this.name = 'DisputeError';
+        this.code = code;
+    }
+}
+
+// Amounts are compared in kobo so a hold never rounds past the balance
+const toKobo = (amount) => Math.round(parseFloat(amount || 0) * 100);
+
+/**
+ * Chargebacks and payment disputes
+ *
+ * Flutterwave chargeback webhooks are recorded against the deposit they dispute (found by
+ * tx_ref). As much of the disputed amount as the wallet still holds is moved out of the
+ * balance into the dispute_holds ledger account; if part of it has already been spent the
+ * wallet is frozen with walletService.freezeWallet. Admins then upload evidence (kept in
+ * Supabase Storage) and contest or accept the chargeback at Flutterwave. The outcome, set
+ * by an admin or a later webhook, closes the dispute:
+ *   won  - the hold is credited back and a freeze placed by the dispute is lifted
+ *   lost - the held funds go to Flutterwave (Dr dispute_holds / Cr flutterwave_clearing);
+ *          a frozen wallet stays frozen until the shortfall is recovered
+ *
+ * Stored in the disputes table:
+ *   reference (DSP_), flw_chargeback_id (unique), transaction_id, user_id, tx_ref, flw_ref
+ *   amount, reason, stage, provider_status, due_date
+ *   status - open -> under_review (contested) -> won | lost
+ *   held_amount, shortfall, wallet_frozen
+ *   evidence - [{ path, file_name, content_type, size, note, uploaded_by, uploaded_at }]
+ *   resolution_note, resolved_by, resolved_at, created_at, updated_at
+ */
+class DisputeService {
+    /**
+     * Record or update a dispute from a Flutterwave chargeback event
+     * @param {Object} chargeback - { chargebackId, amount, txRef, flwRef, transactionId, status, stage, reason, dueDate }
+     * @returns {Promise<{ status: string, dispute: Object }>} recorded | updated | resolved
+     */
+    async recordFromProvider(chargeback) {
+        const existing = await this.findByChargebackId(chargeback.chargebackId);
+
+        if (existing) {
+            const updated = await this.update(existing, {
+                provider_status: chargeback.status || existing.provider_status,
+                stage: chargeback.stage || existing.stage,
+                due_date: chargeback.dueDate || existing.due_date
+            });
+
+            // Flutterwave closed it
+            if (['won', 'lost'].includes(chargeback.status) && OPEN_STATUSES.includes(existing.status)) {
+                return { status: 'resolved', dispute: await this.resolve(updated || existing, chargeback.status, { note: `Closed by Flutterwave (${chargeback.status})` }) };
+            }
+
+            return { status: 'updated', dispute: updated || existing };
+        }
+
+        const transaction = await this.findFundingTransaction(chargeback);
+        const now = new Date().toISOString();
+
+        const { data: dispute, error } = await supabaseAdmin
+            .from('disputes')
+            .insert({
+                reference: generateReference('DSP'),
+                flw_chargeback_id: chargeback.chargebackId,
+                transaction_id: transaction ? transaction.id : null,
+                user_id: transaction ? transaction.user_id : null,
+                tx_ref: chargeback.txRef || (transaction ? transaction.payment_reference : null),
+                flw_ref: chargeback.flwRef || null,
+                amount: parseFloat(chargeback.amount),
+                reason: chargeback.reason || null,
+                stage: chargeback.stage || null,
+                provider_status: chargeback.status || null,
+                due_date: chargeback.dueDate || null,
+                status: 'open',
+                held_amount: 0,
+                shortfall: 0,
+                wallet_frozen: false,
+                evidence: [],
+                created_at: now,
+                updated_at: now
+            })
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === '23505') { // unique_violation: a concurrent webhook recorded it
+                return { status: 'updated', dispute: await this.findByChargebackId(chargeback.chargebackId) };
+            }
+            throw error;
+        }
+
+        console.log('⚠️ Chargeback recorded:', { reference: dispute.reference, txRef: dispute.tx_ref, amount: dispute.amount });
+
+        if (!transaction) {
+            console.error('❌ Chargeback for unknown funding transaction; needs manual review:', { reference: dispute.reference, txRef: chargeback.txRef });
+            return { status: 'recorded', dispute };
+        }
+
+        return { status: 'recorded', dispute: await this.placeHold(dispute, transaction) };
+    }
+
+    /**
+     * Find the deposit a chargeback disputes
+     * @returns {Promise<Object|null>}
+     */
+    async findFundingTransaction({ txRef, transactionId }) {
+        let reference = txRef;
+
+        if (!reference && transactionId) {
+            const verification = await flutterwaveService.verifyTransactionById(transactionId);
+            reference = verification.data ? verification.data.tx_ref : null;
+        }
+
+        if (!reference) {
+            return null;
+        }
+
+        const { data, error } = await supabaseAdmin
+            .from('transactions')
+            .select('*')
+            .eq('payment_reference', reference);
+
+        if (error) {
+            throw error;
+        }
+
+        const rows = data || [];
+        return rows.find(row => row.type === 'deposit') || rows[0] || null;
+    }
+
+    /**
+     * Hold what the wallet still has of the disputed amount, and freeze it if that is not enough
+     */
+    async placeHold(dispute, transaction) {
+        const userId = transaction.user_id;
+        const disputed = toKobo(dispute.amount);
+        let held = 0;
+
+        try {
+            const balance = toKobo(await walletService.getBalance(userId));
+            held = Math.min(balance, disputed);
+
+            if (held > 0) {
+                await walletService.debit(
+                    userId,
+                    held / 100,
+                    `Funds held: chargeback on ${dispute.tx_ref}`,
+                    `${dispute.reference}_HOLD`,
+                    { account: ACCOUNTS.DISPUTE_HOLDS, kind: 'dispute_hold' }
+                );
+            }
+        } catch (error) {
+            // Spending limits or a frozen wallet can refuse the hold; freezing covers it
+            console.error('❌ Chargeback hold failed:', { reference: dispute.reference, error: error.message });
+            held = 0;
+        }
+
+        const shortfall = disputed - held;
+        let frozen = false;
+
+        if (shortfall > 0) {
+            try {
+                await walletService.freezeWallet(userId, `Chargeback ${dispute.reference}: ₦${shortfall / 100} of disputed funds already spent`);
+                frozen = true;
+            } catch (error) {
+                console.error('❌ Failed to freeze wallet for chargeback:', { reference: dispute.reference, error: error.message });
+            }
+        }
+
+        const updated = await this.update(dispute, {
+            held_amount: held / 100,
+            shortfall: shortfall / 100,
+            wallet_frozen: frozen
+        });
+
+        await this.notify(userId, 'Payment Disputed', frozen
+            ? `Your card issuer has disputed a ₦${Number(dispute.amount).toLocaleString()} wallet funding. Your wallet has been frozen while we review it.`
+            : `Your card issuer has disputed a ₦${Number(dispute.amount).toLocaleString()} wallet funding. The amount is on hold while we review it.`,
+        'warning', dispute);
+
+        console.log('🔒 Chargeback hold placed:', { reference: dispute.reference, held: held / 100, shortfall: shortfall / 100, frozen });
+        return updated || dispute;
+    }
+
+    /**
+     * List disputes, newest first
+     * @param {Object} [filters] - { status, user_id, page, limit }
+     */
+    async list({ status, user_id, page = 1, limit = 20 } = {}) {
+        const pageSize = Math.min(parseInt(limit, 10) || 20, 100);
+        const currentPage = Math.max(parseInt(page, 10) || 1, 1);
+        const offset = (currentPage - 1) * pageSize;
+
+        let query = supabaseAdmin
+            .from('disputes')
+            .select('*', { count: 'exact' })
+            .order('created_at', { ascending: false })
+            .range(offset, offset + pageSize - 1);
+
+        if (status) query = query.eq('status', status);
+        if (user_id) query = query.eq('user_id', user_id);
+
+        const { data, error, count } = await query;
+
+        if (error) {
+            throw error;
+        }
+
+        return { disputes: data || [], total: count || 0, page: currentPage, limit: pageSize };
+    }
+
+    /**
+     * Get a dispute with short-lived links to its evidence
+     * @returns {Promise<Object|null>}
+     */
+    async get(id) {
+        const dispute = await this.findById(id);
+        if (!dispute) {
+            return null;
+        }
+
+        return { ...dispute, evidence: await this.evidenceLinks(dispute, 60 * 60) };
+    }
+
+    /**
+     * Store an evidence file for a dispute
+     * @param {Object} file - { file_name, content_type, content_base64, note }
+     */
+    async addEvidence(id, adminId, { file_name, content_type, content_base64, note }) {
+        const dispute = await this.getOpen(id);
+        const { evidenceBucket, maxEvidenceBytes } = config.wallet.disputes;
+
+        if (!EVIDENCE_TYPES.includes(content_type)) {
+            throw new DisputeError(`Evidence must be one of: ${EVIDENCE_TYPES.join(', ')}`, 'INVALID_EVIDENCE');
+        }
+
+        const content = Buffer.from(String(content_base64 || ''), 'base64');
+        if (content.length === 0 || content.length > maxEvidenceBytes) {
+            throw new DisputeError(`Evidence must be between 1 byte and ${Math.round(maxEvidenceBytes / 1024)} KB`, 'INVALID_EVIDENCE');
+        }
+
+        const safeName = String(file_name || 'evidence').replace(/[^a-zA-Z0-9._-]/g, '_').slice(-100);
+        const path = `${dispute.reference}/${Date.now()}_${safeName}`;
+
+        const { error: uploadError } = await supabaseAdmin.storage
+            .from(evidenceBucket)
+            .upload(path, content, { contentType: content_type, upsert: false });
+
+        if (uploadError) {
+            throw new Error(`Evidence upload failed: ${uploadError.message}`);
+        }
+
+        const evidence = [...(dispute.evidence || []), {
+            path,
+            file_name: safeName,
+            content_type,
+            size: content.length,
+            note: note || null,
+            uploaded_by: adminId,
+            uploaded_at: new Date().toISOString()
+        }];
+
+        const updated = await this.update(dispute, { evidence });
+        return { ...updated, evidence: await this.evidenceLinks(updated, 60 * 60) };
+    }
+
+    /**
+     * Contest the chargeback at Flutterwave with the uploaded evidence
+     */
+    async contest(id, adminId, comment) {
+        const dispute = await this.getOpen(id);
+
+        if (dispute.status !== 'open') {
+            throw new DisputeError('This chargeback has already been contested', 'INVALID_STATUS');
+        }
+
+        if (!dispute.evidence || dispute.evidence.length === 0) {
+            throw new DisputeError('Upload evidence before contesting a chargeback', 'NO_EVIDENCE');
+        }
+
+        const links = await this.evidenceLinks(dispute, EVIDENCE_URL_TTL);
+        const evidenceList = links.map(item => `${item.file_name}: ${item.url || 'unavailable'}`).join('\n');
+
+        const result = await paymentService.respondToChargeback(dispute.flw_chargeback_id, 'decline', `${comment}\n\nEvidence:\n${evidenceList}`);
+        if (!result.success) {
+            throw new DisputeError(result.message || 'Flutterwave did not accept the response', 'PROVIDER_ERROR');
+        }
+
+        const contested = await this.update(dispute, {
+            status: 'under_review',
+            provider_status: result.chargeback?.status || 'declined',
+            resolution_note: comment
+        }, { expectStatus: 'open' });
+
+        console.log('📨 Chargeback contested:', { reference: dispute.reference, adminId });
+        return contested || dispute;
+    }
+
+    /**
+     * Accept the chargeback at Flutterwave and close the dispute as lost
+     */
+    async accept(id, adminId, comment) {
+        const dispute = await this.getOpen(id);
+
+        const result = await paymentService.respondToChargeback(dispute.flw_chargeback_id, 'accept', comment || 'Chargeback accepted');
+        if (!result.success) {
+            throw new DisputeError(result.message || 'Flutterwave did not accept the response', 'PROVIDER_ERROR');
+        }
+
+        return this.resolve(dispute, 'lost', { adminId, note: comment || 'Chargeback accepted' });
+    }
+
+    /**
+     * Close a dispute with its final outcome
+     * @param {Object|string} disputeOrId
+     * @param {string} outcome - won | lost
+     * @param {Object} [options] - { adminId, note }
+     */
+    async resolve(disputeOrId, outcome, { adminId = null, note = null } = {}) {
+        const dispute = typeof disputeOrId === 'object' ? disputeOrId : await this.getOpen(disputeOrId);
+
+        if (!['won', 'lost'].includes(outcome)) {
+            throw new DisputeError('Outcome must be won or lost', 'INVALID_STATUS');
+        }
+
+        const resolved = await this.update(dispute, {
+            status: outcome,
+            resolved_by: adminId,
+            resolved_at: new Date().toISOString(),
+            resolution_note: note
+        }, { expectStatus: OPEN_STATUSES });
+
+        if (!resolved) {
+            throw new DisputeError('Dispute has already been resolved', 'INVALID_STATUS');
+        }
+
+        const held = parseFloat(dispute.held_amount || 0);
+
+        if (outcome === 'won') {
+            if (held > 0) {
+                await walletService.credit(
+                    dispute.user_id,
+                    held,
+                    `Chargeback hold released: ${dispute.tx_ref}`,
+                    `${dispute.reference}_RELEASE`,
+                    { account: ACCOUNTS.DISPUTE_HOLDS, kind: 'dispute_release' }
+                );
+            }
+
+            if (dispute.wallet_frozen) {
+                await walletService.unfreezeWallet(dispute.user_id, `Chargeback ${dispute.reference} won`);
+            }
+
+            await this.notify(dispute.user_id, 'Dispute Resolved', `The dispute on your ₦${Number(dispute.amount).toLocaleString()} wallet funding was resolved in your favour.${held > 0 ? ' The held amount is back in your wallet.' : ''}`, 'success', dispute);
+        } else {
+            if (held > 0) {
+                try {
+                    await ledgerService.move(`${dispute.reference}_CHARGEBACK`, 'chargeback', ACCOUNTS.DISPUTE_HOLDS, ACCOUNTS.FLUTTERWAVE_CLEARING, held, {
+                        description: `Chargeback lost: ${dispute.tx_ref}`,
+                        metadata: { dispute_id: dispute.id, user_id: dispute.user_id }
+                    });
+                } catch (error) {
+                    console.error('❌ Failed to post lost chargeback:', { reference: dispute.reference, error: error.message });
+                }
+            }
+
+            if (dispute.transaction_id) {
+                await this.markDeposit(dispute);
+            }
+
+            await this.notify(dispute.user_id, 'Dispute Closed', `The ₦${Number(dispute.amount).toLocaleString()} wallet funding was reversed by your card issuer.${parseFloat(dispute.shortfall || 0) > 0 ? ' Please contact support to restore access to your wallet.' : ''}`, 'error', dispute);
+        }
+
+        console.log('⚖️ Chargeback resolved:', { reference: dispute.reference, outcome });
+        return resolved;
+    }
+
+    /**
+     * Record a lost chargeback on the deposit it reversed
+     */
+    async markDeposit(dispute) {
+        const { data: transaction } = await supabaseAdmin
+            .from('transactions')
+            .select('id, metadata')
+            .eq('id', dispute.transaction_id)
+            .maybeSingle();
+
+        if (!transaction) return;
+
+        const { error } = await supabaseAdmin
+            .from('transactions')
+            .update({
+                metadata: {
+                    ...(transaction.metadata || {}),
+                    chargeback_reference: dispute.reference,
+                    chargeback_amount: parseFloat(dispute.amount),
+                    chargeback_at: new Date().toISOString()
+                },
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', transaction.id);
+
+        if (error) {
+            console.error('❌ Failed to mark deposit charged back:', { reference: dispute.reference, error: error.message });
+        }
+    }
+
+    /**
+     * Signed download links for a dispute's evidence
+     */
+    async evidenceLinks(dispute, expiresIn) {
+        const evidence = dispute.evidence || [];
+        if (evidence.length === 0) {
+            return [];
+        }
+
+        const { data } = await supabaseAdmin.storage
+            .from(config.wallet.disputes.evidenceBucket)
+            .createSignedUrls(evidence.map(item => item.path), expiresIn);
+
+        return evidence.map((item, index) => ({ ...item, url: data && data[index] ? data[index].signedUrl : null }));
+    }
+
+    async notify(userId, title, message, type, dispute) {
+        if (!userId) return;
+
+        try {
+            await notificationService.createNotification(userId, {
+                title,
+                message,
+                type,
+                metadata: { transaction_type: 'chargeback', dispute_reference: dispute.reference, amount: parseFloat(dispute.amount) }
+            });
+        } catch (error) {
+            console.error('Dispute notification error:', error.message);
+        }
+    }
+
+    async getOpen(id) {
+        const dispute = await this.findById(id);
+        if (!dispute) {
+            throw new DisputeError('Dispute not found', 'NOT_FOUND');
+        }
+
+        if (!OPEN_STATUSES.includes(dispute.status)) {
+            throw new DisputeError(`Dispute is already ${dispute.status}`, 'INVALID_STATUS');
+        }
+
+        return dispute;
+    }
+
+    async findById(id) {
+        const { data, error } = await supabaseAdmin
+            .from('disputes')
+            .select('*')
+            .eq('id', id)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    async findByChargebackId(chargebackId) {
+        const { data, error } = await supabaseAdmin
+            .from('disputes')
+            .select('*')
+            .eq('flw_chargeback_id', chargebackId)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    /**
+     * Update a dispute, optionally only while it still has one of the given statuses
+     * @returns {Promise<Object|null>}
+     */
+    async update(dispute, updates, { expectStatus = null } = {}) {
+        let query = supabaseAdmin
+            .from('disputes')
+            .update({ ...updates, updated_at: new Date().toISOString() })
+            .eq('id', dispute.id);
+
+        if (expectStatus) {
+            query = Array.isArray(expectStatus) ? query.in('status', expectStatus) : query.eq('status', expectStatus);
+        }
+
+        const { data, error } = await query.select();
+
+        if (error) {
+            throw error;
+        }
+
+        return data && data.length > 0 ? data[0] : null;
+    }
+}
+
+// Create singleton instance
+const disputeService = new DisputeService();
+
+module.exports = {
+    disputeService,
+    DisputeService,
+    DisputeError
+};
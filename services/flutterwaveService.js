@@ -7,7 +7,7 @@ class FlutterwaveService {
         this.publicKey = process.env.FLUTTERWAVE_PUBLIC_KEY || process.env.FLW_PUBLIC_KEY;
         this.encryptionKey = process.env.FLUTTERWAVE_ENCRYPTION_KEY || process.env.FLW_ENCRYPTION_KEY;
         this.webhookSecret = process.env.FLUTTERWAVE_WEBHOOK_SECRET || process.env.FLW_WEBHOOK_SECRET;
-        this.baseURL = 'https://api.flutterwave.com/v3';
+        this.baseURL = process.env.FLUTTERWAVE_BASE_URL || 'https://api.flutterwave.com/v3';
         
         if (!this.secretKey) {
             console.error('⚠️ FLUTTERWAVE_SECRET_KEY not found in environment variables');
@@ -290,7 +290,21 @@ class FlutterwaveService {
 
             if (event.event === 'charge.completed' && event.data.status === 'successful') {
                 const transactionData = event.data;
-                
+
+                // Transfers into a virtual account carry no user meta; the virtual account
+                // service finds the account by tx_ref and verifies the charge itself
+                if (transactionData.payment_type === 'bank_transfer' && !transactionData.meta?.user_id) {
+                    return {
+                        success: true,
+                        action: 'credit_virtual_account',
+                        data: {
+                            transactionId: transactionData.id,
+                            txRef: transactionData.tx_ref,
+                            amount: transactionData.amount
+                        }
+                    };
+                }
+
                 // Verify the transaction with Flutterwave
                 const verification = await this.verifyTransactionById(transactionData.id);
                 
@@ -315,6 +329,38 @@ class FlutterwaveService {
                 }
             }
 
+            // Chargebacks and disputes raised (or closed) against a card payment
+            if (/chargeback|dispute/i.test(event.event || '') && event.data) {
+                return {
+                    success: true,
+                    action: 'record_dispute',
+                    data: {
+                        chargebackId: event.data.id,
+                        amount: event.data.amount,
+                        txRef: event.data.tx_ref || event.data.meta?.tx_ref || null,
+                        flwRef: event.data.flw_ref,
+                        transactionId: event.data.transaction_id,
+                        status: event.data.status ? String(event.data.status).toLowerCase() : null,
+                        stage: event.data.stage,
+                        reason: event.data.comment || event.data.reason || null,
+                        dueDate: event.data.due_date || null
+                    }
+                };
+            }
+
+            // Payout results; the withdrawal service re-fetches the transfer before acting on it
+            if (event.event === 'transfer.completed' && event.data) {
+                return {
+                    success: true,
+                    action: 'settle_withdrawal',
+                    data: {
+                        reference: event.data.reference,
+                        transferId: event.data.id,
+                        status: event.data.status
+                    }
+                };
+            }
+
             console.log('ℹ️ Webhook event not processed:', event.event);
             return {
                 success: true,
@@ -0,0 +1,180 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { hashData } = require('../utils/security');
+
+const KEY_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const MAX_KEY_LENGTH = 255;
+
+// Storing a response is retried this many times before the key is released instead
+const COMPLETE_ATTEMPTS = 3;
+const COMPLETE_RETRY_DELAY = 500;
+
+// No request runs this long, so a key still processing after it lost its response and can be reused
+const STALE_PROCESSING = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * Idempotency keys for money-moving endpoints
+ *
+ * Works like walletService.isTransactionProcessed, but keyed on the client's
+ * Idempotency-Key header instead of a payment reference, and claimed with a
+ * unique insert (user_id + idempotency_key) so two concurrent retries cannot
+ * both get through. Rows live in the idempotency_keys table:
+ *   user_id, idempotency_key, scope, request_fingerprint,
+ *   status (processing | completed), response_status, response_body,
+ *   created_at, completed_at, expires_at
+ * A key whose response could not be stored is released, so it never blocks retries for
+ * the rest of its TTL; one left processing by a crash is reusable after STALE_PROCESSING.
+ */
+class IdempotencyService {
+    /**
+     * Validate the raw header value
+     */
+    isValidKey(key) {
+        return typeof key === 'string' && key.trim().length > 0 && key.length <= MAX_KEY_LENGTH;
+    }
+
+    /**
+     * Fingerprint a request so a reused key with a different payload can be rejected
+     */
+    fingerprint(method, path, body) {
+        return hashData(JSON.stringify({ method, path, body: this.sortKeys(body || {}) }));
+    }
+
+    /**
+     * Recursively sort object keys so equivalent payloads hash the same
+     */
+    sortKeys(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.sortKeys(item));
+        }
+
+        if (value && typeof value === 'object') {
+            return Object.keys(value).sort().reduce((sorted, key) => {
+                sorted[key] = this.sortKeys(value[key]);
+                return sorted;
+            }, {});
+        }
+
+        return value;
+    }
+
+    /**
+     * Get the stored record for a key, or null
+     */
+    async findKey(userId, key) {
+        const { data, error } = await supabaseAdmin
+            .from('idempotency_keys')
+            .select('*')
+            .eq('user_id', userId)
+            .eq('idempotency_key', key)
+            .single();
+
+        if (error && error.code !== 'PGRST116') { // PGRST116: No rows found
+            throw error;
+        }
+
+        return data || null;
+    }
+
+    /**
+     * Claim a key for a new request.
+     * @returns {Promise<Object>} { claimed: true, record } for a new key,
+     *   or { claimed: false, record } with the existing record
+     */
+    async claim(userId, key, scope, fingerprint) {
+        const now = new Date();
+
+        const { data, error } = await supabaseAdmin
+            .from('idempotency_keys')
+            .insert({
+                user_id: userId,
+                idempotency_key: key,
+                scope,
+                request_fingerprint: fingerprint,
+                status: 'processing',
+                created_at: now.toISOString(),
+                expires_at: new Date(now.getTime() + KEY_TTL).toISOString()
+            })
+            .select()
+            .single();
+
+        if (!error) {
+            return { claimed: true, record: data };
+        }
+
+        if (error.code !== '23505') { // 23505: unique_violation
+            throw error;
+        }
+
+        const existing = await this.findKey(userId, key);
+
+        // Expired keys, and keys whose request never stored a response, can be reused for a fresh request
+        const expired = existing && new Date(existing.expires_at) < now;
+        const stale = existing && existing.status === 'processing' &&
+            now.getTime() - new Date(existing.created_at).getTime() > STALE_PROCESSING;
+
+        if ((expired || stale) && await this.release(existing.id)) {
+            return this.claim(userId, key, scope, fingerprint);
+        }
+
+        return { claimed: false, record: existing };
+    }
+
+    /**
+     * Store the response so retries get the same answer.
+     * If it cannot be stored the key is released; otherwise it would answer every retry
+     * with 409 until it expired.
+     * @returns {Promise<boolean>} Whether the response was stored
+     */
+    async complete(recordId, statusCode, body) {
+        for (let attempt = 1; attempt <= COMPLETE_ATTEMPTS; attempt++) {
+            const { error } = await supabaseAdmin
+                .from('idempotency_keys')
+                .update({
+                    status: 'completed',
+                    response_status: statusCode,
+                    response_body: body,
+                    completed_at: new Date().toISOString()
+                })
+                .eq('id', recordId);
+
+            if (!error) {
+                return true;
+            }
+
+            console.error(`Failed to store idempotent response (attempt ${attempt}/${COMPLETE_ATTEMPTS}):`, error);
+
+            if (attempt < COMPLETE_ATTEMPTS) {
+                await new Promise(resolve => setTimeout(resolve, COMPLETE_RETRY_DELAY * attempt));
+            }
+        }
+
+        await this.release(recordId);
+        return false;
+    }
+
+    /**
+     * Drop a key so the client can retry with it (used when the request failed server-side)
+     * @returns {Promise<boolean>} Whether the key was dropped
+     */
+    async release(recordId) {
+        const { error } = await supabaseAdmin
+            .from('idempotency_keys')
+            .delete()
+            .eq('id', recordId);
+
+        if (error) {
+            console.error('Failed to release idempotency key:', error);
+            return false;
+        }
+
+        return true;
+    }
+}
+
+// Create singleton instance
+const idempotencyService = new IdempotencyService();
+
+module.exports = {
+    idempotencyService,
+    IdempotencyService
+};
@@ -0,0 +1,383 @@
+const { supabaseAdmin } = require('../config/supabase');
+
+const PAGE_SIZE = 1000;
+const RETRY_BATCH_SIZE = 100;
+
+/**
+ * Ledger accounts
+ * User wallets and provider floats get one account each; the rest are platform accounts.
+ */
+const ACCOUNTS = {
+    FLUTTERWAVE_CLEARING: 'flutterwave_clearing', // asset: collected or paid out through Flutterwave
+    VTU_CLEARING: 'vtu_clearing',                 // liability: reserved for purchases not yet settled
+    COMMISSIONS_PAYABLE: 'commissions_payable',   // liability: referral commissions and bonuses
+    REVENUE: 'revenue',                           // income: purchase margin
+    OPENING_BALANCES: 'opening_balances',         // equity: wallet balances from before the ledger
+    SUSPENSE: 'suspense',                         // postings whose source did not name an account
+    DISPUTE_HOLDS: 'dispute_holds',               // liability: wallet funds held while a chargeback is open
+    AIRTIME_STOCK: 'airtime_stock',               // asset: airtime received on platform SIMs (airtime-to-cash)
+    MANUAL_ADJUSTMENTS: 'manual_adjustments',     // equity: admin credits and debits to wallets (see adminService)
+    wallet: (userId) => `wallet:${userId}`,                 // liability: owed to the user
+    providerFloat: (provider) => `provider_float:${provider}` // asset: prepaid with the VTU provider
+};
+
+// Asset accounts grow with debits; every other account grows with credits
+const DEBIT_NORMAL = ['flutterwave_clearing', 'airtime_stock', 'provider_float'];
+
+class LedgerError extends Error {
+    constructor(message = 'Ledger posting failed') {
+        super(message);
+        this.name = 'LedgerError';
+        this.code = 'LEDGER_ERROR';
+    }
+}
+
+// Amounts are compared in kobo so rounding never unbalances a journal
+const toKobo = (amount) => Math.round(parseFloat(amount || 0) * 100);
+
+/**
+ * Double-entry ledger
+ * Every wallet balance change posts a balanced journal to ledger_entries, one row per line
+ * (tables and wallet RPCs: migrations/005_wallet_ledger.sql):
+ *   journal_reference - unique per journal; with line_no it makes reposting a no-op
+ *   line_no, kind, description, metadata
+ *   account           - see ACCOUNTS
+ *   user_id           - set on wallet lines
+ *   debit, credit     - exactly one is non-zero
+ *   created_at
+ * Entries are insert-only: corrections are new journals, never updates or deletes.
+ * A wallet's balance is its credits minus its debits and can be checked against wallets.balance.
+ *
+ * Wallet balance changes do not go through post(): walletService passes journal() rows to the
+ * wallet RPCs, which insert them in the same database transaction as the balance change.
+ * Other journals are posted after the change they record has committed; one that fails is
+ * queued in ledger_pending (journal_reference unique, entries, attempts, last_error,
+ * created_at, updated_at) and reposted by retryPending() on each reconciler pass.
+ */
+class LedgerService {
+    /**
+     * Build the ledger_entries rows for a balanced journal without writing them
+     * @param {string} reference - Unique journal reference (usually the transaction reference)
+     * @param {string} kind - deposit | purchase_reserve | purchase_refund | purchase_settle | transfer | ...
+     * @param {Array<{ account: string, debit?: number, credit?: number }>} lines
+     * @param {Object} [options] - { description, metadata }
+     * @returns {Array<Object>} One row per non-zero line
+     */
+    journal(reference, kind, lines, { description = null, metadata = {} } = {}) {
+        const entries = lines
+            .map(line => ({ account: line.account, debit: toKobo(line.debit), credit: toKobo(line.credit) }))
+            .filter(line => line.debit !== 0 || line.credit !== 0);
+
+        if (!reference || entries.length < 2) {
+            throw new LedgerError('A journal needs a reference and at least two lines');
+        }
+
+        for (const line of entries) {
+            if (!line.account || line.debit < 0 || line.credit < 0 || (line.debit > 0 && line.credit > 0)) {
+                throw new LedgerError(`Invalid ledger line for account ${line.account}`);
+            }
+        }
+
+        const totalDebits = entries.reduce((sum, line) => sum + line.debit, 0);
+        const totalCredits = entries.reduce((sum, line) => sum + line.credit, 0);
+
+        if (totalDebits !== totalCredits) {
+            throw new LedgerError(`Unbalanced journal ${reference}: debits ${totalDebits / 100}, credits ${totalCredits / 100}`);
+        }
+
+        const createdAt = new Date().toISOString();
+        return entries.map((line, index) => ({
+            journal_reference: reference,
+            line_no: index + 1,
+            kind,
+            description,
+            metadata,
+            account: line.account,
+            user_id: line.account.startsWith('wallet:') ? line.account.slice('wallet:'.length) : null,
+            debit: line.debit / 100,
+            credit: line.credit / 100,
+            created_at: createdAt
+        }));
+    }
+
+    /**
+     * Post a balanced journal (see journal() for the arguments).
+     * A journal that cannot be written is queued for retryPending() before the error is thrown.
+     * @returns {Promise<{ posted: boolean, duplicate: boolean }>}
+     */
+    async post(reference, kind, lines, options = {}) {
+        const rows = this.journal(reference, kind, lines, options);
+
+        // A single insert is one statement, so either every line is written or none is
+        const { error } = await supabaseAdmin
+            .from('ledger_entries')
+            .insert(rows);
+
+        if (error) {
+            if (error.code === '23505') { // unique_violation: journal already posted
+                return { posted: false, duplicate: true };
+            }
+            await this.queue(reference, rows, error.message);
+            throw new LedgerError(`Failed to post journal ${reference}: ${error.message}`);
+        }
+
+        return { posted: true, duplicate: false };
+    }
+
+    /**
+     * Keep a journal that failed to post so retryPending() can post it later
+     */
+    async queue(reference, rows, reason) {
+        const now = new Date().toISOString();
+        const { error } = await supabaseAdmin
+            .from('ledger_pending')
+            .upsert({
+                journal_reference: reference,
+                entries: rows,
+                attempts: 0,
+                last_error: reason,
+                created_at: now,
+                updated_at: now
+            }, { onConflict: 'journal_reference', ignoreDuplicates: true });
+
+        if (error) {
+            console.error('❌ Failed to queue ledger journal:', { reference, error: error.message });
+        }
+    }
+
+    /**
+     * Repost queued journals, oldest first. Posted (or already posted) journals leave the queue;
+     * the rest stay with their attempt count raised.
+     * @returns {Promise<{ posted: number, failed: number }>}
+     */
+    async retryPending(limit = RETRY_BATCH_SIZE) {
+        const summary = { posted: 0, failed: 0 };
+
+        const { data: pending, error } = await supabaseAdmin
+            .from('ledger_pending')
+            .select('*')
+            .order('created_at', { ascending: true })
+            .limit(limit);
+
+        if (error) {
+            throw error;
+        }
+
+        for (const journal of pending || []) {
+            const { error: insertError } = await supabaseAdmin
+                .from('ledger_entries')
+                .insert(journal.entries);
+
+            if (insertError && insertError.code !== '23505') { // unique_violation: posted meanwhile
+                summary.failed += 1;
+                await supabaseAdmin
+                    .from('ledger_pending')
+                    .update({
+                        attempts: (journal.attempts || 0) + 1,
+                        last_error: insertError.message,
+                        updated_at: new Date().toISOString()
+                    })
+                    .eq('id', journal.id);
+                continue;
+            }
+
+            summary.posted += 1;
+            await supabaseAdmin
+                .from('ledger_pending')
+                .delete()
+                .eq('id', journal.id);
+        }
+
+        if (summary.posted > 0 || summary.failed > 0) {
+            console.log('📒 Queued ledger journals retried:', summary);
+        }
+
+        return summary;
+    }
+
+    /**
+     * Post a two-line journal moving value from one account to another
+     * (debit `from`, credit `to`)
+     */
+    async move(reference, kind, from, to, amount, options = {}) {
+        return this.post(reference, kind, [
+            { account: from, debit: amount },
+            { account: to, credit: amount }
+        ], options);
+    }
+
+    /**
+     * Sum an account's entries
+     * @returns {Promise<{ debits: number, credits: number, balance: number, entries: number }>}
+     *   balance follows the account's normal side (credits - debits for wallets)
+     */
+    async getAccountBalance(account) {
+        let debits = 0;
+        let credits = 0;
+        let count = 0;
+
+        for (let from = 0; ; from += PAGE_SIZE) {
+            const { data, error } = await supabaseAdmin
+                .from('ledger_entries')
+                .select('debit, credit')
+                .eq('account', account)
+                .order('id', { ascending: true })
+                .range(from, from + PAGE_SIZE - 1);
+
+            if (error) {
+                throw error;
+            }
+
+            for (const entry of data || []) {
+                debits += toKobo(entry.debit);
+                credits += toKobo(entry.credit);
+            }
+
+            count += (data || []).length;
+            if (!data || data.length < PAGE_SIZE) break;
+        }
+
+        const debitNormal = DEBIT_NORMAL.includes(account.split(':')[0]);
+
+        return {
+            debits: debits / 100,
+            credits: credits / 100,
+            balance: (debitNormal ? debits - credits : credits - debits) / 100,
+            entries: count
+        };
+    }
+
+    /**
+     * Compare a wallet's ledger balance with wallets.balance
+     */
+    async checkWallet(userId) {
+        const { data: wallet, error } = await supabaseAdmin
+            .from('wallets')
+            .select('balance')
+            .eq('user_id', userId)
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        const ledger = await this.getAccountBalance(ACCOUNTS.wallet(userId));
+        const walletBalance = parseFloat(wallet.balance);
+        const difference = (toKobo(walletBalance) - toKobo(ledger.balance)) / 100;
+
+        return {
+            user_id: userId,
+            wallet_balance: walletBalance,
+            ledger_balance: ledger.balance,
+            difference,
+            balanced: difference === 0,
+            entries: ledger.entries
+        };
+    }
+
+    /**
+     * Totals per account across the whole ledger; total debits must equal total credits
+     */
+    async getTrialBalance() {
+        const accounts = new Map();
+
+        for (let from = 0; ; from += PAGE_SIZE) {
+            const { data, error } = await supabaseAdmin
+                .from('ledger_entries')
+                .select('account, debit, credit')
+                .order('id', { ascending: true })
+                .range(from, from + PAGE_SIZE - 1);
+
+            if (error) {
+                throw error;
+            }
+
+            for (const entry of data || []) {
+                // Group wallets together; individual wallets are checked with checkWallet
+                const key = entry.account.startsWith('wallet:') ? 'wallets' : entry.account;
+                const totals = accounts.get(key) || { debits: 0, credits: 0 };
+                totals.debits += toKobo(entry.debit);
+                totals.credits += toKobo(entry.credit);
+                accounts.set(key, totals);
+            }
+
+            if (!data || data.length < PAGE_SIZE) break;
+        }
+
+        let totalDebits = 0;
+        let totalCredits = 0;
+        const rows = [];
+
+        for (const [account, totals] of accounts) {
+            totalDebits += totals.debits;
+            totalCredits += totals.credits;
+            rows.push({ account, debits: totals.debits / 100, credits: totals.credits / 100 });
+        }
+
+        return {
+            accounts: rows.sort((a, b) => a.account.localeCompare(b.account)),
+            total_debits: totalDebits / 100,
+            total_credits: totalCredits / 100,
+            balanced: totalDebits === totalCredits
+        };
+    }
+
+    /**
+     * Bring wallets that predate the ledger in with an opening balance journal.
+     * Only wallets with no ledger entries yet are touched, so this is safe to re-run.
+     * @returns {Promise<{ opened: number, skipped: number }>}
+     */
+    async openWalletBalances() {
+        const summary = { opened: 0, skipped: 0 };
+
+        for (let from = 0; ; from += PAGE_SIZE) {
+            const { data: wallets, error } = await supabaseAdmin
+                .from('wallets')
+                .select('user_id, balance')
+                .order('user_id', { ascending: true })
+                .range(from, from + PAGE_SIZE - 1);
+
+            if (error) {
+                throw error;
+            }
+
+            for (const wallet of wallets || []) {
+                const account = ACCOUNTS.wallet(wallet.user_id);
+                const { count, error: countError } = await supabaseAdmin
+                    .from('ledger_entries')
+                    .select('id', { count: 'exact', head: true })
+                    .eq('account', account);
+
+                if (countError) {
+                    throw countError;
+                }
+
+                const balance = parseFloat(wallet.balance);
+                if (count > 0 || !balance) {
+                    summary.skipped += 1;
+                    continue;
+                }
+
+                await this.post(`OPENING_${wallet.user_id}`, 'opening_balance', [
+                    { account: ACCOUNTS.OPENING_BALANCES, debit: balance > 0 ? balance : 0, credit: balance < 0 ? -balance : 0 },
+                    { account, credit: balance > 0 ? balance : 0, debit: balance < 0 ? -balance : 0 }
+                ], { description: 'Opening wallet balance' });
+                summary.opened += 1;
+            }
+
+            if (!wallets || wallets.length < PAGE_SIZE) break;
+        }
+
+        return summary;
+    }
+}
+
+// Create singleton instance
+const ledgerService = new LedgerService();
+
+module.exports = {
+    ledgerService,
+    LedgerService,
+    LedgerError,
+    ACCOUNTS
+};
@@ -5,9 +5,9 @@ class PaymentService {
     constructor() {
         // Flutterwave API configuration
         this.baseURL = process.env.FLUTTERWAVE_BASE_URL || 'https://api.flutterwave.com/v3';
-        this.secretKey = process.env.FLUTTERWAVE_SECRET_KEY;
-        this.publicKey = process.env.FLUTTERWAVE_PUBLIC_KEY;
-        this.encryptionKey = process.env.FLUTTERWAVE_ENCRYPTION_KEY;
+        this.secretKey = process.env.FLUTTERWAVE_SECRET_KEY || process.env.FLW_SECRET_KEY;
+        this.publicKey = process.env.FLUTTERWAVE_PUBLIC_KEY || process.env.FLW_PUBLIC_KEY;
+        this.encryptionKey = process.env.FLUTTERWAVE_ENCRYPTION_KEY || process.env.FLW_ENCRYPTION_KEY;
         
         if (!this.secretKey || !this.publicKey) {
             console.warn('⚠️ Flutterwave credentials not found in environment variables. Payment services may not work properly.');
@@ -308,6 +308,300 @@ class PaymentService {
         }
     }
     
+    // Look up the account holder's name for a bank account
+    async resolveAccount(account_number, bank_code) {
+        try {
+            const response = await this.axiosInstance.post('/accounts/resolve', {
+                account_number: String(account_number),
+                account_bank: String(bank_code)
+            });
+            
+            if (response.data.status === 'success' && response.data.data?.account_name) {
+                return {
+                    success: true,
+                    account_number: response.data.data.account_number,
+                    account_name: response.data.data.account_name
+                };
+            } else {
+                return {
+                    success: false,
+                    message: response.data.message || 'Could not resolve account',
+                    error_code: 'ACCOUNT_RESOLVE_FAILED'
+                };
+            }
+            
+        } catch (error) {
+            console.error('Account resolve error:', error.response?.data || error.message);
+            
+            // Flutterwave answers unknown accounts with a 400
+            if (error.response) {
+                return {
+                    success: false,
+                    message: error.response.data?.message || 'Could not resolve account',
+                    error_code: 'ACCOUNT_RESOLVE_FAILED'
+                };
+            }
+            
+            return {
+                success: false,
+                message: 'Failed to resolve account',
+                error_code: 'NETWORK_ERROR'
+            };
+        }
+    }
+    
+    // Start a bank transfer (payout) through the Transfers API
+    async initiateTransfer({
+        account_bank,
+        account_number,
+        amount,
+        narration,
+        reference,
+        callback_url,
+        meta = {}
+    }) {
+        try {
+            const payload = {
+                account_bank: String(account_bank),
+                account_number: String(account_number),
+                amount: parseFloat(amount),
+                currency: 'NGN',
+                debit_currency: 'NGN',
+                narration,
+                reference,
+                meta
+            };
+            
+            if (callback_url) {
+                payload.callback_url = callback_url;
+            }
+            
+            const response = await this.axiosInstance.post('/transfers', payload);
+            
+            if (response.data.status === 'success') {
+                return {
+                    success: true,
+                    transfer: response.data.data,
+                    message: response.data.message
+                };
+            } else {
+                return {
+                    success: false,
+                    message: response.data.message || 'Transfer could not be started',
+                    error_code: 'TRANSFER_REJECTED'
+                };
+            }
+            
+        } catch (error) {
+            console.error('Transfer initiation error:', error.response?.data || error.message);
+            
+            // A 4xx means Flutterwave refused the transfer. A 5xx, a request timeout or no answer
+            // at all means it may still have been accepted, so the outcome is unknown.
+            const status = error.response?.status;
+            if (status >= 400 && status < 500 && status !== 408) {
+                return {
+                    success: false,
+                    message: error.response.data?.message || 'Transfer could not be started',
+                    error_code: 'TRANSFER_REJECTED'
+                };
+            }
+            
+            if (error.response) {
+                return {
+                    success: false,
+                    message: `Flutterwave returned HTTP ${status}`,
+                    error_code: 'PROVIDER_ERROR'
+                };
+            }
+            
+            return {
+                success: false,
+                message: 'Failed to reach Flutterwave',
+                error_code: 'NETWORK_ERROR'
+            };
+        }
+    }
+    
+    // Find a transfer by the reference it was started with (for starts that never returned an id).
+    // transfer is null when Flutterwave has no transfer with that reference.
+    async findTransferByReference(reference) {
+        try {
+            const response = await this.axiosInstance.get('/transfers', { params: { reference } });
+            
+            if (response.data.status === 'success') {
+                const transfers = Array.isArray(response.data.data) ? response.data.data : [];
+                return {
+                    success: true,
+                    transfer: transfers.find(transfer => transfer.reference === reference) || null
+                };
+            } else {
+                return {
+                    success: false,
+                    message: response.data.message || 'Failed to look up transfer',
+                    error_code: 'TRANSFER_FETCH_FAILED'
+                };
+            }
+            
+        } catch (error) {
+            console.error('Transfer lookup error:', error.response?.data || error.message);
+            
+            return {
+                success: false,
+                message: 'Failed to look up transfer',
+                error_code: 'TRANSFER_FETCH_FAILED'
+            };
+        }
+    }
+    
+    // Get the current state of a transfer
+    async getTransfer(transfer_id) {
+        try {
+            const response = await this.axiosInstance.get(`/transfers/${transfer_id}`);
+            
+            if (response.data.status === 'success') {
+                return {
+                    success: true,
+                    transfer: response.data.data
+                };
+            } else {
+                return {
+                    success: false,
+                    message: response.data.message || 'Failed to fetch transfer',
+                    error_code: 'TRANSFER_FETCH_FAILED'
+                };
+            }
+            
+        } catch (error) {
+            console.error('Transfer fetch error:', error.response?.data || error.message);
+            return {
+                success: false,
+                message: 'Failed to fetch transfer',
+                error_code: 'NETWORK_ERROR'
+            };
+        }
+    }
+    
+    // Issue a static (permanent) virtual account number for bank-transfer funding
+    async createVirtualAccount({
+        email,
+        bvn,
+        tx_ref,
+        firstname,
+        lastname,
+        phonenumber,
+        narration
+    }) {
+        try {
+            const payload = {
+                email,
+                bvn: String(bvn),
+                tx_ref,
+                is_permanent: true,
+                firstname,
+                lastname,
+                narration: narration || `${firstname} ${lastname}`.trim()
+            };
+
+            if (phonenumber) {
+                payload.phonenumber = phonenumber;
+            }
+
+            const response = await this.axiosInstance.post('/virtual-account-numbers', payload);
+
+            if (response.data.status === 'success' && response.data.data?.account_number) {
+                return {
+                    success: true,
+                    account: response.data.data,
+                    message: response.data.message
+                };
+            } else {
+                return {
+                    success: false,
+                    message: response.data.message || 'Virtual account could not be created',
+                    error_code: 'VIRTUAL_ACCOUNT_FAILED'
+                };
+            }
+
+        } catch (error) {
+            console.error('Virtual account creation error:', error.response?.data || error.message);
+
+            if (error.response) {
+                return {
+                    success: false,
+                    message: error.response.data?.message || 'Virtual account could not be created',
+                    error_code: 'VIRTUAL_ACCOUNT_FAILED'
+                };
+            }
+
+            return {
+                success: false,
+                message: 'Failed to reach Flutterwave',
+                error_code: 'NETWORK_ERROR'
+            };
+        }
+    }
+
+    // Accept or decline (contest) a chargeback
+    async respondToChargeback(chargeback_id, action, comment) {
+        try {
+            const response = await this.axiosInstance.put(`/chargebacks/${chargeback_id}`, {
+                action,
+                comment
+            });
+            
+            if (response.data.status === 'success') {
+                return {
+                    success: true,
+                    chargeback: response.data.data,
+                    message: response.data.message
+                };
+            } else {
+                return {
+                    success: false,
+                    message: response.data.message || 'Chargeback could not be updated',
+                    error_code: 'CHARGEBACK_UPDATE_FAILED'
+                };
+            }
+            
+        } catch (error) {
+            console.error('Chargeback update error:', error.response?.data || error.message);
+            return {
+                success: false,
+                message: error.response?.data?.message || 'Failed to reach Flutterwave',
+                error_code: error.response ? 'CHARGEBACK_UPDATE_FAILED' : 'NETWORK_ERROR'
+            };
+        }
+    }
+    
+    // Find the refunds made against a charge since a date (YYYY-MM-DD), newest first
+    async findRefunds(transaction_id, from) {
+        try {
+            const response = await this.axiosInstance.get('/refunds', { params: { from } });
+            
+            if (response.data.status === 'success') {
+                const refunds = Array.isArray(response.data.data) ? response.data.data : [];
+                return {
+                    success: true,
+                    refunds: refunds.filter(refund => String(refund.tx_id) === String(transaction_id))
+                };
+            } else {
+                return {
+                    success: false,
+                    message: response.data.message || 'Failed to look up refunds',
+                    error_code: 'REFUND_FETCH_FAILED'
+                };
+            }
+            
+        } catch (error) {
+            console.error('Refund lookup error:', error.response?.data || error.message);
+            return {
+                success: false,
+                message: 'Failed to look up refunds',
+                error_code: error.response ? 'REFUND_FETCH_FAILED' : 'NETWORK_ERROR'
+            };
+        }
+    }
+    
     // Refund payment (if needed)
     async refundPayment(transaction_id, amount, reason = 'Customer request') {
         try {
@@ -333,7 +627,17 @@ class PaymentService {
             }
             
         } catch (error) {
-            console.error('Refund error:', error);
+            console.error('Refund error:', error.response?.data || error.message);
+            
+            // A response means Flutterwave refused the refund; no response means we cannot tell
+            if (error.response) {
+                return {
+                    success: false,
+                    message: error.response.data?.message || 'Refund failed',
+                    error_code: 'REFUND_FAILED'
+                };
+            }
+            
             return {
                 success: false,
                 message: 'Refund processing failed',
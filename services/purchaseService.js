@@ -0,0 +1,695 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { walletService, TransactionError } = require('./walletService');
+const { ledgerService, ACCOUNTS } = require('./ledgerService');
+const { vtuService } = require('./vtuService');
+const { webhookService } = require('./webhookService');
+const { generateTransactionRef } = require('../utils/security');
+const { assertTransition } = require('../utils/transactionStateMachine');
+const ProviderError = require('../utils/ProviderError');
+
+/**
+ * Per-service settings for the purchase pipeline
+ */
+const PURCHASE_SERVICES = {
+    airtime: {
+        label: 'Airtime purchase',
+        transactionType: 'airtime_purchase',
+        discountField: 'airtime_discount',
+        vtuMethod: 'purchaseAirtime',
+        describe: (params) => `${params.network} airtime purchase for ${params.phone_number}`,
+        metadata: (params) => ({
+            network: params.network,
+            phone_number: params.phone_number,
+            airtime_amount: params.amount
+        }),
+        params: (metadata) => ({
+            network: metadata.network,
+            phone_number: metadata.phone_number,
+            amount: parseFloat(metadata.airtime_amount)
+        })
+    },
+    data: {
+        label: 'Data purchase',
+        transactionType: 'data_purchase',
+        discountField: 'data_discount',
+        vtuMethod: 'purchaseData',
+        describe: (params) => `${params.network} data purchase for ${params.phone_number}`,
+        metadata: (params) => ({
+            network: params.network,
+            phone_number: params.phone_number,
+            plan_id: params.plan_id,
+            data_amount: params.amount
+        }),
+        params: (metadata) => ({
+            network: metadata.network,
+            phone_number: metadata.phone_number,
+            plan_id: metadata.plan_id,
+            amount: parseFloat(metadata.data_amount)
+        }),
+        // Current price of the plan, so a retry never charges a stale one
+        resolvePlan: (params) => vtuService.resolvePlan('data', params.network, params.plan_id)
+    },
+    cable: {
+        label: 'Cable subscription',
+        transactionType: 'cable_purchase',
+        discountField: 'cable_discount',
+        vtuMethod: 'purchaseCable',
+        describe: (params) => `${params.provider} cable subscription for ${params.smartcard_number}`,
+        metadata: (params) => ({
+            provider: params.provider,
+            package_id: params.package_id,
+            smartcard_number: params.smartcard_number,
+            cable_amount: params.amount
+        }),
+        params: (metadata) => ({
+            provider: metadata.provider,
+            package_id: metadata.package_id,
+            smartcard_number: metadata.smartcard_number,
+            amount: parseFloat(metadata.cable_amount)
+        }),
+        resolvePlan: (params) => vtuService.resolvePlan('cable', params.provider, params.package_id)
+    },
+    electricity: {
+        label: 'Electricity purchase',
+        transactionType: 'electricity_purchase',
+        discountField: 'electricity_discount',
+        vtuMethod: 'purchaseElectricity',
+        describe: (params) => `${params.provider} electricity token for ${params.meter_number}`,
+        metadata: (params) => ({
+            provider: params.provider,
+            meter_number: params.meter_number,
+            meter_type: params.meter_type,
+            customer_name: params.customer_name,
+            electricity_amount: params.amount
+        }),
+        params: (metadata) => ({
+            provider: metadata.provider,
+            meter_number: metadata.meter_number,
+            meter_type: metadata.meter_type,
+            customer_name: metadata.customer_name,
+            amount: parseFloat(metadata.electricity_amount)
+        })
+    }
+};
+
+// Ledger postings for purchase reservations and refunds
+const RESERVE_LEDGER = { account: ACCOUNTS.VTU_CLEARING, kind: 'purchase_reserve' };
+const REFUND_LEDGER = { account: ACCOUNTS.VTU_CLEARING, kind: 'purchase_refund' };
+
+/**
+ * Purchase pipeline shared by every VTU service.
+ *
+ * 1. Reserve: debit the wallet through walletService.debit (debit_wallet_atomic RPC),
+ *    which enforces the balance, frozen-wallet and spending-limit checks in one step.
+ * 2. Dispatch: send the order to the provider router.
+ * 3. Settle: mark the transaction completed, leave it processing while the provider
+ *    reports it as pending, or refund the reserved amount when the order fails.
+ *    A dispatch error that does not prove the order was refused (timeout, dropped
+ *    connection, provider 5xx) also leaves it processing; transactionReconciler settles it.
+ *
+ * Wallet errors (InsufficientFundsError, WalletFrozenError, TransactionError) are thrown
+ * before anything is sent to a provider, so the caller can map them to 4xx responses.
+ * Failed purchases can be re-run with retry(), which reserves the funds again against the
+ * original transaction (walletService.reserve) and goes through the same dispatch step,
+ * and purchaseReserved() starts at step 2 for funds a bulk batch has already reserved.
+ * Status changes after the reservation go through transition(), which enforces the
+ * transaction state machine (utils/transactionStateMachine.js).
+ *
+ * In the ledger, a reservation moves the charge from the wallet to VTU clearing, a refund
+ * moves it back, and recordSale() clears it against provider float and revenue.
+ */
+class PurchaseService {
+    /**
+     * Amount to charge after any reseller discount for the service
+     */
+    async getChargeAmount(user, service, faceValue) {
+        if (user.role !== 'reseller' && user.role !== 'sub_reseller') {
+            return faceValue;
+        }
+
+        const { discountField } = PURCHASE_SERVICES[service];
+        const { data: resellerData } = await supabaseAdmin
+            .from('resellers')
+            .select(discountField)
+            .eq('user_id', user.id)
+            .single();
+
+        if (resellerData && resellerData[discountField]) {
+            const discount = parseFloat(resellerData[discountField]);
+            return faceValue * (1 - discount / 100);
+        }
+
+        return faceValue;
+    }
+
+    /**
+     * Run a VTU purchase end to end
+     * @param {string} service - airtime | data | cable | electricity
+     * @param {Object} user - Authenticated user ({ id, role })
+     * @param {Object} params - Service-specific purchase parameters, including `amount` (face value)
+     * @param {Object} [options] - { metadata } extra fields stored on the transaction
+     * @returns {Promise<Object>} { success, status, message, transaction, new_balance, vtu_reference, token }
+     */
+    async purchase(service, user, params, { metadata: extraMetadata = {} } = {}) {
+        const definition = PURCHASE_SERVICES[service];
+        if (!definition) {
+            throw new Error(`Unsupported purchase service: ${service}`);
+        }
+
+        const faceValue = parseFloat(params.amount);
+        const chargeAmount = await this.getChargeAmount(user, service, faceValue);
+        const reference = generateTransactionRef(service.toUpperCase());
+        const description = definition.describe(params);
+
+        // Reserve funds atomically; throws before the provider is called
+        const reservation = await walletService.debit(user.id, chargeAmount, description, reference, RESERVE_LEDGER);
+
+        const metadata = {
+            ...extraMetadata,
+            ...definition.metadata({ ...params, amount: faceValue }),
+            service_type: service,
+            purchase_reference: reference
+        };
+
+        let transaction;
+        try {
+            transaction = await this.updateTransaction(reservation.transaction.id, {
+                type: definition.transactionType,
+                description,
+                status: 'processing',
+                metadata
+            });
+        } catch (error) {
+            // Nothing has been sent to the provider yet, so hand the reservation straight back
+            await walletService.credit(user.id, chargeAmount, `Refund: ${description}`, `REFUND_${reference}`, REFUND_LEDGER);
+            throw error;
+        }
+
+        return this.dispatch(definition, user.id, transaction, chargeAmount, { ...params, amount: faceValue }, reservation.new_balance);
+    }
+
+    /**
+     * Run a purchase paid for out of funds already moved to VTU clearing (a bulk batch
+     * debited in one go), so no wallet debit is made here. A failed order is refunded
+     * to the wallet the same way as any other purchase.
+     * @param {string} service - airtime | data | cable | electricity
+     * @param {Object} user - { id, role }
+     * @param {Object} params - Service-specific purchase parameters, including `amount` (face value)
+     * @param {Object} funding - { chargeAmount, metadata }
+     * @returns {Promise<Object>} Same shape as purchase(), with new_balance null
+     */
+    async purchaseReserved(service, user, params, { chargeAmount, metadata: extraMetadata = {} }) {
+        const definition = PURCHASE_SERVICES[service];
+        if (!definition) {
+            throw new Error(`Unsupported purchase service: ${service}`);
+        }
+
+        const faceValue = parseFloat(params.amount);
+        const reference = generateTransactionRef(service.toUpperCase());
+        const description = definition.describe(params);
+        const now = new Date().toISOString();
+
+        const { data: transaction, error } = await supabaseAdmin
+            .from('transactions')
+            .insert({
+                user_id: user.id,
+                type: definition.transactionType,
+                amount: chargeAmount,
+                description,
+                status: 'processing',
+                payment_reference: reference,
+                metadata: {
+                    ...extraMetadata,
+                    ...definition.metadata({ ...params, amount: faceValue }),
+                    service_type: service,
+                    purchase_reference: reference
+                },
+                created_at: now,
+                updated_at: now
+            })
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        return this.dispatch(definition, user.id, transaction, chargeAmount, { ...params, amount: faceValue }, null);
+    }
+
+    /**
+     * Retry a failed purchase from the parameters stored in its metadata.
+     * Funds are reserved again unless the failed attempt still holds them
+     * (its refund did not go through), and the original transaction is settled
+     * with the retry count recorded in metadata. Data plans and cable packages are
+     * priced again; a plan that is gone, or whose price no longer matches the funds
+     * still held, is not retried.
+     * @param {Object} transaction - Failed or refunded purchase transaction
+     * @param {Object} user - Authenticated user ({ id, role })
+     * @returns {Promise<Object>} Same shape as purchase()
+     */
+    async retry(transaction, user) {
+        const [service, definition] = Object.entries(PURCHASE_SERVICES)
+            .find(([, item]) => item.transactionType === transaction.type) || [];
+        if (!definition) {
+            throw new Error(`Unsupported purchase type: ${transaction.type}`);
+        }
+
+        const previousMetadata = transaction.metadata || {};
+        const holdsFunds = transaction.status === 'failed' && previousMetadata.purchase_reference && !previousMetadata.refund_reference;
+        let params = definition.params(previousMetadata);
+        let chargeAmount = parseFloat(transaction.amount);
+        let metadata = previousMetadata;
+
+        if (definition.resolvePlan) {
+            const plan = await definition.resolvePlan(params);
+            if (!plan.available) {
+                throw new TransactionError(`The ${service === 'data' ? 'data plan' : 'cable package'} for this purchase is no longer available`);
+            }
+
+            params = { ...params, amount: plan.price };
+            const currentCharge = await this.getChargeAmount(user, service, plan.price);
+
+            if (holdsFunds && Math.abs(currentCharge - chargeAmount) >= 0.005) {
+                throw new TransactionError('The price has changed since this purchase; request a refund instead of a retry');
+            }
+
+            chargeAmount = currentCharge;
+            metadata = { ...previousMetadata, ...definition.metadata(params) };
+        }
+
+        const reference = generateTransactionRef(`${previousMetadata.service_type || 'VTU'}_RETRY`.toUpperCase());
+        const retryCount = (previousMetadata.retry_count || 0) + 1;
+
+        // Only one retry can claim the transaction; a concurrent retry sees the status already changed
+        const claimed = await this.transition(transaction, 'processing', {
+            amount: chargeAmount,
+            error_message: null,
+            metadata: {
+                ...metadata,
+                purchase_reference: holdsFunds ? previousMetadata.purchase_reference : reference,
+                refund_reference: null,
+                refunded_at: null,
+                retry_count: retryCount,
+                last_retry_at: new Date().toISOString()
+            }
+        });
+
+        if (!claimed) {
+            throw new TransactionError('Transaction is already being retried');
+        }
+
+        let newBalance = null;
+        if (!holdsFunds) {
+            try {
+                const reservation = await walletService.reserve(user.id, chargeAmount, transaction.id, reference, `Retry: ${transaction.description}`, RESERVE_LEDGER);
+                newBalance = reservation.new_balance;
+            } catch (debitError) {
+                // Put the transaction back the way it was so it can be retried later
+                await this.updateTransaction(transaction.id, {
+                    amount: transaction.amount,
+                    status: transaction.status,
+                    error_message: transaction.error_message,
+                    metadata: previousMetadata
+                });
+                throw debitError;
+            }
+        }
+
+        return this.dispatch(definition, user.id, claimed, chargeAmount, params, newBalance);
+    }
+
+    /**
+     * Send a reserved purchase to the provider router and settle the transaction
+     */
+    async dispatch(definition, userId, transaction, chargeAmount, params, newBalance) {
+        let vtuResult;
+        try {
+            vtuResult = await vtuService[definition.vtuMethod](params);
+        } catch (vtuError) {
+            console.error('VTU service error:', vtuError);
+
+            // Only an order the reconciler can look up (the provider reference it was sent with) is held
+            if (!this.wasRefused(vtuError) && vtuError.transactionRef) {
+                return this.hold(definition, transaction, vtuError, newBalance);
+            }
+
+            return this.release(userId, transaction, chargeAmount, vtuError.message, {
+                message: 'VTU service temporarily unavailable',
+                providerError: true
+            });
+        }
+
+        if (!vtuResult.success) {
+            return this.release(userId, transaction, chargeAmount, vtuResult.message, {
+                message: vtuResult.message || `${definition.label} failed`,
+                providerError: false
+            });
+        }
+
+        // Pending orders keep the reservation until the callback or status check settles them
+        const status = vtuResult.status === 'pending' ? 'processing' : 'completed';
+        const settled = await this.transition(transaction, status, {
+            payment_reference: vtuResult.reference,
+            metadata: {
+                ...transaction.metadata,
+                vtu_provider: vtuResult.provider,
+                cost_price: vtuResult.cost_price,
+                provider_attempts: vtuResult.attempts
+            }
+        });
+
+        if (!settled) {
+            return this.settledElsewhere(transaction, newBalance, vtuResult.token);
+        }
+
+        if (status === 'completed') {
+            await this.recordSale(settled);
+        }
+
+        return {
+            success: true,
+            status,
+            message: status === 'completed' ? `${definition.label} successful` : `${definition.label} is processing`,
+            transaction: settled,
+            new_balance: newBalance,
+            vtu_reference: vtuResult.reference,
+            token: vtuResult.token || null
+        };
+    }
+
+    /**
+     * Whether a dispatch error proves no provider took the order, so the reservation can be
+     * refunded: a refusal (non-retryable ProviderError), a failure raised before the order
+     * was sent, or any error that is not a ProviderError (e.g. an adapter rejecting the
+     * network before building a request). Anything else may have reached a provider.
+     */
+    wasRefused(error) {
+        return !(error instanceof ProviderError) || !error.retryable || error.safeToFailover;
+    }
+
+    /**
+     * Keep a purchase whose outcome is unknown in processing, with the reservation held,
+     * recording what is known for transactionReconciler to query the provider.
+     * Only called with vtuError.transactionRef set: it is the reference the reconciler asks about.
+     */
+    async hold(definition, transaction, vtuError, newBalance) {
+        const held = await this.transition(transaction, 'processing', {
+            payment_reference: vtuError.transactionRef,
+            error_message: vtuError.message,
+            metadata: {
+                ...transaction.metadata,
+                vtu_provider: vtuError.provider || null,
+                provider_attempts: vtuError.attempts || null,
+                outcome_unknown: true
+            }
+        });
+
+        if (!held) {
+            return this.settledElsewhere(transaction, newBalance);
+        }
+
+        return {
+            success: true,
+            status: 'processing',
+            message: `${definition.label} is processing`,
+            transaction: held,
+            new_balance: newBalance,
+            vtu_reference: held.payment_reference,
+            token: null
+        };
+    }
+
+    /**
+     * Post a delivered purchase to the ledger: the reserved charge leaves VTU clearing,
+     * the provider's cost comes out of its float and the difference is revenue
+     * (a debit when a reseller discount sells below cost).
+     * Failures are logged rather than thrown (ledgerService queues the journal for retry);
+     * the purchase itself has already succeeded.
+     */
+    async recordSale(transaction) {
+        const metadata = transaction.metadata || {};
+        const definition = Object.values(PURCHASE_SERVICES).find(item => item.transactionType === transaction.type);
+        if (!definition || !metadata.purchase_reference) {
+            return;
+        }
+
+        const { charged, cost, margin } = this.saleAmounts(definition, transaction);
+
+        try {
+            await ledgerService.post(`SETTLE_${metadata.purchase_reference}`, 'purchase_settle', [
+                { account: ACCOUNTS.VTU_CLEARING, debit: charged },
+                { account: ACCOUNTS.providerFloat(metadata.vtu_provider || 'unknown'), credit: cost },
+                { account: ACCOUNTS.REVENUE, credit: margin > 0 ? margin : 0, debit: margin < 0 ? -margin : 0 }
+            ], {
+                description: transaction.description,
+                metadata: { transaction_id: transaction.id, provider: metadata.vtu_provider || null }
+            });
+        } catch (error) {
+            console.error('❌ Ledger sale posting failed:', { transactionId: transaction.id, error: error.message });
+        }
+    }
+
+    /**
+     * Undo recordSale() for a delivered purchase that is being refunded: the provider's
+     * cost goes back into its float (to be claimed from the provider), the margin comes
+     * out of revenue and the charge returns to VTU clearing, where the wallet refund takes it.
+     * Failures are handled like recordSale().
+     */
+    async reverseSale(transaction) {
+        const metadata = transaction.metadata || {};
+        const definition = Object.values(PURCHASE_SERVICES).find(item => item.transactionType === transaction.type);
+        if (!definition || !metadata.purchase_reference) {
+            return;
+        }
+
+        const { charged, cost, margin } = this.saleAmounts(definition, transaction);
+
+        try {
+            await ledgerService.post(`REVERSE_${metadata.purchase_reference}`, 'purchase_reverse', [
+                { account: ACCOUNTS.providerFloat(metadata.vtu_provider || 'unknown'), debit: cost },
+                { account: ACCOUNTS.REVENUE, debit: margin > 0 ? margin : 0, credit: margin < 0 ? -margin : 0 },
+                { account: ACCOUNTS.VTU_CLEARING, credit: charged }
+            ], {
+                description: `Reversal: ${transaction.description}`,
+                metadata: { transaction_id: transaction.id, provider: metadata.vtu_provider || null }
+            });
+        } catch (error) {
+            console.error('❌ Ledger sale reversal failed:', { transactionId: transaction.id, error: error.message });
+        }
+    }
+
+    /**
+     * Split a purchase charge into provider cost and margin
+     * @returns {{ charged: number, cost: number, margin: number }}
+     */
+    saleAmounts(definition, transaction) {
+        const metadata = transaction.metadata || {};
+        const charged = parseFloat(transaction.amount);
+        const faceValue = definition.params(metadata).amount || charged;
+        const costPercent = parseFloat(metadata.cost_price);
+        const cost = Math.round((isNaN(costPercent) ? faceValue : faceValue * costPercent / 100) * 100) / 100;
+        const margin = Math.round((charged - cost) * 100) / 100;
+
+        return { charged, cost, margin };
+    }
+
+    /**
+     * Refund a reservation after the provider rejected or could not take the order.
+     * The transaction is marked failed before the wallet is credited, so only one
+     * caller can refund it, then moves to refunded once the credit succeeds.
+     */
+    async release(userId, transaction, amount, reason, { message, providerError }) {
+        const refundReference = `REFUND_${transaction.metadata.purchase_reference}`;
+        let newBalance = null;
+
+        const failed = await this.transition(transaction, 'failed', { error_message: reason });
+        if (!failed) {
+            return this.settledElsewhere(transaction, null);
+        }
+
+        try {
+            const refund = await walletService.credit(
+                userId,
+                amount,
+                `Refund: ${transaction.description}`,
+                refundReference,
+                REFUND_LEDGER
+            );
+            newBalance = refund.new_balance;
+        } catch (refundError) {
+            // Leave the transaction failed without a refund reference so it can be refunded manually
+            console.error('Purchase refund error:', {
+                transactionId: transaction.id,
+                userId,
+                amount,
+                error: refundError.message
+            });
+
+            return {
+                success: false,
+                status: failed.status,
+                message,
+                providerError,
+                transaction: failed,
+                new_balance: null
+            };
+        }
+
+        const refunded = await this.transition(failed, 'refunded', {
+            metadata: {
+                ...failed.metadata,
+                refund_reference: refundReference,
+                refunded_at: new Date().toISOString()
+            }
+        });
+
+        return {
+            success: false,
+            status: 'refunded',
+            message,
+            providerError,
+            transaction: refunded || failed,
+            new_balance: newBalance
+        };
+    }
+
+    /**
+     * Answer for a purchase that a provider callback or the reconciler settled while this
+     * process was still working on it: re-read the row and report the state it was left in,
+     * rather than failing a purchase that may have gone through.
+     * @returns {Promise<Object>} Same shape as purchase(), with settledElsewhere: true
+     */
+    async settledElsewhere(transaction, newBalance, token = null) {
+        const { data: current, error } = await supabaseAdmin
+            .from('transactions')
+            .select('*')
+            .eq('id', transaction.id)
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        console.warn('⚠️ Purchase settled by another process:', { transactionId: current.id, status: current.status });
+
+        const definition = Object.values(PURCHASE_SERVICES).find(item => item.transactionType === current.type);
+        const label = definition ? definition.label : 'Purchase';
+
+        if (current.status !== 'completed' && current.status !== 'processing') {
+            return {
+                success: false,
+                status: current.status,
+                message: current.error_message || `${label} failed`,
+                providerError: true,
+                settledElsewhere: true,
+                transaction: current,
+                new_balance: null
+            };
+        }
+
+        return {
+            success: true,
+            status: current.status,
+            message: current.status === 'completed' ? `${label} successful` : `${label} is processing`,
+            settledElsewhere: true,
+            transaction: current,
+            new_balance: newBalance,
+            vtu_reference: current.payment_reference,
+            token
+        };
+    }
+
+    /**
+     * Move a transaction to a new status through the state machine.
+     * The update only applies while the row still has the status it was read with.
+     * @throws {InvalidTransitionError} When the state machine does not allow the move
+     * @returns {Promise<Object|null>} The updated row, or null if the status changed underneath us
+     */
+    async transition(transaction, status, updates = {}) {
+        assertTransition(transaction.status, status);
+
+        const { data, error } = await supabaseAdmin
+            .from('transactions')
+            .update({
+                ...updates,
+                status,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', transaction.id)
+            .eq('status', transaction.status)
+            .select();
+
+        if (error) {
+            throw error;
+        }
+
+        const updated = data && data.length > 0 ? data[0] : null;
+
+        // Reseller webhooks for completed and failed transactions (delivered in the background)
+        if (updated && ['completed', 'failed'].includes(status)) {
+            webhookService.emitTransaction(updated);
+        }
+
+        return updated;
+    }
+
+    /**
+     * Undo a transition() whose follow-up failed (e.g. a refund whose wallet credit did not go
+     * through): put back the status and fields the transaction had before. Guarded like
+     * transition() on the status the transaction was moved to, so a change made since is
+     * never overwritten; the state machine is not consulted because this is not a new move.
+     * @param {Object} moved - The row transition() returned
+     * @param {Object} previous - The row as it was before transition()
+     * @returns {Promise<Object|null>} The restored row, or null if it changed in the meantime
+     */
+    async restore(moved, previous) {
+        const { data, error } = await supabaseAdmin
+            .from('transactions')
+            .update({
+                status: previous.status,
+                error_message: previous.error_message ?? null,
+                metadata: previous.metadata,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', moved.id)
+            .eq('status', moved.status)
+            .select();
+
+        if (error) {
+            throw error;
+        }
+
+        return data && data.length > 0 ? data[0] : null;
+    }
+
+    /**
+     * Update the purchase transaction row and return it
+     */
+    async updateTransaction(transactionId, updates) {
+        const { data, error } = await supabaseAdmin
+            .from('transactions')
+            .update({
+                ...updates,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', transactionId)
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+}
+
+// Create singleton instance
+const purchaseService = new PurchaseService();
+
+module.exports = {
+    purchaseService,
+    PurchaseService,
+    PURCHASE_SERVICES
+};
@@ -1,5 +1,6 @@
 const { supabase } = require('../config/supabase');
 const { walletService } = require('./walletService');
+const { ACCOUNTS } = require('./ledgerService');
 
 class ReferralService {
     // Get referral statistics for a user
@@ -140,7 +141,8 @@ class ReferralService {
                     userData.referred_by,
                     referralBonus,
                     `Referral bonus for user ${transaction.user_id}`,
-                    `REF_BONUS_${Date.now()}`
+                    `REF_BONUS_${Date.now()}`,
+                    { account: ACCOUNTS.COMMISSIONS_PAYABLE, kind: 'referral_bonus' }
                 );
             } catch (walletError) {
                 console.error('Wallet credit error:', walletError);
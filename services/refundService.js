@@ -0,0 +1,641 @@
+const config = require('../config/environment');
+const { supabaseAdmin } = require('../config/supabase');
+const { paymentService } = require('./paymentService');
+const { flutterwaveService } = require('./flutterwaveService');
+const { walletService } = require('./walletService');
+const { purchaseService, PURCHASE_SERVICES } = require('./purchaseService');
+const { notificationService } = require('./notificationService');
+const { ACCOUNTS } = require('./ledgerService');
+const { generateReference } = require('../utils/helpers');
+
+const PURCHASE_TYPES = Object.values(PURCHASE_SERVICES).map(definition => definition.transactionType);
+
+// Requests still holding part of a transaction's refundable amount
+const OPEN_STATUSES = ['pending', 'processing'];
+const COUNTED_STATUSES = ['pending', 'processing', 'completed'];
+
+const RULE_BATCH_SIZE = 50;
+const RECONCILE_BATCH_SIZE = 50;
+
+// Flutterwave refund statuses
+const REFUND_COMPLETED = ['completed', 'successful'];
+const REFUND_FAILED = ['failed', 'declined'];
+
+class RefundError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} code - NOT_FOUND | NOT_ELIGIBLE | INVALID_AMOUNT | DUPLICATE | INVALID_STATUS | SAME_APPROVER
+     */
+    constructor(message, code = 'REFUND_ERROR') {
+        super(message);
+        this.name = 'RefundError';
+        this.code = code;
+    }
+}
+
+// Amounts are compared in kobo so partial refunds add up exactly
+const toKobo = (amount) => Math.round(parseFloat(amount || 0) * 100);
+
+/**
+ * Refund requests
+ *
+ * Admins, or the failed-purchase rule run by the transaction reconciler, raise a refund
+ * request against a transaction. Nothing moves until another admin approves it; then:
+ *   wallet - VTU purchases (failed, or delivered and being reversed) are credited back to
+ *            the wallet in full. Delivered purchases also get their sale reversed in the ledger.
+ *   card   - Card deposits are debited from the wallet and refunded to the card through
+ *            Flutterwave, in full or in part. A refund Flutterwave rejects is credited back.
+ * The original transaction moves to refunded (refunded_amount is kept in its metadata for
+ * partial card refunds) and the user is notified.
+ *
+ * Stored in the refund_requests table:
+ *   reference (RFD_, also the wallet transaction reference), transaction_id, user_id
+ *   amount, method (wallet | card), reason
+ *   source (admin | rule), rule, requested_by
+ *   status - pending -> processing -> completed | failed, or pending -> rejected
+ *   approved_by, approved_at, rejected_by, rejection_reason
+ *   flw_transaction_id, provider_refund, error_message, completed_at, created_at, updated_at
+ *
+ * A card refund whose Flutterwave call got no answer stays processing with an error
+ * message until the transaction reconciler settles it (reconcileCardRefunds) from
+ * Flutterwave's record of the refund, or reverses it once Flutterwave still has no
+ * record after config.wallet.refunds.unansweredGrace.
+ */
+class RefundService {
+    /**
+     * Raise a refund request
+     * @param {string} transactionId
+     * @param {Object} request - { amount, method, reason }; amount defaults to what is left to refund
+     * @param {Object} [origin] - { requestedBy, source: admin | rule, rule }
+     */
+    async create(transactionId, { amount, method, reason }, { requestedBy = null, source = 'admin', rule = null } = {}) {
+        const transaction = await this.getTransaction(transactionId);
+        const refundMethod = method || (PURCHASE_TYPES.includes(transaction.type) ? 'wallet' : 'card');
+
+        this.checkEligible(transaction, refundMethod);
+
+        const { data: existing, error: existingError } = await supabaseAdmin
+            .from('refund_requests')
+            .select('id, amount, status')
+            .eq('transaction_id', transaction.id)
+            .in('status', COUNTED_STATUSES);
+
+        if (existingError) {
+            throw existingError;
+        }
+
+        if ((existing || []).some(item => OPEN_STATUSES.includes(item.status))) {
+            throw new RefundError('This transaction already has an open refund request', 'DUPLICATE');
+        }
+
+        const refundable = toKobo(transaction.amount) - (existing || []).reduce((sum, item) => sum + toKobo(item.amount), 0);
+        const refundAmount = amount === undefined || amount === null ? refundable / 100 : parseFloat(amount);
+
+        if (isNaN(refundAmount) || toKobo(refundAmount) <= 0 || toKobo(refundAmount) > refundable) {
+            throw new RefundError(`Refund amount must be between ₦0.01 and ₦${refundable / 100}`, 'INVALID_AMOUNT');
+        }
+
+        // A purchase refund undoes the whole purchase
+        if (refundMethod === 'wallet' && toKobo(refundAmount) !== toKobo(transaction.amount)) {
+            throw new RefundError('Purchases are refunded in full', 'INVALID_AMOUNT');
+        }
+
+        const now = new Date().toISOString();
+        const { data, error } = await supabaseAdmin
+            .from('refund_requests')
+            .insert({
+                reference: generateReference('RFD'),
+                transaction_id: transaction.id,
+                user_id: transaction.user_id,
+                amount: refundAmount,
+                method: refundMethod,
+                reason: reason || null,
+                source,
+                rule,
+                requested_by: requestedBy,
+                status: 'pending',
+                created_at: now,
+                updated_at: now
+            })
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        console.log('↩️ Refund requested:', { reference: data.reference, transactionId: transaction.id, amount: refundAmount, method: refundMethod, source });
+        return data;
+    }
+
+    /**
+     * Whether a transaction can be refunded with a method
+     * @throws {RefundError} NOT_ELIGIBLE
+     */
+    checkEligible(transaction, method) {
+        const metadata = transaction.metadata || {};
+
+        if (method === 'wallet') {
+            if (!PURCHASE_TYPES.includes(transaction.type)) {
+                throw new RefundError('Only VTU purchases can be refunded to the wallet', 'NOT_ELIGIBLE');
+            }
+            // Only purchases made through the shared pipeline reserve funds up front; older ones
+            // debited on success only, so a failed one never took the customer's money
+            if (transaction.status === 'failed' && !metadata.purchase_reference) {
+                throw new RefundError('This purchase never reserved wallet funds', 'NOT_ELIGIBLE');
+            }
+            if (transaction.status === 'failed' && metadata.refund_reference) {
+                throw new RefundError('This purchase has already been refunded', 'NOT_ELIGIBLE');
+            }
+            if (!['failed', 'completed'].includes(transaction.status)) {
+                throw new RefundError(`A ${transaction.status} purchase cannot be refunded`, 'NOT_ELIGIBLE');
+            }
+            return;
+        }
+
+        if (method === 'card') {
+            if (transaction.type !== 'deposit' || transaction.payment_method === 'bank_transfer') {
+                throw new RefundError('Only card deposits can be refunded to the card', 'NOT_ELIGIBLE');
+            }
+            if (transaction.status !== 'completed') {
+                throw new RefundError(`A ${transaction.status} deposit cannot be refunded`, 'NOT_ELIGIBLE');
+            }
+            return;
+        }
+
+        throw new RefundError('Refund method must be wallet or card', 'NOT_ELIGIBLE');
+    }
+
+    /**
+     * List refund requests, newest first
+     * @param {Object} [filters] - { status, user_id, transaction_id, page, limit }
+     */
+    async list({ status, user_id, transaction_id, page = 1, limit = 20 } = {}) {
+        const pageSize = Math.min(parseInt(limit, 10) || 20, 100);
+        const offset = (Math.max(parseInt(page, 10) || 1, 1) - 1) * pageSize;
+
+        let query = supabaseAdmin
+            .from('refund_requests')
+            .select('*', { count: 'exact' })
+            .order('created_at', { ascending: false })
+            .range(offset, offset + pageSize - 1);
+
+        if (status) query = query.eq('status', status);
+        if (user_id) query = query.eq('user_id', user_id);
+        if (transaction_id) query = query.eq('transaction_id', transaction_id);
+
+        const { data, error, count } = await query;
+
+        if (error) {
+            throw error;
+        }
+
+        return { refunds: data || [], total: count || 0, page: Math.max(parseInt(page, 10) || 1, 1), limit: pageSize };
+    }
+
+    /**
+     * Get a refund request
+     * @returns {Promise<Object|null>}
+     */
+    async get(id) {
+        const { data, error } = await supabaseAdmin
+            .from('refund_requests')
+            .select('*')
+            .eq('id', id)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    /**
+     * Approve a pending request and carry out the refund
+     * @returns {Promise<Object>} The request after processing (completed, failed or still processing)
+     */
+    async approve(id, adminId) {
+        const request = await this.get(id);
+        if (!request) {
+            throw new RefundError('Refund request not found', 'NOT_FOUND');
+        }
+
+        if (config.wallet.refunds.requireSecondApprover && request.requested_by && request.requested_by === adminId) {
+            throw new RefundError('A refund must be approved by a different admin than the one who requested it', 'SAME_APPROVER');
+        }
+
+        const approved = await this.updateStatus(request, 'pending', 'processing', {
+            approved_by: adminId,
+            approved_at: new Date().toISOString()
+        });
+
+        if (!approved) {
+            throw new RefundError(`Refund request is ${request.status}, not pending`, 'INVALID_STATUS');
+        }
+
+        return this.process(approved);
+    }
+
+    /**
+     * Reject a pending request
+     */
+    async reject(id, adminId, reason) {
+        const request = await this.get(id);
+        if (!request) {
+            throw new RefundError('Refund request not found', 'NOT_FOUND');
+        }
+
+        const rejected = await this.updateStatus(request, 'pending', 'rejected', {
+            rejected_by: adminId,
+            rejection_reason: reason || null
+        });
+
+        if (!rejected) {
+            throw new RefundError(`Refund request is ${request.status}, not pending`, 'INVALID_STATUS');
+        }
+
+        console.log('🚫 Refund rejected:', { reference: request.reference, reason });
+        return rejected;
+    }
+
+    /**
+     * Carry out an approved (processing) request
+     */
+    async process(request) {
+        let transaction;
+        try {
+            transaction = await this.getTransaction(request.transaction_id);
+            // The transaction may have moved on (e.g. a retry) since the request was raised
+            this.checkEligible(transaction, request.method);
+        } catch (error) {
+            return this.fail(request, error.message);
+        }
+
+        return request.method === 'card'
+            ? this.refundToCard(request, transaction)
+            : this.refundToWallet(request, transaction);
+    }
+
+    /**
+     * Credit a purchase back to the wallet. The purchase is marked refunded first, so a
+     * retry cannot dispatch it again once the money is back.
+     */
+    async refundToWallet(request, transaction) {
+        const metadata = transaction.metadata || {};
+        const refunded = await purchaseService.transition(transaction, 'refunded', {
+            metadata: {
+                ...metadata,
+                refund_reference: request.reference,
+                refund_request_id: request.id,
+                refund_reason: request.reason,
+                refunded_amount: parseFloat(request.amount),
+                refunded_at: new Date().toISOString()
+            }
+        });
+
+        if (!refunded) {
+            return this.fail(request, 'Transaction changed while the refund was being approved');
+        }
+
+        let credit;
+        try {
+            credit = await walletService.credit(
+                transaction.user_id,
+                request.amount,
+                `Refund: ${transaction.description}`,
+                request.reference,
+                { account: ACCOUNTS.VTU_CLEARING, kind: 'purchase_refund' }
+            );
+        } catch (error) {
+            // Put the purchase back so it can be refunded or retried again
+            const restored = await purchaseService.restore(refunded, transaction);
+            if (!restored) {
+                console.error('❌ Purchase changed before its refund could be undone:', { reference: request.reference, transactionId: transaction.id });
+            }
+            return this.fail(request, error.message);
+        }
+
+        if (transaction.status === 'completed') {
+            await purchaseService.reverseSale(transaction);
+        }
+
+        return this.complete(request, transaction, { new_balance: credit.new_balance });
+    }
+
+    /**
+     * Take a card deposit back out of the wallet and refund it through Flutterwave
+     */
+    async refundToCard(request, transaction) {
+        const verification = await flutterwaveService.verifyTransactionByRef(transaction.payment_reference);
+        if (verification.status !== 'success' || !verification.data) {
+            return this.fail(request, 'Original card payment could not be found at Flutterwave');
+        }
+
+        const charge = verification.data;
+        if (toKobo(request.amount) > toKobo(charge.amount)) {
+            return this.fail(request, `Refund exceeds the ₦${charge.amount} charged to the card`);
+        }
+
+        try {
+            await walletService.debit(
+                transaction.user_id,
+                request.amount,
+                `Card refund: ${transaction.description || transaction.payment_reference}`,
+                request.reference,
+                { account: ACCOUNTS.FLUTTERWAVE_CLEARING, kind: 'card_refund' }
+            );
+        } catch (error) {
+            return this.fail(request, error.message);
+        }
+
+        const result = await paymentService.refundPayment(charge.id, request.amount, request.reason || 'Refund approved');
+
+        if (result.success) {
+            return this.complete(request, transaction, {
+                flw_transaction_id: charge.id,
+                provider_refund: result.refund_data || null
+            });
+        }
+
+        if (result.error_code === 'NETWORK_ERROR') {
+            // Flutterwave may have taken it; never put the money back blind
+            console.warn('⚠️ Card refund outcome unknown:', { reference: request.reference });
+            return this.updateStatus(request, 'processing', 'processing', {
+                flw_transaction_id: charge.id,
+                error_message: 'Flutterwave did not answer; the reconciler will settle the refund from Flutterwave\'s record'
+            });
+        }
+
+        return this.reverseCardRefund(request, result.message || 'Flutterwave rejected the refund', { flw_transaction_id: charge.id });
+    }
+
+    /**
+     * Credit a card refund Flutterwave did not make back to the wallet and fail the request
+     */
+    async reverseCardRefund(request, reason, updates = {}) {
+        try {
+            await walletService.credit(
+                request.user_id,
+                request.amount,
+                `Card refund reversed: ${reason}`,
+                `${request.reference}_REVERSAL`,
+                { account: ACCOUNTS.FLUTTERWAVE_CLEARING, kind: 'card_refund_reversal' }
+            );
+        } catch (error) {
+            console.error('❌ Card refund reversal error:', { reference: request.reference, error: error.message });
+        }
+
+        return this.fail(request, reason, updates);
+    }
+
+    /**
+     * Settle card refunds whose Flutterwave call got no answer, from Flutterwave's record of
+     * refunds on the charge. Only one request per transaction can be open, so a refund on the
+     * charge made since the request was approved is this request's.
+     * @param {string} cutoff - Only requests untouched since this time are checked
+     * @returns {Promise<Object>} { checked, completed, failed, unchanged }
+     */
+    async reconcileCardRefunds(cutoff) {
+        const summary = { checked: 0, completed: 0, failed: 0, unchanged: 0 };
+
+        const { data: requests, error } = await supabaseAdmin
+            .from('refund_requests')
+            .select('*')
+            .eq('method', 'card')
+            .eq('status', 'processing')
+            .not('flw_transaction_id', 'is', null)
+            .lt('updated_at', cutoff)
+            .order('updated_at', { ascending: true })
+            .limit(RECONCILE_BATCH_SIZE);
+
+        if (error) {
+            throw error;
+        }
+
+        for (const request of requests || []) {
+            summary.checked += 1;
+
+            try {
+                const outcome = await this.reconcileCardRefund(request);
+                summary[outcome] += 1;
+            } catch (reconcileError) {
+                console.error(`Reconcile card refund ${request.reference} error:`, reconcileError.message);
+            }
+        }
+
+        return summary;
+    }
+
+    /**
+     * Settle one unanswered card refund
+     * @returns {Promise<string>} completed | failed | unchanged
+     */
+    async reconcileCardRefund(request) {
+        const approvedAt = new Date(request.approved_at || request.created_at);
+        const lookup = await paymentService.findRefunds(request.flw_transaction_id, approvedAt.toISOString().slice(0, 10));
+
+        if (!lookup.success) {
+            return 'unchanged';
+        }
+
+        const refund = lookup.refunds.find(item =>
+            new Date(item.created_at) >= approvedAt &&
+            toKobo(item.amount_refunded ?? item.amount) === toKobo(request.amount)
+        );
+        const status = String(refund?.status || '').toLowerCase();
+
+        if (refund && REFUND_COMPLETED.includes(status)) {
+            const transaction = await this.getTransaction(request.transaction_id);
+            await this.complete(request, transaction, { provider_refund: refund });
+            return 'completed';
+        }
+
+        if (refund && REFUND_FAILED.includes(status)) {
+            await this.reverseCardRefund(request, `Flutterwave ${status} the refund`, { provider_refund: refund });
+            return 'failed';
+        }
+
+        // Still in flight, or not yet visible to the lookup
+        if (refund || Date.now() - approvedAt.getTime() < config.wallet.refunds.unansweredGrace) {
+            return 'unchanged';
+        }
+
+        await this.reverseCardRefund(request, 'Flutterwave has no record of the refund');
+        return 'failed';
+    }
+
+    /**
+     * Finish a request: update the original transaction and tell the user
+     */
+    async complete(request, transaction, updates = {}) {
+        const completed = await this.updateStatus(request, 'processing', 'completed', {
+            ...updates,
+            error_message: null,
+            completed_at: new Date().toISOString()
+        });
+
+        if (request.method === 'card') {
+            await this.markCardRefunded(request, transaction);
+        }
+
+        try {
+            await notificationService.createNotification(request.user_id, {
+                title: 'Refund Processed',
+                message: request.method === 'card'
+                    ? `₦${Number(request.amount).toLocaleString()} has been refunded to your card. It may take a few days to show on your statement.`
+                    : `₦${Number(request.amount).toLocaleString()} for "${transaction.description}" has been refunded to your wallet.`,
+                type: 'success',
+                metadata: {
+                    transaction_type: 'refund',
+                    refund_reference: request.reference,
+                    transaction_id: transaction.id,
+                    amount: parseFloat(request.amount),
+                    method: request.method,
+                    new_balance: updates.new_balance
+                }
+            });
+        } catch (error) {
+            console.error('Refund notification error:', error.message);
+        }
+
+        console.log('✅ Refund completed:', { reference: request.reference, method: request.method, amount: request.amount });
+        return completed || request;
+    }
+
+    /**
+     * Record a card refund on the deposit; it is refunded once nothing is left on it
+     */
+    async markCardRefunded(request, transaction) {
+        const metadata = transaction.metadata || {};
+        const refundedAmount = (toKobo(metadata.refunded_amount) + toKobo(request.amount)) / 100;
+        const refundMetadata = {
+            ...metadata,
+            refunded_amount: refundedAmount,
+            refund_references: [...(metadata.refund_references || []), request.reference],
+            refunded_at: new Date().toISOString()
+        };
+
+        if (toKobo(refundedAmount) >= toKobo(transaction.amount)) {
+            const refunded = await purchaseService.transition(transaction, 'refunded', { metadata: refundMetadata });
+            if (refunded) return;
+        }
+
+        await purchaseService.updateTransaction(transaction.id, { metadata: refundMetadata });
+    }
+
+    /**
+     * Mark a processing request failed
+     */
+    async fail(request, reason, updates = {}) {
+        console.error('❌ Refund failed:', { reference: request.reference, reason });
+        const failed = await this.updateStatus(request, 'processing', 'failed', { ...updates, error_message: reason });
+        return failed || request;
+    }
+
+    /**
+     * Move a request between statuses if nobody else has moved it first
+     * @returns {Promise<Object|null>}
+     */
+    async updateStatus(request, from, to, updates = {}) {
+        const { data, error } = await supabaseAdmin
+            .from('refund_requests')
+            .update({ ...updates, status: to, updated_at: new Date().toISOString() })
+            .eq('id', request.id)
+            .eq('status', from)
+            .select();
+
+        if (error) {
+            throw error;
+        }
+
+        return data && data.length > 0 ? data[0] : null;
+    }
+
+    /**
+     * Automated rule: raise a request for failed purchases that reserved funds (purchase_reference)
+     * but whose automatic refund never went through (no refund_reference), once they have been
+     * failed for config.wallet.refunds.ruleDelay.
+     * Purchases that already have any request, including a rejected one, are left alone.
+     * @returns {Promise<number>} Requests raised
+     */
+    async runRules() {
+        const cutoff = new Date(Date.now() - config.wallet.refunds.ruleDelay).toISOString();
+
+        const { data: transactions, error } = await supabaseAdmin
+            .from('transactions')
+            .select('id')
+            .in('type', PURCHASE_TYPES)
+            .eq('status', 'failed')
+            .not('metadata->>purchase_reference', 'is', null)
+            .is('metadata->>refund_reference', null)
+            .lt('updated_at', cutoff)
+            .order('updated_at', { ascending: true })
+            .limit(RULE_BATCH_SIZE);
+
+        if (error) {
+            throw error;
+        }
+
+        if (!transactions || transactions.length === 0) {
+            return 0;
+        }
+
+        const { data: requested } = await supabaseAdmin
+            .from('refund_requests')
+            .select('transaction_id')
+            .in('transaction_id', transactions.map(transaction => transaction.id));
+
+        const seen = new Set((requested || []).map(item => item.transaction_id));
+        let raised = 0;
+
+        for (const transaction of transactions) {
+            if (seen.has(transaction.id)) continue;
+
+            try {
+                await this.create(transaction.id, { method: 'wallet', reason: 'Purchase failed and was not refunded automatically' }, {
+                    source: 'rule',
+                    rule: 'failed_purchase_unrefunded'
+                });
+                raised += 1;
+            } catch (ruleError) {
+                if (!(ruleError instanceof RefundError)) {
+                    console.error(`Refund rule error for transaction ${transaction.id}:`, ruleError);
+                }
+            }
+        }
+
+        if (raised > 0) {
+            console.log(`↩️ Refund rules raised ${raised} request(s)`);
+        }
+
+        return raised;
+    }
+
+    async getTransaction(transactionId) {
+        const { data, error } = await supabaseAdmin
+            .from('transactions')
+            .select('*')
+            .eq('id', transactionId)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        if (!data) {
+            throw new RefundError('Transaction not found', 'NOT_FOUND');
+        }
+
+        return data;
+    }
+}
+
+// Create singleton instance
+const refundService = new RefundService();
+
+module.exports = {
+    refundService,
+    RefundService,
+    RefundError
+};
@@ -0,0 +1,248 @@
+const { supabaseAdmin } = require('../config/supabase');
+
+const RULES_CACHE_TTL = 60000; // 1 minute
+
+/**
+ * VTU routing rules
+ * Admin-managed table (vtu_routing_rules) that decides which provider serves
+ * each service type and network. Columns:
+ *   service_type - airtime | data | cable | electricity
+ *   network      - MTN, GLO, DSTV, IKEDC, ... (null applies to every network)
+ *   provider     - adapter name registered in vtu-providers/
+ *   cost_price   - percentage of face value the provider charges (97.5 = ₦97.50 per ₦100)
+ *   priority     - lower runs first when cost prices are equal
+ *   weight       - share of traffic among rules with the same cost price and priority
+ *   is_active
+ */
+class RoutingRuleService {
+    constructor() {
+        this.cache = {
+            rules: null,
+            lastUpdated: 0
+        };
+    }
+
+    /**
+     * Drop cached rules so the next request reloads them
+     */
+    invalidateCache() {
+        this.cache.rules = null;
+        this.cache.lastUpdated = 0;
+    }
+
+    /**
+     * Load active rules, cached for a minute
+     */
+    async getActiveRules() {
+        if (this.cache.rules && (Date.now() - this.cache.lastUpdated) < RULES_CACHE_TTL) {
+            return this.cache.rules;
+        }
+
+        const { data, error } = await supabaseAdmin
+            .from('vtu_routing_rules')
+            .select('*')
+            .eq('is_active', true);
+
+        if (error) {
+            throw error;
+        }
+
+        this.cache.rules = data || [];
+        this.cache.lastUpdated = Date.now();
+
+        return this.cache.rules;
+    }
+
+    /**
+     * Get the rules that apply to a request.
+     * A network-specific rule overrides the catch-all rule for the same provider.
+     * @param {string} service - Service type (airtime, data, cable, electricity)
+     * @param {string} [network] - Network or biller code
+     */
+    async getRulesFor(service, network) {
+        if (!service) {
+            return [];
+        }
+
+        const rules = await this.getActiveRules();
+        const networkCode = network ? network.toUpperCase() : null;
+        const byProvider = new Map();
+
+        for (const rule of rules) {
+            if (rule.service_type !== service) continue;
+
+            const ruleNetwork = rule.network ? rule.network.toUpperCase() : null;
+            if (ruleNetwork && ruleNetwork !== networkCode) continue;
+
+            const existing = byProvider.get(rule.provider);
+            if (!existing || (ruleNetwork && !existing.network)) {
+                byProvider.set(rule.provider, rule);
+            }
+        }
+
+        return Array.from(byProvider.values());
+    }
+
+    /**
+     * Order rules cheapest first, then by priority, spreading equal rules by weight
+     */
+    rankRules(rules) {
+        const groups = new Map();
+
+        for (const rule of rules) {
+            const key = `${parseFloat(rule.cost_price) || 0}|${rule.priority || 0}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(rule);
+        }
+
+        return Array.from(groups.entries())
+            .sort(([a], [b]) => {
+                const [costA, priorityA] = a.split('|').map(Number);
+                const [costB, priorityB] = b.split('|').map(Number);
+                return costA - costB || priorityA - priorityB;
+            })
+            .flatMap(([, group]) => this.weightedShuffle(group));
+    }
+
+    /**
+     * Weighted random ordering: a rule with weight 3 is picked first three times as often as weight 1
+     */
+    weightedShuffle(rules) {
+        const remaining = [...rules];
+        const ordered = [];
+
+        while (remaining.length > 0) {
+            const totalWeight = remaining.reduce((sum, rule) => sum + Math.max(parseFloat(rule.weight) || 1, 0), 0);
+            let pick = Math.random() * totalWeight;
+            let index = 0;
+
+            for (; index < remaining.length - 1; index++) {
+                pick -= Math.max(parseFloat(remaining[index].weight) || 1, 0);
+                if (pick < 0) break;
+            }
+
+            ordered.push(remaining.splice(index, 1)[0]);
+        }
+
+        return ordered;
+    }
+
+    /**
+     * List rules for the admin dashboard
+     */
+    async listRules({ service_type, network } = {}) {
+        let query = supabaseAdmin
+            .from('vtu_routing_rules')
+            .select('*')
+            .order('service_type', { ascending: true })
+            .order('priority', { ascending: true });
+
+        if (service_type) {
+            query = query.eq('service_type', service_type);
+        }
+
+        if (network) {
+            query = query.eq('network', network.toUpperCase());
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+            throw error;
+        }
+
+        return data || [];
+    }
+
+    /**
+     * Create a routing rule
+     */
+    async createRule(ruleData, adminId) {
+        const { data, error } = await supabaseAdmin
+            .from('vtu_routing_rules')
+            .insert({
+                ...this.normalizeRule(ruleData),
+                created_by: adminId,
+                created_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            })
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        this.invalidateCache();
+        return data;
+    }
+
+    /**
+     * Update a routing rule
+     */
+    async updateRule(ruleId, updates) {
+        const { data, error } = await supabaseAdmin
+            .from('vtu_routing_rules')
+            .update({
+                ...this.normalizeRule(updates),
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', ruleId)
+            .select()
+            .single();
+
+        if (error && error.code === 'PGRST116') { // PGRST116 is "not found"
+            return null;
+        }
+
+        if (error) {
+            throw error;
+        }
+
+        this.invalidateCache();
+        return data;
+    }
+
+    /**
+     * Delete a routing rule
+     */
+    async deleteRule(ruleId) {
+        const { error } = await supabaseAdmin
+            .from('vtu_routing_rules')
+            .delete()
+            .eq('id', ruleId);
+
+        if (error) {
+            throw error;
+        }
+
+        this.invalidateCache();
+    }
+
+    /**
+     * Keep only known columns and normalize casing.
+     * Values are checked by the routingRule / routingRuleUpdate validators; booleans may
+     * arrive as the strings 'true' and 'false'.
+     */
+    normalizeRule(ruleData) {
+        const rule = {};
+
+        if (ruleData.service_type !== undefined) rule.service_type = String(ruleData.service_type).toLowerCase();
+        if (ruleData.network !== undefined) rule.network = ruleData.network ? String(ruleData.network).toUpperCase() : null;
+        if (ruleData.provider !== undefined) rule.provider = String(ruleData.provider).toLowerCase();
+        if (ruleData.cost_price !== undefined) rule.cost_price = parseFloat(ruleData.cost_price);
+        if (ruleData.priority !== undefined) rule.priority = parseInt(ruleData.priority);
+        if (ruleData.weight !== undefined) rule.weight = parseInt(ruleData.weight);
+        if (ruleData.is_active !== undefined) rule.is_active = ruleData.is_active === true || ruleData.is_active === 'true';
+
+        return rule;
+    }
+}
+
+// Create singleton instance
+const routingRuleService = new RoutingRuleService();
+
+module.exports = {
+    routingRuleService,
+    RoutingRuleService
+};
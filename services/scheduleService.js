@@ -0,0 +1,715 @@
+const config = require('../config/environment');
+const { supabaseAdmin } = require('../config/supabase');
+const { purchaseService, PURCHASE_SERVICES } = require('./purchaseService');
+const { vtuService } = require('./vtuService');
+const { walletService, InsufficientFundsError, WalletFrozenError } = require('./walletService');
+const { notificationService } = require('./notificationService');
+const { parseCron, nextRun, CronError, LAGOS_OFFSET_MINUTES } = require('../utils/cron');
+
+const HOUR = 60 * 60 * 1000;
+const INTERVAL_UNITS = { hours: HOUR, days: 24 * HOUR, weeks: 7 * 24 * HOUR, months: null };
+const MAX_INTERVAL = { hours: 24 * 31, days: 366, weeks: 52, months: 12 };
+const PHONE_REGEX = /^(\+234|234|0)[789]\d{9}$/;
+
+class ScheduleError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} code - INVALID_RULE | INVALID_SERVICE | INVALID_PARAMS | NOT_FOUND | INVALID_STATUS | LIMIT_EXCEEDED
+     */
+    constructor(message, code = 'SCHEDULE_ERROR') {
+        super(message);
+        this.name = 'ScheduleError';
+        this.code = code;
+    }
+}
+
+/**
+ * Add whole months to a date in Lagos time, keeping the day of month where it exists
+ * (a schedule anchored on the 31st runs on the last day of shorter months)
+ */
+const addMonths = (date, months) => {
+    const offset = LAGOS_OFFSET_MINUTES * 60000;
+    const local = new Date(date.getTime() + offset);
+    const day = local.getUTCDate();
+
+    local.setUTCDate(1);
+    local.setUTCMonth(local.getUTCMonth() + months);
+    const lastDay = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth() + 1, 0)).getUTCDate();
+    local.setUTCDate(Math.min(day, lastDay));
+
+    return new Date(local.getTime() - offset);
+};
+
+/**
+ * Scheduled and recurring VTU purchases
+ *
+ * Customers schedule a purchase (any purchaseService service) with either a cron rule,
+ * e.g. { cron: '0 9 * * 5' } for Fridays at 09:00, or an interval rule,
+ * e.g. { every: 1, unit: 'months' } (hours | days | weeks | months). Times are Africa/Lagos.
+ * Interval schedules repeat from their first run, so a monthly renewal keeps its day.
+ *
+ * The worker picks up due schedules, moves next_run_at on before buying (so a run is
+ * never repeated, and missed runs are not caught up in a burst) and buys through
+ * purchaseService.purchase, the same path as the VTU endpoints. Data and cable are
+ * charged the catalogue price at the time of each run. A run is skipped, and the user
+ * notified, when the wallet cannot cover it; a schedule is paused after
+ * config.vtu.schedules.maxFailures failed runs in a row.
+ *
+ * Stored in the vtu_schedules table:
+ *   user_id, service, params (jsonb, as sent to the purchase endpoint), label
+ *   rule (jsonb) - { type: 'cron', cron } | { type: 'interval', every, unit, anchor }
+ *   status - active | paused | ended | deleted; pause_reason
+ *   next_run_at, last_run_at, last_status, run_count, failure_count, ends_at
+ *   created_at, updated_at, deleted_at
+ * and each run in vtu_schedule_runs:
+ *   schedule_id, user_id, scheduled_for, status (completed | processing | failed | skipped),
+ *   reason, transaction_id, amount, created_at
+ */
+class ScheduleService {
+    constructor() {
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Start the background worker
+     */
+    start() {
+        const { enabled, interval } = config.vtu.schedules;
+
+        if (!enabled || this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => this.runOnce(), interval);
+        console.log(`⏰ Scheduled purchase worker started (every ${Math.round(interval / 1000)}s)`);
+    }
+
+    /**
+     * Stop the background worker
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            console.log('Scheduled purchase worker stopped');
+        }
+    }
+
+    /**
+     * Create a schedule
+     * @param {Object} user - { id, role }
+     * @param {Object} schedule - { service, params, rule, label, start_at, ends_at }
+     * @returns {Promise<Object>} The new schedule
+     */
+    async create(user, { service, params, rule, label, start_at, ends_at }) {
+        if (!PURCHASE_SERVICES[service]) {
+            throw new ScheduleError(`Unsupported service: ${service}`, 'INVALID_SERVICE');
+        }
+
+        const cleanParams = await this.validateParams(service, params || {});
+        const startAt = start_at ? new Date(start_at) : null;
+
+        if (startAt && (isNaN(startAt.getTime()) || startAt.getTime() < Date.now() - 60000)) {
+            throw new ScheduleError('start_at must be a date in the future', 'INVALID_RULE');
+        }
+
+        const normalisedRule = this.normaliseRule(rule, startAt || new Date());
+        const nextRunAt = this.firstRun(normalisedRule, startAt);
+        const endsAt = ends_at ? new Date(ends_at) : null;
+
+        if (endsAt && (isNaN(endsAt.getTime()) || endsAt <= nextRunAt)) {
+            throw new ScheduleError('ends_at must be after the first run', 'INVALID_RULE');
+        }
+
+        const { count, error: countError } = await supabaseAdmin
+            .from('vtu_schedules')
+            .select('id', { count: 'exact', head: true })
+            .eq('user_id', user.id)
+            .in('status', ['active', 'paused']);
+
+        if (countError) {
+            throw countError;
+        }
+
+        if ((count || 0) >= config.vtu.schedules.maxPerUser) {
+            throw new ScheduleError(`You can have at most ${config.vtu.schedules.maxPerUser} schedules`, 'LIMIT_EXCEEDED');
+        }
+
+        const now = new Date().toISOString();
+        const { data, error } = await supabaseAdmin
+            .from('vtu_schedules')
+            .insert({
+                user_id: user.id,
+                service,
+                params: cleanParams,
+                rule: normalisedRule,
+                label: label || PURCHASE_SERVICES[service].describe(cleanParams),
+                status: 'active',
+                next_run_at: nextRunAt.toISOString(),
+                ends_at: endsAt ? endsAt.toISOString() : null,
+                run_count: 0,
+                failure_count: 0,
+                created_at: now,
+                updated_at: now
+            })
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        console.log('⏰ Schedule created:', { id: data.id, userId: user.id, service, nextRunAt: data.next_run_at });
+        return data;
+    }
+
+    /**
+     * List a user's schedules (deleted ones are left out)
+     */
+    async list(userId, { status, page = 1, limit = 20 } = {}) {
+        const pageSize = Math.min(parseInt(limit, 10) || 20, 100);
+        const offset = (Math.max(parseInt(page, 10) || 1, 1) - 1) * pageSize;
+
+        let query = supabaseAdmin
+            .from('vtu_schedules')
+            .select('*', { count: 'exact' })
+            .eq('user_id', userId)
+            .neq('status', 'deleted')
+            .order('created_at', { ascending: false })
+            .range(offset, offset + pageSize - 1);
+
+        if (status) query = query.eq('status', status);
+
+        const { data, error, count } = await query;
+
+        if (error) {
+            throw error;
+        }
+
+        return { schedules: data || [], total: count || 0, page: Math.max(parseInt(page, 10) || 1, 1), limit: pageSize };
+    }
+
+    /**
+     * Get one of a user's schedules with its latest runs
+     * @returns {Promise<Object|null>}
+     */
+    async get(userId, id) {
+        const schedule = await this.findForUser(userId, id);
+        if (!schedule) {
+            return null;
+        }
+
+        const { runs } = await this.listRuns(userId, id, { limit: 10 });
+        return { ...schedule, recent_runs: runs };
+    }
+
+    /**
+     * Run history for one of a user's schedules
+     */
+    async listRuns(userId, scheduleId, { page = 1, limit = 20 } = {}) {
+        const pageSize = Math.min(parseInt(limit, 10) || 20, 100);
+        const offset = (Math.max(parseInt(page, 10) || 1, 1) - 1) * pageSize;
+
+        const { data, error, count } = await supabaseAdmin
+            .from('vtu_schedule_runs')
+            .select('*', { count: 'exact' })
+            .eq('schedule_id', scheduleId)
+            .eq('user_id', userId)
+            .order('scheduled_for', { ascending: false })
+            .range(offset, offset + pageSize - 1);
+
+        if (error) {
+            throw error;
+        }
+
+        return { runs: data || [], total: count || 0, page: Math.max(parseInt(page, 10) || 1, 1), limit: pageSize };
+    }
+
+    async pause(userId, id) {
+        const schedule = await this.getOwned(userId, id);
+
+        const paused = await this.update(schedule, { status: 'paused', pause_reason: 'Paused by user' }, { expectStatus: 'active' });
+        if (!paused) {
+            throw new ScheduleError(`Schedule is ${schedule.status}`, 'INVALID_STATUS');
+        }
+
+        return paused;
+    }
+
+    /**
+     * Resume a paused schedule from its next occurrence after now
+     */
+    async resume(userId, id) {
+        const schedule = await this.getOwned(userId, id);
+        const nextRunAt = this.nextOccurrence(schedule, new Date());
+
+        if (schedule.ends_at && nextRunAt > new Date(schedule.ends_at)) {
+            throw new ScheduleError('Schedule has passed its end date', 'INVALID_STATUS');
+        }
+
+        const resumed = await this.update(schedule, {
+            status: 'active',
+            pause_reason: null,
+            failure_count: 0,
+            next_run_at: nextRunAt.toISOString()
+        }, { expectStatus: 'paused' });
+
+        if (!resumed) {
+            throw new ScheduleError(`Schedule is ${schedule.status}`, 'INVALID_STATUS');
+        }
+
+        return resumed;
+    }
+
+    /**
+     * Delete a schedule. The row is kept (as deleted) so its run history stays linked.
+     */
+    async remove(userId, id) {
+        const schedule = await this.getOwned(userId, id);
+
+        return this.update(schedule, { status: 'deleted', next_run_at: null, deleted_at: new Date().toISOString() });
+    }
+
+    /**
+     * Run every due schedule once
+     * @returns {Promise<Object|null>} Run counts, or null if the previous pass is still going
+     */
+    async runOnce() {
+        if (this.running) {
+            return null;
+        }
+
+        this.running = true;
+        const summary = { due: 0, completed: 0, processing: 0, failed: 0, skipped: 0 };
+
+        try {
+            const { data: schedules, error } = await supabaseAdmin
+                .from('vtu_schedules')
+                .select('*')
+                .eq('status', 'active')
+                .lte('next_run_at', new Date().toISOString())
+                .order('next_run_at', { ascending: true })
+                .limit(config.vtu.schedules.batchSize);
+
+            if (error) {
+                throw error;
+            }
+
+            for (const schedule of schedules || []) {
+                summary.due++;
+
+                try {
+                    const run = await this.execute(schedule);
+                    if (run) summary[run.status]++;
+                } catch (runError) {
+                    console.error('Scheduled purchase error:', { scheduleId: schedule.id, error: runError.message });
+                }
+            }
+
+            if (summary.due > 0) {
+                console.log('⏰ Scheduled purchases run:', summary);
+            }
+
+            return summary;
+
+        } catch (error) {
+            console.error('Schedule worker error:', error);
+            return summary;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Claim a due schedule and make its purchase
+     * @returns {Promise<Object|null>} The run record, or null if another worker claimed it
+     */
+    async execute(schedule) {
+        const now = new Date();
+        const nextRunAt = this.nextOccurrence(schedule, now);
+        const ended = schedule.ends_at && nextRunAt > new Date(schedule.ends_at);
+
+        // Move the schedule on first; only the worker whose update lands makes the purchase
+        const { data: claimed, error } = await supabaseAdmin
+            .from('vtu_schedules')
+            .update({
+                status: ended ? 'ended' : 'active',
+                next_run_at: ended ? null : nextRunAt.toISOString(),
+                last_run_at: now.toISOString(),
+                run_count: (schedule.run_count || 0) + 1,
+                updated_at: now.toISOString()
+            })
+            .eq('id', schedule.id)
+            .eq('status', 'active')
+            .eq('next_run_at', schedule.next_run_at)
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        if (!claimed) {
+            return null;
+        }
+
+        const outcome = await this.purchase(claimed);
+        const run = await this.recordRun(claimed, schedule.next_run_at, outcome);
+
+        const failureCount = outcome.status === 'failed' ? (claimed.failure_count || 0) + 1 : (outcome.status === 'skipped' ? claimed.failure_count || 0 : 0);
+        const updates = { last_status: outcome.status, failure_count: failureCount };
+
+        if (failureCount >= config.vtu.schedules.maxFailures && claimed.status === 'active') {
+            updates.status = 'paused';
+            updates.pause_reason = `Paused after ${failureCount} failed runs: ${outcome.reason}`;
+        }
+
+        await this.update(claimed, updates);
+
+        if (updates.status === 'paused') {
+            await this.notify(claimed.user_id, 'Scheduled Purchase Paused',
+                `"${claimed.label}" has been paused after ${failureCount} failed attempts. Resume it once the issue is fixed.`,
+                'warning', claimed, { reason: outcome.reason });
+        } else if (outcome.status === 'failed') {
+            await this.notify(claimed.user_id, 'Scheduled Purchase Failed',
+                `"${claimed.label}" could not be completed: ${outcome.reason}`,
+                'error', claimed, { reason: outcome.reason, transaction_id: outcome.transactionId });
+        }
+
+        return run;
+    }
+
+    /**
+     * Make one scheduled purchase
+     * @returns {Promise<Object>} { status: completed | processing | failed | skipped, reason, transactionId, amount }
+     */
+    async purchase(schedule) {
+        const { data: user, error: userError } = await supabaseAdmin
+            .from('users')
+            .select('id, role, status')
+            .eq('id', schedule.user_id)
+            .maybeSingle();
+
+        if (userError) {
+            throw userError;
+        }
+
+        if (!user || user.status !== 'active') {
+            return { status: 'failed', reason: 'Account is not active' };
+        }
+
+        const params = { ...schedule.params };
+
+        // Data plans and bouquets are charged at today's listed price
+        if (schedule.service === 'data' || schedule.service === 'cable') {
+            const plan = schedule.service === 'data'
+                ? await vtuService.resolvePlan('data', params.network, params.plan_id)
+                : await vtuService.resolvePlan('cable', params.provider, params.package_id);
+
+            if (!plan.available) {
+                return { status: 'failed', reason: 'Selected plan is no longer available' };
+            }
+
+            params.amount = plan.price;
+        }
+
+        const faceValue = parseFloat(params.amount);
+        if (!faceValue || faceValue <= 0) {
+            return { status: 'failed', reason: 'Purchase amount could not be determined' };
+        }
+
+        const chargeAmount = await purchaseService.getChargeAmount(user, schedule.service, faceValue);
+        const balance = parseFloat(await walletService.getBalance(user.id));
+
+        if (balance < chargeAmount) {
+            return this.skipForBalance(schedule, chargeAmount, balance);
+        }
+
+        try {
+            const result = await purchaseService.purchase(schedule.service, user, params);
+
+            return {
+                status: result.success ? result.status : 'failed',
+                reason: result.success ? null : result.message,
+                transactionId: result.transaction ? result.transaction.id : null,
+                amount: chargeAmount
+            };
+        } catch (error) {
+            if (error instanceof InsufficientFundsError) {
+                return this.skipForBalance(schedule, chargeAmount, balance);
+            }
+
+            if (error instanceof WalletFrozenError) {
+                return { status: 'failed', reason: error.message, amount: chargeAmount };
+            }
+
+            console.error('Scheduled purchase error:', { scheduleId: schedule.id, error: error.message });
+            return { status: 'failed', reason: error.message || 'Purchase failed', amount: chargeAmount };
+        }
+    }
+
+    async skipForBalance(schedule, chargeAmount, balance) {
+        const nextRun = schedule.next_run_at ? ` The next attempt is on ${new Date(schedule.next_run_at).toLocaleString('en-NG', { timeZone: 'Africa/Lagos' })}.` : '';
+
+        await this.notify(schedule.user_id, 'Scheduled Purchase Skipped',
+            `"${schedule.label}" (₦${Number(chargeAmount).toLocaleString()}) was skipped because your wallet balance is too low.${nextRun}`,
+            'warning', schedule, { amount: chargeAmount, balance });
+
+        return { status: 'skipped', reason: 'Insufficient wallet balance', amount: chargeAmount };
+    }
+
+    async recordRun(schedule, scheduledFor, outcome) {
+        const { data, error } = await supabaseAdmin
+            .from('vtu_schedule_runs')
+            .insert({
+                schedule_id: schedule.id,
+                user_id: schedule.user_id,
+                scheduled_for: scheduledFor,
+                status: outcome.status,
+                reason: outcome.reason || null,
+                transaction_id: outcome.transactionId || null,
+                amount: outcome.amount || null,
+                created_at: new Date().toISOString()
+            })
+            .select()
+            .single();
+
+        if (error) {
+            // The purchase itself is already settled; losing the history row must not undo that
+            console.error('Schedule run record error:', { scheduleId: schedule.id, outcome, error: error.message });
+            return { status: outcome.status };
+        }
+
+        return data;
+    }
+
+    /**
+     * Check and tidy purchase parameters the way the VTU purchase endpoints do
+     * @throws {ScheduleError} INVALID_PARAMS
+     */
+    async validateParams(service, params) {
+        const invalid = (message) => new ScheduleError(message, 'INVALID_PARAMS');
+        const amount = params.amount !== undefined && params.amount !== null ? parseFloat(params.amount) : null;
+
+        switch (service) {
+            case 'airtime':
+                if (!params.network || !params.phone_number || !amount) {
+                    throw invalid('Network, phone number, and amount are required');
+                }
+                if (amount < 50 || amount > 10000) {
+                    throw invalid('Amount must be between ₦50 and ₦10,000');
+                }
+                if (!PHONE_REGEX.test(params.phone_number)) {
+                    throw invalid('Invalid phone number format');
+                }
+                return { network: params.network, phone_number: params.phone_number, amount };
+
+            case 'data': {
+                if (!params.network || !params.phone_number || !params.plan_id) {
+                    throw invalid('Network, phone number, and plan are required');
+                }
+                if (!PHONE_REGEX.test(params.phone_number)) {
+                    throw invalid('Invalid phone number format');
+                }
+                const plan = await vtuService.resolvePlan('data', params.network, params.plan_id);
+                if (!plan.available) {
+                    throw invalid('Selected data plan is not available');
+                }
+                return { network: params.network, phone_number: params.phone_number, plan_id: params.plan_id, amount: plan.price };
+            }
+
+            case 'cable': {
+                if (!params.provider || !params.package_id || !params.smartcard_number) {
+                    throw invalid('Provider, package, and smartcard number are required');
+                }
+                const plan = await vtuService.resolvePlan('cable', params.provider, params.package_id);
+                if (!plan.available) {
+                    throw invalid('Selected cable package is not available');
+                }
+                return { provider: params.provider, package_id: params.package_id, smartcard_number: params.smartcard_number, amount: plan.price };
+            }
+
+            case 'electricity':
+                if (!params.provider || !params.meter_number || !params.meter_type || !amount) {
+                    throw invalid('Provider, meter number, meter type, and amount are required');
+                }
+                if (amount < 100) {
+                    throw invalid('Minimum electricity purchase is ₦100');
+                }
+                return {
+                    provider: params.provider,
+                    meter_number: params.meter_number,
+                    meter_type: params.meter_type,
+                    customer_name: params.customer_name || null,
+                    amount
+                };
+
+            default:
+                throw new ScheduleError(`Unsupported service: ${service}`, 'INVALID_SERVICE');
+        }
+    }
+
+    /**
+     * Turn a client rule into the stored form
+     * @param {Object} rule - { cron } or { every, unit }
+     * @param {Date} anchor - First run of an interval schedule
+     * @throws {ScheduleError} INVALID_RULE
+     */
+    normaliseRule(rule, anchor) {
+        if (!rule || typeof rule !== 'object') {
+            throw new ScheduleError('A schedule rule is required', 'INVALID_RULE');
+        }
+
+        if (rule.cron) {
+            try {
+                const parsed = parseCron(rule.cron);
+                nextRun(parsed);
+                return { type: 'cron', cron: parsed.expression };
+            } catch (error) {
+                if (error instanceof CronError) {
+                    throw new ScheduleError(error.message, 'INVALID_RULE');
+                }
+                throw error;
+            }
+        }
+
+        const every = parseInt(rule.every, 10);
+
+        if (!Object.prototype.hasOwnProperty.call(INTERVAL_UNITS, rule.unit)) {
+            throw new ScheduleError('Rule unit must be one of hours, days, weeks, months', 'INVALID_RULE');
+        }
+
+        if (!every || every < 1 || every > MAX_INTERVAL[rule.unit]) {
+            throw new ScheduleError(`Rule "every" must be between 1 and ${MAX_INTERVAL[rule.unit]} ${rule.unit}`, 'INVALID_RULE');
+        }
+
+        return { type: 'interval', every, unit: rule.unit, anchor: anchor.toISOString() };
+    }
+
+    /**
+     * First run of a new schedule: start_at (or the first cron match from it),
+     * otherwise one interval from now
+     */
+    firstRun(rule, startAt) {
+        if (rule.type === 'cron') {
+            return nextRun(rule.cron, new Date((startAt || new Date()).getTime() - 60000));
+        }
+
+        return startAt || this.occurrence(rule, 1);
+    }
+
+    /**
+     * First occurrence of a schedule strictly after a date
+     */
+    nextOccurrence(schedule, after) {
+        const { rule } = schedule;
+
+        if (rule.type === 'cron') {
+            return nextRun(rule.cron, after);
+        }
+
+        // Interval schedules count whole intervals from their anchor
+        const anchor = new Date(rule.anchor);
+        let index = 1;
+
+        if (rule.unit === 'months') {
+            const offset = LAGOS_OFFSET_MINUTES * 60000;
+            const from = new Date(anchor.getTime() + offset);
+            const to = new Date(after.getTime() + offset);
+            const months = (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + (to.getUTCMonth() - from.getUTCMonth());
+            index = Math.max(Math.floor(months / rule.every), 1);
+        } else {
+            index = Math.max(Math.floor((after - anchor) / (rule.every * INTERVAL_UNITS[rule.unit])), 0) + 1;
+        }
+
+        let candidate = this.occurrence(rule, index);
+        while (candidate <= after) {
+            candidate = this.occurrence(rule, ++index);
+        }
+
+        return candidate;
+    }
+
+    /**
+     * The nth occurrence after an interval schedule's anchor
+     */
+    occurrence(rule, index) {
+        const anchor = new Date(rule.anchor);
+
+        if (rule.unit === 'months') {
+            return addMonths(anchor, rule.every * index);
+        }
+
+        return new Date(anchor.getTime() + rule.every * index * INTERVAL_UNITS[rule.unit]);
+    }
+
+    async notify(userId, title, message, type, schedule, metadata = {}) {
+        try {
+            await notificationService.createNotification(userId, {
+                title,
+                message,
+                type,
+                metadata: { transaction_type: 'scheduled_purchase', schedule_id: schedule.id, service: schedule.service, ...metadata }
+            });
+        } catch (error) {
+            console.error('Schedule notification error:', error.message);
+        }
+    }
+
+    async getOwned(userId, id) {
+        const schedule = await this.findForUser(userId, id);
+        if (!schedule) {
+            throw new ScheduleError('Schedule not found', 'NOT_FOUND');
+        }
+
+        return schedule;
+    }
+
+    async findForUser(userId, id) {
+        const { data, error } = await supabaseAdmin
+            .from('vtu_schedules')
+            .select('*')
+            .eq('id', id)
+            .eq('user_id', userId)
+            .neq('status', 'deleted')
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    /**
+     * Update a schedule, optionally only while it still has a given status
+     * @returns {Promise<Object|null>} The updated row, or null if the status had changed
+     */
+    async update(schedule, updates, { expectStatus } = {}) {
+        let query = supabaseAdmin
+            .from('vtu_schedules')
+            .update({ ...updates, updated_at: new Date().toISOString() })
+            .eq('id', schedule.id);
+
+        if (expectStatus) {
+            query = query.eq('status', expectStatus);
+        }
+
+        const { data, error } = await query.select().maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+}
+
+const scheduleService = new ScheduleService();
+
+module.exports = {
+    scheduleService,
+    ScheduleService,
+    ScheduleError
+};
@@ -0,0 +1,458 @@
+const config = require('../config/environment');
+const { supabaseAdmin } = require('../config/supabase');
+const { providerRegistry } = require('../vtu-providers');
+const { vtuService } = require('./vtuService');
+const { toCSV } = require('../utils/helpers');
+
+const PURCHASE_TYPES = ['airtime_purchase', 'data_purchase', 'cable_purchase', 'electricity_purchase'];
+const AMOUNT_FIELDS = ['airtime_amount', 'data_amount', 'cable_amount', 'electricity_amount'];
+const TIMEZONE_OFFSET = '+01:00'; // Africa/Lagos, no daylight saving
+const CHECK_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Daily provider settlement report
+ *
+ * For each provider, compares a day's completed VTU transactions against the
+ * provider's transaction log and against the change in provider float, and
+ * flags anything finance needs to look at:
+ *   missing_at_provider - completed locally, no successful provider record
+ *   missing_locally     - successful at the provider, not completed locally
+ *   duplicate           - request ID appears more than once on either side
+ *   amount_mismatch     - face value differs between the two records
+ *   float_mismatch      - float moved by a different amount than the expected cost
+ *
+ * The provider log comes from the adapter's getTransactionHistory() when it has one,
+ * otherwise from vtu_transaction_logs (every provider response we received).
+ * Float movement uses the hourly snapshots in provider_balance_snapshots.
+ * Reports are saved to settlement_reports, one row per day.
+ */
+class SettlementReportService {
+    constructor() {
+        this.timer = null;
+    }
+
+    /**
+     * Start the hourly check that snapshots balances and generates yesterday's report
+     */
+    start() {
+        if (!config.vtu.settlement.enabled || this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => this.tick(), CHECK_INTERVAL);
+        this.tick();
+        console.log('📒 Settlement report scheduler started');
+    }
+
+    /**
+     * Stop the scheduler
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            console.log('Settlement report scheduler stopped');
+        }
+    }
+
+    /**
+     * Hourly job body
+     */
+    async tick() {
+        try {
+            await this.snapshotBalances();
+
+            const now = new Date();
+            const lagosHour = (now.getUTCHours() + 1) % 24;
+            if (lagosHour < config.vtu.settlement.reportHour) {
+                return;
+            }
+
+            const yesterday = this.shiftDate(this.getLagosDate(now), -1);
+            const existing = await this.getReport(yesterday);
+
+            if (!existing) {
+                await this.generateReport(yesterday);
+            }
+        } catch (error) {
+            console.error('Settlement report job error:', error);
+        }
+    }
+
+    /**
+     * Record the current float held with each configured provider
+     */
+    async snapshotBalances() {
+        for (const { name, ready } of providerRegistry.list()) {
+            if (!ready) continue;
+
+            const balance = await vtuService.getBalance(name);
+            if (!balance.success) {
+                console.error(`Failed to snapshot ${name} balance:`, balance.message);
+                continue;
+            }
+
+            const { error } = await supabaseAdmin
+                .from('provider_balance_snapshots')
+                .insert({
+                    provider: name,
+                    balance: parseFloat(balance.balance),
+                    taken_at: new Date().toISOString()
+                });
+
+            if (error) {
+                console.error('Failed to save balance snapshot:', error);
+            }
+        }
+    }
+
+    /**
+     * Generate (or regenerate) the report for a day
+     * @param {string} date - Report date, YYYY-MM-DD (Africa/Lagos)
+     */
+    async generateReport(date) {
+        const from = `${date}T00:00:00${TIMEZONE_OFFSET}`;
+        const to = `${this.shiftDate(date, 1)}T00:00:00${TIMEZONE_OFFSET}`;
+
+        const [transactions, localLogs] = await Promise.all([
+            this.getCompletedTransactions(from, to),
+            this.getLoggedProviderResponses(from, to)
+        ]);
+
+        const providerNames = new Set([
+            ...providerRegistry.list().map(provider => provider.name),
+            ...transactions.map(txn => txn.provider)
+        ]);
+
+        const providers = [];
+        const discrepancies = [];
+
+        for (const name of providerNames) {
+            const ours = transactions.filter(txn => txn.provider === name);
+            const history = await this.getProviderHistory(name, from, to);
+            const theirs = history || localLogs.filter(entry => entry.provider === name);
+
+            if (ours.length === 0 && theirs.length === 0) continue;
+
+            const providerDiscrepancies = this.compare(name, ours, theirs);
+            const expectedCost = ours.reduce((sum, txn) => sum + txn.cost, 0);
+            const float = await this.getFloatMovement(name, from, to);
+
+            if (float && Math.abs(float.delta - expectedCost) > config.vtu.settlement.floatTolerance) {
+                providerDiscrepancies.push({
+                    type: 'float_mismatch',
+                    provider: name,
+                    request_id: null,
+                    transaction_id: null,
+                    local_amount: expectedCost,
+                    provider_amount: float.delta,
+                    detail: `Float moved by ${float.delta.toFixed(2)}, expected ${expectedCost.toFixed(2)}`
+                });
+            }
+
+            providers.push({
+                provider: name,
+                log_source: history ? 'provider' : 'vtu_transaction_logs',
+                completed_count: ours.length,
+                completed_face_value: ours.reduce((sum, txn) => sum + txn.face_value, 0),
+                expected_cost: expectedCost,
+                provider_success_count: theirs.filter(entry => entry.status === 'completed').length,
+                float_opening: float ? float.opening : null,
+                float_closing: float ? float.closing : null,
+                float_delta: float ? float.delta : null,
+                discrepancy_count: providerDiscrepancies.length
+            });
+
+            discrepancies.push(...providerDiscrepancies);
+        }
+
+        const report = {
+            report_date: date,
+            status: discrepancies.length > 0 ? 'discrepancies' : 'balanced',
+            summary: { providers },
+            discrepancies,
+            generated_at: new Date().toISOString()
+        };
+
+        const { data, error } = await supabaseAdmin
+            .from('settlement_reports')
+            .upsert(report, { onConflict: 'report_date' })
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        console.log(`📒 Settlement report for ${date}: ${report.status} (${discrepancies.length} discrepancies)`);
+        return data;
+    }
+
+    /**
+     * Match local transactions and provider records by request ID
+     */
+    compare(provider, ours, theirs) {
+        const discrepancies = [];
+        const flag = (type, fields) => discrepancies.push({ type, provider, ...fields });
+
+        const group = (entries) => entries.reduce((map, entry) => {
+            if (!entry.request_id) return map;
+            if (!map.has(entry.request_id)) map.set(entry.request_id, []);
+            map.get(entry.request_id).push(entry);
+            return map;
+        }, new Map());
+
+        const ourById = group(ours);
+        const theirById = group(theirs.filter(entry => entry.status === 'completed'));
+
+        for (const [requestId, entries] of ourById) {
+            if (entries.length > 1) {
+                flag('duplicate', {
+                    request_id: requestId,
+                    transaction_id: entries.map(entry => entry.transaction_id).join(' '),
+                    local_amount: entries[0].face_value,
+                    provider_amount: null,
+                    detail: `${entries.length} local transactions share this request ID`
+                });
+            }
+
+            const match = theirById.get(requestId);
+            if (!match) {
+                flag('missing_at_provider', {
+                    request_id: requestId,
+                    transaction_id: entries[0].transaction_id,
+                    local_amount: entries[0].face_value,
+                    provider_amount: null,
+                    detail: 'Completed locally but no successful provider record'
+                });
+                continue;
+            }
+
+            if (Math.abs(match[0].amount - entries[0].face_value) > 0.01) {
+                flag('amount_mismatch', {
+                    request_id: requestId,
+                    transaction_id: entries[0].transaction_id,
+                    local_amount: entries[0].face_value,
+                    provider_amount: match[0].amount,
+                    detail: 'Face value differs from the provider record'
+                });
+            }
+        }
+
+        for (const [requestId, entries] of theirById) {
+            if (entries.length > 1) {
+                flag('duplicate', {
+                    request_id: requestId,
+                    transaction_id: null,
+                    local_amount: null,
+                    provider_amount: entries[0].amount,
+                    detail: `${entries.length} successful provider records share this request ID`
+                });
+            }
+
+            if (!ourById.has(requestId)) {
+                flag('missing_locally', {
+                    request_id: requestId,
+                    transaction_id: null,
+                    local_amount: null,
+                    provider_amount: entries[0].amount,
+                    detail: 'Successful at the provider but not completed locally'
+                });
+            }
+        }
+
+        return discrepancies;
+    }
+
+    /**
+     * Completed VTU purchases in the period, normalized for comparison
+     */
+    async getCompletedTransactions(from, to) {
+        const { data, error } = await supabaseAdmin
+            .from('transactions')
+            .select('id, type, amount, payment_reference, metadata, created_at')
+            .in('type', PURCHASE_TYPES)
+            .eq('status', 'completed')
+            .gte('created_at', from)
+            .lt('created_at', to);
+
+        if (error) {
+            throw error;
+        }
+
+        return (data || []).map(txn => {
+            const metadata = txn.metadata || {};
+            const amountField = AMOUNT_FIELDS.find(field => metadata[field] !== undefined);
+            const faceValue = parseFloat(amountField ? metadata[amountField] : txn.amount);
+            const costPrice = metadata.cost_price ? parseFloat(metadata.cost_price) : null;
+
+            return {
+                transaction_id: txn.id,
+                request_id: txn.payment_reference,
+                provider: metadata.vtu_provider || config.vtu.primaryProvider,
+                face_value: faceValue,
+                // Without a routing rule cost price, assume the provider charges face value
+                cost: costPrice ? faceValue * costPrice / 100 : faceValue
+            };
+        });
+    }
+
+    /**
+     * Provider responses recorded by vtuService.logTransaction in the period
+     */
+    async getLoggedProviderResponses(from, to) {
+        const { data, error } = await supabaseAdmin
+            .from('vtu_transaction_logs')
+            .select('request_id, amount, status, metadata')
+            .gte('created_at', from)
+            .lt('created_at', to);
+
+        if (error) {
+            throw error;
+        }
+
+        return (data || []).map(entry => ({
+            request_id: entry.request_id,
+            provider: entry.metadata?.vtu_provider || config.vtu.primaryProvider,
+            amount: parseFloat(entry.amount),
+            status: entry.status
+        }));
+    }
+
+    /**
+     * Provider-side history, when the adapter exposes one
+     */
+    async getProviderHistory(name, from, to) {
+        const provider = providerRegistry.get(name);
+        if (!provider || !provider.isReady()) {
+            return null;
+        }
+
+        try {
+            const history = await provider.getTransactionHistory({ from, to });
+            return history
+                ? history.map(entry => ({ ...entry, provider: name, amount: parseFloat(entry.amount) }))
+                : null;
+        } catch (error) {
+            console.error(`Failed to fetch ${name} transaction history:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Float spent with a provider in the period, from the closest snapshots to each boundary
+     */
+    async getFloatMovement(provider, from, to) {
+        const latestBefore = async (boundary) => {
+            const { data } = await supabaseAdmin
+                .from('provider_balance_snapshots')
+                .select('balance, taken_at')
+                .eq('provider', provider)
+                .lte('taken_at', boundary)
+                .order('taken_at', { ascending: false })
+                .limit(1);
+
+            return data && data.length > 0 ? data[0] : null;
+        };
+
+        const [opening, closing] = await Promise.all([latestBefore(from), latestBefore(to)]);
+
+        if (!opening || !closing || opening.taken_at === closing.taken_at) {
+            return null;
+        }
+
+        const openingBalance = parseFloat(opening.balance);
+        const closingBalance = parseFloat(closing.balance);
+
+        return {
+            opening: openingBalance,
+            closing: closingBalance,
+            delta: openingBalance - closingBalance
+        };
+    }
+
+    /**
+     * List saved reports, newest first
+     */
+    async listReports({ limit = 30, status } = {}) {
+        let query = supabaseAdmin
+            .from('settlement_reports')
+            .select('report_date, status, summary, generated_at')
+            .order('report_date', { ascending: false })
+            .limit(limit);
+
+        if (status) {
+            query = query.eq('status', status);
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+            throw error;
+        }
+
+        return data || [];
+    }
+
+    /**
+     * Get a saved report by date, or null
+     */
+    async getReport(date) {
+        const { data, error } = await supabaseAdmin
+            .from('settlement_reports')
+            .select('*')
+            .eq('report_date', date)
+            .single();
+
+        if (error && error.code !== 'PGRST116') { // PGRST116: No rows found
+            throw error;
+        }
+
+        return data || null;
+    }
+
+    /**
+     * Render a report's discrepancies as CSV for finance
+     */
+    toCSV(report) {
+        const rows = (report.discrepancies || []).map(item => ({
+            report_date: report.report_date,
+            ...item
+        }));
+
+        return toCSV(rows, [
+            'report_date',
+            'provider',
+            'type',
+            'request_id',
+            'transaction_id',
+            'local_amount',
+            'provider_amount',
+            'detail'
+        ]);
+    }
+
+    /**
+     * Today's date in Africa/Lagos as YYYY-MM-DD
+     */
+    getLagosDate(date = new Date()) {
+        return new Date(date.getTime() + 60 * 60 * 1000).toISOString().split('T')[0];
+    }
+
+    /**
+     * Add days to a YYYY-MM-DD date
+     */
+    shiftDate(date, days) {
+        const shifted = new Date(`${date}T00:00:00Z`);
+        shifted.setUTCDate(shifted.getUTCDate() + days);
+        return shifted.toISOString().split('T')[0];
+    }
+}
+
+// Create singleton instance
+const settlementReportService = new SettlementReportService();
+
+module.exports = {
+    settlementReportService,
+    SettlementReportService
+};
@@ -0,0 +1,361 @@
+const config = require('../config/environment');
+const { supabaseAdmin } = require('../config/supabase');
+const { vtuService } = require('./vtuService');
+const { purchaseService } = require('./purchaseService');
+const { notificationService } = require('./notificationService');
+const { refundService } = require('./refundService');
+const { airtimeToCashService } = require('./airtimeToCashService');
+const { withdrawalService } = require('./withdrawalService');
+const { ledgerService } = require('./ledgerService');
+const { assertTransition } = require('../utils/transactionStateMachine');
+
+const PURCHASE_TYPES = ['airtime_purchase', 'data_purchase', 'cable_purchase', 'electricity_purchase'];
+const OPEN_STATUSES = ['pending', 'processing'];
+
+/**
+ * Pending transaction reconciler
+ * Periodically picks up VTU purchases stuck in processing/pending (usually a provider
+ * timeout), asks the provider that handled them for the final status, and settles them:
+ * completed, or failed with the reserved funds refunded. Verified provider callbacks
+ * use the same path, so a callback only triggers a status query and never settles a
+ * transaction on its own say-so. Every decision is written to the reconciliation_logs
+ * table along with its source (reconciler or callback). Each pass also runs the refund
+ * rules (refundService.runRules) for failed purchases that were never refunded, settles card
+ * refunds Flutterwave never answered (refundService.reconcileCardRefunds), refreshes
+ * bank withdrawals still waiting on their transfer (withdrawalService.reconcilePending),
+ * expires airtime-to-cash requests whose airtime never arrived and reposts ledger journals
+ * that failed to post (ledgerService.retryPending).
+ */
+class TransactionReconciler {
+    constructor() {
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Start the background worker
+     */
+    start() {
+        const { enabled, interval } = config.vtu.reconciler;
+
+        if (!enabled || this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => this.runOnce(), interval);
+        console.log(`🔁 Transaction reconciler started (every ${Math.round(interval / 1000)}s)`);
+    }
+
+    /**
+     * Stop the background worker
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            console.log('Transaction reconciler stopped');
+        }
+    }
+
+    /**
+     * Run one reconciliation pass
+     * @returns {Promise<Object>} Count of decisions taken in this pass
+     */
+    async runOnce() {
+        // Skip if the previous pass is still going
+        if (this.running) {
+            return null;
+        }
+
+        this.running = true;
+        const summary = { checked: 0, completed: 0, failed: 0, unchanged: 0, skipped: 0, rejected: 0 };
+
+        try {
+            const { threshold, batchSize } = config.vtu.reconciler;
+            const cutoff = new Date(Date.now() - threshold).toISOString();
+
+            const { data: transactions, error } = await supabaseAdmin
+                .from('transactions')
+                .select('*')
+                .in('type', PURCHASE_TYPES)
+                .in('status', OPEN_STATUSES)
+                .lt('updated_at', cutoff)
+                .order('updated_at', { ascending: true })
+                .limit(batchSize);
+
+            if (error) {
+                throw error;
+            }
+
+            for (const transaction of transactions || []) {
+                summary.checked += 1;
+
+                try {
+                    const decision = await this.reconcile(transaction);
+                    summary[decision] += 1;
+                } catch (reconcileError) {
+                    console.error(`Reconcile transaction ${transaction.id} error:`, reconcileError);
+                }
+            }
+
+            if (summary.checked > 0) {
+                console.log('🔁 Reconciliation pass finished:', summary);
+            }
+
+            // Failed purchases whose refund never landed go to admins for approval
+            try {
+                summary.refundRequests = await refundService.runRules();
+            } catch (ruleError) {
+                console.error('Refund rules error:', ruleError);
+            }
+
+            try {
+                summary.cardRefunds = await refundService.reconcileCardRefunds(cutoff);
+            } catch (cardRefundError) {
+                console.error('Card refund reconciliation error:', cardRefundError);
+            }
+
+            try {
+                summary.withdrawals = await withdrawalService.reconcilePending(cutoff);
+            } catch (withdrawalError) {
+                console.error('Withdrawal reconciliation error:', withdrawalError);
+            }
+
+            try {
+                summary.airtimeToCashExpired = await airtimeToCashService.expireStale();
+            } catch (expireError) {
+                console.error('Airtime to cash expiry error:', expireError);
+            }
+
+            try {
+                summary.ledger = await ledgerService.retryPending();
+            } catch (ledgerError) {
+                console.error('Ledger retry error:', ledgerError);
+            }
+
+            return summary;
+        } catch (error) {
+            console.error('Reconciliation pass error:', error);
+            return summary;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Query the provider for one transaction and settle it
+     * @param {Object} transaction - Purchase transaction row
+     * @param {Object} options - { source: 'reconciler' | 'callback' }
+     * @returns {Promise<string>} completed | failed | unchanged | skipped | rejected
+     */
+    async reconcile(transaction, { source = 'reconciler' } = {}) {
+        const metadata = transaction.metadata || {};
+        const requestId = transaction.payment_reference;
+        const providerName = metadata.vtu_provider;
+        const logDecision = (decision, details) => this.logDecision(transaction, decision, { ...details, source });
+
+        if (!requestId) {
+            // Purchases made before the shared pipeline only debited the wallet on success,
+            // so a stuck one without a provider request never took the customer's money
+            if (!metadata.purchase_reference) {
+                await this.settleFailed(transaction, 'No provider request was recorded', { refund: false });
+                await logDecision('failed', { reason: 'No provider request was recorded; nothing to refund' });
+                return 'failed';
+            }
+
+            await this.touch(transaction);
+            await logDecision('skipped', { reason: 'No provider request ID recorded; needs manual review' });
+            return 'skipped';
+        }
+
+        const status = await vtuService.getTransactionStatus(requestId, providerName);
+
+        if (!status.success) {
+            await this.touch(transaction);
+            await logDecision('unchanged', {
+                reason: `Status query failed: ${status.message}`,
+                provider: providerName
+            });
+            return 'unchanged';
+        }
+
+        const details = {
+            provider: status.provider,
+            provider_status: status.provider_status,
+            provider_response: status.data
+        };
+
+        if (!OPEN_STATUSES.includes(transaction.status)) {
+            // Already settled, e.g. a repeated or late callback; only a conflicting outcome needs attention
+            const agrees = status.status === 'completed'
+                ? transaction.status === 'completed'
+                : status.status === 'failed' && ['failed', 'refunded'].includes(transaction.status);
+
+            if (agrees) {
+                return 'skipped';
+            }
+
+            await logDecision('rejected', {
+                ...details,
+                reason: `Provider reports ${status.status} but the transaction is already ${transaction.status}; needs manual review`
+            });
+            return 'rejected';
+        }
+
+        if (status.status === 'completed' || status.status === 'failed') {
+            // A callback may have settled the transaction while the provider was being queried
+            const claimed = await this.claim(transaction);
+            if (!claimed) return 'skipped';
+            transaction = claimed;
+        }
+
+        if (status.status === 'completed') {
+            await this.settleCompleted(transaction);
+            await logDecision('completed', { ...details, reason: 'Provider confirmed delivery' });
+            return 'completed';
+        }
+
+        if (status.status === 'failed') {
+            const reason = status.message || 'Provider reported the order as failed';
+            await this.settleFailed(transaction, reason, { refund: Boolean(metadata.purchase_reference) });
+            await logDecision('failed', { ...details, reason });
+            return 'failed';
+        }
+
+        await this.touch(transaction);
+        await logDecision('unchanged', { ...details, reason: 'Provider still processing the order' });
+        return 'unchanged';
+    }
+
+    /**
+     * Take ownership of a transaction before settling it, moving pending rows to processing.
+     * The update only matches if nothing has touched the row since it was read.
+     * @returns {Promise<Object|null>} The claimed row, or null if it changed underneath us
+     */
+    async claim(transaction) {
+        assertTransition(transaction.status, 'processing');
+
+        const { data: claimed, error } = await supabaseAdmin
+            .from('transactions')
+            .update({
+                status: 'processing',
+                metadata: {
+                    ...transaction.metadata,
+                    reconciled_at: new Date().toISOString()
+                },
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', transaction.id)
+            .eq('status', transaction.status)
+            .eq('updated_at', transaction.updated_at)
+            .select();
+
+        if (error) {
+            throw error;
+        }
+
+        return claimed && claimed.length > 0 ? claimed[0] : null;
+    }
+
+    /**
+     * Mark a transaction completed
+     */
+    async settleCompleted(transaction) {
+        const completed = await purchaseService.transition(transaction, 'completed');
+        if (!completed) {
+            return;
+        }
+
+        await purchaseService.recordSale(completed);
+
+        try {
+            await notificationService.sendSuccessfulTransactionNotification(transaction.user_id, {
+                type: transaction.type,
+                amount: transaction.amount,
+                reference: transaction.payment_reference,
+                service_details: transaction.metadata
+            });
+        } catch (notificationError) {
+            console.error('Reconciler notification error:', notificationError);
+        }
+    }
+
+    /**
+     * Mark a transaction failed, refunding the reserved funds through the purchase pipeline
+     */
+    async settleFailed(transaction, reason, { refund }) {
+        if (refund) {
+            const released = await purchaseService.release(transaction.user_id, transaction, parseFloat(transaction.amount), reason, {
+                message: reason,
+                providerError: false
+            });
+            if (released.settledElsewhere) {
+                return;
+            }
+        } else {
+            const failed = await purchaseService.transition(transaction, 'failed', { error_message: reason });
+            if (!failed) {
+                return;
+            }
+        }
+
+        try {
+            await notificationService.sendFailedTransactionNotification(transaction.user_id, {
+                type: transaction.type,
+                amount: transaction.amount,
+                reason: refund ? `${reason}. Your wallet has been refunded.` : reason,
+                reference: transaction.payment_reference
+            });
+        } catch (notificationError) {
+            console.error('Reconciler notification error:', notificationError);
+        }
+    }
+
+    /**
+     * Record that the transaction was checked, so it goes to the back of the queue
+     */
+    async touch(transaction) {
+        const metadata = transaction.metadata || {};
+
+        await purchaseService.updateTransaction(transaction.id, {
+            metadata: {
+                ...metadata,
+                reconcile_attempts: (metadata.reconcile_attempts || 0) + 1,
+                last_reconciled_at: new Date().toISOString()
+            }
+        });
+    }
+
+    /**
+     * Write an audit trail entry for a reconciliation decision
+     */
+    async logDecision(transaction, decision, details = {}) {
+        const { error } = await supabaseAdmin
+            .from('reconciliation_logs')
+            .insert({
+                transaction_id: transaction.id,
+                user_id: transaction.user_id,
+                request_id: transaction.payment_reference,
+                provider: details.provider || transaction.metadata?.vtu_provider || null,
+                previous_status: transaction.status,
+                decision,
+                provider_status: details.provider_status || null,
+                provider_response: details.provider_response || null,
+                reason: details.reason || null,
+                source: details.source || 'reconciler',
+                created_at: new Date().toISOString()
+            });
+
+        if (error) {
+            console.error('Failed to write reconciliation log:', error);
+        }
+    }
+}
+
+// Create singleton instance
+const transactionReconciler = new TransactionReconciler();
+
+module.exports = {
+    transactionReconciler,
+    TransactionReconciler
+};
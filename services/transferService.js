@@ -0,0 +1,365 @@
+const crypto = require('crypto');
+const config = require('../config/environment');
+const { supabaseAdmin } = require('../config/supabase');
+const { walletService, LimitExceededError } = require('./walletService');
+const { generateReference, maskData } = require('../utils/helpers');
+
+// Used when no preview secret is configured; previews then only verify on this instance
+const FALLBACK_PREVIEW_SECRET = crypto.randomBytes(32).toString('hex');
+
+class TransferError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} code - RECIPIENT_NOT_FOUND | SELF_TRANSFER | INVALID_AMOUNT | LIMIT_EXCEEDED | INVALID_PREVIEW
+     */
+    constructor(message, code = 'TRANSFER_ERROR') {
+        super(message);
+        this.name = 'TransferError';
+        this.code = code;
+    }
+}
+
+// Amounts are compared in kobo so a preview signed for 100.1 never matches 100.10000001
+const toKobo = (amount) => Math.round(parseFloat(amount) * 100);
+
+/**
+ * Phone numbers are stored as users typed them, so look up every common Nigerian form
+ */
+const phoneVariants = (phone) => {
+    const digits = String(phone).replace(/\D/g, '');
+    const local = digits.startsWith('234') ? digits.slice(3) : digits.replace(/^0/, '');
+
+    if (local.length !== 10) {
+        return [];
+    }
+
+    return [`0${local}`, `234${local}`, `+234${local}`, local];
+};
+
+/**
+ * Peer-to-peer wallet transfers
+ *
+ * Recipients are found by email, phone number or referral code. Clients call preview()
+ * first to show the recipient's name, then send the returned preview_token to transfer()
+ * so the money goes to exactly the account the sender confirmed. Both legs move in one
+ * transfer_wallet_atomic call and share a single TRF_ reference.
+ *
+ * Limits (config.wallet.transfers): minimum and maximum per transfer, plus a daily amount
+ * and count per sender. A sender's wallet_limits.daily_transfer_limit overrides the
+ * default daily amount. checkLimits() reports them for the preview and turns away
+ * transfers that are already over; the daily caps themselves are enforced by
+ * transfer_wallet_atomic under a lock on the sender's wallet, against the transfer_out
+ * rows it writes, so concurrent transfers cannot exceed them.
+ */
+class TransferService {
+    /**
+     * Find an active user by email, phone number or referral code
+     * @param {string} identifier
+     * @returns {Promise<Object>} { id, full_name, email, phone, matched_by }
+     */
+    async resolveRecipient(identifier) {
+        const value = String(identifier || '').trim();
+        if (!value) {
+            throw new TransferError('Recipient is required', 'RECIPIENT_NOT_FOUND');
+        }
+
+        let matchedBy;
+        let query = supabaseAdmin
+            .from('users')
+            .select('id, full_name, email, phone')
+            .eq('status', 'active');
+
+        if (value.includes('@')) {
+            matchedBy = 'email';
+            query = query.eq('email', value.toLowerCase());
+        } else if (phoneVariants(value).length > 0) {
+            matchedBy = 'phone';
+            query = query.in('phone', phoneVariants(value));
+        } else {
+            matchedBy = 'referral_code';
+            query = query.eq('referral_code', value.toUpperCase());
+        }
+
+        const { data, error } = await query.limit(2);
+
+        if (error) {
+            throw error;
+        }
+
+        if (!data || data.length === 0) {
+            throw new TransferError('Recipient not found or inactive', 'RECIPIENT_NOT_FOUND');
+        }
+
+        // Never guess between two accounts sharing a phone number
+        if (data.length > 1) {
+            throw new TransferError('More than one account matches this recipient; use their email instead', 'RECIPIENT_NOT_FOUND');
+        }
+
+        return { ...data[0], matched_by: matchedBy };
+    }
+
+    /**
+     * Load an active user by id (from a preview token or saved beneficiary)
+     */
+    async getRecipientById(recipientId) {
+        const { data, error } = await supabaseAdmin
+            .from('users')
+            .select('id, full_name, email, phone')
+            .eq('id', recipientId)
+            .eq('status', 'active')
+            .single();
+
+        if (error || !data) {
+            throw new TransferError('Recipient not found or inactive', 'RECIPIENT_NOT_FOUND');
+        }
+
+        return data;
+    }
+
+    /**
+     * Check the per-transfer and daily limits for a sender
+     * @returns {Promise<{ daily_limit: number, daily_count: number, sent_today: number, transfers_today: number, remaining_today: number }>}
+     */
+    async checkLimits(userId, amount) {
+        const { minAmount, maxAmount, dailyLimit, dailyCount } = config.wallet.transfers;
+        const transferAmount = parseFloat(amount);
+
+        if (isNaN(transferAmount) || transferAmount < minAmount) {
+            throw new TransferError(`Minimum transfer amount is ₦${minAmount}`, 'INVALID_AMOUNT');
+        }
+
+        if (transferAmount > maxAmount) {
+            throw new TransferError(`Maximum transfer amount is ₦${maxAmount}`, 'INVALID_AMOUNT');
+        }
+
+        const { data: limits } = await supabaseAdmin
+            .from('wallet_limits')
+            .select('daily_transfer_limit')
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        const userDailyLimit = limits && limits.daily_transfer_limit !== null && limits.daily_transfer_limit !== undefined
+            ? parseFloat(limits.daily_transfer_limit)
+            : dailyLimit;
+
+        const today = new Date().toISOString().split('T')[0];
+        const { data: sent, error } = await supabaseAdmin
+            .from('transactions')
+            .select('amount')
+            .eq('user_id', userId)
+            .eq('type', 'transfer_out')
+            .eq('status', 'completed')
+            .gte('created_at', `${today}T00:00:00`);
+
+        if (error) {
+            throw error;
+        }
+
+        const sentToday = (sent || []).reduce((sum, t) => sum + parseFloat(t.amount), 0);
+        const transfersToday = (sent || []).length;
+
+        if (transfersToday >= dailyCount) {
+            throw new TransferError(`Daily limit of ${dailyCount} transfers reached`, 'LIMIT_EXCEEDED');
+        }
+
+        if (sentToday + transferAmount > userDailyLimit) {
+            throw new TransferError(`Daily transfer limit of ₦${userDailyLimit} exceeded (₦${Math.max(userDailyLimit - sentToday, 0)} left today)`, 'LIMIT_EXCEEDED');
+        }
+
+        return {
+            daily_limit: userDailyLimit,
+            daily_count: dailyCount,
+            sent_today: sentToday,
+            transfers_today: transfersToday,
+            remaining_today: userDailyLimit - sentToday
+        };
+    }
+
+    /**
+     * Confirm-name step: resolve the recipient, check limits and sign what the sender saw
+     * @param {string} senderId
+     * @param {Object} request - { recipient } (email, phone or referral code) or { recipient_id } from a saved beneficiary
+     * @param {number} amount
+     * @returns {Promise<Object>} { recipient, amount, limits, preview_token, expires_at }
+     */
+    async preview(senderId, { recipient: identifier, recipient_id }, amount) {
+        const recipient = recipient_id
+            ? { ...(await this.getRecipientById(recipient_id)), matched_by: 'beneficiary' }
+            : await this.resolveRecipient(identifier);
+
+        if (recipient.id === senderId) {
+            throw new TransferError('Cannot transfer to yourself', 'SELF_TRANSFER');
+        }
+
+        const limits = await this.checkLimits(senderId, amount);
+        const expiresAt = Date.now() + config.wallet.transfers.previewTtl;
+
+        return {
+            recipient: {
+                name: recipient.full_name,
+                email: maskData(recipient.email, 2),
+                phone: recipient.phone ? maskData(recipient.phone, 3) : null,
+                matched_by: recipient.matched_by
+            },
+            amount: parseFloat(amount),
+            limits,
+            preview_token: this.signPreview(senderId, recipient.id, amount, expiresAt),
+            expires_at: new Date(expiresAt).toISOString()
+        };
+    }
+
+    /**
+     * Move funds to another user
+     * @param {string} senderId
+     * @param {Object} request - { preview_token } from preview(), { recipient_id } from a saved
+     *   beneficiary, or { recipient } to skip the preview
+     * @param {number} amount
+     * @param {string} [description]
+     * @returns {Promise<Object>} { reference, amount, recipient, new_balance }
+     */
+    async transfer(senderId, { preview_token, recipient_id, recipient: identifier }, amount, description) {
+        let recipient;
+
+        if (preview_token) {
+            recipient = await this.getRecipientById(this.verifyPreview(preview_token, senderId, amount));
+        } else if (recipient_id) {
+            recipient = await this.getRecipientById(recipient_id);
+        } else {
+            recipient = await this.resolveRecipient(identifier);
+        }
+
+        if (recipient.id === senderId) {
+            throw new TransferError('Cannot transfer to yourself', 'SELF_TRANSFER');
+        }
+
+        const limits = await this.checkLimits(senderId, amount);
+
+        const { data: sender } = await supabaseAdmin
+            .from('users')
+            .select('full_name, email')
+            .eq('id', senderId)
+            .single();
+
+        const reference = generateReference('TRF');
+        const transferAmount = parseFloat(amount);
+        let result;
+        try {
+            result = await walletService.transfer(
+                senderId,
+                recipient.id,
+                transferAmount,
+                description || `Transfer to ${recipient.full_name}`,
+                reference,
+                { dailyAmount: limits.daily_limit, dailyCount: limits.daily_count }
+            );
+        } catch (error) {
+            // Another transfer used up the allowance after checkLimits() ran
+            if (error instanceof LimitExceededError) {
+                throw new TransferError(error.limit === 'count'
+                    ? `Daily limit of ${limits.daily_count} transfers reached`
+                    : `Daily transfer limit of ₦${limits.daily_limit} exceeded`, 'LIMIT_EXCEEDED');
+            }
+            throw error;
+        }
+
+        await this.labelLegs(result, reference, {
+            out: {
+                description: description || `Transfer to ${recipient.full_name}`,
+                metadata: { transfer_reference: reference, recipient_id: recipient.id, recipient_name: recipient.full_name, recipient_email: recipient.email }
+            },
+            in: {
+                description: description || `Transfer from ${sender?.full_name || 'another user'}`,
+                metadata: { transfer_reference: reference, sender_id: senderId, sender_name: sender?.full_name || null, sender_email: sender?.email || null }
+            }
+        });
+
+        return {
+            reference,
+            amount: transferAmount,
+            recipient: recipient.full_name,
+            new_balance: result.from_new_balance
+        };
+    }
+
+    /**
+     * Add descriptions, the shared reference and counterparty details to the transfer_out /
+     * transfer_in rows written by the transfer RPC (migrations/006_transfer_daily_limits.sql).
+     * Failures are logged; the money has already moved.
+     */
+    async labelLegs(result, reference, legs) {
+        const updates = [
+            [result.from_transaction, 'transfer_out', legs.out],
+            [result.to_transaction, 'transfer_in', legs.in]
+        ];
+
+        for (const [transaction, type, { description, metadata }] of updates) {
+            if (!transaction || !transaction.id) continue;
+
+            const { error } = await supabaseAdmin
+                .from('transactions')
+                .update({
+                    description,
+                    payment_reference: reference,
+                    metadata: { ...(transaction.metadata || {}), ...metadata }
+                })
+                .eq('id', transaction.id);
+
+            if (error) {
+                console.error('❌ Failed to label transfer leg:', { reference, type, error: error.message });
+            }
+        }
+    }
+
+    /**
+     * Sign sender, recipient, amount and expiry into a preview token
+     */
+    signPreview(senderId, recipientId, amount, expiresAt) {
+        const payload = Buffer.from(JSON.stringify({ s: senderId, r: recipientId, a: toKobo(amount), e: expiresAt })).toString('base64url');
+        return `${payload}.${this.previewSignature(payload)}`;
+    }
+
+    /**
+     * Check a preview token against the transfer being made
+     * @returns {string} Recipient user id
+     */
+    verifyPreview(token, senderId, amount) {
+        const [payload, signature] = String(token).split('.');
+        const expected = this.previewSignature(payload || '');
+
+        if (!payload || !signature || signature.length !== expected.length ||
+            !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+            throw new TransferError('Invalid transfer preview', 'INVALID_PREVIEW');
+        }
+
+        let preview;
+        try {
+            preview = JSON.parse(Buffer.from(payload, 'base64url').toString());
+        } catch (error) {
+            throw new TransferError('Invalid transfer preview', 'INVALID_PREVIEW');
+        }
+
+        if (preview.e < Date.now()) {
+            throw new TransferError('Transfer preview has expired; preview the transfer again', 'INVALID_PREVIEW');
+        }
+
+        if (preview.s !== senderId || preview.a !== toKobo(amount)) {
+            throw new TransferError('Transfer does not match the preview', 'INVALID_PREVIEW');
+        }
+
+        return preview.r;
+    }
+
+    previewSignature(payload) {
+        const secret = config.wallet.transfers.previewSecret || FALLBACK_PREVIEW_SECRET;
+        return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+    }
+}
+
+// Create singleton instance
+const transferService = new TransferService();
+
+module.exports = {
+    transferService,
+    TransferService,
+    TransferError
+};
@@ -0,0 +1,281 @@
+const config = require('../config/environment');
+const { supabaseAdmin } = require('../config/supabase');
+const { paymentService } = require('./paymentService');
+const { flutterwaveService } = require('./flutterwaveService');
+const { walletService } = require('./walletService');
+const { ledgerService, ACCOUNTS } = require('./ledgerService');
+const { generateReference } = require('../utils/helpers');
+
+class VirtualAccountError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} code - USER_NOT_FOUND | INVALID_BVN | PROVIDER_ERROR
+     */
+    constructor(message, code = 'VIRTUAL_ACCOUNT_ERROR') {
+        super(message);
+        this.name = 'VirtualAccountError';
+        this.code = code;
+    }
+}
+
+// Fees are worked out in kobo so net + fee always equals the amount received
+const toKobo = (amount) => Math.round(parseFloat(amount || 0) * 100);
+
+/**
+ * Dedicated virtual accounts for bank-transfer wallet funding
+ *
+ * Each user gets one static account number issued through Flutterwave's virtual account
+ * API (a BVN is required for permanent accounts and is not stored). Transfers into it
+ * arrive as charge.completed webhooks with payment_type bank_transfer and the tx_ref the
+ * account was created with; creditTransfer() verifies the charge and credits the wallet
+ * with the amount received less the funding fee (config.wallet.virtualAccounts).
+ *
+ * Stored in the virtual_accounts table:
+ *   user_id (unique), account_number, bank_name, note
+ *   tx_ref (unique)  - sent when the account was created, echoed on every transfer into it
+ *   order_ref, flw_ref, status, created_at, updated_at
+ *
+ * Each transfer is credited under VAF_<flutterwave transaction id>. The ledger gets
+ * Dr flutterwave_clearing / Cr wallet for the net amount and, when a fee applies,
+ * Dr flutterwave_clearing / Cr revenue for the fee under VAF_<id>_FEE.
+ */
+class VirtualAccountService {
+    /**
+     * Get a user's virtual account
+     * @returns {Promise<Object|null>}
+     */
+    async getForUser(userId) {
+        const { data, error } = await supabaseAdmin
+            .from('virtual_accounts')
+            .select('*')
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    /**
+     * Find the virtual account a transfer was paid into
+     * @returns {Promise<Object|null>}
+     */
+    async findByTxRef(txRef) {
+        if (!txRef) {
+            return null;
+        }
+
+        const { data, error } = await supabaseAdmin
+            .from('virtual_accounts')
+            .select('*')
+            .eq('tx_ref', txRef)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    /**
+     * Return the user's virtual account, issuing one if they do not have it yet
+     * @param {string} userId
+     * @param {Object} request - { bvn } (needed only when a new account is issued)
+     * @returns {Promise<{ account: Object, created: boolean }>}
+     */
+    async getOrCreate(userId, { bvn } = {}) {
+        const existing = await this.getForUser(userId);
+        if (existing) {
+            return { account: existing, created: false };
+        }
+
+        if (!/^\d{11}$/.test(String(bvn || ''))) {
+            throw new VirtualAccountError('A valid 11-digit BVN is required to issue a virtual account', 'INVALID_BVN');
+        }
+
+        const { data: user } = await supabaseAdmin
+            .from('users')
+            .select('id, full_name, email, phone')
+            .eq('id', userId)
+            .single();
+
+        if (!user) {
+            throw new VirtualAccountError('User not found', 'USER_NOT_FOUND');
+        }
+
+        const [firstname, ...rest] = String(user.full_name || '').trim().split(/\s+/);
+        const txRef = generateReference('VA');
+
+        const result = await paymentService.createVirtualAccount({
+            email: user.email,
+            bvn,
+            tx_ref: txRef,
+            firstname: firstname || 'StarkTol',
+            lastname: rest.join(' ') || 'Customer',
+            phonenumber: user.phone,
+            narration: `StarkTol ${user.full_name || ''}`.trim()
+        });
+
+        if (!result.success) {
+            throw new VirtualAccountError(result.message || 'Virtual account could not be issued', 'PROVIDER_ERROR');
+        }
+
+        const now = new Date().toISOString();
+        const { data, error } = await supabaseAdmin
+            .from('virtual_accounts')
+            .insert({
+                user_id: userId,
+                account_number: result.account.account_number,
+                bank_name: result.account.bank_name,
+                note: result.account.note || null,
+                tx_ref: txRef,
+                order_ref: result.account.order_ref || null,
+                flw_ref: result.account.flw_ref || null,
+                status: 'active',
+                created_at: now,
+                updated_at: now
+            })
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === '23505') { // unique_violation: issued by a concurrent request
+                return { account: await this.getForUser(userId), created: false };
+            }
+            throw error;
+        }
+
+        console.log('🏦 Virtual account issued:', { userId, accountNumber: data.account_number, bank: data.bank_name });
+        return { account: data, created: true };
+    }
+
+    /**
+     * The funding fee as shown to users
+     */
+    feeSchedule() {
+        const { feePercent, feeFlat, feeCap } = config.wallet.virtualAccounts;
+        return { percent: feePercent, flat: feeFlat, cap: feeCap > 0 ? feeCap : null };
+    }
+
+    /**
+     * Funding fee for a transfer of `amount`, never more than the amount itself
+     */
+    calculateFee(amount) {
+        const { feePercent, feeFlat, feeCap } = config.wallet.virtualAccounts;
+        let fee = toKobo(amount) * feePercent / 100 + toKobo(feeFlat);
+
+        if (feeCap > 0) {
+            fee = Math.min(fee, toKobo(feeCap));
+        }
+
+        return Math.min(Math.round(fee), toKobo(amount)) / 100;
+    }
+
+    /**
+     * Credit a bank transfer received into a virtual account. The webhook only identifies
+     * the charge; amount and account come from Flutterwave's verified record of it.
+     * @param {Object} event - { transactionId, txRef } from the charge.completed webhook
+     * @returns {Promise<Object>} { status: credited | duplicate | ignored, ... }
+     */
+    async creditTransfer({ transactionId, txRef }) {
+        const account = await this.findByTxRef(txRef);
+        if (!account) {
+            console.warn('⚠️ Bank transfer for unknown virtual account:', txRef);
+            return { status: 'ignored' };
+        }
+
+        const verification = await flutterwaveService.verifyTransactionById(transactionId);
+        const charge = verification.data;
+
+        if (verification.status !== 'success' || !charge) {
+            throw new Error(verification.message || 'Bank transfer could not be verified');
+        }
+
+        if (charge.tx_ref !== account.tx_ref || (charge.currency && charge.currency !== 'NGN')) {
+            console.error('❌ Bank transfer does not match virtual account:', { txRef: account.tx_ref, got: charge.tx_ref, currency: charge.currency });
+            return { status: 'ignored' };
+        }
+
+        const reference = `VAF_${charge.id}`;
+        if (await walletService.isTransactionProcessed(reference)) {
+            return { status: 'duplicate', reference, userId: account.user_id };
+        }
+
+        const amount = parseFloat(charge.amount);
+        const fee = this.calculateFee(amount);
+        const net = (toKobo(amount) - toKobo(fee)) / 100;
+        const sender = charge.meta || {};
+        const description = `Bank transfer to ${account.bank_name} ${account.account_number}`;
+
+        let credit = null;
+        if (net > 0) {
+            credit = await walletService.credit(
+                account.user_id,
+                net,
+                description,
+                reference,
+                { account: ACCOUNTS.FLUTTERWAVE_CLEARING, kind: 'deposit' }
+            );
+
+            const { error } = await supabaseAdmin
+                .from('transactions')
+                .update({
+                    type: 'deposit',
+                    status: 'completed',
+                    payment_method: 'bank_transfer',
+                    payment_reference: reference,
+                    metadata: {
+                        ...(credit.transaction?.metadata || {}),
+                        gross_amount: amount,
+                        funding_fee: fee,
+                        flw_transaction_id: charge.id,
+                        flw_ref: charge.flw_ref,
+                        virtual_account_number: account.account_number,
+                        sender_name: sender.originatorname || null,
+                        sender_account_number: sender.originatoraccountnumber || null,
+                        sender_bank: sender.bankname || null
+                    }
+                })
+                .eq('id', credit.transaction?.id);
+
+            if (error) {
+                console.error('❌ Failed to label virtual account deposit:', { reference, error: error.message });
+            }
+        }
+
+        if (fee > 0) {
+            try {
+                await ledgerService.move(`${reference}_FEE`, 'funding_fee', ACCOUNTS.FLUTTERWAVE_CLEARING, ACCOUNTS.REVENUE, fee, {
+                    description: `Funding fee: ${description}`,
+                    metadata: { user_id: account.user_id, gross_amount: amount }
+                });
+            } catch (error) {
+                console.error('❌ Failed to post funding fee:', { reference, error: error.message });
+            }
+        }
+
+        console.log('💰 Virtual account transfer credited:', { reference, userId: account.user_id, amount, fee, net });
+
+        return {
+            status: 'credited',
+            reference,
+            userId: account.user_id,
+            amount,
+            fee,
+            net,
+            new_balance: credit ? credit.new_balance : null
+        };
+    }
+}
+
+// Create singleton instance
+const virtualAccountService = new VirtualAccountService();
+
+module.exports = {
+    virtualAccountService,
+    VirtualAccountService,
+    VirtualAccountError
+};
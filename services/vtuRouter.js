@@ -0,0 +1,247 @@
+const config = require('../config/environment');
+const { providerRegistry } = require('../vtu-providers');
+const ProviderError = require('../utils/ProviderError');
+const { routingRuleService } = require('./routingRuleService');
+const { catalogueService } = require('./catalogueService');
+
+// Services whose plan codes belong to a single provider
+const PLAN_SERVICES = ['data', 'cable'];
+
+/**
+ * VTU routing layer
+ * Picks the providers for each request from the admin routing rules (cheapest
+ * healthy provider first), falls back to the configured provider order, and
+ * fails over to the next provider when the current one throws a retryable ProviderError.
+ * Purchases only fail over when the provider certainly did not take the order
+ * (error.safeToFailover); any other retryable purchase error is held as pending for the
+ * reconciler, so an order is never delivered twice. Data and cable purchases are only
+ * routed to providers whose catalogue holds the plan code.
+ */
+class VTURouter {
+    constructor(registry = providerRegistry, rules = routingRuleService, catalogue = catalogueService) {
+        this.registry = registry;
+        this.rules = rules;
+        this.catalogue = catalogue;
+        this.health = new Map();
+    }
+
+    /**
+     * Ordered list of provider names to try: primary first, then fallbacks
+     */
+    getProviderOrder() {
+        const { primaryProvider, fallbackProviders } = config.vtu;
+        return [...new Set([primaryProvider, ...fallbackProviders])];
+    }
+
+    /**
+     * Record the outcome of a provider call for health tracking
+     */
+    recordOutcome(providerName, success) {
+        if (success) {
+            this.health.delete(providerName);
+            return;
+        }
+
+        const entry = this.health.get(providerName) || { failures: 0, lastFailureAt: null };
+        entry.failures += 1;
+        entry.lastFailureAt = Date.now();
+        this.health.set(providerName, entry);
+    }
+
+    /**
+     * A provider is unhealthy after too many consecutive retryable failures,
+     * until the cooldown has passed since its last failure
+     */
+    isHealthy(providerName) {
+        const entry = this.health.get(providerName);
+        if (!entry) return true;
+
+        const { unhealthyThreshold, healthCooldown } = config.vtu;
+        return entry.failures < unhealthyThreshold || (Date.now() - entry.lastFailureAt) >= healthCooldown;
+    }
+
+    /**
+     * Resolve the providers to try for a request.
+     * Providers with a matching routing rule come first (ranked by cost, priority and weight),
+     * followed by the configured fallback order. Unhealthy providers are moved to the end
+     * rather than dropped so a request is never left without a provider.
+     * @param {Object} context - { service, network }
+     * @returns {Promise<Array<{ provider: BaseProvider, rule: Object|null }>>}
+     */
+    async getProviderChain(context = {}) {
+        let rules = [];
+        try {
+            rules = this.rules.rankRules(await this.rules.getRulesFor(context.service, context.network));
+        } catch (error) {
+            console.error('Failed to load VTU routing rules:', error);
+        }
+
+        const candidates = [
+            ...rules.map(rule => ({ name: rule.provider, rule })),
+            ...this.getProviderOrder().map(name => ({ name, rule: null }))
+        ];
+
+        const seen = new Set();
+        const chain = [];
+
+        for (const { name, rule } of candidates) {
+            if (seen.has(name)) continue;
+            seen.add(name);
+
+            const provider = this.registry.get(name);
+            if (provider && provider.isReady()) {
+                chain.push({ provider, rule });
+            }
+        }
+
+        return [
+            ...chain.filter(({ provider }) => this.isHealthy(provider.name)),
+            ...chain.filter(({ provider }) => !this.isHealthy(provider.name))
+        ];
+    }
+
+    /**
+     * Drop providers a plan code does not belong to. Without catalogue data the owner is
+     * unknown (or could not be looked up), so only the first provider is kept.
+     * @param {Array} chain - From getProviderChain()
+     * @param {Object} context - { service, network, planCode }
+     */
+    async filterByPlan(chain, context) {
+        if (!PLAN_SERVICES.includes(context.service) || !context.planCode) {
+            return chain;
+        }
+
+        let owners = null;
+        try {
+            owners = await this.catalogue.getPlanProviders(context.service, context.network, context.planCode);
+        } catch (error) {
+            console.error('Failed to look up VTU plan providers:', error);
+        }
+
+        if (owners === null) {
+            return chain.slice(0, 1);
+        }
+
+        const filtered = chain.filter(({ provider }) => owners.includes(provider.name));
+        if (filtered.length === 0 && chain.length > 0) {
+            throw new ProviderError(`Plan ${context.planCode} is not available from any configured provider`, {
+                provider: 'none',
+                code: 'PLAN_NOT_AVAILABLE',
+                status: 422
+            });
+        }
+
+        return filtered;
+    }
+
+    /**
+     * Run an adapter operation with failover
+     * @param {string} operation - Adapter method name (e.g. 'purchaseAirtime')
+     * @param {Object} params - Arguments passed to the adapter method
+     * @param {Object} context - { service, network, planCode } used to pick providers
+     * @returns {Promise<Object>} Adapter result with `provider`, `cost_price` and `attempts` attached
+     */
+    async execute(operation, params, context = {}) {
+        const isPurchase = operation.startsWith('purchase');
+        let chain = await this.getProviderChain(context);
+
+        if (isPurchase) {
+            chain = await this.filterByPlan(chain, context);
+        }
+
+        if (chain.length === 0) {
+            throw new ProviderError('No VTU provider is configured', {
+                provider: 'none',
+                code: 'NO_PROVIDER_AVAILABLE',
+                status: 503
+            });
+        }
+
+        const attempts = [];
+        let lastError = null;
+
+        for (const { provider, rule } of chain) {
+            try {
+                const result = await provider[operation](params);
+                attempts.push({ provider: provider.name, success: true });
+                this.recordOutcome(provider.name, true);
+
+                return {
+                    ...result,
+                    provider: result.provider || provider.name,
+                    cost_price: rule ? parseFloat(rule.cost_price) : null,
+                    attempts
+                };
+            } catch (error) {
+                attempts.push({ provider: provider.name, success: false, code: error.code, message: error.message });
+
+                if (!(error instanceof ProviderError) || !error.retryable) {
+                    throw error;
+                }
+
+                // A purchase that may have reached the provider (timeout, dropped connection,
+                // 5xx, unexplained refusal) may still be delivered, so it must not be sent to
+                // another provider; report it as pending for the reconciler to settle
+                if (isPurchase && !error.safeToFailover) {
+                    this.recordOutcome(provider.name, false);
+
+                    if (!error.transactionRef) {
+                        throw error;
+                    }
+
+                    console.warn(`⚠️ ${provider.name} ${operation} outcome unknown (${error.code}), awaiting confirmation for ${error.transactionRef}`);
+
+                    return {
+                        success: true,
+                        status: 'pending',
+                        reference: error.transactionRef,
+                        provider: provider.name,
+                        message: error.code === 'TIMEOUT_ERROR'
+                            ? 'Provider did not respond in time; awaiting confirmation'
+                            : 'Provider outcome is unknown; awaiting confirmation',
+                        data: null,
+                        cost_price: rule ? parseFloat(rule.cost_price) : null,
+                        attempts
+                    };
+                }
+
+                // Unsupported operations say nothing about the provider's health
+                if (error.code !== 'NOT_SUPPORTED') {
+                    this.recordOutcome(provider.name, false);
+                }
+
+                console.warn(`⚠️ ${provider.name} failed ${operation} (${error.code}), trying next provider`);
+                lastError = error;
+            }
+        }
+
+        lastError.attempts = attempts;
+        throw lastError;
+    }
+
+    /**
+     * Provider readiness and health snapshot for the admin dashboard
+     */
+    getProviderHealth() {
+        const { unhealthyThreshold } = config.vtu;
+
+        return this.registry.list().map(provider => {
+            const entry = this.health.get(provider.name);
+            return {
+                ...provider,
+                healthy: this.isHealthy(provider.name),
+                consecutive_failures: entry ? entry.failures : 0,
+                unhealthy_threshold: unhealthyThreshold,
+                last_failure_at: entry ? new Date(entry.lastFailureAt).toISOString() : null
+            };
+        });
+    }
+}
+
+// Create singleton instance
+const vtuRouter = new VTURouter();
+
+module.exports = {
+    vtuRouter,
+    VTURouter
+};
@@ -1,54 +1,20 @@
-const axios = require('axios');
-const { clubkonnectConfig } = require('../config/clubkonnect');
 const { supabase } = require('../config/supabase');
-const ProviderError = require('../utils/ProviderError');
+const { providerRegistry } = require('../vtu-providers');
+const { vtuRouter } = require('./vtuRouter');
+const { catalogueService } = require('./catalogueService');
 
 /**
- * VTU Service for integrating with Clubkonnect API
- * Handles Airtime, Data, Cable TV, and Electricity bill payments
+ * VTU Service
+ * Handles Airtime, Data, Cable TV, and Electricity bill payments.
+ * Purchases are dispatched through the provider router, which fails over
+ * between the adapters registered in vtu-providers/.
  */
 class VTUService {
     constructor() {
-        this.config = clubkonnectConfig;
-        this.httpClient = axios.create({
-            timeout: this.config.timeout,
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded',
-                'User-Agent': 'StarkTol-VTU/1.0'
-            }
-        });
-        
-        this.setupInterceptors();
-        this.initializeCache();
-    }
+        this.registry = providerRegistry;
+        this.router = vtuRouter;
 
-    /**
-     * Set up axios interceptors for logging and error handling
-     */
-    setupInterceptors() {
-        // Request interceptor
-        this.httpClient.interceptors.request.use(
-            (config) => {
-                console.log(`📤 ClubKonnect API Request: ${config.method?.toUpperCase()} ${config.url}`);
-                return config;
-            },
-            (error) => {
-                console.error('Request error:', error);
-                return Promise.reject(error);
-            }
-        );
-
-        // Response interceptor
-        this.httpClient.interceptors.response.use(
-            (response) => {
-                console.log(`📥 ClubKonnect API Response: ${response.status} ${response.config.url}`);
-                return response;
-            },
-            (error) => {
-                console.error('Response error:', error.response?.data || error.message);
-                return Promise.reject(error);
-            }
-        );
+        this.initializeCache();
     }
 
     /**
@@ -75,54 +41,12 @@ class VTUService {
     }
 
     /**
-     * Make authenticated request to Clubkonnect API
+     * Get the preferred provider adapter (used for catalogue lookups)
+     * @param {Object} [context] - { service, network } used to apply routing rules
      */
-    async makeRequest(endpoint, params = {}, method = 'POST') {
-        try {
-            const authParams = this.config.getAuthParams();
-            const allParams = { ...authParams, ...params };
-            
-            // Convert params to URL-encoded format
-            const urlEncoded = new URLSearchParams(allParams).toString();
-            
-            const response = await this.httpClient({
-                method,
-                url: endpoint,
-                data: urlEncoded,
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded'
-                }
-            });
-
-            return this.parseResponse(response.data);
-        } catch (error) {
-            throw new ProviderError(
-                `Clubkonnect API error: ${error.message}`,
-                'CLUBKONNECT_ERROR',
-                error.response?.status
-            );
-        }
-    }
-
-    /**
-     * Parse Clubkonnect API response
-     */
-    parseResponse(data) {
-        // Handle different response formats
-        if (typeof data === 'string') {
-            try {
-                return JSON.parse(data);
-            } catch {
-                // If not JSON, check for common response patterns
-                if (data.toLowerCase().includes('successful') || data.toLowerCase().includes('success')) {
-                    return { status: 'success', message: data };
-                } else if (data.toLowerCase().includes('failed') || data.toLowerCase().includes('error')) {
-                    return { status: 'failed', message: data };
-                }
-                return { status: 'unknown', message: data };
-            }
-        }
-        return data;
+    async getPrimaryProvider(context = {}) {
+        const [first] = await this.router.getProviderChain(context);
+        return first ? first.provider : null;
     }
 
     /**
@@ -134,11 +58,8 @@ class VTUService {
         }
 
         try {
-            const response = await this.makeRequest(
-                this.config.endpoints.networks,
-                {},
-                'GET'
-            );
+            const provider = await this.getPrimaryProvider();
+            const providerNetworks = provider ? await provider.getNetworks() : null;
 
             // Default networks if API doesn't provide them
             const defaultNetworks = [
@@ -148,7 +69,7 @@ class VTUService {
                 { id: '04', name: '9MOBILE', code: '9MOBILE' }
             ];
 
-            const networks = response.networks || defaultNetworks;
+            const networks = providerNetworks || defaultNetworks;
             
             this.cache.networks = networks;
             this.cache.lastUpdated.networks = Date.now();
@@ -168,26 +89,28 @@ class VTUService {
     }
 
     /**
-     * Get data plans for a specific network
+     * Get data plans for a specific network.
+     * Served from the synced catalogue (with admin prices) when it has plans for the
+     * provider that will handle the purchase, otherwise live from the provider or the defaults.
      */
     async getDataPlans(network) {
+        const catalogued = await this.getCataloguePlans('data', network);
+        if (catalogued) {
+            return catalogued;
+        }
+
         const cacheKey = `dataPlans_${network}`;
         if (this.cache.dataPlans[network] && this.isCacheValid(cacheKey)) {
             return this.cache.dataPlans[network];
         }
 
         try {
-            const networkId = this.config.getNetworkId(network);
-            if (!networkId) {
-                throw new Error(`Invalid network: ${network}`);
-            }
+            const provider = await this.getPrimaryProvider({ service: 'data', network });
+            const providerPlans = provider ? await provider.getDataPlans(network) : null;
 
-            const response = await this.makeRequest(
-                this.config.endpoints.dataplans,
-                { Network: networkId }
-            );
-
-            const dataPlans = response.plans || this.getDefaultDataPlans(network);
+            const dataPlans = providerPlans
+                ? providerPlans.map(plan => ({ id: plan.code, name: plan.name, price: parseFloat(plan.price), data: plan.data, validity: plan.validity }))
+                : this.getDefaultDataPlans(network);
             
             this.cache.dataPlans[network] = dataPlans;
             this.cache.lastUpdated[cacheKey] = Date.now();
@@ -199,6 +122,63 @@ class VTUService {
         }
     }
 
+    /**
+     * Catalogue plans for the provider first in line for a service and network
+     * @returns {Promise<Array|null>} Plans, or null when the catalogue has none
+     */
+    async getCataloguePlans(service, network) {
+        try {
+            const provider = await this.getPrimaryProvider({ service, network });
+            if (!provider) {
+                return null;
+            }
+
+            const plans = await catalogueService.getPlans(service, network, provider.name);
+            return plans.length > 0 ? plans : null;
+        } catch (error) {
+            console.error(`Failed to load ${service} catalogue for ${network}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Price a data plan or cable package for a purchase. Uses the catalogue selling price of
+     * the provider the purchase will be routed to, or the plan list customers are shown while
+     * the network has nothing in the catalogue yet. A plan found in neither is not available;
+     * the amount a client sends is never used.
+     * @param {string} service - data | cable
+     * @param {string} network - Network or cable provider code
+     * @param {string} planCode - plan_id or package_id
+     * @returns {Promise<{ available: boolean, price: number|null }>} price is set whenever available
+     */
+    async resolvePlan(service, network, planCode) {
+        const context = { service, network, planCode };
+        let routed;
+        try {
+            [routed] = await this.router.filterByPlan(await this.router.getProviderChain(context), context);
+        } catch (error) {
+            if (error.code === 'PLAN_NOT_AVAILABLE') {
+                return { available: false, price: null };
+            }
+            throw error;
+        }
+
+        if (!routed) {
+            return { available: false, price: null };
+        }
+
+        const catalogued = await catalogueService.resolvePlan(service, network, planCode, routed.provider.name);
+        if (!catalogued.available || catalogued.price !== null) {
+            return catalogued;
+        }
+
+        const plans = service === 'data' ? await this.getDataPlans(network) : await this.getCablePackages(network);
+        const plan = plans.find(item => String(item.id) === String(planCode) || (item.code && String(item.code) === String(planCode)));
+        const price = plan ? parseFloat(plan.price) : NaN;
+
+        return price > 0 ? { available: true, price } : { available: false, price: null };
+    }
+
     /**
      * Get default data plans for fallback
      */
@@ -237,23 +217,10 @@ class VTUService {
      */
     async purchaseAirtime({ network, phone_number, amount }) {
         try {
-            const networkId = this.config.getNetworkId(network);
-            if (!networkId) {
-                throw new Error(`Invalid network: ${network}`);
-            }
-
-            const requestId = this.config.generateTransactionRef('AIRTIME');
-            
-            const params = {
-                MobileNumber: phone_number,
-                NetworkID: networkId,
-                Amount: amount,
-                RequestID: requestId
-            };
-
-            const response = await this.makeRequest(
-                this.config.endpoints.airtime,
-                params
+            const result = await this.router.execute(
+                'purchaseAirtime',
+                { network, phone_number, amount },
+                { service: 'airtime', network }
             );
 
             // Log transaction
@@ -262,17 +229,13 @@ class VTUService {
                 network,
                 phone_number,
                 amount,
-                request_id: requestId,
-                response,
-                status: this.isSuccessResponse(response) ? 'completed' : 'failed'
+                request_id: result.reference,
+                vtu_provider: result.provider,
+                response: result.data,
+                status: result.status
             });
 
-            return {
-                success: this.isSuccessResponse(response),
-                reference: requestId,
-                message: this.config.getErrorMessage(response),
-                data: response
-            };
+            return result;
         } catch (error) {
             console.error('Airtime purchase error:', error);
             throw error;
@@ -284,22 +247,10 @@ class VTUService {
      */
     async purchaseData({ network, phone_number, plan_id, amount }) {
         try {
-            const networkId = this.config.getNetworkId(network);
-            if (!networkId) {
-                throw new Error(`Invalid network: ${network}`);
-            }
-
-            const requestId = this.config.generateTransactionRef('DATA');
-            
-            const params = {
-                MobileNumber: phone_number,
-                DataPlan: plan_id,
-                RequestID: requestId
-            };
-
-            const response = await this.makeRequest(
-                this.config.endpoints.data,
-                params
+            const result = await this.router.execute(
+                'purchaseData',
+                { network, phone_number, plan_id, amount },
+                { service: 'data', network, planCode: plan_id }
             );
 
             // Log transaction
@@ -309,17 +260,13 @@ class VTUService {
                 phone_number,
                 plan_id,
                 amount,
-                request_id: requestId,
-                response,
-                status: this.isSuccessResponse(response) ? 'completed' : 'failed'
+                request_id: result.reference,
+                vtu_provider: result.provider,
+                response: result.data,
+                status: result.status
             });
 
-            return {
-                success: this.isSuccessResponse(response),
-                reference: requestId,
-                message: this.config.getErrorMessage(response),
-                data: response
-            };
+            return result;
         } catch (error) {
             console.error('Data purchase error:', error);
             throw error;
@@ -351,6 +298,11 @@ class VTUService {
      * Get cable TV packages
      */
     async getCablePackages(provider) {
+        const catalogued = await this.getCataloguePlans('cable', provider);
+        if (catalogued) {
+            return catalogued;
+        }
+
         const cacheKey = `cablePackages_${provider}`;
         if (this.cache.cablePackages[provider] && this.isCacheValid(cacheKey)) {
             return this.cache.cablePackages[provider];
@@ -397,22 +349,11 @@ class VTUService {
      */
     async validateSmartcard({ provider, smartcard_number }) {
         try {
-            // For now, we'll do basic validation
-            // In a real implementation, you'd call Clubkonnect's validation endpoint
-            if (!smartcard_number || smartcard_number.length < 10) {
-                return {
-                    valid: false,
-                    message: 'Invalid smartcard number format'
-                };
-            }
-
-            // Mock validation response
-            return {
-                valid: true,
-                customer_name: 'Customer Name',
-                customer_address: 'Customer Address',
-                account_status: 'Active'
-            };
+            return await this.router.execute(
+                'validateSmartcard',
+                { provider, smartcard_number },
+                { service: 'cable', network: provider }
+            );
         } catch (error) {
             console.error('Smartcard validation error:', error);
             return {
@@ -427,18 +368,10 @@ class VTUService {
      */
     async purchaseCable({ provider, package_id, smartcard_number, amount }) {
         try {
-            const requestId = this.config.generateTransactionRef('CABLE');
-            
-            const params = {
-                CableTV: provider.toUpperCase(),
-                CableTVNumber: smartcard_number,
-                CablePlan: package_id,
-                RequestID: requestId
-            };
-
-            const response = await this.makeRequest(
-                this.config.endpoints.cable,
-                params
+            const result = await this.router.execute(
+                'purchaseCable',
+                { provider, package_id, smartcard_number, amount },
+                { service: 'cable', network: provider, planCode: package_id }
             );
 
             // Log transaction
@@ -448,17 +381,13 @@ class VTUService {
                 smartcard_number,
                 package_id,
                 amount,
-                request_id: requestId,
-                response,
-                status: this.isSuccessResponse(response) ? 'completed' : 'failed'
+                request_id: result.reference,
+                vtu_provider: result.provider,
+                response: result.data,
+                status: result.status
             });
 
-            return {
-                success: this.isSuccessResponse(response),
-                reference: requestId,
-                message: this.config.getErrorMessage(response),
-                data: response
-            };
+            return result;
         } catch (error) {
             console.error('Cable purchase error:', error);
             throw error;
@@ -497,23 +426,11 @@ class VTUService {
      */
     async validateMeterNumber({ provider, meter_number, meter_type }) {
         try {
-            // For now, we'll do basic validation
-            // In a real implementation, you'd call Clubkonnect's validation endpoint
-            if (!meter_number || meter_number.length < 8) {
-                return {
-                    valid: false,
-                    message: 'Invalid meter number format'
-                };
-            }
-
-            // Mock validation response
-            return {
-                valid: true,
-                customer_name: 'Customer Name',
-                customer_address: 'Customer Address',
-                account_type: meter_type,
-                tariff_class: 'R2'
-            };
+            return await this.router.execute(
+                'validateMeterNumber',
+                { provider, meter_number, meter_type },
+                { service: 'electricity', network: provider }
+            );
         } catch (error) {
             console.error('Meter validation error:', error);
             return {
@@ -528,19 +445,10 @@ class VTUService {
      */
     async purchaseElectricity({ provider, meter_number, meter_type, amount, customer_name }) {
         try {
-            const requestId = this.config.generateTransactionRef('ELECTRICITY');
-            
-            const params = {
-                ElectricCompany: provider.toUpperCase(),
-                MeterNumber: meter_number,
-                MeterType: meter_type.toLowerCase() === 'prepaid' ? '1' : '2',
-                Amount: amount,
-                RequestID: requestId
-            };
-
-            const response = await this.makeRequest(
-                this.config.endpoints.electricity,
-                params
+            const result = await this.router.execute(
+                'purchaseElectricity',
+                { provider, meter_number, meter_type, amount, customer_name },
+                { service: 'electricity', network: provider }
             );
 
             // Log transaction
@@ -551,31 +459,19 @@ class VTUService {
                 meter_type,
                 amount,
                 customer_name,
-                request_id: requestId,
-                response,
-                status: this.isSuccessResponse(response) ? 'completed' : 'failed'
+                request_id: result.reference,
+                vtu_provider: result.provider,
+                response: result.data,
+                status: result.status
             });
 
-            return {
-                success: this.isSuccessResponse(response),
-                reference: requestId,
-                message: this.config.getErrorMessage(response),
-                token: response.token || null,
-                data: response
-            };
+            return result;
         } catch (error) {
             console.error('Electricity purchase error:', error);
             throw error;
         }
     }
 
-    /**
-     * Check if response indicates success
-     */
-    isSuccessResponse(response) {
-        return this.config.isSuccessResponse(response);
-    }
-
     /**
      * Log transaction to database
      */
@@ -607,21 +503,30 @@ class VTUService {
     }
 
     /**
-     * Get account balance from Clubkonnect
+     * Resolve a provider adapter by name, defaulting to the primary provider
      */
-    async getBalance() {
+    async resolveProvider(providerName) {
+        const provider = providerName
+            ? this.registry.get(providerName)
+            : await this.getPrimaryProvider();
+
+        if (!provider) {
+            throw new Error(`VTU provider not available: ${providerName || 'primary'}`);
+        }
+
+        return provider;
+    }
+
+    /**
+     * Get account balance from a VTU provider
+     * @param {string} [providerName] - Provider to query (defaults to the primary provider)
+     */
+    async getBalance(providerName) {
         try {
-            const response = await this.makeRequest(
-                this.config.endpoints.balance,
-                {}
-            );
+            const provider = await this.resolveProvider(providerName);
+            const balance = await provider.getBalance();
 
-            return {
-                success: true,
-                balance: response.balance || 0,
-                currency: 'NGN',
-                data: response
-            };
+            return { ...balance, provider: provider.name };
         } catch (error) {
             console.error('Balance check error:', error);
             return {
@@ -634,20 +539,15 @@ class VTUService {
 
     /**
      * Get transaction status
+     * @param {string} requestId - Provider request ID
+     * @param {string} [providerName] - Provider that handled the request (defaults to the primary provider)
      */
-    async getTransactionStatus(requestId) {
+    async getTransactionStatus(requestId, providerName) {
         try {
-            const response = await this.makeRequest(
-                this.config.endpoints.transactionStatus,
-                { RequestID: requestId }
-            );
+            const provider = await this.resolveProvider(providerName);
+            const status = await provider.getTransactionStatus(requestId);
 
-            return {
-                success: true,
-                status: response.status,
-                message: response.message,
-                data: response
-            };
+            return { ...status, provider: provider.name };
         } catch (error) {
             console.error('Transaction status check error:', error);
             return {
@@ -1,5 +1,8 @@
 const { supabase, supabaseAdmin } = require('../config/supabaseClient');
 const { realtimeHandler } = require('../utils/realtimeHandler');
+const { ledgerService, ACCOUNTS } = require('./ledgerService');
+const { webhookService } = require('./webhookService');
+const { auditService } = require('./auditService');
 
 // Custom error classes
 class InsufficientFundsError extends Error {
@@ -26,6 +29,16 @@ class TransactionError extends Error {
     }
 }
 
+// A cap enforced inside a wallet RPC was reached (see transfer())
+class LimitExceededError extends TransactionError {
+    constructor(message = 'Limit exceeded', limit = null) {
+        super(message);
+        this.name = 'LimitExceededError';
+        this.code = 'LIMIT_EXCEEDED';
+        this.limit = limit;
+    }
+}
+
 class WalletService {
     // Check if a transaction reference has already been processed (idempotency)
     async isTransactionProcessed(transactionRef) {
@@ -102,7 +115,11 @@ class WalletService {
     }
 
     // Credit wallet (add funds) with atomicity
-    async credit(userId, amount, description = 'Wallet credit', transactionRef = null) {
+    // ledger: { account, kind } - the ledger account the money comes from (see ledgerService ACCOUNTS)
+    // credit_wallet_atomic(p_user_id, p_amount, p_description, p_transaction_ref, p_ledger_entries)
+    // locks the wallet row, credits it, writes the history row and posts the journal in one
+    // transaction, and returns { new_balance, transaction } (migrations/005_wallet_ledger.sql).
+    async credit(userId, amount, description = 'Wallet credit', transactionRef = null, ledger = {}) {
         // Begin database transaction for atomicity
         const client = supabaseAdmin;
         
@@ -118,12 +135,15 @@ class WalletService {
                 throw new WalletFrozenError(`Wallet is frozen: ${frozenStatus.reason}`);
             }
 
+            const reference = transactionRef || `CREDIT_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+
             // Start RPC transaction for atomicity
             const { data: result, error } = await client.rpc('credit_wallet_atomic', {
                 p_user_id: userId,
                 p_amount: creditAmount,
                 p_description: description,
-                p_transaction_ref: transactionRef || `CREDIT_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`
+                p_transaction_ref: reference,
+                p_ledger_entries: this.ledgerEntries(reference, ledger.kind || 'credit', ledger.account || ACCOUNTS.SUSPENSE, ACCOUNTS.wallet(userId), creditAmount, description)
             });
 
             if (error) {
@@ -138,6 +158,9 @@ class WalletService {
             realtimeHandler.sendBalanceUpdate(userId, result.new_balance);
             realtimeHandler.sendTransactionUpdate(userId, result.transaction, 'Wallet credited successfully');
 
+            // Reseller webhook (delivered in the background)
+            webhookService.emitWallet(userId, 'credit', { amount: creditAmount, newBalance: result.new_balance, reference, transaction: result.transaction });
+
             return {
                 success: true,
                 new_balance: result.new_balance,
@@ -154,12 +177,15 @@ class WalletService {
     }
 
     // Legacy method for backward compatibility
-    async creditWallet(userId, amount, description = 'Wallet credit', transactionRef = null) {
-        return this.credit(userId, amount, description, transactionRef);
+    async creditWallet(userId, amount, description = 'Wallet credit', transactionRef = null, ledger = {}) {
+        return this.credit(userId, amount, description, transactionRef, ledger);
     }
 
     // Debit wallet (subtract funds) with atomicity
-    async debit(userId, amount, description = 'Wallet debit', transactionRef = null) {
+    // ledger: { account, kind } - the ledger account the money goes to (see ledgerService ACCOUNTS)
+    // debit_wallet_atomic takes the same arguments as credit_wallet_atomic, raises 'insufficient
+    // balance' under the wallet lock and returns { new_balance, transaction }.
+    async debit(userId, amount, description = 'Wallet debit', transactionRef = null, ledger = {}) {
         const client = supabaseAdmin;
         
         try {
@@ -180,12 +206,15 @@ class WalletService {
                 throw new TransactionError(limitCheck.reason);
             }
 
+            const reference = transactionRef || `DEBIT_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+
             // Start RPC transaction for atomicity with balance check
             const { data: result, error } = await client.rpc('debit_wallet_atomic', {
                 p_user_id: userId,
                 p_amount: debitAmount,
                 p_description: description,
-                p_transaction_ref: transactionRef || `DEBIT_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`
+                p_transaction_ref: reference,
+                p_ledger_entries: this.ledgerEntries(reference, ledger.kind || 'debit', ACCOUNTS.wallet(userId), ledger.account || ACCOUNTS.SUSPENSE, debitAmount, description)
             });
 
             if (error) {
@@ -203,6 +232,9 @@ class WalletService {
             realtimeHandler.sendBalanceUpdate(userId, result.new_balance);
             realtimeHandler.sendTransactionUpdate(userId, result.transaction, 'Wallet debited successfully');
 
+            // Reseller webhook (delivered in the background)
+            webhookService.emitWallet(userId, 'debit', { amount: debitAmount, newBalance: result.new_balance, reference, transaction: result.transaction });
+
             return {
                 success: true,
                 new_balance: result.new_balance,
@@ -218,13 +250,77 @@ class WalletService {
         }
     }
 
+    // Take funds for an existing transaction row (e.g. a purchase being retried) without
+    // writing a new one, so the user's history keeps a single entry for the purchase.
+    // reserve_wallet_atomic(p_user_id, p_amount, p_transaction_id, p_ledger_entries) locks the
+    // wallet row, checks the row is the user's, raises 'insufficient balance' if the balance
+    // does not cover the amount, lowers it and posts the journal in one transaction, and
+    // returns { new_balance } (migrations/007_reserve_wallet.sql).
+    async reserve(userId, amount, transactionId, transactionRef, description = 'Wallet reservation', ledger = {}) {
+        try {
+            const reserveAmount = parseFloat(amount);
+            if (reserveAmount <= 0) {
+                throw new TransactionError('Reservation amount must be greater than zero');
+            }
+
+            const frozenStatus = await this.isWalletFrozen(userId);
+            if (frozenStatus.is_frozen) {
+                throw new WalletFrozenError(`Wallet is frozen: ${frozenStatus.reason}`);
+            }
+
+            const limitCheck = await this.checkSpendingLimit(userId, reserveAmount);
+            if (!limitCheck.allowed) {
+                throw new TransactionError(limitCheck.reason);
+            }
+
+            const { data: result, error } = await supabaseAdmin.rpc('reserve_wallet_atomic', {
+                p_user_id: userId,
+                p_amount: reserveAmount,
+                p_transaction_id: transactionId,
+                p_ledger_entries: this.ledgerEntries(transactionRef, ledger.kind || 'debit', ACCOUNTS.wallet(userId), ledger.account || ACCOUNTS.SUSPENSE, reserveAmount, description)
+            });
+
+            if (error) {
+                if (error.message.includes('insufficient')) {
+                    throw new InsufficientFundsError('Insufficient wallet balance');
+                }
+                throw new TransactionError(`Reservation failed: ${error.message}`);
+            }
+
+            await this.emitWalletUpdated(userId, result.new_balance);
+            realtimeHandler.sendBalanceUpdate(userId, result.new_balance);
+
+            webhookService.emitWallet(userId, 'debit', { amount: reserveAmount, newBalance: result.new_balance, reference: transactionRef, transaction: { id: transactionId, description } });
+
+            return {
+                success: true,
+                new_balance: result.new_balance
+            };
+
+        } catch (error) {
+            console.error('Reserve wallet error:', error);
+            if (error instanceof InsufficientFundsError || error instanceof WalletFrozenError || error instanceof TransactionError) {
+                throw error;
+            }
+            throw new TransactionError('Failed to reserve wallet funds');
+        }
+    }
+
     // Legacy method for backward compatibility
-    async debitWallet(userId, amount, description = 'Wallet debit', transactionRef = null) {
-        return this.debit(userId, amount, description, transactionRef);
+    async debitWallet(userId, amount, description = 'Wallet debit', transactionRef = null, ledger = {}) {
+        return this.debit(userId, amount, description, transactionRef, ledger);
     }
 
     // Transfer funds between wallets with atomicity
-    async transfer(fromUserId, toUserId, amount, description = 'Wallet transfer') {
+    // transfer_wallet_atomic locks both wallet rows in user_id order, moves the money, writes both
+    // history rows and posts the journal in one transaction, and returns { from_new_balance,
+    // to_new_balance, transfer_reference, from_transaction, to_transaction }
+    // (migrations/006_transfer_daily_limits.sql). It writes the legs as transfer_out / transfer_in.
+    // limits: { dailyAmount, dailyCount } - when given, the RPC sums the sender's completed transfer_out
+    // rows for the current UTC day under the wallet lock, before moving the money, so concurrent
+    // transfers cannot pass the caps together; it raises 'daily transfer amount' or 'daily transfer
+    // count' when a cap would be exceeded.
+    async transfer(fromUserId, toUserId, amount, description = 'Wallet transfer', transactionRef = null, limits = {}) {
         const client = supabaseAdmin;
 
         try {
@@ -245,19 +341,30 @@ class WalletService {
                 throw new WalletFrozenError(`Recipient's wallet is frozen: ${toFrozenStatus.reason}`);
             }
 
+            const reference = transactionRef || `TRANSFER_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+
             // Start RPC transaction for atomicity
             const { data: result, error } = await client.rpc('transfer_wallet_atomic', {
                 p_from_user_id: fromUserId,
                 p_to_user_id: toUserId,
                 p_amount: transferAmount,
                 p_description: description,
-                p_transaction_ref: `TRANSFER_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`
+                p_transaction_ref: reference,
+                p_daily_amount_limit: limits.dailyAmount ?? null,
+                p_daily_count_limit: limits.dailyCount ?? null,
+                p_ledger_entries: this.ledgerEntries(reference, 'transfer', ACCOUNTS.wallet(fromUserId), ACCOUNTS.wallet(toUserId), transferAmount, description)
             });
 
             if (error) {
                 if (error.message.includes('insufficient')) {
                     throw new InsufficientFundsError('Insufficient wallet balance');
                 }
+                if (error.message.includes('daily transfer amount')) {
+                    throw new LimitExceededError('Daily transfer limit exceeded', 'amount');
+                }
+                if (error.message.includes('daily transfer count')) {
+                    throw new LimitExceededError('Daily transfer count exceeded', 'count');
+                }
                 throw new TransactionError(`Transfer operation failed: ${error.message}`);
             }
 
@@ -273,6 +380,11 @@ class WalletService {
             realtimeHandler.sendTransactionUpdate(fromUserId, result.from_transaction, 'Funds transferred successfully');
             realtimeHandler.sendTransactionUpdate(toUserId, result.to_transaction, 'Funds received successfully');
 
+            // Reseller webhooks (delivered in the background)
+            const transferRef = result.transfer_reference || reference;
+            webhookService.emitWallet(fromUserId, 'debit', { amount: transferAmount, newBalance: result.from_new_balance, reference: transferRef, transaction: result.from_transaction });
+            webhookService.emitWallet(toUserId, 'credit', { amount: transferAmount, newBalance: result.to_new_balance, reference: transferRef, transaction: result.to_transaction });
+
             return {
                 success: true,
                 from_new_balance: result.from_new_balance,
@@ -292,8 +404,34 @@ class WalletService {
     }
 
     // Legacy method for backward compatibility
-    async transferFunds(fromUserId, toUserId, amount, description = 'Wallet transfer') {
-        return this.transfer(fromUserId, toUserId, amount, description);
+    async transferFunds(fromUserId, toUserId, amount, description = 'Wallet transfer', transactionRef = null) {
+        return this.transfer(fromUserId, toUserId, amount, description, transactionRef);
+    }
+
+    // Ledger journal rows for a balance change (debit fromAccount, credit toAccount).
+    // Every wallet RPC takes them as p_ledger_entries and inserts them into ledger_entries
+    // (post_ledger_entries) in the same database transaction as the balance change, so the two
+    // cannot drift; an unbalanced journal, or one whose reference is already posted, fails the
+    // RPC and nothing is changed.
+    ledgerEntries(reference, kind, fromAccount, toAccount, amount, description) {
+        return ledgerService.journal(reference, kind, [
+            { account: fromAccount, debit: amount },
+            { account: toAccount, credit: amount }
+        ], { description });
+    }
+
+    // Add a paid-out withdrawal to the wallet's running total. add_wallet_withdrawal(p_user_id,
+    // p_amount) does total_withdrawals = total_withdrawals + p_amount in one UPDATE, so concurrent
+    // payouts cannot overwrite each other's update; it returns { total_withdrawals }.
+    async addToTotalWithdrawals(userId, amount) {
+        const { error } = await supabaseAdmin.rpc('add_wallet_withdrawal', {
+            p_user_id: userId,
+            p_amount: parseFloat(amount)
+        });
+
+        if (error) {
+            throw new TransactionError(`Failed to update total withdrawals: ${error.message}`);
+        }
     }
 
     // Get wallet transaction history
@@ -407,9 +545,11 @@ class WalletService {
         }
     }
 
-    // Freeze/unfreeze wallet
-    async freezeWallet(userId, reason = 'Administrative action') {
+    // Freeze/unfreeze wallet (actor is who did it, for the audit log; null for the platform itself)
+    async freezeWallet(userId, reason = 'Administrative action', actor = null) {
         try {
+            const before = await this.isWalletFrozen(userId);
+
             const { error } = await supabase
                 .from('wallets')
                 .update({
@@ -434,6 +574,14 @@ class WalletService {
                     created_at: new Date().toISOString()
                 });
 
+            await auditService.record(actor, 'wallet.freeze', {
+                target_type: 'wallet',
+                target_id: userId,
+                before,
+                after: { is_frozen: true, reason },
+                reason
+            });
+
             return { success: true, message: 'Wallet frozen successfully' };
 
         } catch (error) {
@@ -442,8 +590,10 @@ class WalletService {
         }
     }
 
-    async unfreezeWallet(userId, reason = 'Administrative action') {
+    async unfreezeWallet(userId, reason = 'Administrative action', actor = null) {
         try {
+            const before = await this.isWalletFrozen(userId);
+
             const { error } = await supabase
                 .from('wallets')
                 .update({
@@ -468,6 +618,14 @@ class WalletService {
                     created_at: new Date().toISOString()
                 });
 
+            await auditService.record(actor, 'wallet.unfreeze', {
+                target_type: 'wallet',
+                target_id: userId,
+                before,
+                after: { is_frozen: false, reason: null },
+                reason
+            });
+
             return { success: true, message: 'Wallet unfrozen successfully' };
 
         } catch (error) {
@@ -501,14 +659,24 @@ class WalletService {
     }
 
     // Set wallet spending limit
-    async setSpendingLimit(userId, dailyLimit, monthlyLimit) {
+    async setSpendingLimit(userId, dailyLimit, monthlyLimit, actor = null, reason = null) {
         try {
+            const { data: current } = await supabase
+                .from('wallet_limits')
+                .select('daily_limit, monthly_limit')
+                .eq('user_id', userId)
+                .maybeSingle();
+
+            const limits = {
+                daily_limit: parseFloat(dailyLimit),
+                monthly_limit: parseFloat(monthlyLimit)
+            };
+
             const { error } = await supabase
                 .from('wallet_limits')
                 .upsert({
                     user_id: userId,
-                    daily_limit: parseFloat(dailyLimit),
-                    monthly_limit: parseFloat(monthlyLimit),
+                    ...limits,
                     updated_at: new Date().toISOString()
                 });
 
@@ -516,6 +684,14 @@ class WalletService {
                 throw error;
             }
 
+            await auditService.record(actor, 'wallet.limits_update', {
+                target_type: 'wallet',
+                target_id: userId,
+                before: current || null,
+                after: limits,
+                reason
+            });
+
             return { success: true, message: 'Spending limits updated successfully' };
 
         } catch (error) {
@@ -633,5 +809,6 @@ module.exports = {
     walletService, 
     InsufficientFundsError,
     WalletFrozenError,
-    TransactionError
+    TransactionError,
+    LimitExceededError
 };
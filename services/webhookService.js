@@ -0,0 +1,726 @@
+const axios = require('axios');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const config = require('../config/environment');
+const { supabaseAdmin } = require('../config/supabase');
+const { generateReference } = require('../utils/helpers');
+const { createTimestampedSignature } = require('../utils/security');
+const { notificationService } = require('./notificationService');
+
+/**
+ * Events a reseller can subscribe to in webhook_settings.events
+ */
+const WEBHOOK_EVENTS = [
+    'transaction.completed',
+    'transaction.failed',
+    'wallet.credited',
+    'wallet.debited',
+    'user.registered'
+];
+
+// A delivery stuck in 'delivering' this long (worker crashed mid-request) is retried
+const STALE_DELIVERY = 5 * 60 * 1000; // 5 minutes
+
+// Stored response bodies are cut to this many characters
+const MAX_RESPONSE_BODY = 1000;
+
+// Loopback, private, link-local (including cloud metadata at 169.254.169.254), shared,
+// multicast and reserved ranges a webhook must never be sent to
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+    ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is publicly routable. IPv4-mapped IPv6 addresses are checked as IPv4.
+ */
+const isPublicAddress = (address) => {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    const ip = mapped ? mapped[1] : address;
+    const family = net.isIP(ip);
+
+    if (!family) {
+        return false;
+    }
+
+    return !BLOCKED_ADDRESSES.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * dns.lookup that refuses non-public addresses, used by the delivery agents so the address
+ * checked is the one connected to (a host cannot re-resolve to a private address after the check)
+ */
+const publicLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            return callback(error);
+        }
+
+        if (!config.webhooks.allowPrivateUrls) {
+            const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+            if (blocked) {
+                const refused = new Error(`Webhook host ${hostname} resolves to a non-public address`);
+                refused.code = 'EADDRNOTPUBLIC';
+                return callback(refused);
+            }
+        }
+
+        if (options && options.all) {
+            return callback(null, addresses);
+        }
+
+        return callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+const DELIVERY_AGENTS = {
+    httpAgent: new http.Agent({ lookup: publicLookup }),
+    httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+class WebhookError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} code - NOT_FOUND | NOT_CONFIGURED | INVALID_STATUS | INVALID_URL
+     */
+    constructor(message, code = 'WEBHOOK_ERROR') {
+        super(message);
+        this.name = 'WebhookError';
+        this.code = code;
+    }
+}
+
+/**
+ * Outbound webhooks to resellers
+ * Transaction and wallet events are written to webhook_deliveries and POSTed to the reseller's
+ * webhook_settings.webhook_url:
+ *   user_id, event, event_id (stays the same across redeliveries), payload, webhook_url
+ *   status            - pending -> delivering -> delivered | failed (pending again between retries)
+ *   attempts, next_attempt_at, last_attempt_at, response_status, response_body, error
+ *   redelivery_of     - the delivery a manual redelivery copies
+ *   delivered_at, created_at, updated_at
+ *
+ * Each POST carries the JSON payload and these headers:
+ *   X-Webhook-Id, X-Webhook-Event, X-Webhook-Timestamp (milliseconds)
+ *   X-Webhook-Signature - hex HMAC-SHA256 of `${body}:${timestamp}` keyed with webhook_settings.secret
+ *                         (createTimestampedSignature / verifyTimestampedSignature in utils/security.js);
+ *                         an endpoint without a secret is not delivered to
+ * Endpoints must be https (http outside production) and resolve only to public addresses;
+ * checkEndpoint() is run when an endpoint is saved and again before every delivery, and the
+ * delivery agents re-check the address they connect to.
+ * Any 2xx response is a success. Failures retry with exponential backoff up to maxAttempts, and
+ * an endpoint that fails disableAfter attempts in a row is switched off (webhook_settings
+ * consecutive_failures, disabled_at, disabled_reason) until the reseller saves it again.
+ */
+class WebhookService {
+    constructor() {
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Start the retry worker
+     */
+    start() {
+        const { enabled, interval } = config.webhooks;
+
+        if (!enabled || this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => this.runOnce(), interval);
+        console.log(`📮 Webhook delivery worker started (every ${Math.round(interval / 1000)}s)`);
+    }
+
+    /**
+     * Stop the retry worker
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            console.log('Webhook delivery worker stopped');
+        }
+    }
+
+    /**
+     * Queue an event for a user's endpoint and try to send it straight away.
+     * Never throws: webhook problems must not break the money movement that raised the event.
+     * @param {string} userId - Owner of the webhook endpoint
+     * @param {string} event - One of WEBHOOK_EVENTS
+     * @param {Object} data - Event body
+     */
+    async emit(userId, event, data) {
+        if (!config.webhooks.enabled) {
+            return null;
+        }
+
+        try {
+            const settings = await this.getSettings(userId);
+
+            if (!settings || !settings.is_active || !settings.webhook_url || !(settings.events || []).includes(event)) {
+                return null;
+            }
+
+            const eventId = generateReference('EVT');
+            const delivery = await this.insertDelivery({
+                user_id: userId,
+                event,
+                event_id: eventId,
+                webhook_url: settings.webhook_url,
+                payload: {
+                    id: eventId,
+                    event,
+                    created_at: new Date().toISOString(),
+                    data
+                }
+            });
+
+            return await this.attempt(delivery, settings);
+
+        } catch (error) {
+            console.error('Webhook emit error:', { userId, event, error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Send a transaction.completed / transaction.failed event for a transaction row
+     */
+    async emitTransaction(transaction) {
+        const event = { completed: 'transaction.completed', failed: 'transaction.failed' }[transaction.status];
+
+        if (!event) {
+            return null;
+        }
+
+        const metadata = transaction.metadata || {};
+
+        return this.emit(transaction.user_id, event, {
+            transaction_id: transaction.id,
+            reference: metadata.purchase_reference || transaction.payment_reference,
+            type: transaction.type,
+            status: transaction.status,
+            amount: parseFloat(transaction.amount),
+            description: transaction.description,
+            service_type: metadata.service_type || null,
+            provider_reference: metadata.purchase_reference ? transaction.payment_reference : null,
+            error_message: transaction.error_message || null,
+            created_at: transaction.created_at,
+            updated_at: transaction.updated_at
+        });
+    }
+
+    /**
+     * Send a wallet.credited / wallet.debited event
+     */
+    async emitWallet(userId, direction, { amount, newBalance, reference, transaction }) {
+        return this.emit(userId, direction === 'credit' ? 'wallet.credited' : 'wallet.debited', {
+            amount: parseFloat(amount),
+            new_balance: newBalance !== undefined && newBalance !== null ? parseFloat(newBalance) : null,
+            reference,
+            transaction_id: transaction?.id || null,
+            description: transaction?.description || null
+        });
+    }
+
+    /**
+     * Send a webhook.test event once (no retries) and record it in the delivery log
+     */
+    async sendTest(userId) {
+        const settings = await this.getSettings(userId);
+
+        if (!settings || !settings.is_active || !settings.webhook_url) {
+            throw new WebhookError('No active webhook configuration found', 'NOT_CONFIGURED');
+        }
+
+        const eventId = generateReference('EVT');
+        const delivery = await this.insertDelivery({
+            user_id: userId,
+            event: 'webhook.test',
+            event_id: eventId,
+            webhook_url: settings.webhook_url,
+            payload: {
+                id: eventId,
+                event: 'webhook.test',
+                created_at: new Date().toISOString(),
+                data: { message: 'This is a test webhook from StarkTol', user_id: userId }
+            }
+        });
+
+        return this.attempt(delivery, settings, { retry: false, countFailures: false });
+    }
+
+    /**
+     * Pick up deliveries that are due for a retry
+     * @returns {Promise<Object>} Counts for this pass
+     */
+    async runOnce() {
+        if (this.running) {
+            return null;
+        }
+
+        this.running = true;
+        const summary = { due: 0, delivered: 0, retrying: 0, failed: 0 };
+
+        try {
+            await this.releaseStale();
+
+            const { data: deliveries, error } = await supabaseAdmin
+                .from('webhook_deliveries')
+                .select('*')
+                .eq('status', 'pending')
+                .lte('next_attempt_at', new Date().toISOString())
+                .order('next_attempt_at', { ascending: true })
+                .limit(config.webhooks.batchSize);
+
+            if (error) {
+                throw error;
+            }
+
+            const settingsCache = new Map();
+
+            for (const delivery of deliveries || []) {
+                summary.due++;
+
+                try {
+                    if (!settingsCache.has(delivery.user_id)) {
+                        settingsCache.set(delivery.user_id, await this.getSettings(delivery.user_id));
+                    }
+
+                    const result = await this.attempt(delivery, settingsCache.get(delivery.user_id));
+                    if (result) {
+                        summary[result.status === 'pending' ? 'retrying' : result.status]++;
+                    }
+
+                    // A failure may have switched the endpoint off
+                    if (result && result.status !== 'delivered') {
+                        settingsCache.delete(delivery.user_id);
+                    }
+                } catch (deliveryError) {
+                    console.error('Webhook delivery error:', { deliveryId: delivery.id, error: deliveryError.message });
+                }
+            }
+
+            if (summary.due > 0) {
+                console.log('📮 Webhook deliveries run:', summary);
+            }
+
+            return summary;
+
+        } catch (error) {
+            console.error('Webhook worker error:', error);
+            return summary;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * POST one delivery to its endpoint and record the outcome
+     * @param {Object} delivery - webhook_deliveries row
+     * @param {Object|null} settings - The owner's webhook_settings row
+     * @param {Object} options - retry: schedule another attempt on failure; countFailures: count towards auto-disable
+     * @returns {Promise<Object|null>} The updated delivery, or null if another worker has it
+     */
+    async attempt(delivery, settings, { retry = true, countFailures = true } = {}) {
+        const claimed = await this.updateDelivery(delivery.id, {
+            status: 'delivering',
+            last_attempt_at: new Date().toISOString()
+        }, delivery.status);
+
+        if (!claimed) {
+            return null;
+        }
+
+        const attempts = (claimed.attempts || 0) + 1;
+
+        if (!settings || !settings.is_active || !settings.webhook_url) {
+            return this.updateDelivery(claimed.id, {
+                status: 'failed',
+                error: settings && settings.disabled_at ? 'Endpoint is disabled' : 'Endpoint is not active',
+                next_attempt_at: null
+            });
+        }
+
+        // Never send an event the receiver cannot verify; saving the settings issues a secret
+        if (!settings.secret) {
+            return this.updateDelivery(claimed.id, {
+                status: 'failed',
+                error: 'Endpoint has no signing secret',
+                next_attempt_at: null
+            });
+        }
+
+        const body = JSON.stringify(claimed.payload);
+        const { signature, timestamp } = createTimestampedSignature(body, settings.secret);
+        let response = null;
+        let failure = null;
+
+        try {
+            await this.checkEndpoint(claimed.webhook_url);
+
+            response = await axios.post(claimed.webhook_url, body, {
+                ...DELIVERY_AGENTS,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'StarkTol-Webhooks/1.0',
+                    'X-Webhook-Id': claimed.event_id,
+                    'X-Webhook-Event': claimed.event,
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': signature
+                },
+                timeout: config.webhooks.timeout,
+                maxRedirects: 0,
+                validateStatus: () => true
+            });
+
+            if (response.status < 200 || response.status >= 300) {
+                failure = `Endpoint responded with HTTP ${response.status}`;
+            }
+        } catch (error) {
+            failure = error.code ? `${error.code}: ${error.message}` : error.message;
+        }
+
+        const outcome = {
+            attempts,
+            response_status: response ? response.status : null,
+            response_body: response ? this.truncate(response.data) : null,
+            error: failure
+        };
+
+        if (!failure) {
+            await this.recordEndpointSuccess(settings);
+
+            return this.updateDelivery(claimed.id, {
+                ...outcome,
+                status: 'delivered',
+                delivered_at: new Date().toISOString(),
+                next_attempt_at: null
+            });
+        }
+
+        if (countFailures) {
+            await this.recordEndpointFailure(settings, failure);
+        }
+
+        const canRetry = retry && attempts < config.webhooks.maxAttempts;
+
+        return this.updateDelivery(claimed.id, {
+            ...outcome,
+            status: canRetry ? 'pending' : 'failed',
+            next_attempt_at: canRetry ? new Date(Date.now() + this.retryDelay(attempts)).toISOString() : null
+        });
+    }
+
+    /**
+     * Queue a fresh copy of a delivery (same event id and payload) and send it now
+     */
+    async redeliver(userId, deliveryId) {
+        const original = await this.get(userId, deliveryId);
+
+        if (!original) {
+            throw new WebhookError('Delivery not found', 'NOT_FOUND');
+        }
+
+        if (['pending', 'delivering'].includes(original.status)) {
+            throw new WebhookError('Delivery is still being attempted', 'INVALID_STATUS');
+        }
+
+        const settings = await this.getSettings(userId);
+
+        if (!settings || !settings.is_active || !settings.webhook_url) {
+            throw new WebhookError('Enable your webhook endpoint before redelivering', 'NOT_CONFIGURED');
+        }
+
+        const delivery = await this.insertDelivery({
+            user_id: userId,
+            event: original.event,
+            event_id: original.event_id,
+            webhook_url: settings.webhook_url,
+            payload: original.payload,
+            redelivery_of: original.id
+        });
+
+        return this.attempt(delivery, settings, { retry: false, countFailures: false });
+    }
+
+    /**
+     * List a user's deliveries, newest first
+     */
+    async list(userId, { status, event, page = 1, limit = 20 } = {}) {
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+        const offset = (pageNumber - 1) * pageSize;
+
+        let query = supabaseAdmin
+            .from('webhook_deliveries')
+            .select('*', { count: 'exact' })
+            .eq('user_id', userId)
+            .order('created_at', { ascending: false })
+            .range(offset, offset + pageSize - 1);
+
+        if (status) {
+            query = query.eq('status', status);
+        }
+
+        if (event) {
+            query = query.eq('event', event);
+        }
+
+        const { data, error, count } = await query;
+
+        if (error) {
+            throw error;
+        }
+
+        return { items: data || [], total: count || 0, page: pageNumber, limit: pageSize };
+    }
+
+    /**
+     * Get one of a user's deliveries
+     */
+    async get(userId, deliveryId) {
+        const { data, error } = await supabaseAdmin
+            .from('webhook_deliveries')
+            .select('*')
+            .eq('id', deliveryId)
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    /**
+     * Backoff before the next attempt: retryDelay doubled per attempt, capped at maxRetryDelay
+     */
+    retryDelay(attempts) {
+        const { retryDelay, maxRetryDelay } = config.webhooks;
+        return Math.min(retryDelay * Math.pow(2, attempts - 1), maxRetryDelay);
+    }
+
+    /**
+     * Production endpoints must be https; plain http is allowed elsewhere for local testing
+     */
+    isDeliverableUrl(url) {
+        try {
+            const { protocol } = new URL(url);
+            return protocol === 'https:' || (!config.isProduction && protocol === 'http:');
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Check that an endpoint may be called: an allowed scheme, no credentials in the URL, and a
+     * host that is, or only resolves to, public addresses
+     * @throws {WebhookError} INVALID_URL
+     */
+    async checkEndpoint(url) {
+        if (!this.isDeliverableUrl(url)) {
+            throw new WebhookError(config.isProduction ? 'Webhook URL must use https' : 'Webhook URL must use http or https', 'INVALID_URL');
+        }
+
+        const { hostname, username, password } = new URL(url);
+        if (username || password) {
+            throw new WebhookError('Webhook URL must not contain credentials', 'INVALID_URL');
+        }
+
+        if (config.webhooks.allowPrivateUrls) {
+            return;
+        }
+
+        const host = hostname.replace(/^\[|\]$/g, '');
+        let addresses;
+
+        if (net.isIP(host)) {
+            addresses = [host];
+        } else {
+            try {
+                addresses = (await dns.promises.lookup(host, { all: true })).map(({ address }) => address);
+            } catch (error) {
+                throw new WebhookError(`Webhook host ${host} could not be resolved`, 'INVALID_URL');
+            }
+        }
+
+        if (addresses.length === 0 || !addresses.every(isPublicAddress)) {
+            throw new WebhookError('Webhook URL must point to a public address', 'INVALID_URL');
+        }
+    }
+
+    async recordEndpointSuccess(settings) {
+        if (!settings.consecutive_failures) {
+            return;
+        }
+
+        settings.consecutive_failures = 0;
+        await this.updateSettings(settings.user_id, { consecutive_failures: 0 });
+    }
+
+    /**
+     * Count a failed attempt against the endpoint and switch it off once it reaches disableAfter
+     */
+    async recordEndpointFailure(settings, reason) {
+        const failures = (settings.consecutive_failures || 0) + 1;
+        settings.consecutive_failures = failures;
+
+        if (failures < config.webhooks.disableAfter) {
+            await this.updateSettings(settings.user_id, { consecutive_failures: failures });
+            return;
+        }
+
+        const disabledReason = `Disabled after ${failures} failed deliveries in a row (last: ${reason})`;
+        const disabled = await this.updateSettings(settings.user_id, {
+            consecutive_failures: failures,
+            is_active: false,
+            disabled_at: new Date().toISOString(),
+            disabled_reason: disabledReason
+        }, { onlyActive: true });
+
+        settings.is_active = false;
+        settings.disabled_at = new Date().toISOString();
+
+        if (!disabled) {
+            return;
+        }
+
+        console.warn('🚫 Webhook endpoint disabled:', { userId: settings.user_id, url: settings.webhook_url, failures });
+
+        try {
+            await notificationService.createNotification(settings.user_id, {
+                title: 'Webhook endpoint disabled',
+                message: `We stopped sending webhooks to ${settings.webhook_url} after ${failures} failed deliveries in a row. Fix the endpoint and save your webhook settings to turn it back on.`,
+                type: 'warning',
+                metadata: { webhook_url: settings.webhook_url, last_error: reason }
+            });
+        } catch (error) {
+            console.error('Webhook disable notification error:', error.message);
+        }
+    }
+
+    /**
+     * Put deliveries left in 'delivering' by a worker that stopped mid-request back in the queue
+     */
+    async releaseStale() {
+        const { error } = await supabaseAdmin
+            .from('webhook_deliveries')
+            .update({ status: 'pending', next_attempt_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+            .eq('status', 'delivering')
+            .lt('updated_at', new Date(Date.now() - STALE_DELIVERY).toISOString());
+
+        if (error) {
+            console.error('Webhook stale delivery release error:', error.message);
+        }
+    }
+
+    truncate(data) {
+        if (data === undefined || data === null || data === '') {
+            return null;
+        }
+
+        const text = typeof data === 'string' ? data : JSON.stringify(data);
+        return text.length > MAX_RESPONSE_BODY ? `${text.slice(0, MAX_RESPONSE_BODY)}…` : text;
+    }
+
+    async getSettings(userId) {
+        const { data, error } = await supabaseAdmin
+            .from('webhook_settings')
+            .select('*')
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    async updateSettings(userId, updates, { onlyActive = false } = {}) {
+        let query = supabaseAdmin
+            .from('webhook_settings')
+            .update({ ...updates, updated_at: new Date().toISOString() })
+            .eq('user_id', userId);
+
+        if (onlyActive) {
+            query = query.eq('is_active', true);
+        }
+
+        const { data, error } = await query.select().maybeSingle();
+
+        if (error) {
+            console.error('Webhook settings update error:', error.message);
+            return null;
+        }
+
+        return data;
+    }
+
+    async insertDelivery(fields) {
+        const now = new Date().toISOString();
+
+        const { data, error } = await supabaseAdmin
+            .from('webhook_deliveries')
+            .insert({
+                ...fields,
+                status: 'pending',
+                attempts: 0,
+                next_attempt_at: now,
+                created_at: now,
+                updated_at: now
+            })
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    /**
+     * Update a delivery, optionally only while it still has a given status
+     * @returns {Promise<Object|null>} The updated row, or null if the status had changed
+     */
+    async updateDelivery(id, updates, expectedStatus = null) {
+        let query = supabaseAdmin
+            .from('webhook_deliveries')
+            .update({ ...updates, updated_at: new Date().toISOString() })
+            .eq('id', id);
+
+        if (expectedStatus) {
+            query = query.eq('status', expectedStatus);
+        }
+
+        const { data, error } = await query.select().maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+}
+
+// Create singleton instance
+const webhookService = new WebhookService();
+
+module.exports = {
+    webhookService,
+    WebhookService,
+    WebhookError,
+    WEBHOOK_EVENTS
+};
@@ -0,0 +1,455 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { paymentService } = require('./paymentService');
+const { walletService } = require('./walletService');
+const { purchaseService } = require('./purchaseService');
+const { ACCOUNTS } = require('./ledgerService');
+const { generateReference } = require('../utils/helpers');
+
+const BANKS_CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+// Flutterwave transfer statuses
+const TRANSFER_SUCCESSFUL = 'SUCCESSFUL';
+const TRANSFER_FAILED = 'FAILED';
+
+// Start errors after which Flutterwave may still have accepted the transfer
+const UNKNOWN_OUTCOME_ERRORS = ['NETWORK_ERROR', 'PROVIDER_ERROR'];
+
+// A withdrawal whose transfer Flutterwave still shows no record of this long after the start
+// is flagged for review (never refunded automatically: the lookup cannot prove a negative)
+const UNMATCHED_TRANSFER_TIMEOUT = 60 * 60 * 1000; // 1 hour
+
+// Open withdrawals checked per reconciler pass
+const RECONCILE_BATCH_SIZE = 50;
+
+class WithdrawalError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} code - BANK_NOT_FOUND | ACCOUNT_NOT_RESOLVED | INVALID_AMOUNT | WITHDRAWAL_NOT_RECORDED
+     */
+    constructor(message, code = 'WITHDRAWAL_ERROR') {
+        super(message);
+        this.name = 'WithdrawalError';
+        this.code = code;
+    }
+}
+
+/**
+ * Bank withdrawals paid out through the Flutterwave Transfers API
+ *
+ * 1. Resolve the bank (code or name from paymentService.getSupportedBanks) and the
+ *    account holder's name.
+ * 2. Debit the wallet and record a pending `withdrawal` transaction under a WTH_ reference,
+ *    which is also the Flutterwave transfer reference.
+ * 3. Start the transfer. The transaction moves to processing while Flutterwave works on it;
+ *    a rejected transfer is refunded straight away.
+ * 4. transfer.completed webhooks (and status refreshes) re-fetch the transfer and move the
+ *    transaction to completed, or to failed and then refunded with the wallet credited back.
+ *
+ * A transfer whose start request got no answer (or a 5xx) stays pending and is settled by its
+ * webhook or a status refresh, never refunded blind. Without a transfer id the refresh looks the
+ * transfer up by reference; transactionReconciler refreshes open withdrawals on every pass.
+ */
+class WithdrawalService {
+    constructor() {
+        this.banks = null;
+    }
+
+    /**
+     * Supported Nigerian banks, cached for a day
+     */
+    async getBanks() {
+        if (this.banks && (Date.now() - this.banks.lastUpdated) < BANKS_CACHE_TTL) {
+            return this.banks.list;
+        }
+
+        const result = await paymentService.getSupportedBanks();
+        if (!result.success) {
+            // Serve a stale list rather than block withdrawals on a bank list refresh
+            if (this.banks) {
+                return this.banks.list;
+            }
+            throw new Error(result.message || 'Failed to fetch supported banks');
+        }
+
+        this.banks = { list: result.banks || [], lastUpdated: Date.now() };
+        return this.banks.list;
+    }
+
+    /**
+     * Find a bank by its code or (case-insensitive) name
+     */
+    async findBank({ bank_code, bank_name }) {
+        const banks = await this.getBanks();
+        const bank = bank_code
+            ? banks.find(item => String(item.code) === String(bank_code))
+            : banks.find(item => item.name && bank_name && item.name.toLowerCase() === String(bank_name).trim().toLowerCase());
+
+        if (!bank) {
+            throw new WithdrawalError('Bank not supported', 'BANK_NOT_FOUND');
+        }
+
+        return bank;
+    }
+
+    /**
+     * Resolve the name on a bank account
+     * @returns {Promise<{ bank_code: string, bank_name: string, account_number: string, account_name: string }>}
+     */
+    async resolveAccount({ bank_code, bank_name, account_number }) {
+        const bank = await this.findBank({ bank_code, bank_name });
+        const result = await paymentService.resolveAccount(account_number, bank.code);
+
+        if (!result.success) {
+            throw new WithdrawalError(result.message || 'Could not verify the account number', 'ACCOUNT_NOT_RESOLVED');
+        }
+
+        return {
+            bank_code: String(bank.code),
+            bank_name: bank.name,
+            account_number: String(account_number),
+            account_name: result.account_name
+        };
+    }
+
+    /**
+     * Debit the wallet and start a payout
+     * @param {string} userId
+     * @param {Object} request - { amount, account_number, bank_code | bank_name }
+     * @returns {Promise<Object>} { transaction, new_balance, account }
+     */
+    async requestWithdrawal(userId, { amount, account_number, bank_code, bank_name }) {
+        const withdrawalAmount = parseFloat(amount);
+        const minWithdrawal = parseFloat(process.env.MIN_WITHDRAWAL || '1000');
+
+        if (isNaN(withdrawalAmount) || withdrawalAmount < minWithdrawal) {
+            throw new WithdrawalError(`Minimum withdrawal amount is ₦${minWithdrawal}`, 'INVALID_AMOUNT');
+        }
+
+        // Resolve before debiting so a typo never takes money out of the wallet
+        const account = await this.resolveAccount({ bank_code, bank_name, account_number });
+        const reference = generateReference('WTH');
+        const description = `Withdrawal to ${account.bank_name} - ${account.account_name}`;
+
+        const debit = await walletService.debit(
+            userId,
+            withdrawalAmount,
+            description,
+            reference,
+            { account: ACCOUNTS.FLUTTERWAVE_CLEARING, kind: 'withdrawal' }
+        );
+
+        let pending;
+        try {
+            pending = await purchaseService.transition(debit.transaction, 'pending', {
+                type: 'withdrawal',
+                payment_method: 'bank_transfer',
+                payment_reference: reference,
+                metadata: {
+                    ...account,
+                    withdrawal_reference: reference
+                }
+            });
+        } catch (error) {
+            // Nothing has been sent to Flutterwave yet, so hand the debit straight back
+            await this.creditBack(userId, withdrawalAmount, description, reference);
+            throw error;
+        }
+
+        if (!pending) {
+            await this.creditBack(userId, withdrawalAmount, description, reference);
+            throw new WithdrawalError('The withdrawal could not be recorded; your wallet has not been charged', 'WITHDRAWAL_NOT_RECORDED');
+        }
+
+        const transaction = await this.startTransfer(pending);
+
+        return {
+            transaction,
+            new_balance: transaction.status === 'refunded' ? debit.new_balance + withdrawalAmount : debit.new_balance,
+            account
+        };
+    }
+
+    /**
+     * Return a debit whose withdrawal row could not be set up
+     */
+    async creditBack(userId, amount, description, reference) {
+        await walletService.credit(
+            userId,
+            amount,
+            `Refund: ${description}`,
+            `REFUND_${reference}`,
+            { account: ACCOUNTS.FLUTTERWAVE_CLEARING, kind: 'withdrawal_refund' }
+        );
+    }
+
+    /**
+     * Send a pending withdrawal to Flutterwave
+     */
+    async startTransfer(transaction) {
+        const { metadata } = transaction;
+        const result = await paymentService.initiateTransfer({
+            account_bank: metadata.bank_code,
+            account_number: metadata.account_number,
+            amount: transaction.amount,
+            narration: 'StarkTol wallet withdrawal',
+            reference: metadata.withdrawal_reference,
+            meta: { user_id: transaction.user_id, transaction_id: transaction.id }
+        });
+
+        if (result.success) {
+            const processing = await purchaseService.transition(transaction, 'processing', {
+                metadata: {
+                    ...metadata,
+                    transfer_id: result.transfer.id,
+                    transfer_status: result.transfer.status,
+                    transfer_started_at: new Date().toISOString()
+                }
+            });
+
+            console.log('🏦 Withdrawal transfer started:', { reference: metadata.withdrawal_reference, transferId: result.transfer.id });
+            return processing || transaction;
+        }
+
+        if (UNKNOWN_OUTCOME_ERRORS.includes(result.error_code)) {
+            // Flutterwave may have accepted it; wait for the webhook or a status refresh
+            console.warn('⚠️ Withdrawal transfer outcome unknown:', { reference: metadata.withdrawal_reference, error: result.message });
+            return transaction;
+        }
+
+        return this.refund(transaction, result.message || 'Transfer was rejected');
+    }
+
+    /**
+     * Handle a transfer.completed webhook. The payload is only used to find the
+     * withdrawal; the outcome comes from Flutterwave's own record of the transfer.
+     * @returns {Promise<string>} completed | refunded | unchanged | ignored
+     */
+    async handleTransferEvent({ reference, transferId }) {
+        const transaction = await this.findByReference(reference);
+        if (!transaction) {
+            console.warn('⚠️ Transfer webhook for unknown withdrawal:', reference);
+            return 'ignored';
+        }
+
+        const { status } = await this.refreshStatus(transaction, transferId);
+        return status;
+    }
+
+    /**
+     * Look up a withdrawal's transfer at Flutterwave and settle it if it has finished
+     * @param {Object} transaction - Withdrawal transaction
+     * @param {string|number} [transferId] - From a webhook, for withdrawals whose start request never returned one
+     * @returns {Promise<{ status: string, transaction: Object }>}
+     */
+    async refreshStatus(transaction, transferId = null) {
+        if (!['pending', 'processing'].includes(transaction.status)) {
+            return { status: 'unchanged', transaction };
+        }
+
+        const { metadata } = transaction;
+        const id = metadata.transfer_id || transferId;
+
+        if (!id) {
+            return this.refreshByReference(transaction);
+        }
+
+        const result = await paymentService.getTransfer(id);
+        const transfer = result.success ? result.transfer : null;
+
+        return this.applyTransfer(transaction, transfer);
+    }
+
+    /**
+     * Settle a withdrawal whose start request never returned a transfer id by finding its
+     * transfer by reference. One that still cannot be found after UNMATCHED_TRANSFER_TIMEOUT
+     * is flagged with needs_review for an admin to check at Flutterwave.
+     */
+    async refreshByReference(transaction) {
+        const { metadata } = transaction;
+        const result = await paymentService.findTransferByReference(metadata.withdrawal_reference);
+
+        if (!result.success) {
+            return { status: 'unchanged', transaction };
+        }
+
+        if (result.transfer) {
+            return this.applyTransfer(transaction, result.transfer);
+        }
+
+        const age = Date.now() - new Date(transaction.created_at).getTime();
+        if (age > UNMATCHED_TRANSFER_TIMEOUT && !metadata.needs_review) {
+            console.warn('⚠️ Withdrawal transfer not found at Flutterwave, flagged for review:', metadata.withdrawal_reference);
+
+            // Same status; only touches metadata
+            const flagged = await purchaseService.transition(transaction, transaction.status, {
+                metadata: { ...metadata, needs_review: true, review_reason: 'Transfer not found by reference' }
+            });
+            return { status: 'unchanged', transaction: flagged || transaction };
+        }
+
+        return { status: 'unchanged', transaction };
+    }
+
+    /**
+     * Refresh withdrawals still open after the reconciler threshold
+     * @param {string} cutoff - Only withdrawals last updated before this time
+     * @returns {Promise<Object>} { checked, completed, refunded, unchanged }
+     */
+    async reconcilePending(cutoff) {
+        const summary = { checked: 0, completed: 0, refunded: 0, unchanged: 0 };
+
+        const { data: transactions, error } = await supabaseAdmin
+            .from('transactions')
+            .select('*')
+            .eq('type', 'withdrawal')
+            .in('status', ['pending', 'processing'])
+            .lt('updated_at', cutoff)
+            .order('updated_at', { ascending: true })
+            .limit(RECONCILE_BATCH_SIZE);
+
+        if (error) {
+            throw error;
+        }
+
+        for (const transaction of transactions || []) {
+            summary.checked += 1;
+
+            try {
+                const { status } = await this.refreshStatus(transaction);
+                summary[status] = (summary[status] || 0) + 1;
+            } catch (refreshError) {
+                console.error(`Refresh withdrawal ${transaction.id} error:`, refreshError.message);
+            }
+        }
+
+        return summary;
+    }
+
+    /**
+     * Move a withdrawal on from Flutterwave's record of its transfer
+     */
+    async applyTransfer(transaction, transfer) {
+        const { metadata } = transaction;
+
+        // Guard against a webhook pointing a withdrawal at someone else's transfer
+        if (transfer && transfer.reference && transfer.reference !== metadata.withdrawal_reference) {
+            console.error('❌ Transfer reference mismatch:', { expected: metadata.withdrawal_reference, got: transfer.reference });
+            return { status: 'unchanged', transaction };
+        }
+
+        if (!transfer) {
+            return { status: 'unchanged', transaction };
+        }
+
+        if (transfer.status === TRANSFER_SUCCESSFUL) {
+            const completed = await purchaseService.transition(transaction, 'completed', {
+                metadata: {
+                    ...metadata,
+                    transfer_id: transfer.id,
+                    transfer_status: transfer.status,
+                    transfer_fee: transfer.fee,
+                    completed_at: new Date().toISOString()
+                }
+            });
+
+            if (completed) {
+                try {
+                    await walletService.addToTotalWithdrawals(transaction.user_id, transaction.amount);
+                } catch (totalError) {
+                    console.error('❌ Failed to count withdrawal in total:', { reference: metadata.withdrawal_reference, error: totalError.message });
+                }
+                console.log('✅ Withdrawal paid out:', metadata.withdrawal_reference);
+            }
+            return { status: 'completed', transaction: completed || transaction };
+        }
+
+        if (transfer.status === TRANSFER_FAILED) {
+            const refunded = await this.refund(transaction, transfer.complete_message || 'Bank transfer failed', transfer);
+            return { status: refunded.status === 'refunded' ? 'refunded' : 'unchanged', transaction: refunded };
+        }
+
+        // NEW / PENDING: still in flight
+        const updated = await purchaseService.transition(transaction, transaction.status === 'pending' ? 'processing' : transaction.status, {
+            metadata: { ...metadata, transfer_id: transfer.id, transfer_status: transfer.status }
+        });
+        return { status: 'unchanged', transaction: updated || transaction };
+    }
+
+    /**
+     * Mark a withdrawal failed and credit the wallet back.
+     * Failing first means only one caller can refund it.
+     */
+    async refund(transaction, reason, transfer = null) {
+        const { metadata } = transaction;
+        const failed = await purchaseService.transition(transaction, 'failed', {
+            error_message: reason,
+            metadata: {
+                ...metadata,
+                transfer_id: transfer ? transfer.id : metadata.transfer_id || null,
+                transfer_status: transfer ? transfer.status : metadata.transfer_status || null
+            }
+        });
+
+        if (!failed) {
+            return transaction;
+        }
+
+        const refundReference = `REFUND_${metadata.withdrawal_reference}`;
+        try {
+            await walletService.credit(
+                transaction.user_id,
+                transaction.amount,
+                `Refund: ${transaction.description}`,
+                refundReference,
+                { account: ACCOUNTS.FLUTTERWAVE_CLEARING, kind: 'withdrawal_refund' }
+            );
+        } catch (error) {
+            // Left failed without a refund reference so it can be refunded manually
+            console.error('❌ Withdrawal refund error:', { transactionId: transaction.id, error: error.message });
+            return failed;
+        }
+
+        const refunded = await purchaseService.transition(failed, 'refunded', {
+            metadata: {
+                ...failed.metadata,
+                refund_reference: refundReference,
+                refunded_at: new Date().toISOString()
+            }
+        });
+
+        console.log('↩️ Withdrawal refunded:', { reference: metadata.withdrawal_reference, reason });
+        return refunded || failed;
+    }
+
+    /**
+     * Find a withdrawal by its WTH_ reference, optionally scoped to a user
+     */
+    async findByReference(reference, userId = null) {
+        let query = supabaseAdmin
+            .from('transactions')
+            .select('*')
+            .eq('type', 'withdrawal')
+            .eq('payment_reference', reference);
+
+        if (userId) {
+            query = query.eq('user_id', userId);
+        }
+
+        const { data, error } = await query.limit(1);
+
+        if (error) {
+            throw error;
+        }
+
+        return data && data.length > 0 ? data[0] : null;
+    }
+}
+
+// Create singleton instance
+const withdrawalService = new WithdrawalService();
+
+module.exports = {
+    withdrawalService,
+    WithdrawalService,
+    WithdrawalError
+};
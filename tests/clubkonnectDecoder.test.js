@@ -0,0 +1,126 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { OUTCOMES, decodeResponse } = require('../vtu-providers/clubkonnectDecoder');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'clubkonnect');
+
+/**
+ * Load a recorded ClubKonnect response body: .json files as parsed JSON,
+ * .txt files as the plain-text body ClubKonnect sometimes sends instead
+ */
+const fixture = (name) => {
+    const body = fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+    return name.endsWith('.json') ? JSON.parse(body) : body;
+};
+
+describe('clubkonnectDecoder', () => {
+    describe('delivered and in-flight orders', () => {
+        it('treats a received order as pending', () => {
+            const decoded = decodeResponse(fixture('order-received.json'));
+
+            assert.equal(decoded.outcome, OUTCOMES.PENDING);
+            assert.equal(decoded.status, 'ORDER_RECEIVED');
+            assert.equal(decoded.statusCode, '100');
+            assert.equal(decoded.orderId, '789012');
+            assert.equal(decoded.known, true);
+            assert.equal(decoded.retryable, false);
+        });
+
+        it('treats a completed status query as success and keeps the remark', () => {
+            const decoded = decodeResponse(fixture('query-completed.json'));
+
+            assert.equal(decoded.outcome, OUTCOMES.SUCCESS);
+            assert.equal(decoded.message, 'You have successfully topped up 08031234567 with N100');
+        });
+
+        it('falls back to the status code when the status text is missing', () => {
+            const decoded = decodeResponse(fixture('code-only-completed.json'));
+
+            assert.equal(decoded.outcome, OUTCOMES.SUCCESS);
+            assert.equal(decoded.status, 'ORDER_COMPLETED');
+        });
+
+        it('keeps an order on hold pending', () => {
+            assert.equal(decodeResponse(fixture('query-onhold.json')).outcome, OUTCOMES.PENDING);
+        });
+    });
+
+    describe('refusals', () => {
+        it('treats a cancelled order as a final failure', () => {
+            const decoded = decodeResponse(fixture('query-cancelled.json'));
+
+            assert.equal(decoded.outcome, OUTCOMES.FAILED_FINAL);
+            assert.equal(decoded.retryable, false);
+        });
+
+        it('treats a duplicate order as a final failure', () => {
+            assert.equal(decodeResponse(fixture('duplicate-order.json')).outcome, OUTCOMES.FAILED_FINAL);
+        });
+
+        it('treats request validation errors as final failures', () => {
+            for (const name of ['invalid-recipient.json', 'minimum-amount.json']) {
+                const decoded = decodeResponse(fixture(name));
+
+                assert.equal(decoded.outcome, OUTCOMES.FAILED_FINAL, name);
+                assert.equal(decoded.known, true, name);
+                assert.equal(decoded.accountSide, false, name);
+            }
+
+            assert.equal(decodeResponse(fixture('invalid-recipient.json')).message, 'Invalid recipient phone number');
+        });
+
+        it('marks account problems as retryable and safe to send elsewhere', () => {
+            for (const name of ['insufficient-balance.json', 'invalid-credentials.txt', 'missing-apikey.json']) {
+                const decoded = decodeResponse(fixture(name));
+
+                assert.equal(decoded.outcome, OUTCOMES.FAILED_RETRYABLE, name);
+                assert.equal(decoded.retryable, true, name);
+                assert.equal(decoded.accountSide, true, name);
+            }
+        });
+
+        it('decodes a plain-text body', () => {
+            const decoded = decodeResponse(fixture('invalid-credentials.txt'));
+
+            assert.equal(decoded.status, 'INVALID_CREDENTIALS');
+            assert.equal(decoded.message, 'ClubKonnect rejected the API credentials');
+            assert.equal(decoded.orderId, null);
+        });
+
+        it('marks an unavailable service as retryable but not account-side', () => {
+            const decoded = decodeResponse(fixture('service-unavailable.json'));
+
+            assert.equal(decoded.outcome, OUTCOMES.FAILED_RETRYABLE);
+            assert.equal(decoded.accountSide, false);
+        });
+    });
+
+    describe('unrecognised responses', () => {
+        it('keeps an unknown status pending so it is confirmed rather than refunded', () => {
+            const decoded = decodeResponse(fixture('unknown-status.json'));
+
+            assert.equal(decoded.outcome, OUTCOMES.PENDING);
+            assert.equal(decoded.known, false);
+            assert.equal(decoded.orderId, '789016');
+        });
+
+        it('keeps a non-ClubKonnect error page pending', () => {
+            const decoded = decodeResponse(fixture('html-error.txt'));
+
+            assert.equal(decoded.outcome, OUTCOMES.PENDING);
+            assert.equal(decoded.known, false);
+        });
+
+        it('handles empty bodies', () => {
+            for (const response of [null, undefined, '', {}]) {
+                const decoded = decodeResponse(response);
+
+                assert.equal(decoded.outcome, OUTCOMES.PENDING);
+                assert.equal(decoded.known, false);
+                assert.equal(decoded.message, 'Unrecognised ClubKonnect response');
+            }
+        });
+    });
+});
@@ -2,6 +2,9 @@
  * Custom error class for VTU provider failures
  * Used to handle and standardize errors from various VTU providers
  */
+// Socket errors that happen before any request bytes are sent
+const PRE_CONNECTION_ERRORS = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
 class ProviderError extends Error {
     constructor(message, options = {}) {
         super(message);
@@ -13,6 +16,9 @@ class ProviderError extends Error {
         this.providerResponse = options.providerResponse || null;
         this.transactionRef = options.transactionRef || null;
         this.retryable = options.retryable || false;
+        // The provider certainly did not act on the request (it was never sent, or was refused
+        // for account reasons), so a purchase may be sent to another provider
+        this.safeToFailover = options.safeToFailover || false;
         this.timestamp = new Date().toISOString();
         
         // Capture stack trace
@@ -34,6 +40,7 @@ class ProviderError extends Error {
             providerResponse: this.providerResponse,
             transactionRef: this.transactionRef,
             retryable: this.retryable,
+            safeToFailover: this.safeToFailover,
             timestamp: this.timestamp,
             stack: this.stack
         };
@@ -55,7 +62,8 @@ class ProviderError extends Error {
     }
 
     /**
-     * Create network error
+     * Create network error. Errors raised before a connection was made (refused, DNS,
+     * unreachable host) mean the request never reached the provider.
      */
     static networkError(provider, originalError) {
         return new ProviderError(
@@ -65,6 +73,7 @@ class ProviderError extends Error {
                 code: 'NETWORK_ERROR',
                 status: 503,
                 retryable: true,
+                safeToFailover: PRE_CONNECTION_ERRORS.includes(originalError.code),
                 providerResponse: originalError.message
             }
         );
@@ -0,0 +1,148 @@
+/**
+ * Minimal five-field cron expressions: minute hour day-of-month month day-of-week
+ *
+ * Each field takes *, numbers, ranges (1-5), lists (1,15) and steps (*\/15, 1-10/2).
+ * Day of week is 0-6 with 0 = Sunday (7 is accepted as Sunday too). As in standard
+ * cron, when both day fields are restricted a day matching either one matches.
+ *
+ * Times are matched in a fixed UTC offset, Africa/Lagos (+01:00, no daylight saving)
+ * unless another offset is given.
+ */
+
+const LAGOS_OFFSET_MINUTES = 60;
+const MINUTE = 60 * 1000;
+const MAX_SEARCH_DAYS = 366 * 5; // leap-day-only expressions still fit
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+class CronError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CronError';
+    }
+}
+
+/**
+ * Expand one field into the set of values it allows
+ */
+const parseField = (text, { name, min, max }) => {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+
+        if (!Number.isInteger(step) || step < 1) {
+            throw new CronError(`Invalid step in ${name}: ${part}`);
+        }
+
+        let start = min;
+        let end = max;
+
+        if (range !== '*') {
+            const [from, to] = range.split('-').map(Number);
+            start = from;
+            end = to === undefined ? (stepText === undefined ? from : max) : to;
+        }
+
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+            throw new CronError(`Invalid ${name}: ${part}`);
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+};
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - e.g. "0 9 * * 5" (Fridays at 09:00)
+ * @returns {Object} Parsed schedule for nextRun()
+ * @throws {CronError}
+ */
+const parseCron = (expression) => {
+    const parts = String(expression || '').trim().split(/\s+/);
+
+    if (parts.length !== 5) {
+        throw new CronError('Cron expression needs five fields: minute hour day-of-month month day-of-week');
+    }
+
+    const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index]));
+
+    if (weekdays.has(7)) {
+        weekdays.add(0);
+    }
+
+    return {
+        expression: parts.join(' '),
+        minutes,
+        hours,
+        days,
+        months,
+        weekdays,
+        anyDay: parts[2] === '*',
+        anyWeekday: parts[4] === '*'
+    };
+};
+
+const dayMatches = (cron, date) => {
+    const dayOfMonth = cron.days.has(date.getUTCDate());
+    const dayOfWeek = cron.weekdays.has(date.getUTCDay());
+
+    if (cron.anyDay) return dayOfWeek;
+    if (cron.anyWeekday) return dayOfMonth;
+    return dayOfMonth || dayOfWeek;
+};
+
+/**
+ * First time strictly after `after` that the expression matches
+ * @param {Object|string} cron - parseCron() result or an expression
+ * @param {Date} [after]
+ * @param {number} [offsetMinutes] - UTC offset the expression is written in
+ * @returns {Date}
+ */
+const nextRun = (cron, after = new Date(), offsetMinutes = LAGOS_OFFSET_MINUTES) => {
+    const schedule = typeof cron === 'string' ? parseCron(cron) : cron;
+
+    // Work in "local" time by shifting into UTC fields, then shift back at the end
+    const local = new Date(Math.floor((after.getTime() + offsetMinutes * MINUTE) / MINUTE) * MINUTE + MINUTE);
+    const limit = local.getTime() + MAX_SEARCH_DAYS * 24 * 60 * MINUTE;
+
+    while (local.getTime() <= limit) {
+        if (!schedule.months.has(local.getUTCMonth() + 1) || !dayMatches(schedule, local)) {
+            local.setUTCDate(local.getUTCDate() + 1);
+            local.setUTCHours(0, 0, 0, 0);
+            continue;
+        }
+
+        if (!schedule.hours.has(local.getUTCHours())) {
+            local.setUTCHours(local.getUTCHours() + 1, 0, 0, 0);
+            continue;
+        }
+
+        if (!schedule.minutes.has(local.getUTCMinutes())) {
+            local.setUTCMinutes(local.getUTCMinutes() + 1, 0, 0);
+            continue;
+        }
+
+        return new Date(local.getTime() - offsetMinutes * MINUTE);
+    }
+
+    throw new CronError(`Cron expression never matches: ${schedule.expression}`);
+};
+
+module.exports = {
+    CronError,
+    LAGOS_OFFSET_MINUTES,
+    parseCron,
+    nextRun
+};
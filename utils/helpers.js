@@ -305,6 +305,86 @@ const isValidJSON = (str) => {
     }
 };
 
+// ISO timestamp for a date query parameter, or null if it is not a valid date
+const toISOTimestamp = (value) => {
+    if (typeof value !== 'string' && typeof value !== 'number') {
+        return null;
+    }
+
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+// Convert an array of objects to CSV; columns default to the keys of the first row
+const toCSV = (rows, columns = null) => {
+    const headers = columns || (rows.length > 0 ? Object.keys(rows[0]) : []);
+    const escape = (value) => {
+        if (value === null || value === undefined) return '';
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [
+        headers.join(','),
+        ...rows.map(row => headers.map(header => escape(row[header])).join(','))
+    ].join('\n');
+};
+
+// Parse CSV text into objects keyed by the (trimmed, lower-cased) header row.
+// Handles quoted fields, doubled quotes and CRLF line endings; blank lines are skipped.
+const parseCSV = (text) => {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    const input = String(text || '').replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const lines = records.filter(line => line.some(value => value.trim() !== ''));
+    if (lines.length === 0) {
+        return [];
+    }
+
+    const headers = lines[0].map(header => header.trim().toLowerCase());
+    return lines.slice(1).map(line => headers.reduce((row, header, index) => {
+        row[header] = line[index] !== undefined ? line[index].trim() : '';
+        return row;
+    }, {}));
+};
+
 module.exports = {
     // Log a transaction (for webhook or manual credit)
     logTransaction: async function({ userId, amount, type, method, reference, status, meta }) {
@@ -344,5 +424,8 @@ module.exports = {
     retryOperation,
     calculatePercentage,
     calculateDiscount,
-    isValidJSON
+    isValidJSON,
+    toISOTimestamp,
+    toCSV,
+    parseCSV
 };
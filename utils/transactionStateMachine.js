@@ -0,0 +1,50 @@
+/**
+ * Transaction status state machine
+ *
+ *   pending ──► processing ──► completed
+ *      │            │               │
+ *      └──► failed ◄┘──► refunded ◄─┘
+ *
+ * failed and refunded purchases can go back to processing through a retry.
+ * completed only moves on through an approved refund request (services/refundService.js).
+ */
+const TRANSITIONS = {
+    pending: ['processing', 'failed'],
+    processing: ['completed', 'failed', 'refunded'],
+    failed: ['refunded', 'processing'],
+    refunded: ['processing'],
+    completed: ['refunded']
+};
+
+class InvalidTransitionError extends Error {
+    constructor(from, to) {
+        super(`Transaction cannot move from ${from} to ${to}`);
+        this.name = 'InvalidTransitionError';
+        this.from = from;
+        this.to = to;
+    }
+}
+
+/**
+ * Whether a transaction may move between two statuses.
+ * Staying in the same status (e.g. updating a processing row) is always allowed.
+ */
+const canTransition = (from, to) => {
+    return from === to || (TRANSITIONS[from] || []).includes(to);
+};
+
+/**
+ * Throw InvalidTransitionError unless the move is allowed
+ */
+const assertTransition = (from, to) => {
+    if (!canTransition(from, to)) {
+        throw new InvalidTransitionError(from, to);
+    }
+};
+
+module.exports = {
+    TRANSITIONS,
+    InvalidTransitionError,
+    canTransition,
+    assertTransition
+};
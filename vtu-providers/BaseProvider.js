@@ -0,0 +1,196 @@
+const ProviderError = require('../utils/ProviderError');
+
+/**
+ * Base VTU provider adapter
+ * Every provider integration extends this class and overrides the methods it supports.
+ *
+ * Purchase methods resolve to a normalized result:
+ *   { success, status, reference, provider, message, token?, data }
+ * where status is one of 'completed', 'pending' or 'failed'.
+ *
+ * Transport and availability problems must be thrown as ProviderError with
+ * `retryable: true` so the routing layer can fail over to the next provider.
+ * A purchase is only sent to another provider when the error also has
+ * `safeToFailover: true` (the order certainly never reached or was refused by the
+ * provider); errors raised after a purchase was sent should carry the request ID in
+ * `transactionRef` so the order is held as pending and reconciled later.
+ */
+class BaseProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Whether the provider has the credentials it needs to serve requests
+     */
+    isReady() {
+        return false;
+    }
+
+    /**
+     * Fetch the provider's network list
+     * @returns {Promise<Array|null>} Networks, or null when the provider has no catalogue endpoint
+     */
+    async getNetworks() {
+        return null;
+    }
+
+    /**
+     * Fetch the provider's data plans for a network
+     * @param {string} network - Network code (MTN, GLO, AIRTEL, 9MOBILE)
+     * @returns {Promise<Array|null>} Plans as { code, name, price, data, validity },
+     *   or null when the provider has no catalogue endpoint
+     */
+    async getDataPlans(network) {
+        return null;
+    }
+
+    /**
+     * Fetch the provider's bouquets for a cable TV provider
+     * @param {string} cableProvider - Cable provider code (DSTV, GOTV, STARTIMES)
+     * @returns {Promise<Array|null>} Bouquets as { code, name, price },
+     *   or null when the provider has no catalogue endpoint
+     */
+    async getCablePackages(cableProvider) {
+        return null;
+    }
+
+    /**
+     * Purchase airtime
+     * @param {Object} params - { network, phone_number, amount }
+     */
+    async purchaseAirtime(params) {
+        throw this.notSupported('purchaseAirtime');
+    }
+
+    /**
+     * Purchase a data bundle
+     * @param {Object} params - { network, phone_number, plan_id, amount }
+     */
+    async purchaseData(params) {
+        throw this.notSupported('purchaseData');
+    }
+
+    /**
+     * Purchase a cable TV subscription
+     * @param {Object} params - { provider, package_id, smartcard_number, amount }
+     */
+    async purchaseCable(params) {
+        throw this.notSupported('purchaseCable');
+    }
+
+    /**
+     * Purchase an electricity token
+     * @param {Object} params - { provider, meter_number, meter_type, amount, customer_name }
+     */
+    async purchaseElectricity(params) {
+        throw this.notSupported('purchaseElectricity');
+    }
+
+    /**
+     * Validate a cable TV smartcard number
+     * @param {Object} params - { provider, smartcard_number }
+     * @returns {Promise<Object>} { valid, customer_name?, message? }
+     */
+    async validateSmartcard(params) {
+        throw this.notSupported('validateSmartcard');
+    }
+
+    /**
+     * Validate an electricity meter number
+     * @param {Object} params - { provider, meter_number, meter_type }
+     * @returns {Promise<Object>} { valid, customer_name?, message? }
+     */
+    async validateMeterNumber(params) {
+        throw this.notSupported('validateMeterNumber');
+    }
+
+    /**
+     * Get the float balance held with the provider
+     * @returns {Promise<Object>} { success, balance, currency, data }
+     */
+    async getBalance() {
+        throw this.notSupported('getBalance');
+    }
+
+    /**
+     * Query the status of a previously submitted request
+     * @param {string} requestId - Request ID sent with the original purchase
+     * @returns {Promise<Object>} { success, status, provider_status, message, data }
+     *   where status is 'completed', 'failed' or 'pending' and provider_status is the raw value
+     */
+    async getTransactionStatus(requestId) {
+        throw this.notSupported('getTransactionStatus');
+    }
+
+    /**
+     * Fetch the provider's own record of transactions in a period, for settlement
+     * @param {Object} range - { from, to } ISO timestamps
+     * @returns {Promise<Array|null>} Entries as { request_id, amount, status, data },
+     *   or null when the provider has no history endpoint
+     */
+    async getTransactionHistory(range) {
+        return null;
+    }
+
+    /**
+     * Error for operations the provider does not implement.
+     * Marked retryable so the router moves on to a provider that does.
+     */
+    notSupported(method) {
+        return new ProviderError(`${this.name} does not support ${method}`, {
+            provider: this.name,
+            code: 'NOT_SUPPORTED',
+            status: 501,
+            retryable: true,
+            safeToFailover: true
+        });
+    }
+
+    /**
+     * Error for a provider that is missing its credentials
+     */
+    notConfigured() {
+        return new ProviderError(`${this.name} is not configured`, {
+            provider: this.name,
+            code: 'PROVIDER_NOT_CONFIGURED',
+            status: 503,
+            retryable: true,
+            safeToFailover: true
+        });
+    }
+
+    /**
+     * Convert an axios error into a ProviderError.
+     * Network failures, timeouts and 5xx responses are retryable; 4xx are not.
+     */
+    toProviderError(error) {
+        if (error instanceof ProviderError) {
+            return error;
+        }
+
+        if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+            return ProviderError.timeoutError(this.name);
+        }
+
+        if (!error.response) {
+            return ProviderError.networkError(this.name, error);
+        }
+
+        const status = error.response.status;
+
+        if (status === 401 || status === 403) {
+            return ProviderError.authError(this.name);
+        }
+
+        return new ProviderError(`${this.name} API error: ${error.message}`, {
+            provider: this.name,
+            code: `HTTP_${status}`,
+            status,
+            providerResponse: error.response.data,
+            retryable: status >= 500
+        });
+    }
+}
+
+module.exports = BaseProvider;
@@ -0,0 +1,360 @@
+const axios = require('axios');
+const { clubkonnectConfig } = require('../config/clubkonnect');
+const BaseProvider = require('./BaseProvider');
+const ProviderError = require('../utils/ProviderError');
+const { OUTCOMES, decodeResponse } = require('./clubkonnectDecoder');
+
+/**
+ * ClubKonnect VTU provider adapter
+ * Handles Airtime, Data, Cable TV, and Electricity purchases through the ClubKonnect API
+ */
+class ClubKonnectProvider extends BaseProvider {
+    constructor(config = clubkonnectConfig) {
+        super('clubkonnect');
+
+        this.config = config;
+        this.httpClient = axios.create({
+            timeout: this.config.timeout,
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'User-Agent': 'StarkTol-VTU/1.0'
+            }
+        });
+
+        this.setupInterceptors();
+    }
+
+    /**
+     * Set up axios interceptors for logging and error handling
+     */
+    setupInterceptors() {
+        // Request interceptor
+        this.httpClient.interceptors.request.use(
+            (config) => {
+                console.log(`📤 ClubKonnect API Request: ${config.method?.toUpperCase()} ${config.url}`);
+                return config;
+            },
+            (error) => {
+                console.error('Request error:', error);
+                return Promise.reject(error);
+            }
+        );
+
+        // Response interceptor
+        this.httpClient.interceptors.response.use(
+            (response) => {
+                console.log(`📥 ClubKonnect API Response: ${response.status} ${response.config.url}`);
+                return response;
+            },
+            (error) => {
+                console.error('Response error:', error.response?.data || error.message);
+                return Promise.reject(error);
+            }
+        );
+    }
+
+    isReady() {
+        return this.config.isReady();
+    }
+
+    /**
+     * Make authenticated request to ClubKonnect API
+     */
+    async makeRequest(endpoint, params = {}, method = 'POST') {
+        if (!this.isReady()) {
+            throw this.notConfigured();
+        }
+
+        try {
+            const authParams = this.config.getAuthParams();
+            const allParams = { ...authParams, ...params };
+
+            // Convert params to URL-encoded format
+            const urlEncoded = new URLSearchParams(allParams).toString();
+
+            const response = await this.httpClient({
+                method,
+                url: endpoint,
+                data: urlEncoded,
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                }
+            });
+
+            return this.parseResponse(response.data);
+        } catch (error) {
+            const providerError = this.toProviderError(error);
+            providerError.transactionRef = providerError.transactionRef || params.RequestID || null;
+            throw providerError;
+        }
+    }
+
+    /**
+     * Parse ClubKonnect API response.
+     * Plain-text bodies are kept as a status string for the decoder.
+     */
+    parseResponse(data) {
+        if (typeof data === 'string') {
+            try {
+                return JSON.parse(data);
+            } catch {
+                return { status: data.trim(), message: data.trim() };
+            }
+        }
+        return data;
+    }
+
+    /**
+     * Build the normalized purchase result from a ClubKonnect response.
+     * Orders ClubKonnect has only received stay pending until the callback or
+     * reconciler confirms them; account-side failures (low float, bad credentials)
+     * throw a ProviderError the router may fail over on. Other retryable refusals
+     * (service unavailable) are not failed over, only held for the reconciler.
+     */
+    buildResult(requestId, response, extra = {}) {
+        const decoded = decodeResponse(response);
+
+        if (decoded.outcome === OUTCOMES.FAILED_RETRYABLE) {
+            throw new ProviderError(decoded.message, {
+                provider: this.name,
+                code: decoded.status,
+                status: 503,
+                retryable: true,
+                safeToFailover: decoded.accountSide,
+                providerResponse: response,
+                transactionRef: requestId
+            });
+        }
+
+        if (!decoded.known) {
+            console.warn(`⚠️ Unrecognised ClubKonnect response for ${requestId}, awaiting confirmation:`, response);
+        }
+
+        const statuses = {
+            [OUTCOMES.SUCCESS]: 'completed',
+            [OUTCOMES.PENDING]: 'pending',
+            [OUTCOMES.FAILED_FINAL]: 'failed'
+        };
+
+        return {
+            success: decoded.outcome !== OUTCOMES.FAILED_FINAL,
+            status: statuses[decoded.outcome],
+            reference: requestId,
+            provider: this.name,
+            message: decoded.message,
+            ...extra,
+            data: response
+        };
+    }
+
+    /**
+     * Fetch the network list
+     */
+    async getNetworks() {
+        const response = await this.makeRequest(this.config.endpoints.networks, {}, 'GET');
+        return response.networks || null;
+    }
+
+    /**
+     * Fetch data plans for a network
+     */
+    async getDataPlans(network) {
+        const networkId = this.config.getNetworkId(network);
+        if (!networkId) {
+            throw new Error(`Invalid network: ${network}`);
+        }
+
+        const response = await this.makeRequest(
+            this.config.endpoints.dataplans,
+            { Network: networkId }
+        );
+
+        // Plans come either as a flat list or grouped as MOBILE_NETWORK.<network>[].PRODUCT[]
+        const grouped = response?.MOBILE_NETWORK?.[network.toUpperCase()];
+        const plans = response.plans || (grouped ? grouped.flatMap(group => group.PRODUCT || []) : null);
+
+        return plans ? plans.map(plan => ({
+            code: plan.PRODUCT_ID || plan.id || plan.plan_id,
+            name: plan.PRODUCT_NAME || plan.name,
+            price: plan.PRODUCT_AMOUNT || plan.price,
+            data: plan.data || null,
+            validity: plan.validity || null
+        })) : null;
+    }
+
+    /**
+     * Fetch bouquets for a cable TV provider
+     */
+    async getCablePackages(cableProvider) {
+        const response = await this.makeRequest(this.config.endpoints.cablePackages, {}, 'GET');
+
+        // Bouquets are grouped as TV_ID.<provider>[].PRODUCT[], keyed by display name (DStv, GOtv, ...)
+        const groups = Object.entries(response?.TV_ID || {})
+            .find(([name]) => name.toUpperCase() === cableProvider.toUpperCase());
+
+        if (!groups) {
+            return null;
+        }
+
+        return groups[1].flatMap(group => group.PRODUCT || []).map(item => ({
+            code: item.PACKAGE_ID,
+            name: item.PACKAGE_NAME,
+            price: item.PACKAGE_AMOUNT
+        }));
+    }
+
+    async purchaseAirtime({ network, phone_number, amount }) {
+        const networkId = this.config.getNetworkId(network);
+        if (!networkId) {
+            throw new Error(`Invalid network: ${network}`);
+        }
+
+        const requestId = this.config.generateTransactionRef('AIRTIME');
+
+        const response = await this.makeRequest(this.config.endpoints.airtime, {
+            MobileNumber: phone_number,
+            NetworkID: networkId,
+            Amount: amount,
+            RequestID: requestId,
+            CallBackURL: this.config.getCallbackUrl()
+        });
+
+        return this.buildResult(requestId, response);
+    }
+
+    async purchaseData({ network, phone_number, plan_id }) {
+        const networkId = this.config.getNetworkId(network);
+        if (!networkId) {
+            throw new Error(`Invalid network: ${network}`);
+        }
+
+        const requestId = this.config.generateTransactionRef('DATA');
+
+        const response = await this.makeRequest(this.config.endpoints.data, {
+            MobileNumber: phone_number,
+            DataPlan: plan_id,
+            RequestID: requestId,
+            CallBackURL: this.config.getCallbackUrl()
+        });
+
+        return this.buildResult(requestId, response);
+    }
+
+    async purchaseCable({ provider, package_id, smartcard_number }) {
+        const requestId = this.config.generateTransactionRef('CABLE');
+
+        const response = await this.makeRequest(this.config.endpoints.cable, {
+            CableTV: provider.toUpperCase(),
+            CableTVNumber: smartcard_number,
+            CablePlan: package_id,
+            RequestID: requestId,
+            CallBackURL: this.config.getCallbackUrl()
+        });
+
+        return this.buildResult(requestId, response);
+    }
+
+    async purchaseElectricity({ provider, meter_number, meter_type, amount }) {
+        const requestId = this.config.generateTransactionRef('ELECTRICITY');
+
+        const response = await this.makeRequest(this.config.endpoints.electricity, {
+            ElectricCompany: provider.toUpperCase(),
+            MeterNumber: meter_number,
+            MeterType: meter_type.toLowerCase() === 'prepaid' ? '1' : '2',
+            Amount: amount,
+            RequestID: requestId,
+            CallBackURL: this.config.getCallbackUrl()
+        });
+
+        return this.buildResult(requestId, response, { token: response.token || null });
+    }
+
+    async validateSmartcard({ provider, smartcard_number }) {
+        // ClubKonnect verification endpoint is not wired up yet, so only the format is checked
+        if (!smartcard_number || smartcard_number.length < 10) {
+            return {
+                valid: false,
+                message: 'Invalid smartcard number format'
+            };
+        }
+
+        return {
+            valid: true,
+            customer_name: 'Customer Name',
+            customer_address: 'Customer Address',
+            account_status: 'Active'
+        };
+    }
+
+    async validateMeterNumber({ provider, meter_number, meter_type }) {
+        // ClubKonnect verification endpoint is not wired up yet, so only the format is checked
+        if (!meter_number || meter_number.length < 8) {
+            return {
+                valid: false,
+                message: 'Invalid meter number format'
+            };
+        }
+
+        return {
+            valid: true,
+            customer_name: 'Customer Name',
+            customer_address: 'Customer Address',
+            account_type: meter_type,
+            tariff_class: 'R2'
+        };
+    }
+
+    async getBalance() {
+        const response = await this.makeRequest(this.config.endpoints.balance, {});
+
+        return {
+            success: true,
+            balance: response.balance || 0,
+            currency: 'NGN',
+            data: response
+        };
+    }
+
+    async getTransactionStatus(requestId) {
+        const response = await this.makeRequest(
+            this.config.endpoints.transactionStatus,
+            { RequestID: requestId }
+        );
+
+        const decoded = decodeResponse(response);
+
+        // Account-side errors describe the query, not the order, so they say nothing about delivery
+        if (decoded.outcome === OUTCOMES.FAILED_RETRYABLE) {
+            return {
+                success: false,
+                message: decoded.message,
+                data: response
+            };
+        }
+
+        return {
+            success: true,
+            status: this.normalizeStatus(decoded),
+            provider_status: decoded.status,
+            message: decoded.message,
+            data: response
+        };
+    }
+
+    /**
+     * Map a decoded status query response onto completed / failed / pending
+     */
+    normalizeStatus(decoded) {
+        if (decoded.outcome === OUTCOMES.SUCCESS) {
+            return 'completed';
+        }
+
+        if (decoded.outcome === OUTCOMES.FAILED_FINAL) {
+            return 'failed';
+        }
+
+        return 'pending';
+    }
+}
+
+module.exports = ClubKonnectProvider;
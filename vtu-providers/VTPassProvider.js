@@ -0,0 +1,293 @@
+const axios = require('axios');
+const { vtpassConfig } = require('../config/vtpass');
+const ProviderError = require('../utils/ProviderError');
+const BaseProvider = require('./BaseProvider');
+
+/**
+ * VTpass VTU provider adapter
+ * Used as a failover provider for Airtime, Data, Cable TV, and Electricity purchases
+ */
+class VTPassProvider extends BaseProvider {
+    constructor(config = vtpassConfig) {
+        super('vtpass');
+
+        this.config = config;
+        this.httpClient = axios.create({
+            timeout: this.config.timeout,
+            headers: {
+                'User-Agent': 'StarkTol-VTU/1.0'
+            }
+        });
+    }
+
+    isReady() {
+        return this.config.isReady();
+    }
+
+    /**
+     * POST to a VTpass endpoint with the secret-key headers
+     */
+    async post(endpoint, payload) {
+        if (!this.isReady()) {
+            throw this.notConfigured();
+        }
+
+        try {
+            console.log(`📤 VTpass API Request: POST ${endpoint}`);
+            const response = await this.httpClient.post(endpoint, payload, {
+                headers: this.config.getPostHeaders()
+            });
+            console.log(`📥 VTpass API Response: ${response.status} ${endpoint}`);
+            return response.data;
+        } catch (error) {
+            console.error('VTpass response error:', error.response?.data || error.message);
+            const providerError = this.toProviderError(error);
+            providerError.transactionRef = providerError.transactionRef || payload.request_id || null;
+            throw providerError;
+        }
+    }
+
+    /**
+     * GET a VTpass endpoint with the public-key headers
+     */
+    async get(endpoint, params = {}) {
+        if (!this.isReady()) {
+            throw this.notConfigured();
+        }
+
+        try {
+            const response = await this.httpClient.get(endpoint, {
+                params,
+                headers: this.config.getGetHeaders()
+            });
+            return response.data;
+        } catch (error) {
+            console.error('VTpass response error:', error.response?.data || error.message);
+            throw this.toProviderError(error);
+        }
+    }
+
+    /**
+     * Build the normalized purchase result from a VTpass /pay response.
+     * Code 000 means the request was accepted; the delivery state is in content.transactions.status.
+     * Code 099 means VTpass is still processing it. Low float (018) is retryable on another provider.
+     */
+    buildResult(requestId, response) {
+        const code = response?.code;
+        const deliveryStatus = response?.content?.transactions?.status;
+
+        if (code === '018') {
+            throw new ProviderError('VTpass float balance is too low', {
+                provider: this.name,
+                code: 'INSUFFICIENT_BALANCE',
+                status: 503,
+                retryable: true,
+                safeToFailover: true,
+                providerResponse: response,
+                transactionRef: requestId
+            });
+        }
+
+        let status = 'failed';
+        if (code === '000' && deliveryStatus === 'delivered') {
+            status = 'completed';
+        } else if (code === '099' || (code === '000' && ['pending', 'initiated'].includes(deliveryStatus))) {
+            status = 'pending';
+        }
+
+        return {
+            success: status !== 'failed',
+            status,
+            reference: requestId,
+            provider: this.name,
+            message: response?.response_description || 'Unknown response from VTpass',
+            token: response?.purchased_code || response?.mainToken || null,
+            data: response
+        };
+    }
+
+    async purchaseAirtime({ network, phone_number, amount }) {
+        const serviceID = this.config.getAirtimeServiceId(network);
+        if (!serviceID) {
+            throw new Error(`Invalid network: ${network}`);
+        }
+
+        const requestId = this.config.generateRequestId('AIR');
+        const response = await this.post(this.config.endpoints.pay, {
+            request_id: requestId,
+            serviceID,
+            amount,
+            phone: phone_number
+        });
+
+        return this.buildResult(requestId, response);
+    }
+
+    /**
+     * Fetch data plans for a network from the service variations
+     */
+    async getDataPlans(network) {
+        const serviceID = this.config.getDataServiceId(network);
+        return serviceID ? this.getVariations(serviceID) : null;
+    }
+
+    /**
+     * Fetch bouquets for a cable TV provider from the service variations
+     */
+    async getCablePackages(cableProvider) {
+        return this.getVariations(cableProvider.toLowerCase());
+    }
+
+    /**
+     * Normalize a service's variations into catalogue items
+     */
+    async getVariations(serviceID) {
+        const response = await this.get(this.config.endpoints.variations, { serviceID });
+
+        // VTpass spells the field "varations" in its responses
+        const variations = response?.content?.variations || response?.content?.varations;
+
+        return variations ? variations.map(variation => ({
+            code: variation.variation_code,
+            name: variation.name,
+            price: variation.variation_amount
+        })) : null;
+    }
+
+    async purchaseData({ network, phone_number, plan_id, amount }) {
+        const serviceID = this.config.getDataServiceId(network);
+        if (!serviceID) {
+            throw new Error(`Invalid network: ${network}`);
+        }
+
+        const requestId = this.config.generateRequestId('DAT');
+        const response = await this.post(this.config.endpoints.pay, {
+            request_id: requestId,
+            serviceID,
+            billersCode: phone_number,
+            variation_code: plan_id,
+            amount,
+            phone: phone_number
+        });
+
+        return this.buildResult(requestId, response);
+    }
+
+    async purchaseCable({ provider, package_id, smartcard_number, amount, phone_number }) {
+        const requestId = this.config.generateRequestId('CAB');
+        const response = await this.post(this.config.endpoints.pay, {
+            request_id: requestId,
+            serviceID: provider.toLowerCase(),
+            billersCode: smartcard_number,
+            variation_code: package_id,
+            amount,
+            phone: phone_number || smartcard_number,
+            subscription_type: 'change'
+        });
+
+        return this.buildResult(requestId, response);
+    }
+
+    async purchaseElectricity({ provider, meter_number, meter_type, amount, phone_number }) {
+        const serviceID = this.config.getElectricityServiceId(provider);
+        if (!serviceID) {
+            throw new Error(`Invalid electricity provider: ${provider}`);
+        }
+
+        const requestId = this.config.generateRequestId('ELE');
+        const response = await this.post(this.config.endpoints.pay, {
+            request_id: requestId,
+            serviceID,
+            billersCode: meter_number,
+            variation_code: meter_type.toLowerCase() === 'prepaid' ? 'prepaid' : 'postpaid',
+            amount,
+            phone: phone_number || meter_number
+        });
+
+        return this.buildResult(requestId, response);
+    }
+
+    async validateSmartcard({ provider, smartcard_number }) {
+        const response = await this.post(this.config.endpoints.verify, {
+            serviceID: provider.toLowerCase(),
+            billersCode: smartcard_number
+        });
+
+        const content = response?.content || {};
+        if (response?.code !== '000' || content.error) {
+            return {
+                valid: false,
+                message: content.error || 'Unable to validate smartcard number'
+            };
+        }
+
+        return {
+            valid: true,
+            customer_name: content.Customer_Name,
+            account_status: content.Status,
+            current_bouquet: content.Current_Bouquet,
+            due_date: content.Due_Date
+        };
+    }
+
+    async validateMeterNumber({ provider, meter_number, meter_type }) {
+        const serviceID = this.config.getElectricityServiceId(provider);
+        if (!serviceID) {
+            return { valid: false, message: `Invalid electricity provider: ${provider}` };
+        }
+
+        const response = await this.post(this.config.endpoints.verify, {
+            serviceID,
+            billersCode: meter_number,
+            type: meter_type.toLowerCase()
+        });
+
+        const content = response?.content || {};
+        if (response?.code !== '000' || content.error) {
+            return {
+                valid: false,
+                message: content.error || 'Unable to validate meter number'
+            };
+        }
+
+        return {
+            valid: true,
+            customer_name: content.Customer_Name,
+            customer_address: content.Address,
+            account_type: meter_type
+        };
+    }
+
+    async getBalance() {
+        const response = await this.get(this.config.endpoints.balance);
+
+        return {
+            success: true,
+            balance: response?.contents?.balance || 0,
+            currency: 'NGN',
+            data: response
+        };
+    }
+
+    async getTransactionStatus(requestId) {
+        const response = await this.post(this.config.endpoints.requery, { request_id: requestId });
+
+        const deliveryStatus = response?.content?.transactions?.status;
+        let status = 'pending';
+        if (deliveryStatus === 'delivered') {
+            status = 'completed';
+        } else if (['failed', 'reversed'].includes(deliveryStatus)) {
+            status = 'failed';
+        }
+
+        return {
+            success: true,
+            status,
+            provider_status: deliveryStatus,
+            message: response?.response_description,
+            data: response
+        };
+    }
+}
+
+module.exports = VTPassProvider;
@@ -0,0 +1,121 @@
+/**
+ * ClubKonnect response decoder
+ * Maps ClubKonnect status codes onto normalized outcomes instead of guessing from free text.
+ *
+ * ClubKonnect answers orders and status queries with JSON such as
+ *   { "orderid": "789", "statuscode": "100", "status": "ORDER_RECEIVED" }
+ * and occasionally with a bare status string (e.g. "INVALID_CREDENTIALS").
+ */
+
+const OUTCOMES = {
+    SUCCESS: 'success',
+    PENDING: 'pending',
+    // Not delivered, and another attempt (usually with another provider) may succeed
+    FAILED_RETRYABLE: 'failed_retryable',
+    // Not delivered, and the same order would fail again
+    FAILED_FINAL: 'failed_final'
+};
+
+const STATUS_CODES = {
+    '100': 'ORDER_RECEIVED',
+    '200': 'ORDER_COMPLETED'
+};
+
+const STATUS_OUTCOMES = {
+    ORDER_COMPLETED: OUTCOMES.SUCCESS,
+    ORDER_RECEIVED: OUTCOMES.PENDING,
+    ORDER_PROCESSING: OUTCOMES.PENDING,
+    ORDER_ONHOLD: OUTCOMES.PENDING,
+    ORDER_CANCELLED: OUTCOMES.FAILED_FINAL,
+    ORDER_FAILED: OUTCOMES.FAILED_FINAL,
+    ORDER_REVERSED: OUTCOMES.FAILED_FINAL,
+    DUPLICATE_ORDER: OUTCOMES.FAILED_FINAL,
+
+    // Problems on our side of the account rather than with the order itself
+    INSUFFICIENT_BALANCE: OUTCOMES.FAILED_RETRYABLE,
+    INVALID_CREDENTIALS: OUTCOMES.FAILED_RETRYABLE,
+    MISSING_CREDENTIALS: OUTCOMES.FAILED_RETRYABLE,
+    MISSING_USERID: OUTCOMES.FAILED_RETRYABLE,
+    MISSING_APIKEY: OUTCOMES.FAILED_RETRYABLE,
+    SERVICE_UNAVAILABLE: OUTCOMES.FAILED_RETRYABLE,
+    NETWORK_UNAVAILABLE: OUTCOMES.FAILED_RETRYABLE
+};
+
+// Refusals caused by our ClubKonnect account: the order was never taken, so it is safe to
+// send it to another provider
+const ACCOUNT_STATUSES = ['INSUFFICIENT_BALANCE', 'INVALID_CREDENTIALS', 'MISSING_CREDENTIALS', 'MISSING_USERID', 'MISSING_APIKEY'];
+
+// Families of request validation errors (INVALID_RECIPIENT, MISSING_AMOUNT, MINIMUM_50, ...)
+const FINAL_PREFIXES = ['INVALID_', 'MISSING_', 'MINIMUM_', 'MAXIMUM_'];
+
+const MESSAGES = {
+    ORDER_COMPLETED: 'Order completed',
+    ORDER_RECEIVED: 'Order received and awaiting delivery',
+    ORDER_ONHOLD: 'Order is on hold at the provider',
+    ORDER_CANCELLED: 'Order was cancelled by the provider',
+    INSUFFICIENT_BALANCE: 'ClubKonnect float balance is too low',
+    INVALID_CREDENTIALS: 'ClubKonnect rejected the API credentials',
+    INVALID_RECIPIENT: 'Invalid recipient phone number',
+    INVALID_DATAPLAN: 'Invalid data plan',
+    INVALID_SMARTCARDNO: 'Invalid smartcard number',
+    INVALID_METERNO: 'Invalid meter number',
+    INVALID_AMOUNT: 'Invalid amount'
+};
+
+/**
+ * Pull the status string out of a response body
+ */
+const extractStatus = (response) => {
+    if (typeof response === 'string') {
+        return response.trim().toUpperCase();
+    }
+
+    const status = response?.status || response?.orderstatus || STATUS_CODES[String(response?.statuscode)];
+    return status ? String(status).trim().toUpperCase() : null;
+};
+
+/**
+ * Outcome for a status string; unknown statuses are treated as pending so an order
+ * that may have been delivered is confirmed by a status query instead of refunded
+ */
+const outcomeFor = (status) => {
+    if (status && STATUS_OUTCOMES[status]) {
+        return { outcome: STATUS_OUTCOMES[status], known: true };
+    }
+
+    if (status && FINAL_PREFIXES.some(prefix => status.startsWith(prefix))) {
+        return { outcome: OUTCOMES.FAILED_FINAL, known: true };
+    }
+
+    return { outcome: OUTCOMES.PENDING, known: false };
+};
+
+/**
+ * Decode a ClubKonnect order or status query response
+ * @param {Object|string} response - Parsed response body
+ * @returns {{ outcome: string, status: string|null, statusCode: string|null, orderId: string|null,
+ *   message: string, known: boolean, retryable: boolean, accountSide: boolean }}
+ */
+const decodeResponse = (response) => {
+    const status = extractStatus(response);
+    const { outcome, known } = outcomeFor(status);
+    const remark = typeof response === 'object' && response
+        ? response.orderremark || response.remark || response.message
+        : null;
+
+    return {
+        outcome,
+        status,
+        statusCode: response?.statuscode !== undefined ? String(response.statuscode) : null,
+        orderId: response?.orderid ? String(response.orderid) : null,
+        message: remark || MESSAGES[status] || (status ? status.replace(/_/g, ' ').toLowerCase() : 'Unrecognised ClubKonnect response'),
+        known,
+        retryable: outcome === OUTCOMES.FAILED_RETRYABLE,
+        accountSide: ACCOUNT_STATUSES.includes(status)
+    };
+};
+
+module.exports = {
+    OUTCOMES,
+    decodeResponse
+};
@@ -0,0 +1,61 @@
+const BaseProvider = require('./BaseProvider');
+const ClubKonnectProvider = require('./ClubKonnectProvider');
+const VTPassProvider = require('./VTPassProvider');
+
+/**
+ * Registry of VTU provider adapters, keyed by provider name
+ */
+class ProviderRegistry {
+    constructor() {
+        this.providers = new Map();
+    }
+
+    /**
+     * Register a provider adapter (replaces any adapter with the same name)
+     */
+    register(provider) {
+        if (!(provider instanceof BaseProvider)) {
+            throw new Error('VTU providers must extend BaseProvider');
+        }
+
+        this.providers.set(provider.name, provider);
+        return this;
+    }
+
+    /**
+     * Get a provider by name
+     */
+    get(name) {
+        return this.providers.get(name?.toLowerCase()) || null;
+    }
+
+    /**
+     * Check if a provider is registered
+     */
+    has(name) {
+        return this.providers.has(name?.toLowerCase());
+    }
+
+    /**
+     * List all registered providers with their readiness
+     */
+    list() {
+        return Array.from(this.providers.values()).map(provider => ({
+            name: provider.name,
+            ready: provider.isReady()
+        }));
+    }
+}
+
+// Create singleton registry with the built-in providers
+const providerRegistry = new ProviderRegistry();
+providerRegistry.register(new ClubKonnectProvider());
+providerRegistry.register(new VTPassProvider());
+
+module.exports = {
+    providerRegistry,
+    ProviderRegistry,
+    BaseProvider,
+    ClubKonnectProvider,
+    VTPassProvider
+};